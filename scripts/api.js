@@ -0,0 +1,279 @@
+/*
+================================================================================
+File: scripts/api.js (Programmatic Node API)
+Description: Library entry point of multirepo (package.json `main`). Exposes the
+             workspace operations as async functions for tools that embed
+             multirepo - IDE extensions, provisioning scripts, CI helpers - and
+             for bin/console, which is a thin command-line wrapper around them.
+             Every function takes an options object instead of reading
+             process.argv, never exits the process and resolves with a
+             structured result.
+
+Key Responsibilities:
+- Apply the options object of a call to the runtime state (core/config.js configure)
+- Load the workspace configuration with the resolved repository paths
+- Run setup, status, exec, sync and config validation and return their results
+- Return the transcripts of the last setup run
+- Run the hooks of a single repository and record the outcome in the lock file
+- Reject overlapping operations, as the runtime state is shared per process
+
+Results:
+Every operation resolves with an object carrying `exitCode` (the exit code the
+command line would use: 0 success, 1 aborted or failed, 2 setup completed with
+failed repositories) and `error` (message) when the operation was aborted.
+Only programming errors and invalid options reject the promise.
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for repository existence checks
+import fs from 'fs';
+
+// === LOGGING SYSTEM ===
+import { defaultLogger, groupEndAll, logError } from './helper/logger.js';
+
+// === CONFIGURATION MANAGEMENT ===
+import {
+    configure,
+    filterRepositories,
+    getRepositoryGroups,
+    lockFilePath,
+    loadConfiguration,
+    logsDir,
+    packagesDir,
+    reposFilePath,
+    workspaceRoot
+} from './core/config.js';
+
+// === CORE SERVICES ===
+import { resetAnswers } from './core/answers.js';
+import { runHooks as runRepositoryHooks } from './core/hooks.js';
+import { getRepositoryPath } from './core/repository.js';
+import { CacheManager } from './helper/cache-manager.js';
+
+// === COMMANDS ===
+import { runSetup } from './setup.js';
+import { runStatus } from './status.js';
+import { runExec } from './exec.js';
+import { runSync } from './sync.js';
+import { validateCommand } from './config.js';
+import { runLogs } from './logs.js';
+
+/*
+================================================================================
+RUNTIME STATE
+================================================================================
+*/
+
+// === HOOK PHASES ===
+const HOOK_TYPES = ['preClone', 'postClone'];
+
+// Operation currently running - the runtime options are shared per process
+let activeOperation = null;
+
+/**
+ * Run an operation with the runtime state configured from its options
+ *
+ * @param {string} name - Operation name used in the overlap error
+ * @param {Object} options - Options object of the API call
+ * @param {Function} operation - Async operation to run once configured
+ * @returns {Promise<*>} Result of the operation
+ * @throws {Error} When another operation is still running or an option is invalid
+ */
+async function withOptions(name, options, operation) {
+    if (activeOperation) {
+        throw new Error(`Cannot start ${name} while ${activeOperation} is running - multirepo operations share their options per process`);
+    }
+
+    activeOperation = name;
+    try {
+        configure(options);
+        resetAnswers();
+        return await operation();
+    } finally {
+        activeOperation = null;
+    }
+}
+
+/*
+================================================================================
+WORKSPACE OPERATIONS
+================================================================================
+*/
+
+/**
+ * Load the workspace configuration
+ *
+ * Resolves the repositories selected by `only`/`tags`/`exclude` (all when no
+ * filter is given) with their managed paths. Nothing is modified.
+ *
+ * @param {Object} options - Runtime options (see configure() in core/config.js)
+ * @returns {Promise<Object>} Workspace ({root, packagesDir, reposFile, lockFile, logsDir, groups, repositories})
+ * @throws {Error} When repos.yaml is missing or invalid
+ */
+export async function loadWorkspace(options = {}) {
+    return withOptions('loadWorkspace', options, async () => {
+        const config = await loadConfiguration();
+
+        return {
+            root: workspaceRoot,
+            packagesDir,
+            reposFile: reposFilePath,
+            lockFile: lockFilePath,
+            logsDir,
+            groups: getRepositoryGroups(config),
+            repositories: filterRepositories(config).map(repo => {
+                const repoPath = getRepositoryPath(repo.name);
+                return { ...repo, path: repoPath, cloned: fs.existsSync(repoPath) };
+            })
+        };
+    });
+}
+
+/**
+ * Set up the workspace (pre-clone, clone and post-clone phases)
+ *
+ * Without `only`/`tags`/`exclude` the repositories are selected interactively,
+ * and open decisions are prompted unless `yes` or `nonInteractive` is set -
+ * embedding tools usually pass both a selection and one of these options.
+ *
+ * @param {Object} options - Runtime options (see configure() in core/config.js)
+ * @returns {Promise<Object>} Setup result ({exitCode, dryRun, runId, repositories, error?})
+ */
+export async function setup(options = {}) {
+    return withOptions('setup', options, () => runSetup());
+}
+
+/**
+ * Collect the git and setup state of the workspace repositories
+ *
+ * @param {Object} options - Runtime options (see configure() in core/config.js)
+ * @returns {Promise<Object>} Status result ({exitCode, generated, repositories, error?})
+ */
+export async function status(options = {}) {
+    return withOptions('status', options, () => runStatus());
+}
+
+/**
+ * Run a shell command in every selected repository
+ *
+ * @param {Array<string>|string} command - Command words or command string
+ * @param {Object} options - Runtime options plus `parallel` and `onOutput` (see runExec in exec.js)
+ * @returns {Promise<Object>} Exec result ({exitCode, command, results, error?})
+ */
+export async function exec(command, options = {}) {
+    return withOptions('exec', options, () => runExec(command, {
+        parallel: !!options.parallel,
+        jobs: options.jobs ?? null,
+        onOutput: options.onOutput ?? null
+    }));
+}
+
+/**
+ * Fetch and fast-forward the workspace repositories
+ *
+ * @param {Object} options - Runtime options plus `dirty` (skip or stash)
+ * @returns {Promise<Object>} Sync result ({exitCode, results, error?})
+ */
+export async function sync(options = {}) {
+    return withOptions('sync', options, () => runSync({ dirty: options.dirty ?? 'skip' }));
+}
+
+/**
+ * Validate a configuration file against the repos.yaml schema
+ *
+ * @param {string|null} file - File to validate (default: repos.yaml in the workspace root)
+ * @param {Object} options - Runtime options (see configure() in core/config.js)
+ * @returns {Promise<Object>} Validation result ({exitCode, file, valid, errors, warnings})
+ */
+export async function validateConfig(file = null, options = {}) {
+    return withOptions('validateConfig', options, () => validateCommand(file ? [file] : []));
+}
+
+/**
+ * Read the transcript of the last setup run
+ *
+ * @param {string|null} repoName - Repository whose transcript is requested (null: complete run)
+ * @param {Object} options - Runtime options (see configure() in core/config.js)
+ * @returns {Promise<Object>} Logs result ({exitCode, runId, file, transcript, error?})
+ */
+export async function logs(repoName = null, options = {}) {
+    return withOptions('logs', options, () => runLogs(repoName));
+}
+
+/**
+ * Run the preClone or postClone hooks of a single repository
+ *
+ * The hooks run exactly like during setup - same context, timeouts and
+ * retries - and the outcome is recorded in the lock file, so `status` and
+ * the next setup see it.
+ *
+ * @param {string} repoName - Repository name from repos.yaml
+ * @param {string} hookType - Hook phase ('preClone' or 'postClone')
+ * @param {Object} options - Runtime options (see configure() in core/config.js)
+ * @returns {Promise<Object>} Hook result ({exitCode, repository, hookType, hooks, error?})
+ */
+export async function runHooks(repoName, hookType, options = {}) {
+    return withOptions('runHooks', options, async () => {
+        groupEndAll();
+        const hookResults = [];
+        const result = (exitCode, error) => ({
+            exitCode,
+            repository: repoName,
+            hookType,
+            hooks: hookResults,
+            ...(error ? { error: error.message } : {})
+        });
+
+        try {
+            // === REPOSITORY RESOLUTION ===
+            if (!HOOK_TYPES.includes(hookType)) {
+                throw new Error(`Invalid hook type '${hookType}' (expected: ${HOOK_TYPES.join(', ')})`);
+            }
+
+            const config = await loadConfiguration();
+            if (!Object.hasOwn(config.repos, repoName)) {
+                throw new Error(`Unknown repository '${repoName}'`);
+            }
+
+            const repo = { name: repoName, ...config.repos[repoName] };
+            const repoPath = getRepositoryPath(repoName);
+            if (hookType === 'postClone' && !fs.existsSync(repoPath)) {
+                throw new Error(`Repository '${repoName}' is not cloned yet - run setup first`);
+            }
+
+            const cacheManager = new CacheManager();
+            await cacheManager.initialize();
+
+            // === HOOK EXECUTION ===
+            let failure = null;
+            try {
+                await runRepositoryHooks(repo, hookType, {
+                    cwd: repoPath,
+                    repo,
+                    logger: defaultLogger,
+                    phase: hookType,
+                    ...(hookType === 'postClone' ? { projectType: 'existing project' } : {}),
+                    hookResults
+                });
+                await cacheManager.updateAfterSuccess(repo, repoPath, hookType, true, hookResults);
+            } catch (error) {
+                failure = error;
+                await cacheManager.updateAfterFailure(repo, repoPath, hookType, hookResults);
+            }
+
+            await cacheManager.save();
+
+            if (failure) {
+                throw failure;
+            }
+            return result(0);
+
+        } catch (error) {
+            logError(`${hookType} hooks of '${repoName}' failed: ${error.message}`);
+            return result(1, error);
+        } finally {
+            groupEndAll();
+        }
+    });
+}
@@ -0,0 +1,87 @@
+/*
+================================================================================
+File: scripts/config.js (Configuration Commands)
+Description: Commands working on the repos.yaml configuration itself. Currently
+             provides `multirepo config validate` (dispatched by bin/console), which runs the same schema
+             and cross-field checks as every other command does at load time,
+             but only reports the result. Nothing is cloned, prompted, written
+             or cached, so the command is safe for editors, pre-commit hooks
+             and CI pipelines.
+
+Key Responsibilities:
+- Validate repos.yaml (or another file) and report every problem with its position
+- Render a human-readable report and return the issues for JSON output (--json) and the API
+- Reflect the validation result in the returned exit code
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// Path utilities for file name display
+import path from 'path';
+// Terminal styling for report output
+import chalk from 'chalk';
+
+// === LOGGING SYSTEM ===
+import {
+    defaultLogger,
+    groupEndAll,
+    groupStart,
+    logError,
+    logSuccess,
+    logWarn
+} from './helper/logger.js';
+
+// === CONFIGURATION MANAGEMENT ===
+import { checkConfigurationFile, reposFilePath } from './core/config.js';
+import { formatConfigurationIssue } from './core/config-schema.js';
+
+/*
+================================================================================
+CONFIG VALIDATE
+================================================================================
+*/
+
+/**
+ * Validate a configuration file and report every problem
+ *
+ * Warnings (e.g. repositories without a valid URL) do not fail the validation;
+ * setup resolves them interactively or through preset answers.
+ *
+ * In quiet mode (JSON output) no report is rendered - the issues would still
+ * reach stderr as errors - and the command line prints the returned document.
+ *
+ * @param {Array<string>} args - Subcommand arguments ([file], defaults to repos.yaml)
+ * @returns {Promise<Object>} Validation result ({exitCode, file, valid, errors, warnings})
+ */
+export async function validateCommand(args) {
+    const filePath = args[0] ? path.resolve(args[0]) : reposFilePath;
+    const fileName = args[0] || path.basename(filePath);
+    const result = checkConfigurationFile(filePath);
+    const valid = result.errors.length === 0;
+    const report = { exitCode: valid ? 0 : 1, file: filePath, valid, errors: result.errors, warnings: result.warnings };
+
+    if (defaultLogger.isQuiet) {
+        return report;
+    }
+
+    // === HUMAN-READABLE REPORT ===
+    groupEndAll();
+    groupStart(`Validating ${fileName}`);
+
+    try {
+        result.errors.forEach(issue => logError(formatConfigurationIssue(issue, fileName)));
+        result.warnings.forEach(issue => logWarn(formatConfigurationIssue(issue, fileName)));
+
+        if (!valid) {
+            logError(`${chalk.white(fileName)} is invalid: ${chalk.red(result.errors.length)} error(s), ${chalk.yellow(result.warnings.length)} warning(s)`);
+            return report;
+        }
+
+        const repoCount = Object.keys(result.config.repos).length;
+        logSuccess(`${chalk.white(fileName)} is valid: ${chalk.cyan(repoCount)} repositories, ${chalk.yellow(result.warnings.length)} warning(s)`);
+        return report;
+
+    } finally {
+        groupEndAll();
+    }
+}
@@ -0,0 +1,343 @@
+/*
+================================================================================
+File: scripts/core/answers.js (Non-Interactive Decision Management)
+Description: Declarative answers for every decision point of the setup process.
+             Interactive runs ask the user; CI and provisioning runs (--yes,
+             --non-interactive) take their answers from `--answer` flags, an
+             answers file or the built-in defaults and fail fast with a clear
+             message when a decision is left open instead of blocking on stdin.
+
+Key Responsibilities:
+- Define the known decision points with their allowed values and defaults
+- Load and validate answers files (answers.yaml or --answers <file>)
+- Merge answers from file and command line with per-repository overrides
+- Resolve the preset answer for a decision or explain how to provide one
+- Record the answers given during a setup run so `setup --resume` can replay them
+
+Answer Precedence (highest first):
+1. --answer <repo>.<decision>=<value>
+2. --answer <decision>=<value>
+3. Answers recorded by the interrupted run (setup --resume)
+4. answers file: repos.<repo>.<decision>
+5. answers file: defaults.<decision>
+6. Built-in default (only with --yes)
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for answers file access
+import fs from 'fs';
+// YAML parser for answers file processing
+import yaml from 'js-yaml';
+// Terminal styling for answer source display
+import chalk from 'chalk';
+// Command-line options and default answers file location
+import {
+    answersFile,
+    answersFilePath,
+    isNonInteractive,
+    presetAnswers,
+    useDefaultAnswers
+} from './config.js';
+// Logging utilities for answers file feedback
+import { logInfo } from '../helper/logger.js';
+
+/*
+================================================================================
+DECISION POINT REGISTRY
+================================================================================
+*/
+
+// === KNOWN DECISIONS ===
+// confirm: yes/no questions, choice: one of a fixed set of actions
+export const DECISIONS = {
+    emptyFolder: {
+        type: 'confirm',
+        default: 'yes',
+        description: 'Create an empty folder for a repository without a valid URL'
+    },
+    existingProject: {
+        type: 'choice',
+        choices: ['init', 'add-remote', 'update-remote', 'use', 'reclone', 'skip'],
+        default: 'use',
+        description: 'How to handle a directory that already contains a project'
+    },
+    replaceDirectory: {
+        type: 'confirm',
+        default: 'no',
+        description: 'Delete a non-project directory and clone into it'
+    },
+    updateRemote: {
+        type: 'confirm',
+        default: 'yes',
+        description: 'Point origin of an existing repository to the URL from repos.yaml'
+    },
+    initialCommit: {
+        type: 'confirm',
+        default: 'no',
+        description: 'Create an initial commit after initializing git in an existing project'
+    },
+    continueWithoutGit: {
+        type: 'confirm',
+        default: 'no',
+        description: 'Keep an existing project whose git initialization failed'
+    },
+    applyFix: {
+        type: 'confirm',
+        default: 'yes',
+        description: 'Apply a remediation suggested by a trait check (setup --fix)'
+    }
+};
+
+// Accepted spellings for confirm decisions
+const CONFIRM_VALUES = {
+    yes: 'yes', y: 'yes', true: 'yes',
+    no: 'no', n: 'no', false: 'no'
+};
+
+/*
+================================================================================
+ANSWER LOADING
+================================================================================
+*/
+
+// Loaded answers, resolved once per run (see resetAnswers)
+let loadedAnswers = null;
+
+/**
+ * Load and validate all preset answers
+ *
+ * The answers file is `--answers <file>` when given, otherwise `answers.yaml`
+ * in the workspace root - the latter only in non-interactive mode so a
+ * committed answers file never silently replaces interactive prompts.
+ *
+ * Answers File Structure:
+ * ```yaml
+ * defaults:
+ *   existingProject: use
+ * repos:
+ *   legacy-api:
+ *     existingProject: reclone
+ * ```
+ *
+ * @returns {Object} Normalized answers ({defaults, repos, source})
+ * @throws {Error} When the answers file or an --answer flag is invalid
+ */
+export function loadAnswers() {
+    if (loadedAnswers) {
+        return loadedAnswers;
+    }
+
+    const answers = { defaults: {}, repos: {}, cli: {}, cliRepos: {}, resumed: {}, source: null };
+
+    // === ANSWERS FILE ===
+    const filePath = answersFile || (isNonInteractive && fs.existsSync(answersFilePath) ? answersFilePath : null);
+
+    if (filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Answers file not found: ${filePath}`);
+        }
+
+        let content;
+        try {
+            content = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+        } catch (error) {
+            throw new Error(`Failed to parse answers file '${filePath}': ${error.message}`);
+        }
+
+        answers.defaults = normalizeAnswerSet(content.defaults, `${filePath}: defaults`);
+        for (const [repoName, repoAnswers] of Object.entries(content.repos || {})) {
+            answers.repos[repoName] = normalizeAnswerSet(repoAnswers, `${filePath}: repos.${repoName}`);
+        }
+        answers.source = filePath;
+        logInfo(`Loaded answers from ${chalk.white(filePath)}`);
+    }
+
+    // === COMMAND-LINE ANSWERS ===
+    for (const entry of presetAnswers) {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            throw new Error(`Invalid --answer '${entry}' (expected <decision>=<value> or <repo>.<decision>=<value>)`);
+        }
+
+        // Decision keys never contain dots, repository names might
+        const target = entry.slice(0, separator);
+        const keyIndex = target.lastIndexOf('.');
+        const key = target.slice(keyIndex + 1);
+        const value = normalizeAnswer(key, entry.slice(separator + 1), `--answer ${entry}`);
+
+        if (keyIndex === -1) {
+            answers.cli[key] = value;
+        } else {
+            const repoName = target.slice(0, keyIndex);
+            answers.cliRepos[repoName] = { ...answers.cliRepos[repoName], [key]: value };
+        }
+    }
+
+    loadedAnswers = answers;
+    return answers;
+}
+
+/**
+ * Validate and normalize a set of answers ({decision: value})
+ *
+ * @param {Object} answerSet - Raw answers from the answers file
+ * @param {string} location - Location used in error messages
+ * @returns {Object} Normalized answers
+ * @throws {Error} When the set is not a mapping or contains invalid answers
+ */
+function normalizeAnswerSet(answerSet, location) {
+    if (answerSet === undefined || answerSet === null) {
+        return {};
+    }
+    if (typeof answerSet !== 'object' || Array.isArray(answerSet)) {
+        throw new Error(`${location} must be a mapping of decision: answer`);
+    }
+
+    return Object.fromEntries(Object.entries(answerSet).map(([key, value]) =>
+        [key, normalizeAnswer(key, value, `${location}.${key}`)]
+    ));
+}
+
+/**
+ * Validate a single answer against its decision definition
+ *
+ * @param {string} key - Decision key
+ * @param {*} value - Raw answer value
+ * @param {string} location - Location used in error messages
+ * @returns {string} Normalized answer ('yes'/'no' for confirm decisions)
+ * @throws {Error} When the decision is unknown or the value is not allowed
+ */
+function normalizeAnswer(key, value, location) {
+    const decision = DECISIONS[key];
+    if (!decision) {
+        throw new Error(`${location}: unknown decision '${key}' (known: ${Object.keys(DECISIONS).join(', ')})`);
+    }
+
+    const text = String(value).trim().toLowerCase();
+
+    if (decision.type === 'confirm') {
+        if (!CONFIRM_VALUES[text]) {
+            throw new Error(`${location}: expected yes or no, got '${value}'`);
+        }
+        return CONFIRM_VALUES[text];
+    }
+
+    if (!decision.choices.includes(text)) {
+        throw new Error(`${location}: expected one of ${decision.choices.join(', ')}, got '${value}'`);
+    }
+    return text;
+}
+
+/*
+================================================================================
+ANSWER RESOLUTION
+================================================================================
+*/
+
+/**
+ * Resolve the preset answer for a decision
+ *
+ * @param {string} key - Decision key from DECISIONS
+ * @param {string} repoName - Repository the decision is about
+ * @returns {Object|null} Answer ({value, source}) or null if the decision is open
+ */
+export function resolvePresetAnswer(key, repoName) {
+    const answers = loadAnswers();
+
+    const candidates = [
+        [answers.cliRepos[repoName]?.[key], '--answer'],
+        [answers.cli[key], '--answer'],
+        [answers.resumed[repoName]?.[key], 'resumed'],
+        [answers.repos[repoName]?.[key], answers.source],
+        [answers.defaults[key], answers.source],
+        [useDefaultAnswers ? DECISIONS[key].default : undefined, '--yes default']
+    ];
+
+    const match = candidates.find(([value]) => value !== undefined);
+    return match ? { value: match[0], source: match[1] } : null;
+}
+
+/**
+ * Build the error raised for an open decision in non-interactive mode
+ *
+ * @param {string} key - Decision key from DECISIONS
+ * @param {string} repoName - Repository the decision is about
+ * @param {Array<string>} [choices] - Values applicable in this situation
+ * @returns {Error} Error explaining how to answer the decision
+ */
+export function createMissingAnswerError(key, repoName, choices) {
+    const decision = DECISIONS[key];
+    const values = (choices || decision.choices || ['yes', 'no']).join('|');
+
+    return new Error(
+        `No answer for decision '${key}' of repository '${repoName}' (${decision.description}). ` +
+        `Provide --answer ${repoName}.${key}=<${values}>, set it in answers.yaml or use --yes to accept the default '${decision.default}'`
+    );
+}
+
+/*
+================================================================================
+ANSWER RECORDING (SETUP --RESUME)
+================================================================================
+*/
+
+// Answers given during this run, by repository ({repo: {decision: value}})
+const recordedAnswers = {};
+
+/**
+ * Record the answer given for a decision
+ *
+ * Interactive answers are normalized like preset answers; input that is no
+ * valid answer (e.g. an empty confirm treated as its default) is not recorded.
+ *
+ * @param {string} key - Decision key from DECISIONS
+ * @param {string} repoName - Repository the decision is about
+ * @param {string} value - Answer as given by the user or the preset
+ */
+export function recordAnswer(key, repoName, value) {
+    try {
+        const answer = normalizeAnswer(key, value, `${repoName}.${key}`);
+        recordedAnswers[repoName] = { ...recordedAnswers[repoName], [key]: answer };
+    } catch (error) {
+        // Not a valid answer - the decision is asked again on resume
+    }
+}
+
+/**
+ * Get all answers recorded during this run
+ *
+ * @returns {Object} Answers by repository ({repo: {decision: value}})
+ */
+export function getRecordedAnswers() {
+    return recordedAnswers;
+}
+
+/**
+ * Replay the answers recorded by an interrupted run
+ *
+ * The answers take precedence over the answers file but not over --answer
+ * flags, and are recorded again so they survive a further interruption.
+ *
+ * @param {Object} answersByRepo - Answers by repository from the lock file
+ * @throws {Error} When a recorded answer is invalid
+ */
+export function setResumedAnswers(answersByRepo) {
+    const answers = loadAnswers();
+
+    for (const [repoName, repoAnswers] of Object.entries(answersByRepo || {})) {
+        answers.resumed[repoName] = normalizeAnswerSet(repoAnswers, `multirepo.lock: setupRun.answers.${repoName}`);
+        recordedAnswers[repoName] = { ...answers.resumed[repoName], ...recordedAnswers[repoName] };
+    }
+}
+
+/**
+ * Forget the loaded and recorded answers of the previous run
+ *
+ * A process embedding the API may run several setups, each with its own
+ * answer options, so answers are resolved again for every run.
+ */
+export function resetAnswers() {
+    loadedAnswers = null;
+    Object.keys(recordedAnswers).forEach(repoName => delete recordedAnswers[repoName]);
+}
@@ -0,0 +1,642 @@
+/*
+================================================================================
+File: scripts/core/config-schema.js (repos.yaml Schema & Structural Validation)
+Description: Formal description of the repos.yaml format and the validator that
+             checks a configuration file against it. Every problem is reported
+             with the line and column it originates from so typos such as
+             `postclone:` or `trait: npm` are caught at load time instead of
+             being silently ignored. Shared by configuration loading and the
+             side-effect free `multirepo config validate` command.
+
+Key Responsibilities:
+- Define the repos.yaml structure as a JSON Schema (draft-07 subset)
+- Validate parsed YAML against the schema (types, unknown keys, trait names)
+- Run cross-field checks the schema cannot express (pins, group and dependency references)
+- Map configuration paths back to line/column positions in the source file
+- Suggest the intended key or value for likely typos
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// YAML parser for configuration file processing
+import yaml from 'js-yaml';
+// Cycle detection for repository dependencies
+import { sortByDependencies } from '../helper/dependency-graph.js';
+
+/*
+================================================================================
+SCHEMA DEFINITION
+================================================================================
+*/
+
+// === REF PINNING KEYS ===
+// Mutually exclusive ways to pin the checkout of a repository
+export const PIN_KEYS = ['branch', 'tag', 'commit'];
+
+// === VALUE PATTERNS ===
+// Git URL validation - supports both HTTPS and SSH formats
+export const GIT_URL_PATTERN = /^(https?:\/\/|git@).+\.git$/;
+// Repository names are used as directory names - exclude characters invalid on any major OS
+const REPOSITORY_NAME_PATTERN = '^[^<>:"/\\\\|?*]+$';
+// Abbreviated or full commit SHA
+const COMMIT_SHA_PATTERN = '^[0-9a-fA-F]{7,40}$';
+
+/**
+ * Build the JSON Schema describing repos.yaml
+ *
+ * The schema is built per call because the allowed trait names depend on the
+ * trait directories that exist in the installation.
+ *
+ * @param {Array<string>} traitNames - Names of the available traits
+ * @returns {Object} JSON Schema (draft-07 subset understood by validateAgainstSchema)
+ */
+export function createConfigurationSchema(traitNames) {
+    const stringList = { type: 'array', items: { type: 'string' }, uniqueItems: true };
+
+    // Custom hooks: a command/script string or an object with execution policy
+    const customHook = {
+        type: ['string', 'object'],
+        required: ['run'],
+        additionalProperties: false,
+        properties: {
+            run: { type: 'string', minLength: 1 },
+            timeout: { type: 'number', minimum: 1 },
+            retries: { type: 'integer', minimum: 0 },
+            retryDelay: { type: 'number', minimum: 0 }
+        }
+    };
+
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'multirepo repos.yaml',
+        type: 'object',
+        required: ['repos'],
+        additionalProperties: false,
+        properties: {
+            repos: {
+                type: 'object',
+                minProperties: 1,
+                propertyNames: {
+                    pattern: REPOSITORY_NAME_PATTERN,
+                    errorMessage: 'is used as directory name and must not contain < > : " / \\ | ? *'
+                },
+                additionalProperties: {
+                    // An entry without properties creates an empty folder
+                    type: ['object', 'null'],
+                    additionalProperties: false,
+                    properties: {
+                        url: { type: 'string' },
+                        traits: { ...stringList, items: { type: 'string', enum: traitNames } },
+                        preClone: customHook,
+                        postClone: customHook,
+                        branch: { type: 'string', minLength: 1 },
+                        tag: { type: 'string', minLength: 1 },
+                        commit: {
+                            type: 'string',
+                            pattern: COMMIT_SHA_PATTERN,
+                            errorMessage: 'must be a commit SHA (7-40 hex characters)'
+                        },
+                        tags: stringList,
+                        dependsOn: stringList
+                    }
+                }
+            },
+            groups: {
+                type: 'object',
+                additionalProperties: stringList
+            }
+        }
+    };
+}
+
+/*
+================================================================================
+SCHEMA VALIDATION
+================================================================================
+*/
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * Supported keywords: type, enum, pattern, minLength, minimum, required,
+ * properties, additionalProperties, propertyNames, minProperties, items,
+ * uniqueItems.
+ * `errorMessage` replaces the generic message of a failed `pattern`.
+ *
+ * Issue Format:
+ * ```
+ * { path: ['repos', 'api', 'postclone'], message: "unknown property 'postclone'", hint: 'postclone' }
+ * ```
+ * `hint` is the text searched for when the issue has to be located inside a
+ * flow-style collection (`traits: [npm, nmp]`).
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {Array<string|number>} path - Path of the value inside the document
+ * @returns {Array<Object>} Validation issues (empty if the value is valid)
+ */
+export function validateAgainstSchema(value, schema, path = []) {
+    const issues = [];
+    const issue = (message, issuePath = path, hint = path[path.length - 1]) =>
+        issues.push({ path: issuePath, message, hint: hint === undefined ? undefined : String(hint) });
+
+    // === TYPE ===
+    // Integers are numbers as well
+    const allowedTypes = [].concat(schema.type || []);
+    const valueTypes = getSchemaType(value) === 'integer' ? ['integer', 'number'] : [getSchemaType(value)];
+    if (allowedTypes.length > 0 && !allowedTypes.some(type => valueTypes.includes(type))) {
+        issue(`must be ${allowedTypes.map(withArticle).join(' or ')}, got ${withArticle(getSchemaType(value))}`);
+        return issues;
+    }
+
+    // === SCALAR KEYWORDS ===
+    if (schema.enum && !schema.enum.includes(value)) {
+        const suggestion = suggestName(String(value), schema.enum);
+        issue(`invalid value '${value}' ` +
+            (suggestion ? `(did you mean '${suggestion}'?)` : `(expected one of: ${schema.enum.join(', ')})`), path, value);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        issue(`must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            issue('must not be empty');
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            issue(`invalid value '${value}' (${schema.errorMessage ?? `must match ${schema.pattern}`})`, path, value);
+        }
+    }
+
+    // === ARRAY KEYWORDS ===
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            if (schema.items) {
+                issues.push(...validateAgainstSchema(item, schema.items, [...path, index]));
+            }
+            if (schema.uniqueItems && value.indexOf(item) !== index) {
+                issue(`duplicate entry '${item}'`, [...path, index], item);
+            }
+        });
+    }
+
+    // === OBJECT KEYWORDS ===
+    if (getSchemaType(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (!Object.hasOwn(value, key)) {
+                issue(`missing required property '${key}'`);
+            }
+        }
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            issue(`must contain at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = [...path, key];
+
+            if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                issue(`invalid name '${key}' (${schema.propertyNames.errorMessage ?? `must match ${schema.propertyNames.pattern}`})`, childPath);
+            }
+
+            if (Object.hasOwn(properties, key)) {
+                issues.push(...validateAgainstSchema(child, properties[key], childPath));
+            } else if (schema.additionalProperties === false) {
+                const suggestion = suggestName(key, Object.keys(properties));
+                issue(`unknown property '${key}' ` +
+                    (suggestion ? `(did you mean '${suggestion}'?)` : `(allowed: ${Object.keys(properties).join(', ')})`), childPath);
+            } else if (typeof schema.additionalProperties === 'object') {
+                issues.push(...validateAgainstSchema(child, schema.additionalProperties, childPath));
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Determine the JSON Schema type name of a parsed YAML value
+ *
+ * @param {*} value - Parsed value
+ * @returns {string} 'null', 'array', 'object', 'integer', 'number', 'string' or 'boolean'
+ */
+function getSchemaType(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Prefix a type name with its indefinite article for readable messages
+ *
+ * @param {string} type - Schema type name
+ * @returns {string} e.g. 'a string', 'an object', 'null'
+ */
+function withArticle(type) {
+    if (type === 'null') {
+        return 'null';
+    }
+    return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+/**
+ * Find the closest allowed name for a likely typo
+ *
+ * Matches case-insensitive spellings (`postclone`) and names within an edit
+ * distance of two (`trait`, `nmp`).
+ *
+ * @param {string} name - Name found in the configuration
+ * @param {Array<string>} candidates - Allowed names
+ * @returns {string|null} Suggested name or null if nothing is close enough
+ */
+function suggestName(name, candidates) {
+    const lowerName = name.toLowerCase();
+    let best = null;
+    let bestDistance = 3;
+
+    for (const candidate of candidates) {
+        const distance = candidate.toLowerCase() === lowerName ? 0 : getEditDistance(lowerName, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits turning a into b
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/*
+================================================================================
+CROSS-FIELD CHECKS
+================================================================================
+*/
+
+/**
+ * Check rules that span several fields and cannot be expressed by the schema
+ *
+ * Errors:
+ * - more than one of `branch`, `tag` and `commit` on a repository
+ * - group names that clash with repository names
+ * - groups referencing unknown repositories
+ * - `dependsOn` referencing unknown repositories or forming a cycle
+ *
+ * Warnings:
+ * - repositories without a valid git URL (setup offers to create an empty folder)
+ *
+ * Parts with the wrong shape are skipped - the schema validation reports them.
+ *
+ * @param {Object} config - Parsed configuration
+ * @returns {Object} Issues ({errors, warnings}) in validateAgainstSchema format
+ */
+function checkCrossFieldRules(config) {
+    const errors = [];
+    const warnings = [];
+    const isMapping = value => getSchemaType(value) === 'object';
+    const repos = isMapping(config?.repos) ? config.repos : {};
+    const groups = isMapping(config?.groups) ? config.groups : {};
+
+    // === REPOSITORY RULES ===
+    for (const [name, repoConfig] of Object.entries(repos)) {
+        if (repoConfig !== null && !isMapping(repoConfig)) {
+            continue;
+        }
+
+        const pins = PIN_KEYS.filter(key => repoConfig?.[key] !== undefined);
+        if (pins.length > 1) {
+            errors.push({
+                path: ['repos', name, pins[1]],
+                message: `'${pins.join("' and '")}' cannot be combined - pin the repository to a single ref`,
+                hint: pins[1]
+            });
+        }
+
+        if (typeof repoConfig?.url !== 'string' || !GIT_URL_PATTERN.test(repoConfig.url)) {
+            warnings.push({
+                path: repoConfig?.url === undefined ? ['repos', name] : ['repos', name, 'url'],
+                message: 'no valid git URL - setup will offer to create an empty folder',
+                hint: repoConfig?.url === undefined ? name : 'url'
+            });
+        }
+    }
+
+    // === DEPENDENCY RULES ===
+    const getDependencies = name => isMapping(repos[name]) ? [].concat(repos[name].dependsOn || []) : [];
+
+    for (const name of Object.keys(repos)) {
+        getDependencies(name).forEach((dependency, index) => {
+            if (typeof dependency === 'string' && !Object.hasOwn(repos, dependency)) {
+                const suggestion = suggestName(dependency, Object.keys(repos));
+                errors.push({
+                    path: ['repos', name, 'dependsOn', index],
+                    message: `unknown repository '${dependency}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`,
+                    hint: dependency
+                });
+            }
+        });
+    }
+
+    try {
+        sortByDependencies(Object.keys(repos), getDependencies);
+    } catch (error) {
+        if (!error.cycle) {
+            throw error;
+        }
+        errors.push({
+            path: ['repos', error.cycle[0], 'dependsOn'],
+            message: `circular dependency: ${error.cycle.join(' -> ')}`,
+            hint: 'dependsOn'
+        });
+    }
+
+    // === GROUP RULES ===
+    for (const [groupName, members] of Object.entries(groups)) {
+        if (Object.hasOwn(repos, groupName)) {
+            errors.push({
+                path: ['groups', groupName],
+                message: `group '${groupName}' has the same name as a repository`,
+                hint: groupName
+            });
+        }
+
+        [].concat(members).forEach((member, index) => {
+            if (typeof member === 'string' && !Object.hasOwn(repos, member)) {
+                const suggestion = suggestName(member, Object.keys(repos));
+                errors.push({
+                    path: ['groups', groupName, index],
+                    message: `unknown repository '${member}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`,
+                    hint: member
+                });
+            }
+        });
+    }
+
+    return { errors, warnings };
+}
+
+/*
+================================================================================
+SOURCE LOCATION RESOLUTION
+================================================================================
+*/
+
+/**
+ * Resolve the line and column of a configuration path in the YAML source
+ *
+ * Follows block-style mappings and sequences by indentation. For flow-style
+ * collections (`traits: [npm, php]`) and anything else the indentation cannot
+ * resolve, the hint text is searched on the closest line found, falling back
+ * to that line itself.
+ *
+ * @param {Array<string>} lines - Source file split into lines
+ * @param {Array<string|number>} path - Path of the node inside the document
+ * @param {string} [hint] - Text identifying the node on its line
+ * @returns {Object} 1-based position ({line, column})
+ */
+export function locatePath(lines, path, hint) {
+    let location = { line: 1, column: 1 };
+    let parentLine = null;
+    let start = 0;
+    let end = lines.length;
+
+    for (const segment of path) {
+        // === BLOCK STRUCTURE LOOKUP ===
+        const indent = getBlockIndent(lines, start, end);
+        const found = indent === null ? -1 : findBlockEntry(lines, start, end, indent, segment);
+
+        if (found === -1) {
+            // === FLOW STYLE FALLBACK ===
+            if (parentLine !== null && hint !== undefined) {
+                const column = lines[parentLine].indexOf(hint, location.column);
+                if (column !== -1) {
+                    location = { line: parentLine + 1, column: column + 1 };
+                }
+            }
+            return location;
+        }
+
+        const entryColumn = typeof segment === 'number' ? lines[found].indexOf('-', indent) + 2 : indent;
+        location = { line: found + 1, column: entryColumn + 1 };
+        parentLine = found;
+        start = found + 1;
+        end = getBlockEnd(lines, start, end, indent);
+    }
+
+    return location;
+}
+
+/**
+ * Check whether a source line carries content (not blank, not a comment)
+ *
+ * @param {string} line - Source line
+ * @returns {boolean} True for content lines
+ */
+function isContentLine(line) {
+    const trimmed = line.trim();
+    return trimmed !== '' && !trimmed.startsWith('#');
+}
+
+/**
+ * Get the indentation of the first content line in a line range
+ *
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - First line index (inclusive)
+ * @param {number} end - Last line index (exclusive)
+ * @returns {number|null} Indentation or null if the range has no content
+ */
+function getBlockIndent(lines, start, end) {
+    for (let i = start; i < end; i++) {
+        if (isContentLine(lines[i])) {
+            return lines[i].search(/\S/);
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the line of a mapping key or sequence item at a given indentation
+ *
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - First line index (inclusive)
+ * @param {number} end - Last line index (exclusive)
+ * @param {number} indent - Indentation of the block entries
+ * @param {string|number} segment - Mapping key or sequence index
+ * @returns {number} Line index or -1 if not found
+ */
+function findBlockEntry(lines, start, end, indent, segment) {
+    const escaped = String(segment).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const keyPattern = new RegExp(`^(?:${escaped}|"${escaped}"|'${escaped}')\\s*:(?:\\s|$)`);
+    let itemIndex = 0;
+
+    for (let i = start; i < end; i++) {
+        const line = lines[i];
+        if (!isContentLine(line) || line.search(/\S/) !== indent) {
+            continue;
+        }
+
+        const content = line.slice(indent);
+        if (typeof segment === 'number') {
+            if (content === '-' || content.startsWith('- ')) {
+                if (itemIndex++ === segment) {
+                    return i;
+                }
+            }
+        } else if (keyPattern.test(content)) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Find where the block nested below an entry ends
+ *
+ * A block ends at the first content line indented less than or equal to its
+ * parent entry - except sequence items, which YAML allows at the same
+ * indentation as their parent key.
+ *
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - First line below the parent entry
+ * @param {number} end - End of the enclosing block (exclusive)
+ * @param {number} indent - Indentation of the parent entry
+ * @returns {number} Line index where the nested block ends (exclusive)
+ */
+function getBlockEnd(lines, start, end, indent) {
+    for (let i = start; i < end; i++) {
+        if (!isContentLine(lines[i])) {
+            continue;
+        }
+
+        const lineIndent = lines[i].search(/\S/);
+        const isSequenceItem = lines[i].slice(lineIndent).startsWith('-');
+        if (lineIndent < indent || (lineIndent === indent && !isSequenceItem)) {
+            return i;
+        }
+    }
+    return end;
+}
+
+/*
+================================================================================
+CONFIGURATION FILE CHECK
+================================================================================
+*/
+
+/**
+ * Parse and validate the content of a repos.yaml file
+ *
+ * Runs the YAML parser, the schema validation and the cross-field checks and
+ * attaches a source position to every issue. Has no side effects, so it is
+ * safe to use for `multirepo config validate` and at load time alike.
+ *
+ * Result Structure:
+ * ```
+ * {
+ *   config: {...} | null (unparseable file),
+ *   errors:   [{ path, message, line, column }],
+ *   warnings: [{ path, message, line, column }]
+ * }
+ * ```
+ *
+ * @param {string} source - File content
+ * @param {Object} options - Check options
+ * @param {Array<string>} options.traits - Names of the available traits
+ * @returns {Object} Check result
+ */
+export function checkConfigurationSource(source, { traits }) {
+    // === YAML PARSING ===
+    let config;
+    try {
+        config = yaml.load(source);
+    } catch (error) {
+        return {
+            config: null,
+            errors: [{
+                path: [],
+                message: `syntax error: ${error.reason || error.message}`,
+                line: (error.mark?.line ?? 0) + 1,
+                column: (error.mark?.column ?? 0) + 1
+            }],
+            warnings: []
+        };
+    }
+
+    // === SCHEMA AND CROSS-FIELD VALIDATION ===
+    const lines = source.split(/\r?\n/);
+    normalizeCommitPins(config, lines);
+    const locate = ({ path, message, hint }) => ({ path, message, ...locatePath(lines, path, hint) });
+    const byPosition = (a, b) => a.line - b.line || a.column - b.column;
+
+    const schemaIssues = validateAgainstSchema(config, createConfigurationSchema(traits));
+    const crossFieldIssues = checkCrossFieldRules(config);
+
+    return {
+        config,
+        errors: [...schemaIssues, ...crossFieldIssues.errors].map(locate).sort(byPosition),
+        warnings: crossFieldIssues.warnings.map(locate).sort(byPosition)
+    };
+}
+
+/**
+ * Turn commit pins that YAML read as numbers back into strings
+ *
+ * A SHA made only of digits (or digits and one `e`) is a YAML number. The SHA
+ * is taken as written in the source - the number may have lost leading zeros
+ * or been read as an exponent - and falls back to String(value).
+ *
+ * @param {Object} config - Parsed configuration (changed in place)
+ * @param {Array<string>} lines - Source file split into lines
+ */
+function normalizeCommitPins(config, lines) {
+    Object.entries(config?.repos ?? {}).forEach(([name, repo]) => {
+        if (typeof repo?.commit !== 'number') return;
+
+        const { line } = locatePath(lines, ['repos', name, 'commit']);
+        const written = /^\s*commit:\s*([0-9a-fA-F]+)\s*(?:#.*)?$/.exec(lines[line - 1] ?? '')?.[1];
+        repo.commit = written ?? String(repo.commit);
+    });
+}
+
+/**
+ * Format an issue as `file:line:column path: message`
+ *
+ * @param {Object} issue - Located issue from checkConfigurationSource
+ * @param {string} fileName - File name shown in the message
+ * @returns {string} Formatted issue
+ */
+export function formatConfigurationIssue(issue, fileName) {
+    const path = issue.path.length > 0 ? `${issue.path.join('.')}: ` : '';
+    return `${fileName}:${issue.line}:${issue.column} ${path}${issue.message}`;
+}
@@ -10,9 +10,10 @@ Description: Central configuration system for the multirepo setup orchestrator.
 
 Key Responsibilities:
 - Load and parse repos.yaml configuration file
+- Validate repos.yaml against its schema (see config-schema.js)
 - Validate repository definitions and URL formats
 - Check system dependencies (Git availability)
-- Manage command-line argument processing
+- Manage the runtime options of a run (command line or API options object)
 - Handle cache-related configuration options
 - Provide path resolution for project directories
 ================================================================================
@@ -30,9 +31,20 @@ import yaml from 'js-yaml';
 // Terminal styling for enhanced user feedback
 import chalk from 'chalk';
 // Logging utilities for consistent output formatting
-import { log, logError } from '../helper/logger.js';
+import { defaultLogger, log, logError } from '../helper/logger.js';
 // ES module path resolution utilities
 import { fileURLToPath } from 'url';
+// Concurrency limit normalization for the --jobs option
+import { normalizeLimit } from '../helper/concurrency.js';
+// Dependency ordering for the `dependsOn` repository key
+import { collectDependencies, sortByDependencies } from '../helper/dependency-graph.js';
+// repos.yaml schema validation with source positions
+import {
+    GIT_URL_PATTERN,
+    PIN_KEYS,
+    checkConfigurationSource,
+    formatConfigurationIssue
+} from './config-schema.js';
 
 /*
 ================================================================================
@@ -44,40 +56,196 @@ CONFIGURATION CONSTANTS AND GLOBAL STATE
 // Resolve current directory for ES modules (replaces __dirname in CommonJS)
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// === DEFAULT WORKSPACE ROOT ===
+// Directory holding repos.yaml, answers.yaml, multirepo.lock and packages/
+// unless another root is configured (see configure())
+const defaultWorkspaceRoot = path.join(__dirname, '..', '..');
+
 // === RUNTIME BEHAVIOR FLAGS ===
-// Control execution mode based on command-line arguments
-export const isVerbose = process.argv.includes('--verbose');  // Enhanced logging output
-export const isDryRun = process.argv.includes('--dry-run');   // Simulation mode - no file system changes
+// All runtime options are set through configure() - by bin/console from the
+// parsed command line, by the programmatic API from its options object. They
+// are exported as live bindings, so every module reads the options of the
+// current run.
+export let isVerbose = false;   // Enhanced logging output
+export let isDryRun = false;    // Simulation mode - no file system changes
+export let isFrozen = false;    // Check out the exact revisions recorded in the lock file
+export let isKeepGoing = false; // Isolate repository failures instead of aborting the setup
+export let isResume = false;    // Continue the interrupted setup run recorded in the lock file
+export let isStrict = false;    // Fail trait checks on warning findings, not only on errors
+export let isFix = false;       // Apply the remediations of trait check findings after confirmation
+
+// === NON-INTERACTIVE MODE ===
+// --yes answers every open decision with its default, --non-interactive only accepts
+// explicit answers (--answer key=value, answers file) and fails on anything else
+export let useDefaultAnswers = false;
+export let isNonInteractive = false;
+
+// === PRESET ANSWER SOURCES ===
+export let answersFile = null;  // Explicit answers file (--answers <file>)
+export let presetAnswers = [];  // Single answers as `<decision>=<value>` or `<repo>.<decision>=<value>` (--answer)
+
+// === REPORT OUTPUT ===
+export let reportFile = null;   // Setup report rendered after the run (--report <file>, .html or .md)
+export let junitFile = null;    // JUnit XML results of trait checks and hooks (--junit <file>)
 
 // === CACHE CONTROL OPTIONS ===
-// Comprehensive cache management configuration derived from command-line arguments
+// Comprehensive cache management configuration derived from the runtime options
 // These options control when cached results should be bypassed or updated
 export const cacheOptions = {
     // Force re-execution of pre-clone validation hooks (ignore cached results)
-    forcePrecclone: process.argv.includes('--force-preclone'),
+    forcePrecclone: false,
 
     // Force re-execution of post-clone setup hooks (ignore cached results)
-    forcePostclone: process.argv.includes('--force-postclone'),
+    forcePostclone: false,
 
     // Force re-execution of all hooks (complete cache bypass)
-    forceAll: process.argv.includes('--force-all'),
+    forceAll: false,
 
     // Update lock file with fresh repository state information
-    updateLock: process.argv.includes('--update-lock'),
+    updateLock: false,
 
     // Completely disable cache system (all operations executed fresh)
-    skipCache: process.argv.includes('--skip-cache'),
+    skipCache: false,
 
     // Clear existing lock file before execution
-    clearLock: process.argv.includes('--clear-lock')
+    clearLock: false
+};
+
+// === CONCURRENCY OPTIONS ===
+// Maximum number of repositories cloned in parallel (--jobs N, sequential by default)
+export let jobs = 1;
+
+// === REPOSITORY SELECTION OPTIONS ===
+// Non-interactive repository filter - all lists empty means "ask the user"
+export const repositoryFilter = {
+    only: [],       // Repository or group names
+    tags: [],       // Repositories carrying any of these tags
+    exclude: []     // Repository or group names removed from the selection
 };
 
 // === DIRECTORY STRUCTURE PATHS ===
 // Central path configuration for consistent directory access across the application
-export const packagesDir = path.join(__dirname, '..', '..', 'packages');      // Repository destination directory
-export const reposFilePath = path.join(__dirname, '..', '..', 'repos.yaml');  // Main configuration file
-export const customScriptsDir = path.join(__dirname, '..', 'custom');         // User-defined custom scripts
-export const traitScriptsDir = path.join(__dirname, '..', 'traits');          // Built-in trait definitions
+export let workspaceRoot = defaultWorkspaceRoot;                                 // Workspace root directory
+export let packagesDir = path.join(defaultWorkspaceRoot, 'packages');            // Repository destination directory
+export let reposFilePath = path.join(defaultWorkspaceRoot, 'repos.yaml');        // Main configuration file
+export let answersFilePath = path.join(defaultWorkspaceRoot, 'answers.yaml');    // Default answers for non-interactive runs
+export let lockFilePath = path.join(defaultWorkspaceRoot, 'multirepo.lock');     // Cache and setup state
+export let logsDir = path.join(defaultWorkspaceRoot, '.multirepo', 'logs');       // Per-run setup transcripts
+export const customScriptsDir = path.join(__dirname, '..', 'custom');           // User-defined custom scripts
+export const traitScriptsDir = path.join(__dirname, '..', 'traits');            // Built-in trait definitions
+
+/*
+================================================================================
+RUNTIME OPTIONS
+================================================================================
+*/
+
+/**
+ * Apply the options of a run to the runtime state
+ *
+ * Every option that is not given falls back to its default, so options of an
+ * earlier run never leak into the next one. The option names mirror the
+ * command-line flags (`--force-preclone` is `forcePreClone`, `--tag` is `tags`).
+ *
+ * Options:
+ * - root: Workspace root (repos.yaml, answers.yaml, multirepo.lock, packages/, .multirepo/logs/)
+ * - verbose, quiet: Logger output (quiet only prints errors)
+ * - output: Output format ('text' or 'json' for newline-delimited JSON events)
+ * - dryRun, frozen, keepGoing, resume, strict, fix: Setup behavior flags
+ * - yes, nonInteractive, answersFile, answers: Non-interactive decisions
+ * - report: Setup report file (.html or .md, relative to the working directory)
+ * - junit: JUnit XML results file (relative to the working directory)
+ * - forcePreClone, forcePostClone, forceAll, skipCache, updateLock, clearLock: Cache control
+ * - jobs: Concurrency limit
+ * - only, tags, exclude: Repository selection (arrays or comma-separated strings)
+ *
+ * @param {Object} options - Runtime options (see above)
+ * @throws {Error} When an option has an invalid value
+ */
+export function configure(options = {}) {
+    // === WORKSPACE PATHS ===
+    workspaceRoot = path.resolve(options.root ?? defaultWorkspaceRoot);
+    packagesDir = path.join(workspaceRoot, 'packages');
+    reposFilePath = path.join(workspaceRoot, 'repos.yaml');
+    answersFilePath = path.join(workspaceRoot, 'answers.yaml');
+    lockFilePath = path.join(workspaceRoot, 'multirepo.lock');
+    logsDir = path.join(workspaceRoot, '.multirepo', 'logs');
+
+    // === BEHAVIOR FLAGS ===
+    isVerbose = !!options.verbose;
+    isDryRun = !!options.dryRun;
+    isFrozen = !!options.frozen;
+    isKeepGoing = !!options.keepGoing;
+    isResume = !!options.resume;
+    isStrict = !!options.strict;
+    isFix = !!options.fix;
+
+    // === NON-INTERACTIVE DECISIONS ===
+    useDefaultAnswers = !!options.yes;
+    isNonInteractive = useDefaultAnswers || !!options.nonInteractive;
+    answersFile = options.answersFile ? path.resolve(options.answersFile) : null;
+    presetAnswers = normalizePresetAnswers(options.answers);
+
+    // === REPORT OUTPUT ===
+    reportFile = options.report ? path.resolve(options.report) : null;
+    junitFile = options.junit ? path.resolve(options.junit) : null;
+
+    // === CACHE CONTROL ===
+    Object.assign(cacheOptions, {
+        forcePrecclone: !!options.forcePreClone,
+        forcePostclone: !!options.forcePostClone,
+        forceAll: !!options.forceAll,
+        updateLock: !!options.updateLock,
+        skipCache: !!options.skipCache,
+        clearLock: !!options.clearLock
+    });
+
+    // === CONCURRENCY AND SELECTION ===
+    jobs = normalizeLimit(options.jobs ?? 1);
+    Object.assign(repositoryFilter, {
+        only: toList(options.only),
+        tags: toList(options.tags),
+        exclude: toList(options.exclude)
+    });
+
+    // === LOGGER ===
+    defaultLogger.setVerbose(isVerbose);
+    defaultLogger.setQuiet(!!options.quiet);
+    defaultLogger.setFormat(options.output ?? 'text');
+    defaultLogger.setContext({ repo: null, phase: null, hook: null });
+}
+
+/**
+ * Normalize preset answers to `<decision>=<value>` entries
+ *
+ * @param {Array<string>|Object|undefined} answers - Entries or a {key: value} mapping
+ * @returns {Array<string>} Answer entries
+ * @throws {Error} When answers is neither an array nor a mapping
+ */
+function normalizePresetAnswers(answers) {
+    if (answers === undefined || answers === null) {
+        return [];
+    }
+    if (Array.isArray(answers)) {
+        return answers.map(String);
+    }
+    if (typeof answers === 'object') {
+        return Object.entries(answers).map(([key, value]) => `${key}=${value}`);
+    }
+
+    throw new Error('The answers option must be a list of <decision>=<value> entries or a mapping');
+}
+
+/**
+ * Normalize a list option (array or comma-separated string, e.g. `api,web`)
+ *
+ * @param {Array<string>|string|undefined} value - List option value
+ * @returns {Array<string>} Trimmed, non-empty list entries
+ */
+function toList(value) {
+    const entries = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return entries.map(entry => String(entry).trim()).filter(entry => entry !== '');
+}
 
 /*
 ================================================================================
@@ -95,7 +263,7 @@ SYSTEM VALIDATION FUNCTIONS
  * Current Dependencies Checked:
  * - Git: Required for repository cloning and management operations
  *
- * @throws {Process Exit} Terminates process with exit code 1 if dependencies are missing
+ * @throws {Error} When a required dependency is missing
  */
 export function checkSystemDependencies() {
     try {
@@ -105,9 +273,8 @@ export function checkSystemDependencies() {
         log('Git is installed and accessible.');
     } catch (error) {
         // Git command failed - likely not installed or not in PATH
-        logError(`'git' command not found. Please install Git and ensure it's in your system's PATH.`);
         logError('Git is required for repository cloning and management operations.');
-        process.exit(1);
+        throw new Error(`'git' command not found. Please install Git and ensure it's in your system's PATH.`);
     }
 }
 
@@ -118,42 +285,70 @@ CONFIGURATION LOADING AND PARSING
 */
 
 /**
- * Load and parse the main repos.yaml configuration file
+ * Load, parse and validate the main repos.yaml configuration file
  *
  * Reads the central configuration file that defines all repositories to be managed,
- * parses the YAML content, and returns a structured configuration object. This function
- * serves as the primary entry point for accessing repository definitions.
+ * checks it against the repos.yaml schema and returns the parsed configuration.
+ * Every schema violation is logged with its line and column before the load fails,
+ * so typos like `postclone:` or `trait: npm` never go unnoticed.
  *
  * Configuration File Structure Expected:
  * ```yaml
- * repositories:
+ * repos:
  *   repo-name:
  *     url: "https://github.com/user/repo.git"
- *     traits: ["node", "docker"]
+ *     traits: ["npm", "react"]
  * ```
  *
+ * @param {string} filePath - Configuration file to load (default: repos.yaml in the workspace root)
  * @returns {Promise<Object>} Parsed configuration object containing repository definitions
- * @throws {Process Exit} Terminates process if file cannot be read or parsed
+ * @throws {Error} When the file cannot be read, parsed or does not match the schema
  */
-export async function loadConfiguration() {
-    try {
-        // Read configuration file with UTF-8 encoding to handle international characters
-        const fileContents = fs.readFileSync(reposFilePath, 'utf8');
+export async function loadConfiguration(filePath = reposFilePath) {
+    const result = checkConfigurationFile(filePath);
+    const fileName = path.basename(filePath);
 
-        // Parse YAML content into JavaScript objects
-        // js-yaml automatically handles type conversion and validation
-        const config = yaml.load(fileContents);
+    if (result.errors.length > 0) {
+        result.errors.forEach(issue => logError(formatConfigurationIssue(issue, fileName)));
+        throw new Error(`Invalid configuration in '${fileName}' (${result.errors.length} problem${result.errors.length === 1 ? '' : 's'}) - run 'multirepo config validate' for details`);
+    }
 
-        log(`Successfully parsed '${chalk.white('repos.yaml')}' configuration file`);
-        return config;
+    log(`Successfully parsed '${chalk.white(fileName)}' configuration file`);
+    return result.config;
+}
 
+/**
+ * Check a configuration file against the repos.yaml schema without side effects
+ *
+ * @param {string} filePath - Configuration file to check (default: repos.yaml in the workspace root)
+ * @returns {Object} Check result ({config, errors, warnings}) - see checkConfigurationSource
+ * @throws {Error} When the file cannot be read
+ */
+export function checkConfigurationFile(filePath = reposFilePath) {
+    let source;
+    try {
+        source = fs.readFileSync(filePath, 'utf8');
     } catch (error) {
-        // Configuration loading failed - could be file not found, permissions, or syntax errors
-        logError(`Failed to parse '${chalk.white('repos.yaml')}'. Please check for syntax errors.`);
-        logError(`Error details: ${error.message}`);
-        logError('Ensure the file exists and contains valid YAML syntax.');
-        process.exit(1);
+        throw new Error(`Cannot read configuration file '${filePath}': ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
     }
+
+    return checkConfigurationSource(source, { traits: getAvailableTraits() });
+}
+
+/**
+ * List the traits available for the `traits` key of a repository
+ *
+ * @returns {Array<string>} Trait names (directories in the traits folder)
+ */
+export function getAvailableTraits() {
+    if (!fs.existsSync(traitScriptsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(traitScriptsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
 }
 
 /*
@@ -163,14 +358,14 @@ CONFIGURATION VALIDATION SYSTEM
 */
 
 /**
- * Comprehensive repository configuration validation with interactive fallbacks
+ * Repository configuration validation with interactive fallbacks
  *
- * Performs thorough validation of all repository definitions to ensure they meet
- * system requirements and can be processed successfully. Includes interactive
- * prompts for handling edge cases like missing URLs.
+ * Structural rules (names, types, unknown keys, traits, pins, groups) are
+ * enforced by the schema when the configuration is loaded. This step resolves
+ * the cases that need a decision before repositories can be processed.
  *
  * Validation Rules Applied:
- * 1. Repository names must be valid directory names (no special characters)
+ * 1. At least one repository must be configured
  * 2. URLs must follow Git URL patterns (https:// or git@)
  * 3. Missing URLs can be handled by creating empty folders (user choice)
  *
@@ -186,27 +381,15 @@ export async function validateConfiguration(repos, askQuestion) {
         return false;
     }
 
-    // === VALIDATION PATTERN DEFINITIONS ===
-    // Directory name validation - exclude characters that are invalid on any major OS
-    const invalidDirNameRegex = /[<>:"/\\|?*]/;
-
-    // Git URL validation - supports both HTTPS and SSH formats
-    const gitUrlRegex = /^(https?:\/\/|git@).+\.git$/;
-
     // === REPOSITORY-BY-REPOSITORY VALIDATION ===
     for (const [name, config] of Object.entries(repos)) {
-        // Validate repository name as a valid directory name
-        if (invalidDirNameRegex.test(name)) {
-            logError(`Repository key '${chalk.white(name)}' contains invalid characters for a directory name.`);
-            logError('Repository names will be used as directory names and must be filesystem-compatible.');
-            return false;
-        }
-
         // Validate repository URL or handle missing URL scenarios
-        if (!config || typeof config.url !== 'string' || !gitUrlRegex.test(config.url)) {
+        if (!config || typeof config.url !== 'string' || !GIT_URL_PATTERN.test(config.url)) {
             // URL is missing or invalid - offer interactive resolution
             const answer = await askQuestion(
-                `Repository '${chalk.white(name)}' has no valid URL. Create empty folder instead? (y/N): `
+                `Repository '${chalk.white(name)}' has no valid URL. Create empty folder instead? (y/N): `,
+                'N',
+                { key: 'emptyFolder', repo: name }
             );
 
             // User chose not to create empty folder - configuration is invalid
@@ -217,13 +400,221 @@ export async function validateConfiguration(repos, askQuestion) {
             }
 
             // Mark repository for empty folder creation instead of cloning
-            config._createEmptyFolder = true;
+            // (entries without any properties are parsed as null)
+            (repos[name] ||= {})._createEmptyFolder = true;
         }
     }
 
     return true;
 }
 
+/*
+================================================================================
+REPOSITORY GROUPS, TAGS AND FILTERING
+================================================================================
+*/
+
+/**
+ * Read the top-level `groups` section of repos.yaml
+ *
+ * Groups map a name to a list of repository names:
+ * ```yaml
+ * groups:
+ *   web: [react-dashboard, vue-storefront]
+ * ```
+ *
+ * Malformed groups, name clashes and unknown members are rejected by the
+ * schema validation in loadConfiguration.
+ *
+ * @param {Object} config - Parsed repos.yaml content
+ * @returns {Object} Group name to repository name list
+ */
+export function getRepositoryGroups(config) {
+    return config?.groups || {};
+}
+
+/**
+ * Collect all tags used in repos.yaml with their repositories
+ *
+ * @param {Object} repos - Repository configuration object from repos.yaml
+ * @returns {Object} Tag name to repository name list
+ */
+export function getRepositoryTags(repos) {
+    const tags = {};
+
+    for (const [name, data] of Object.entries(repos || {})) {
+        for (const tag of data?.tags || []) {
+            (tags[tag] ||= []).push(name);
+        }
+    }
+
+    return tags;
+}
+
+/**
+ * Check whether a repository filter was given on the command line
+ *
+ * @param {Object} filter - Repository filter ({only, tags, exclude})
+ * @returns {boolean} True if any of --only, --tag or --exclude was used
+ */
+export function hasRepositoryFilter(filter = repositoryFilter) {
+    return ['only', 'tags', 'exclude'].some(key => filter[key]?.length > 0);
+}
+
+/**
+ * Apply a repository filter to the configured repositories
+ *
+ * Selection Rules:
+ * 1. --only (repository or group names) and --tag select the union of their matches
+ * 2. Without --only and --tag every repository is selected
+ * 3. --exclude (repository or group names) removes repositories from the selection
+ *
+ * Unknown names and tags are rejected so typos never silently change the selection.
+ * The result keeps the order of repos.yaml.
+ *
+ * @param {Object} config - Parsed repos.yaml content ({repos, groups})
+ * @param {Object} filter - Repository filter ({only, tags, exclude})
+ * @returns {Array<Object>} Selected repository configuration objects ({name, ...data})
+ * @throws {Error} When the filter references unknown repositories, groups or tags
+ */
+export function filterRepositories(config, filter = repositoryFilter) {
+    const repos = config?.repos || {};
+    const groups = getRepositoryGroups(config);
+    const tags = getRepositoryTags(repos);
+
+    // === NAME AND GROUP RESOLUTION ===
+    const resolveNames = (names, option) => {
+        const unknown = names.filter(name => !Object.hasOwn(repos, name) && !Object.hasOwn(groups, name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown repositories or groups in ${option}: ${unknown.join(', ')}`);
+        }
+        return names.flatMap(name => groups[name] || [name]);
+    };
+
+    const unknownTags = (filter.tags || []).filter(tag => !Object.hasOwn(tags, tag));
+    if (unknownTags.length > 0) {
+        throw new Error(`No repository is tagged: ${unknownTags.join(', ')}`);
+    }
+
+    // === SELECTION ===
+    const only = filter.only || [];
+    const tagged = filter.tags || [];
+    const included = only.length > 0 || tagged.length > 0
+        ? new Set([...resolveNames(only, '--only'), ...tagged.flatMap(tag => tags[tag])])
+        : new Set(Object.keys(repos));
+
+    const excluded = new Set(resolveNames(filter.exclude || [], '--exclude'));
+
+    return Object.entries(repos)
+        .filter(([name]) => included.has(name) && !excluded.has(name))
+        .map(([name, data]) => ({ name, ...data }));
+}
+
+/*
+================================================================================
+REPOSITORY DEPENDENCIES
+================================================================================
+*/
+
+/**
+ * Order repositories so that every repository comes after its `dependsOn` entries
+ *
+ * Repositories without dependencies keep their repos.yaml order. Dependencies
+ * that are not part of the list are ignored.
+ *
+ * @param {Array<Object>} repos - Repository configuration objects ({name, ...data})
+ * @returns {Array<Object>} The same repositories in dependency order
+ * @throws {Error} On circular dependencies
+ */
+export function sortRepositoriesByDependencies(repos) {
+    const byName = new Map(repos.map(repo => [repo.name, repo]));
+
+    try {
+        return sortByDependencies([...byName.keys()], name => byName.get(name).dependsOn)
+            .map(name => byName.get(name));
+    } catch (error) {
+        throw new Error(`Circular repository dependency: ${error.cycle?.join(' -> ') ?? error.message}`);
+    }
+}
+
+/**
+ * Add the (transitive) `dependsOn` repositories of a selection
+ *
+ * @param {Object} config - Parsed repos.yaml content
+ * @param {Array<Object>} selected - Selected repository configuration objects
+ * @param {Array<Object>} candidates - Repositories that may be added (e.g. without --exclude matches)
+ * @returns {Object} Selection with dependencies ({repos, added, unavailable}) in repos.yaml order
+ */
+export function addRepositoryDependencies(config, selected, candidates) {
+    const repos = config?.repos || {};
+    const selectedNames = new Set(selected.map(repo => repo.name));
+    const candidateNames = new Set(candidates.map(repo => repo.name));
+
+    const required = [...collectDependencies([...selectedNames], name => repos[name]?.dependsOn)]
+        .filter(name => !selectedNames.has(name));
+    const added = required.filter(name => candidateNames.has(name));
+    const included = new Set([...selectedNames, ...added]);
+
+    return {
+        repos: Object.entries(repos)
+            .filter(([name]) => included.has(name))
+            .map(([name, data]) => ({ name, ...data })),
+        added,
+        unavailable: required.filter(name => !candidateNames.has(name))
+    };
+}
+
+/*
+================================================================================
+CUSTOM HOOK DEFINITIONS
+================================================================================
+*/
+
+/**
+ * Read the custom preClone/postClone hook of a repository
+ *
+ * Hooks are either a plain command/script string or an object carrying an
+ * execution policy:
+ * ```yaml
+ * postClone:
+ *   run: composer install
+ *   timeout: 600      # seconds, the process tree is killed afterwards
+ *   retries: 2        # additional attempts after a failure or timeout
+ *   retryDelay: 10    # seconds before the first retry, doubled for each further one
+ * ```
+ *
+ * @param {Object} repoConfig - Repository configuration object
+ * @param {string} hookType - Hook phase ('preClone' or 'postClone')
+ * @returns {Object|null} Hook definition ({run, timeout?, retries?, retryDelay?}) or null if none
+ */
+export function getCustomHook(repoConfig, hookType) {
+    const value = repoConfig?.[hookType];
+    if (!value) {
+        return null;
+    }
+
+    return typeof value === 'string' ? { run: value } : { ...value };
+}
+
+/*
+================================================================================
+REF PINNING
+================================================================================
+*/
+
+// Pin keys (branch, tag, commit) are defined and validated in config-schema.js
+
+/**
+ * Resolve the ref a repository is pinned to in repos.yaml
+ *
+ * @param {Object} repoConfig - Repository configuration object
+ * @returns {Object|null} Pinned ref ({type: 'branch'|'tag'|'commit', value}) or null if unpinned
+ */
+export function getPinnedRef(repoConfig) {
+    const type = PIN_KEYS.find(key => repoConfig?.[key] !== undefined);
+    return type ? { type, value: String(repoConfig[type]) } : null;
+}
+
 /*
 ================================================================================
 CACHE OPTION VALIDATION AND MANAGEMENT
@@ -241,6 +632,7 @@ CACHE OPTION VALIDATION AND MANAGEMENT
  * - --skip-cache and --update-lock are mutually exclusive
  * - --force-all supersedes individual force options
  * - --clear-lock cannot be used in dry-run mode
+ * - --frozen needs the lock file, so it excludes --skip-cache and --clear-lock
  *
  * @returns {Object} Validation result with success status and error messages
  */
@@ -259,6 +651,21 @@ export function validateCacheOptions() {
         errors.push('  --force-all already includes both preclone and postclone forcing');
     }
 
+    if (isFrozen && (cacheOptions.skipCache || cacheOptions.clearLock)) {
+        errors.push('--frozen cannot be used with --skip-cache or --clear-lock');
+        errors.push('  --frozen checks out the revisions recorded in the lock file');
+    }
+
+    if (isResume && (cacheOptions.skipCache || cacheOptions.clearLock)) {
+        errors.push('--resume cannot be used with --skip-cache or --clear-lock');
+        errors.push('  --resume continues the setup run recorded in the lock file');
+    }
+
+    if (isResume && hasRepositoryFilter()) {
+        errors.push('--resume cannot be used with --only, --tag or --exclude');
+        errors.push('  --resume reuses the repository selection of the interrupted run');
+    }
+
     // === OPERATIONAL SAFETY CHECKS ===
     if (isDryRun && cacheOptions.clearLock) {
         errors.push('Cannot clear lock file in dry-run mode');
@@ -311,6 +718,7 @@ export function getActiveCacheOptions() {
     if (cacheOptions.skipCache) active.push('skip-cache');
     if (cacheOptions.updateLock) active.push('update-lock');
     if (cacheOptions.clearLock) active.push('clear-lock');
+    if (isFrozen) active.push('frozen');
 
     // Return formatted string or default message
     return active.length > 0 ? active.join(', ') : 'smart caching enabled';
@@ -14,6 +14,9 @@ Key Responsibilities:
 - Dynamic script loading and execution with context passing
 - Custom script integration for repository-specific behaviors
 - Command execution with proper error handling and logging
+- Hook timeouts (process tree termination) and retries with exponential backoff
+- Trait check findings evaluation (errors fail the hook, warnings with --strict)
+- Trait check remediations: preview, confirm and apply (--fix), diffs in dry-run mode
 - Configuration-driven hook behavior modification
 - Execution context management and enhancement
 
@@ -36,11 +39,96 @@ import yaml from 'js-yaml';
 // Terminal styling for enhanced execution feedback
 import chalk from 'chalk';
 // Comprehensive logging system with context support
-import { defaultLogger, log, logError, logInfo, logWarn } from '../helper/logger.js';
+import { defaultLogger, emitEvent, isJsonOutput, log, logError, logInfo, logSuccess, logWarn, setLogContext } from '../helper/logger.js';
 // Configuration paths and execution mode flags
-import { customScriptsDir, isDryRun, traitScriptsDir } from './config.js';
+import { customScriptsDir, getCustomHook, isDryRun, isFix, isNonInteractive, isStrict, traitScriptsDir } from './config.js';
 // URL utilities for ES module dynamic imports
 import { pathToFileURL } from 'url';
+// Child process spawning for command hooks
+import { spawn } from 'child_process';
+// Line-by-line reading of captured command output
+import readline from 'readline';
+// Timeout enforcement with process tree termination
+import { getSupervisedSpawnOptions, superviseChildProcess } from '../helper/process-tree.js';
+// Transcript of the running setup (captured hook output)
+import { getActiveRunLog } from '../helper/run-log.js';
+// Structured findings returned by trait check functions
+import { formatFinding, getFailingFindings, STRICT_ENV_VARIABLE } from '../helper/trait-findings.js';
+// Preview and application of trait check remediations (--fix)
+import { applyFileRemediation, previewRemediation } from '../helper/remediation.js';
+// Confirmation of remediations (ui.js imports this module - only used at call time)
+import { askQuestion } from './ui.js';
+
+/*
+================================================================================
+HOOK EXECUTION POLICY
+================================================================================
+*/
+
+// === POLICY DEFAULTS ===
+// No timeout, a single attempt, 5s before the first retry (doubled for every further retry)
+export const HOOK_POLICY_DEFAULTS = { timeout: null, retries: 0, retryDelay: 5 };
+
+// Output lines of a failed hook repeated on the terminal when its output is captured
+const OUTPUT_TAIL_LINES = 20;
+
+/**
+ * Resolve the execution policy (timeout, retries, retryDelay) of a hook
+ *
+ * Trait config.yaml files may give each setting as a single value or per
+ * hook type, like `hasCheckFunction`:
+ * ```yaml
+ * timeout:
+ *   postClone: 900
+ * retries: 1
+ * ```
+ * Invalid values are reported and replaced by the defaults so a broken trait
+ * configuration never blocks the setup.
+ *
+ * @param {Object|null} settings - Trait configuration or custom hook definition
+ * @param {string} hookType - Hook phase ('preClone' or 'postClone')
+ * @param {string} source - Description of the settings source for warnings
+ * @returns {Object} Policy ({timeout, retries, retryDelay})
+ */
+function resolveHookPolicy(settings, hookType, source) {
+    const policy = { ...HOOK_POLICY_DEFAULTS };
+
+    for (const [key, minimum] of [['timeout', 1], ['retries', 0], ['retryDelay', 0]]) {
+        let value = settings?.[key];
+        if (value !== null && typeof value === 'object') {
+            value = value[hookType];
+        }
+        if (value === undefined || value === null) {
+            continue;
+        }
+
+        const isValid = typeof value === 'number' && value >= minimum && (key !== 'retries' || Number.isInteger(value));
+        if (isValid) {
+            policy[key] = value;
+        } else {
+            logWarn(`Ignoring invalid ${key} '${value}' for ${source} - using default`);
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * Describe a hook policy for log output
+ *
+ * @param {Object} policy - Hook policy
+ * @returns {string} e.g. 'timeout 600s, 2 retries'
+ */
+function describeHookPolicy(policy) {
+    const parts = [];
+    if (policy.timeout) {
+        parts.push(`timeout ${policy.timeout}s`);
+    }
+    if (policy.retries > 0) {
+        parts.push(`${policy.retries} ${policy.retries === 1 ? 'retry' : 'retries'}`);
+    }
+    return parts.join(', ');
+}
 
 /*
 ================================================================================
@@ -82,7 +170,7 @@ HOOK DISCOVERY AND COLLECTION SYSTEM
  */
 export function getHooksForRepo(repo, hookType) {
     const hooks = [];
-    const hookValue = repo[hookType]; // Custom hook value from repository configuration
+    const customHook = getCustomHook(repo, hookType); // Custom hook from repository configuration
 
     // === TRAIT NORMALIZATION ===
     // Ensure traits is always an array for consistent processing
@@ -93,8 +181,8 @@ export function getHooksForRepo(repo, hookType) {
         logInfo(`No traits configured for '${chalk.white(repo.name)}' - checking for custom hooks only.`);
 
         // Still process custom hooks even without traits
-        if (hookValue) {
-            return processCustomHook(repo, hookValue, hookType);
+        if (customHook) {
+            return processCustomHook(repo, customHook, hookType);
         }
 
         return [];
@@ -181,7 +269,8 @@ export function getHooksForRepo(repo, hookType) {
                     hasCheckFunction: hasCheckFunction,
                     config: traitConfig,
                     description: traitConfig?.description || `${trait} trait hook`,
-                    dependencies: traitConfig?.traits || []
+                    dependencies: traitConfig?.traits || [],
+                    policy: resolveHookPolicy(traitConfig, hookType, `trait '${trait}'`)
                 });
 
                 logInfo(`Added ${hookType} hook for trait '${chalk.white(trait)}' (check function: ${hasCheckFunction})`);
@@ -208,8 +297,8 @@ export function getHooksForRepo(repo, hookType) {
 
     // === CUSTOM HOOK INTEGRATION ===
     // Add custom repository-specific hooks after trait hooks
-    if (hookValue) {
-        const customHooks = processCustomHook(repo, hookValue, hookType);
+    if (customHook) {
+        const customHooks = processCustomHook(repo, customHook, hookType);
         hooks.push(...customHooks);
     }
 
@@ -225,12 +314,14 @@ export function getHooksForRepo(repo, hookType) {
  * repositories, supporting both JavaScript files and direct shell commands.
  *
  * @param {Object} repo - Repository configuration object
- * @param {string} hookValue - Custom hook value from repository configuration
+ * @param {Object} customHook - Custom hook definition ({run, timeout?, retries?, retryDelay?})
  * @param {string} hookType - Hook phase identifier
  * @returns {Array<Object>} Array of custom hook objects
  */
-function processCustomHook(repo, hookValue, hookType) {
+function processCustomHook(repo, customHook, hookType) {
     const customHooks = [];
+    const hookValue = customHook.run;
+    const policy = resolveHookPolicy(customHook, hookType, `'${repo.name}' ${hookType} hook`);
 
     if (hookValue.endsWith('.js')) {
         // === JAVASCRIPT CUSTOM SCRIPT ===
@@ -242,7 +333,8 @@ function processCustomHook(repo, hookValue, hookType) {
             script: scriptPath,
             exists: scriptExists,
             description: `Custom ${hookType} script: ${hookValue}`,
-            repository: repo.name
+            repository: repo.name,
+            policy
         });
 
         if (scriptExists) {
@@ -256,7 +348,8 @@ function processCustomHook(repo, hookValue, hookType) {
             type: 'command',
             command: hookValue,
             description: `Custom ${hookType} command: ${hookValue}`,
-            repository: repo.name
+            repository: repo.name,
+            policy
         });
 
         logInfo(`Added custom command hook for '${chalk.white(repo.name)}': ${chalk.white(hookValue)}`);
@@ -283,6 +376,7 @@ HOOK EXECUTION ORCHESTRATION SYSTEM
  * - Context enhancement with repository and execution metadata
  * - Dry-run mode support with execution simulation
  * - Sequential hook execution with proper error propagation
+ * - Per-hook timeout and retry policy (see executeHookWithPolicy)
  * - Comprehensive logging and progress tracking
  * - Graceful error handling with detailed error reporting
  *
@@ -292,10 +386,17 @@ HOOK EXECUTION ORCHESTRATION SYSTEM
  * - Logger instance with proper configuration
  * - Working directory and environment setup
  *
+ * Hook Results:
+ * One entry per executed hook ({hook, outcome, attempts, durationMs, error?,
+ * findings?, fixes?}) is appended to `context.hookResults` when the caller
+ * provides an array, also when a hook fails, so the outcome can be recorded in
+ * the lock file. Trait checks that reported findings carry them in `findings`,
+ * the remediations offered with --fix in `fixes`.
+ *
  * @param {Object} repo - Repository configuration object
  * @param {string} hookType - Hook phase identifier ('preClone' or 'postClone')
  * @param {Object} context - Execution context with working directory and logger
- * @returns {Promise<void>} Resolves when all hooks complete successfully
+ * @returns {Promise<Array<Object>>} Hook results when all hooks complete successfully
  */
 export async function runHooks(repo, hookType, context = {}) {
     // === HOOK DISCOVERY ===
@@ -304,7 +405,7 @@ export async function runHooks(repo, hookType, context = {}) {
     // === EARLY TERMINATION FOR NO HOOKS ===
     if (hooks.length === 0) {
         log(`No ${chalk.white(hookType)} hooks found for '${chalk.white(repo.name)}'. Skipping hook execution.`);
-        return;
+        return [];
     }
 
     // === CONTEXT ENHANCEMENT ===
@@ -327,22 +428,33 @@ export async function runHooks(repo, hookType, context = {}) {
         hooks.forEach((hook, index) => {
             log(`  ${index + 1}. ${hook.type}: ${hook.description || hook.script || hook.command}`);
         });
-        return;
+        if (isFix) {
+            await previewRemediations(repo, hookType, context);
+        }
+        return [];
     }
 
     // === SEQUENTIAL HOOK EXECUTION ===
+    const results = Array.isArray(context.hookResults) ? context.hookResults : [];
+
     for (let i = 0; i < hooks.length; i++) {
         const hook = hooks[i];
         enhancedContext.hooksCompleted = i;
         enhancedContext.currentHook = hook;
 
         try {
-            logInfo(`Executing hook ${i + 1}/${hooks.length}: ${hook.type} (${hook.trait || hook.repository || 'command'})`);
+            const policyText = describeHookPolicy(hook.policy || HOOK_POLICY_DEFAULTS);
+            logInfo(`Executing hook ${i + 1}/${hooks.length}: ${hook.type} (${hook.trait || hook.repository || 'command'})` +
+                (policyText ? chalk.gray(` [${policyText}]`) : ''));
 
-            await executeHook(hook, enhancedContext);
+            results.push(await executeHookWithPolicy(hook, enhancedContext));
 
             logInfo(`Hook ${i + 1}/${hooks.length} completed successfully`);
         } catch (error) {
+            if (error.hookResult) {
+                results.push(error.hookResult);
+            }
+
             // === ERROR HANDLING AND REPORTING ===
             logError(`Hook execution failed for '${repo.name}' at step ${i + 1}/${hooks.length}:`);
             logError(`  Hook Type: ${hook.type}`);
@@ -357,6 +469,17 @@ export async function runHooks(repo, hookType, context = {}) {
                 logError(`  Error Output: ${error.stderr}`);
             }
 
+            // === CAPTURED OUTPUT ===
+            // Captured output is only in the transcript - repeat its end for the failure
+            if (error.outputTail?.length && !isJsonOutput() && !enhancedContext.logger.isVerbose) {
+                logError(`  Last ${error.outputTail.length} output line(s):`);
+                error.outputTail.forEach(line => logError(`    ${line}`));
+            }
+            const runLog = getActiveRunLog();
+            if (runLog) {
+                logError(`  Full output: ${runLog.getRepositoryLogPath(repo.name)}`);
+            }
+
             throw new Error(`Hook execution failed: ${error.message}`);
         }
     }
@@ -364,6 +487,80 @@ export async function runHooks(repo, hookType, context = {}) {
     // === EXECUTION COMPLETION ===
     const executionTime = Date.now() - enhancedContext.startTime;
     logInfo(`All ${chalk.cyan(hooks.length)} ${hookType} hooks completed successfully for '${chalk.white(repo.name)}' in ${executionTime}ms`);
+    return results;
+}
+
+/**
+ * Execute a hook under its timeout and retry policy
+ *
+ * Failed or timed-out attempts are retried `retries` times. The delay before
+ * a retry starts at `retryDelay` seconds and doubles with every further
+ * attempt (exponential backoff).
+ *
+ * Emits hook.start before the first attempt and hook.end with the final
+ * outcome, the number of attempts and the duration (JSON output mode). The
+ * hook is the log context while it runs, so reports can attribute warnings
+ * to it (see helper/setup-report.js).
+ *
+ * @param {Object} hook - Hook object with an optional `policy`
+ * @param {Object} context - Enhanced execution context
+ * @returns {Promise<Object>} Hook result ({hook, outcome: 'success', attempts, durationMs, findings?, fixes?})
+ * @throws {Error} Error of the last attempt, with `hookResult` (outcome 'failed' or 'timeout')
+ */
+async function executeHookWithPolicy(hook, context) {
+    const policy = hook.policy || HOOK_POLICY_DEFAULTS;
+    const maxAttempts = policy.retries + 1;
+    const startTime = Date.now();
+    const result = { hook: hook.description || hook.script || hook.command, outcome: null, attempts: 0, durationMs: 0 };
+    const eventContext = { repo: context.repo.name, phase: context.hookType, hook: result.hook, type: hook.type, trait: hook.trait ?? null };
+
+    emitEvent('hook.start', eventContext);
+    setLogContext({ hook: result.hook });
+
+    try {
+        for (let attempt = 1; ; attempt++) {
+            result.attempts = attempt;
+
+            try {
+                const check = await executeHook(hook, context);
+                delete result.error;
+                Object.assign(result, { outcome: 'success', durationMs: Date.now() - startTime });
+                if (check?.findings.length > 0) {
+                    result.findings = check.findings;
+                }
+                if (check?.fixes.length > 0) {
+                    result.fixes = check.fixes;
+                }
+                emitEvent('hook.end', { ...eventContext, ...result });
+                return result;
+            } catch (error) {
+                Object.assign(result, {
+                    outcome: error.timedOut ? 'timeout' : 'failed',
+                    durationMs: Date.now() - startTime,
+                    error: error.message
+                });
+                if (error.findings?.length > 0) {
+                    result.findings = error.findings;
+                }
+                if (error.fixes?.length > 0) {
+                    result.fixes = error.fixes;
+                }
+
+                if (attempt >= maxAttempts) {
+                    emitEvent('hook.end', { ...eventContext, ...result });
+                    error.hookResult = result;
+                    throw error;
+                }
+
+                // === EXPONENTIAL BACKOFF ===
+                const delay = policy.retryDelay * 2 ** (attempt - 1);
+                logWarn(`Attempt ${attempt}/${maxAttempts} ${error.timedOut ? 'timed out' : 'failed'}: ${error.message} - retrying in ${delay}s`);
+                await new Promise(resolve => setTimeout(resolve, delay * 1000));
+            }
+        }
+    } finally {
+        setLogContext({ hook: null });
+    }
 }
 
 /*
@@ -387,28 +584,25 @@ INDIVIDUAL HOOK EXECUTION SYSTEM
  *
  * @param {Object} hook - Hook object with type and execution metadata
  * @param {Object} context - Enhanced execution context with repository data
- * @returns {Promise<void>} Resolves when hook execution completes
+ * @returns {Promise<Object|null>} Outcome of a trait check function ({findings, fixes}), null for other hooks
  */
 async function executeHook(hook, context) {
-    // Import child_process dynamically to avoid loading it unnecessarily
-    const { spawn } = await import('child_process');
-
     switch (hook.type) {
         case 'trait-script':
-            await executeTraitScript(hook, context);
-            break;
+            return executeTraitScript(hook, context);
 
         case 'custom-script':
             await executeCustomScript(hook, context);
             break;
 
         case 'command':
-            await executeCommand(hook, context, spawn);
+            await executeCommand(hook, context);
             break;
 
         default:
             throw new Error(`Unknown hook type: ${hook.type}`);
     }
+    return null;
 }
 
 /**
@@ -417,33 +611,188 @@ async function executeHook(hook, context) {
  * Handles the execution of trait scripts, supporting both modern check function
  * interface and traditional script execution patterns.
  *
+ * Check functions return their findings (see helper/trait-findings.js): error
+ * findings fail the hook, warning findings too in strict mode (--strict). With
+ * --fix the remediations attached to the findings are applied after
+ * confirmation and the check runs once more, so only unresolved findings are
+ * evaluated. A script run as child process only reports through its exit code.
+ *
  * @param {Object} hook - Trait script hook object
  * @param {Object} context - Execution context
+ * @returns {Promise<Object|null>} Outcome of the check function ({findings, fixes}, null without one)
+ * @throws {Error} When the script fails or a finding fails the check (with `findings` and `fixes`)
  */
 async function executeTraitScript(hook, context) {
-    if (hook.hasCheckFunction) {
-        // === MODERN CHECK FUNCTION EXECUTION ===
-        try {
-            const moduleUrl = pathToFileURL(hook.script).href;
-            const module = await import(moduleUrl);
+    const timeout = hook.policy?.timeout;
 
-            if (typeof module.check === 'function') {
-                log(`Executing check function for trait '${chalk.white(hook.trait)}'`);
-                await module.check(context);
-                log(`Check function completed for trait '${chalk.white(hook.trait)}'`);
-            } else {
-                logWarn(`Script '${hook.script}' marked as having check function but none found - falling back to traditional execution`);
-                await executeScriptTraditionally(hook.script, context);
-            }
-        } catch (importError) {
-            logWarn(`Failed to import module '${hook.script}': ${importError.message} - falling back to traditional execution`);
-            await executeScriptTraditionally(hook.script, context);
+    if (hook.hasCheckFunction && timeout) {
+        // === SUPERVISED EXECUTION ===
+        // Check functions run inside this process and could not be stopped - with a
+        // timeout the script runs as a child process (its standalone entry point) instead
+        log(`Executing trait script '${chalk.white(hook.trait)}' in a child process (timeout ${timeout}s)`);
+        if (isFix) {
+            logWarn(`Fixes of trait '${hook.trait}' are not offered - its check runs in a child process because of the timeout`);
         }
-    } else {
+        await executeScriptTraditionally(hook.script, context, timeout);
+        return null;
+    }
+
+    if (!hook.hasCheckFunction) {
         // === TRADITIONAL SCRIPT EXECUTION ===
         log(`Executing trait script: ${chalk.white(hook.script)}`);
+        await executeScriptTraditionally(hook.script, context, timeout);
+        return null;
+    }
+
+    // === MODERN CHECK FUNCTION EXECUTION ===
+    let module;
+    try {
+        module = await import(pathToFileURL(hook.script).href);
+    } catch (importError) {
+        logWarn(`Failed to import module '${hook.script}': ${importError.message} - falling back to traditional execution`);
+        await executeScriptTraditionally(hook.script, context);
+        return null;
+    }
+
+    if (typeof module.check !== 'function') {
+        logWarn(`Script '${hook.script}' marked as having check function but none found - falling back to traditional execution`);
         await executeScriptTraditionally(hook.script, context);
+        return null;
+    }
+
+    log(`Executing check function for trait '${chalk.white(hook.trait)}'`);
+    let result = await module.check(context);
+    log(`Check function completed for trait '${chalk.white(hook.trait)}'`);
+
+    // === REMEDIATIONS (--fix) ===
+    let fixes = [];
+    if (isFix && result?.remediations?.length > 0) {
+        fixes = await applyRemediations(result.remediations, context);
+        if (fixes.some(fix => fix.outcome === 'applied')) {
+            logInfo(`Re-running check function for trait '${chalk.white(hook.trait)}' after applying fixes`);
+            result = await module.check(context);
+        }
+    }
+
+    // === FINDINGS EVALUATION ===
+    const findings = Array.isArray(result?.findings) ? result.findings : [];
+    const failing = getFailingFindings(result, isStrict);
+    if (failing.length > 0) {
+        const reason = failing.some(finding => finding.severity === 'error') ? 'error(s)' : 'warning(s) (--strict)';
+        const error = new Error(`Trait check '${hook.trait}' reported ${failing.length} ${reason}: ${formatFinding(failing[0])}`);
+        error.findings = findings;
+        error.fixes = fixes;
+        throw error;
+    }
+    return { findings, fixes };
+}
+
+/*
+================================================================================
+TRAIT CHECK REMEDIATIONS
+================================================================================
+*/
+
+/**
+ * Unique remediations of a check result
+ *
+ * Several findings can share a remediation (e.g. the same install command),
+ * which is offered only once.
+ *
+ * @param {Array<Object>} remediations - Remediations of the check result
+ * @returns {Array<Object>} Remediations with distinct descriptions
+ */
+function uniqueRemediations(remediations) {
+    const seen = new Set();
+    return remediations.filter(remediation => !seen.has(remediation.description) && seen.add(remediation.description));
+}
+
+/**
+ * Preview, confirm and apply the remediations of a trait check (--fix)
+ *
+ * Every remediation is shown - the command or the diff of the file edit - and
+ * applied after confirmation (decision `applyFix`, see answers.js). A failing
+ * remediation is reported as a warning and does not fail the hook; the
+ * repeated check decides whether the finding is resolved.
+ *
+ * @param {Array<Object>} remediations - Remediations of the check result
+ * @param {Object} context - Enhanced execution context
+ * @returns {Promise<Array<Object>>} Fix results ({trait, code, description, outcome: 'applied'|'declined'|'failed', error?})
+ */
+async function applyRemediations(remediations, context) {
+    const fixes = [];
+
+    for (const remediation of uniqueRemediations(remediations)) {
+        const fix = { trait: remediation.trait, code: remediation.code, description: remediation.description, outcome: 'declined' };
+        fixes.push(fix);
+
+        // === PREVIEW AND CONFIRMATION ===
+        logInfo(`Suggested fix for ${chalk.white(`${remediation.trait}/${remediation.code}`)}: ${remediation.description}`);
+        previewRemediation(remediation, context.cwd).forEach(line => logInfo(`  ${line}`));
+
+        const answer = await askQuestion(`Apply fix '${remediation.description}'? (Y/n): `, 'Y', { key: 'applyFix', repo: context.repo.name });
+        if (answer.toLowerCase() === 'n') {
+            logInfo(`Skipped fix: ${remediation.description}`);
+            continue;
+        }
+
+        // === APPLICATION ===
+        try {
+            if (remediation.command) {
+                await executeCommand({ command: remediation.command }, context);
+            } else {
+                applyFileRemediation(remediation, context.cwd);
+            }
+            fix.outcome = 'applied';
+            logSuccess(`Applied fix: ${remediation.description}`);
+        } catch (error) {
+            Object.assign(fix, { outcome: 'failed', error: error.message });
+            logWarn(`Fix '${remediation.description}' failed: ${error.message}`);
+        }
     }
+
+    return fixes;
+}
+
+/**
+ * Preview the remediations of the trait checks of a repository (dry-run --fix)
+ *
+ * Runs the check functions of the trait scripts in-process - checks only read
+ * the repository - and shows every remediation as command or diff without
+ * applying anything.
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} hookType - Hook phase identifier ('preClone' or 'postClone')
+ * @param {Object} context - Execution context with the repository directory as `cwd`
+ * @returns {Promise<number>} Number of remediations previewed
+ */
+export async function previewRemediations(repo, hookType, context = {}) {
+    if (!context.cwd || !fs.existsSync(context.cwd)) {
+        return 0; // Nothing to check before the repository is cloned
+    }
+
+    const hooks = getHooksForRepo(repo, hookType).filter(hook => hook.type === 'trait-script' && hook.hasCheckFunction);
+    const checkContext = { ...context, repo, hookType, logger: context.logger || defaultLogger };
+    let count = 0;
+
+    for (const hook of hooks) {
+        let remediations;
+        try {
+            const module = await import(pathToFileURL(hook.script).href);
+            remediations = (await module.check(checkContext))?.remediations ?? [];
+        } catch (error) {
+            logWarn(`Cannot preview fixes of trait '${hook.trait}': ${error.message}`);
+            continue;
+        }
+
+        uniqueRemediations(remediations).forEach(remediation => {
+            logInfo(`Dry run: would offer fix for ${chalk.white(`${remediation.trait}/${remediation.code}`)}: ${remediation.description}`);
+            previewRemediation(remediation, checkContext.cwd).forEach(line => logInfo(`  ${line}`));
+            count++;
+        });
+    }
+
+    return count;
 }
 
 /**
@@ -457,7 +806,7 @@ async function executeTraitScript(hook, context) {
 async function executeCustomScript(hook, context) {
     if (hook.exists) {
         log(`Executing custom script: ${chalk.white(hook.script)}`);
-        await executeScriptTraditionally(hook.script, context);
+        await executeScriptTraditionally(hook.script, context, hook.policy?.timeout);
         log(`Custom script completed: ${chalk.white(hook.script)}`);
     } else {
         logWarn(`Custom script not found: '${chalk.white(hook.script)}' - skipping execution`);
@@ -472,41 +821,175 @@ async function executeCustomScript(hook, context) {
  *
  * @param {Object} hook - Command hook object
  * @param {Object} context - Execution context
- * @param {Function} spawn - Child process spawn function
  */
-async function executeCommand(hook, context, spawn) {
+async function executeCommand(hook, context) {
     log(`Executing command: ${chalk.white(hook.command)}`);
+    const onOutput = createOutputHandler(context);
+
+    const code = await runRepositoryCommand(hook.command, {
+        repo: context.repo,
+        cwd: context.cwd,
+        hookType: context.hookType,
+        onOutput: onOutput ?? undefined,
+        passThrough: onOutput?.passThrough,
+        timeout: hook.policy?.timeout
+    }).catch(error => {
+        error.outputTail = onOutput?.tail;
+        throw error;
+    });
 
+    if (code !== 0) {
+        const error = new Error(`Command exited with code ${code}: ${hook.command}`);
+        error.code = code;
+        error.outputTail = onOutput?.tail;
+        throw error;
+    }
+
+    log(`Command completed successfully: ${chalk.white(hook.command)}`);
+}
+
+/**
+ * Run a shell command inside a repository with the standard hook environment
+ *
+ * Shared by command hooks and workspace-wide commands (e.g. `multirepo exec`).
+ * The command runs through `sh -c` with REPO_NAME, REPO_PATH and HOOK_TYPE
+ * injected into its environment. By default the child inherits the terminal
+ * (except stdin in non-interactive mode, so commands cannot wait for input);
+ * when an `onOutput` callback is given, stdout and stderr are captured and
+ * delivered line by line instead, which allows callers to prefix or buffer
+ * the output of several concurrently running commands.
+ *
+ * The command only reads the terminal when the user can see what it writes:
+ * captured output closes stdin, because a prompt without a line break never
+ * reaches `onOutput` and the command would wait on an invisible question.
+ * With `passThrough` the captured output is also written to the terminal
+ * unchanged, which keeps stdin open. Non-interactive runs (--yes,
+ * --non-interactive) never pass stdin. With a timeout the command runs in its
+ * own process group without stdin and is killed as a whole process tree when
+ * the timeout expires.
+ *
+ * @param {string} command - Shell command to execute
+ * @param {Object} options - Execution options
+ * @param {Object} options.repo - Repository configuration object
+ * @param {string} options.cwd - Working directory (usually the repository path)
+ * @param {string} options.hookType - Value exposed as HOOK_TYPE
+ * @param {Function} [options.onOutput] - Callback (line, stream) for captured output
+ * @param {boolean} [options.passThrough] - Also write captured output to the terminal as it arrives
+ * @param {number} [options.timeout] - Timeout in seconds
+ * @returns {Promise<number>} Exit code of the command (signals are reported as 1)
+ * @throws {Error} With `timedOut` set when the timeout expired
+ */
+export function runRepositoryCommand(command, { repo, cwd, hookType, onOutput, passThrough = false, timeout }) {
     return new Promise((resolve, reject) => {
-        const child = spawn('sh', ['-c', hook.command], {
-            cwd: context.cwd,
-            stdio: 'inherit',
+        const stdin = getHookStdin(onOutput, passThrough, timeout);
+        const child = spawn('sh', ['-c', command], {
+            cwd,
+            stdio: [stdin, onOutput ? 'pipe' : 'inherit', onOutput ? 'pipe' : 'inherit'],
             env: {
                 ...process.env,
-                REPO_NAME: context.repo.name,
-                REPO_PATH: context.cwd,
-                HOOK_TYPE: context.hookType
-            }
+                REPO_NAME: repo.name,
+                REPO_PATH: cwd,
+                HOOK_TYPE: hookType
+            },
+            ...(timeout ? getSupervisedSpawnOptions() : {})
         });
+        const supervision = superviseChildProcess(child, timeout);
+
+        // === LINE-BASED OUTPUT CAPTURE ===
+        if (onOutput) {
+            captureOutput(child, onOutput, passThrough);
+        }
 
         child.on('close', (code) => {
-            if (code === 0) {
-                log(`Command completed successfully: ${chalk.white(hook.command)}`);
-                resolve();
-            } else {
-                const error = new Error(`Command exited with code ${code}: ${hook.command}`);
-                error.code = code;
+            supervision.clear();
+
+            if (supervision.timedOut) {
+                const error = new Error(`Command timed out after ${timeout}s: ${command}`);
+                error.timedOut = true;
                 reject(error);
+                return;
             }
+
+            resolve(code ?? 1);
         });
 
         child.on('error', (error) => {
+            supervision.clear();
             logError(`Command execution error: ${error.message}`);
             reject(error);
         });
     });
 }
 
+/**
+ * Choose the stdin of a hook process
+ *
+ * Hooks read the terminal only while their output reaches it as written -
+ * inherited or passed through. Captured output is line based, so a prompt
+ * without a line break would stay invisible while the hook waits for input.
+ *
+ * @param {Function|null|undefined} onOutput - Output callback (captured output)
+ * @param {boolean} passThrough - Whether captured output is written to the terminal as well
+ * @param {number} [timeout] - Timeout in seconds (supervised hooks get no stdin)
+ * @returns {string} 'inherit' or 'ignore'
+ */
+function getHookStdin(onOutput, passThrough, timeout) {
+    return isNonInteractive || timeout || (onOutput && !passThrough) ? 'ignore' : 'inherit';
+}
+
+/**
+ * Deliver the output of a child process line by line
+ *
+ * @param {ChildProcess} child - Child process spawned with piped stdout and stderr
+ * @param {Function} onOutput - Callback (line, stream)
+ * @param {boolean} passThrough - Also write the output to the terminal unchanged (partial lines included)
+ */
+function captureOutput(child, onOutput, passThrough) {
+    if (passThrough) {
+        child.stdout.on('data', chunk => process.stdout.write(chunk));
+        child.stderr.on('data', chunk => process.stderr.write(chunk));
+    }
+    readline.createInterface({ input: child.stdout }).on('line', line => onOutput(line, 'stdout'));
+    readline.createInterface({ input: child.stderr }).on('line', line => onOutput(line, 'stderr'));
+}
+
+/**
+ * Create an output callback that captures hook output
+ *
+ * Output is captured while a setup run log is active - it goes to the
+ * transcript and shows on the terminal in verbose mode only - and in JSON
+ * output mode, where stdout carries the event stream only (output events).
+ * Otherwise the hook writes to the terminal directly.
+ *
+ * In verbose text mode the callback is marked `passThrough`: the output is
+ * written to the terminal as it arrives instead of line by line, so prompts
+ * show up and interactive hooks keep their stdin (see getHookStdin).
+ *
+ * The callback keeps the last OUTPUT_TAIL_LINES lines in `tail`, which is
+ * attached to the error of a failed hook as `outputTail`.
+ *
+ * @param {Object} context - Enhanced execution context
+ * @returns {Function|null} Callback (line, stream) for runRepositoryCommand, or null to inherit stdio
+ */
+function createOutputHandler(context) {
+    if (!getActiveRunLog() && !isJsonOutput()) {
+        return null;
+    }
+
+    const passThrough = !isJsonOutput() && context.logger.isVerbose && !context.logger.isQuiet;
+    const tail = [];
+    const onOutput = (line, stream) => {
+        tail.push(line);
+        if (tail.length > OUTPUT_TAIL_LINES) {
+            tail.shift();
+        }
+        context.logger.output(line, stream, { repo: context.repo.name, phase: context.hookType }, { terminal: !passThrough });
+    };
+    onOutput.tail = tail;
+    onOutput.passThrough = passThrough;
+    return onOutput;
+}
+
 /*
 ================================================================================
 TRADITIONAL SCRIPT EXECUTION SYSTEM
@@ -525,20 +1008,29 @@ TRADITIONAL SCRIPT EXECUTION SYSTEM
  * - Environment variable injection for script context
  * - Comprehensive error handling with exit code tracking
  * - Working directory management
- * - Standard I/O inheritance for interactive scripts
+ * - Standard I/O inheritance for interactive scripts (stdin only while the output reaches the terminal, see getHookStdin)
+ * - Optional timeout with process tree termination (no stdin in that case)
+ * - Output captured into the run log transcript and as output events (see createOutputHandler)
  *
  * @param {string} scriptPath - Full path to the JavaScript file to execute
  * @param {Object} context - Execution context with working directory and metadata
+ * @param {number} [timeout] - Timeout in seconds
  * @returns {Promise<void>} Resolves when script execution completes successfully
+ * @throws {Error} With `timedOut` set when the timeout expired
  */
-async function executeScriptTraditionally(scriptPath, context) {
+async function executeScriptTraditionally(scriptPath, context, timeout) {
     const { spawn } = await import('child_process');
 
+    const onOutput = createOutputHandler(context);
+    const stdin = getHookStdin(onOutput, onOutput?.passThrough, timeout);
+
     return new Promise((resolve, reject) => {
         // === CHILD PROCESS CREATION ===
         const child = spawn('node', [scriptPath], {
             cwd: context.cwd,
-            stdio: 'inherit', // Allow script to interact with terminal
+            // Allow script to interact with terminal - unless it runs supervised in its own process group
+            stdio: onOutput ? [stdin, 'pipe', 'pipe'] : [stdin, 'inherit', 'inherit'],
+            ...(timeout ? getSupervisedSpawnOptions() : {}),
             env: {
                 ...process.env,
                 // === SCRIPT CONTEXT ENVIRONMENT VARIABLES ===
@@ -547,25 +1039,44 @@ async function executeScriptTraditionally(scriptPath, context) {
                 HOOK_TYPE: context.hookType,
                 REPO_URL: context.repo.url || '',
                 REPO_TRAITS: JSON.stringify(context.repo.traits || []),
-                SCRIPT_PATH: scriptPath
+                SCRIPT_PATH: scriptPath,
+                // Trait scripts fail on warning findings too (see getCheckExitCode)
+                [STRICT_ENV_VARIABLE]: isStrict ? '1' : ''
             }
         });
 
+        const supervision = superviseChildProcess(child, timeout);
+
+        // === OUTPUT CAPTURE ===
+        if (onOutput) {
+            captureOutput(child, onOutput, onOutput.passThrough);
+        }
+
         // === SUCCESS HANDLING ===
         child.on('close', (code) => {
-            if (code === 0) {
+            supervision.clear();
+
+            if (supervision.timedOut) {
+                const error = new Error(`Script timed out after ${timeout}s: ${scriptPath}`);
+                error.timedOut = true;
+                error.scriptPath = scriptPath;
+                error.outputTail = onOutput?.tail;
+                reject(error);
+            } else if (code === 0) {
                 log(`Script completed successfully: ${chalk.white(scriptPath)}`);
                 resolve();
             } else {
                 const error = new Error(`Script exited with code ${code}: ${scriptPath}`);
                 error.code = code;
                 error.scriptPath = scriptPath;
+                error.outputTail = onOutput?.tail;
                 reject(error);
             }
         });
 
         // === ERROR HANDLING ===
         child.on('error', (error) => {
+            supervision.clear();
             logError(`Script execution error: ${error.message}`);
             error.scriptPath = scriptPath;
             reject(error);
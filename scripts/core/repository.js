@@ -24,13 +24,19 @@ Key Responsibilities:
 import fs from 'fs';
 // Path utilities for cross-platform directory handling
 import path from 'path';
+// Child process execution for git operations
+import { execSync, spawn } from 'child_process';
 // Terminal styling for enhanced user feedback
 import chalk from 'chalk';
 // Comprehensive logging system with categorized output
-import { log, logError, logInfo, logSuccess, logWarn } from '../helper/logger.js';
+import { defaultLogger, isJsonOutput, log, logError, logInfo, logSuccess, logWarn } from '../helper/logger.js';
 // Configuration constants for directory paths
-import { packagesDir } from './config.js';
-import {safePrompt} from "./ui.js";
+import { getPinnedRef, isNonInteractive, packagesDir } from './config.js';
+import {reportPrompt, safePrompt} from "./ui.js";
+// Preset answers for non-interactive runs
+import { createMissingAnswerError, recordAnswer, resolvePresetAnswer } from './answers.js';
+// Git working copy inspection
+import { GitHelper } from '../helper/git-helper.js';
 
 /*
 ================================================================================
@@ -221,51 +227,69 @@ async function handleExistingProjectConflict(repo, repoPath, askQuestion) {
 
     // === DYNAMIC OPTION GENERATION ===
     // Build context-aware options based on repository and git state
+    // Option values are the `existingProject` answers accepted in non-interactive mode
     const options = [];
 
     // Only show git initialization option if URL is available AND git is not already initialized
     if (hasUrl && !hasGit) {
-        options.push('Initialize git repository and set remote origin');
+        options.push({ value: 'init', name: 'Initialize git repository and set remote origin' });
     }
 
     // Show remote setup option if URL is available, git exists, but no remote is configured
     if (hasUrl && hasGit && !hasRemote) {
-        options.push('Add remote origin to existing git repository');
+        options.push({ value: 'add-remote', name: 'Add remote origin to existing git repository' });
     }
 
     // Show remote update option if URL is available, git exists, remote exists, but URLs don't match
     if (hasUrl && hasGit && hasRemote && currentRemoteUrl !== repo.url) {
-        options.push(`Update remote origin (current: ${currentRemoteUrl})`);
+        options.push({ value: 'update-remote', name: `Update remote origin (current: ${currentRemoteUrl})` });
     }
 
     // Always show the "use as-is" option (remove suffix for cleaner display)
-    options.push('Use existing project');
+    options.push({ value: 'use', name: 'Use existing project' });
 
     // Only show delete and re-clone option if URL is available
     if (hasUrl) {
-        options.push('Delete and re-clone from repository');
+        options.push({ value: 'reclone', name: 'Delete and re-clone from repository' });
     }
 
     // Always show skip option
-    options.push('Skip this repository');
-
-    // === INTERACTIVE CHOICE PRESENTATION ===
-    // Use safePrompt for consistent UI and robust validation
-    const { choice } = await safePrompt({
-        type: 'list',
-        name: 'choice',
-        message: 'Choose how to handle this existing project:',
-        allowEmpty: false,
-        emptyMessage: 'You must select an option to proceed.',
-        choices: options.map((option, index) => ({
-            name: option,
-            value: index
-        })),
-        default: options.length - 1 // Use last choice as default
-    });
+    options.push({ value: 'skip', name: 'Skip this repository' });
+
+    // === PRESET ANSWER RESOLUTION ===
+    const available = options.map(option => option.value);
+    const decision = { key: 'existingProject', repo: repo.name };
+    const question = 'Choose how to handle this existing project:';
+    const preset = resolvePresetAnswer(decision.key, decision.repo);
+
+    let choice;
+    if (preset) {
+        if (!available.includes(preset.value)) {
+            throw new Error(`Answer '${preset.value}' for 'existingProject' does not apply to '${repo.name}' (available: ${available.join(', ')})`);
+        }
+        choice = preset.value;
+        logInfo(`Existing project handling: ${chalk.white(options.find(option => option.value === choice).name)} ${chalk.gray(`(${preset.source})`)}`);
+        reportPrompt(question, choice, preset.source, decision);
+    } else if (isNonInteractive) {
+        throw createMissingAnswerError('existingProject', repo.name, available);
+    } else {
+        // === INTERACTIVE CHOICE PRESENTATION ===
+        // Use safePrompt for consistent UI and robust validation
+        ({ choice } = await safePrompt({
+            type: 'list',
+            name: 'choice',
+            message: question,
+            decision,
+            allowEmpty: false,
+            emptyMessage: 'You must select an option to proceed.',
+            choices: options,
+            default: 'skip'
+        }));
+    }
 
     // === CHOICE EXECUTION ===
-    return await executeExistingProjectChoice(repo, repoPath, choice, options, askQuestion);
+    recordAnswer('existingProject', repo.name, choice);
+    return await executeExistingProjectChoice(repo, repoPath, choice, askQuestion);
 
 }
 
@@ -283,7 +307,7 @@ async function handleExistingProjectConflict(repo, repoPath, askQuestion) {
 async function handleNonProjectDirectoryConflict(repo, repoPath, askQuestion) {
     logWarn(`Directory '${chalk.white(repo.name)}' contains files but doesn't appear to be a project.`);
 
-    const answer = await askQuestion(`Do you want to delete it and re-clone? (y/N): `);
+    const answer = await askQuestion(`Do you want to delete it and re-clone? (y/N): `, 'N', { key: 'replaceDirectory', repo: repo.name });
 
     if (answer.toLowerCase() === 'y') {
         logInfo(`Deleting existing directory: ${chalk.white(repoPath)}`);
@@ -310,36 +334,33 @@ PROJECT CHOICE EXECUTION SYSTEM
  *
  * @param {Object} repo - Repository configuration object
  * @param {string} repoPath - Path to the repository directory
- * @param {number} choiceIndex - Zero-based index of user's choice
- * @param {Array<string>} options - The dynamically generated options array
+ * @param {string} choice - Selected option value (init, add-remote, update-remote, use, reclone, skip)
  * @param {Function} askQuestion - Interactive prompt function
  * @returns {Promise<boolean>} True if clone should be skipped
  */
-async function executeExistingProjectChoice(repo, repoPath, choiceIndex, options, askQuestion) {
-    const selectedOption = options[choiceIndex];
-
+async function executeExistingProjectChoice(repo, repoPath, choice, askQuestion) {
     // === OPTION-BASED EXECUTION ===
-    if (selectedOption.includes('Initialize git repository')) {
+    if (choice === 'init') {
         // Initialize new git repository with remote
         return await initializeGitRepository(repo, repoPath, askQuestion);
-    } else if (selectedOption.includes('Add remote origin')) {
+    } else if (choice === 'add-remote') {
         // Add remote to existing git repository
         return await addRemoteToExistingGit(repo, repoPath);
-    } else if (selectedOption.includes('Update remote origin')) {
+    } else if (choice === 'update-remote') {
         // Update existing remote URL
         return await updateExistingRemote(repo, repoPath, askQuestion);
-    } else if (selectedOption.includes('Use existing project')) {
+    } else if (choice === 'use') {
         // Use existing project as-is
         logSuccess(`Using existing project '${chalk.white(repo.name)}'.`);
         repo._existingProject = true;
         return true; // Skip clone, but continue with setup
-    } else if (selectedOption.includes('Delete and re-clone')) {
+    } else if (choice === 'reclone') {
         // Delete and re-clone from repository
         logInfo(`Deleting existing directory: ${chalk.white(repoPath)}`);
         fs.rmSync(repoPath, { recursive: true, force: true });
         logSuccess('Directory deleted successfully');
         return false; // Proceed with clone
-    } else if (selectedOption.includes('Skip this repository')) {
+    } else if (choice === 'skip') {
         // Skip repository
         logInfo(`Skipping repository '${chalk.white(repo.name)}'.`);
         return true; // Skip
@@ -355,6 +376,18 @@ GIT REPOSITORY INITIALIZATION SYSTEM
 ================================================================================
 */
 
+/**
+ * Standard I/O for git commands that report directly to the terminal
+ *
+ * In JSON output mode stdout carries the event stream only, so git's own
+ * output is redirected to stderr.
+ *
+ * @returns {string|Array} stdio option for execSync
+ */
+function getGitStdio() {
+    return isJsonOutput() ? ['inherit', 2, 'inherit'] : 'inherit';
+}
+
 /**
  * Initialize git repository for existing projects with comprehensive validation
  *
@@ -411,7 +444,7 @@ async function handleExistingGitRepository(repo, repoPath, askQuestion) {
             logWarn(`Remote origin is set to: ${chalk.yellow(currentRemote)}`);
             logWarn(`Expected: ${chalk.cyan(repo.url)}`);
 
-            const updateRemote = await askQuestion('Update remote origin URL? (y/N): ');
+            const updateRemote = await askQuestion('Update remote origin URL? (y/N): ', 'N', { key: 'updateRemote', repo: repo.name });
             if (updateRemote.toLowerCase() === 'y') {
                 execSync(`git remote set-url origin ${repo.url}`, { cwd: repoPath });
                 logSuccess('Remote origin URL updated successfully.');
@@ -443,16 +476,16 @@ async function createNewGitRepository(repo, repoPath, askQuestion) {
 
         // === GIT REPOSITORY INITIALIZATION ===
         logInfo(`Initializing git repository in '${chalk.white(repo.name)}'...`);
-        execSync('git init', { cwd: repoPath, stdio: 'inherit' });
+        execSync('git init', { cwd: repoPath, stdio: getGitStdio() });
 
         // === REMOTE ORIGIN CONFIGURATION ===
         logInfo(`Setting remote origin to: ${chalk.cyan(repo.url)}`);
-        execSync(`git remote add origin ${repo.url}`, { cwd: repoPath, stdio: 'inherit' });
+        execSync(`git remote add origin ${repo.url}`, { cwd: repoPath, stdio: getGitStdio() });
 
         logSuccess(`Git repository initialized with remote origin set.`);
 
         // === OPTIONAL INITIAL COMMIT ===
-        const createInitialCommit = await askQuestion('Create initial commit? (Y/n): ');
+        const createInitialCommit = await askQuestion('Create initial commit? (Y/n): ', 'N', { key: 'initialCommit', repo: repo.name });
         if (createInitialCommit.toLowerCase() !== 'n') {
             // Configure git user for the commit (prevents commit failures)
             try {
@@ -463,8 +496,8 @@ async function createNewGitRepository(repo, repoPath, askQuestion) {
             }
 
             // Stage all files and create initial commit
-            execSync('git add .', { cwd: repoPath, stdio: 'inherit' });
-            execSync('git commit -m "Initial commit"', { cwd: repoPath, stdio: 'inherit' });
+            execSync('git add .', { cwd: repoPath, stdio: getGitStdio() });
+            execSync('git commit -m "Initial commit"', { cwd: repoPath, stdio: getGitStdio() });
             logSuccess('Initial commit created successfully.');
         }
 
@@ -474,7 +507,7 @@ async function createNewGitRepository(repo, repoPath, askQuestion) {
     } catch (error) {
         // Git initialization failed - offer fallback options
         logError(`Failed to initialize git repository: ${error.message}`);
-        const continueAnyway = await askQuestion('Continue without git initialization? (y/N): ');
+        const continueAnyway = await askQuestion('Continue without git initialization? (y/N): ', 'N', { key: 'continueWithoutGit', repo: repo.name });
 
         if (continueAnyway.toLowerCase() === 'y') {
             repo._existingProject = true;
@@ -496,7 +529,7 @@ async function addRemoteToExistingGit(repo, repoPath) {
     try {
         execSync(`git remote add origin ${repo.url}`, {
             cwd: repoPath,
-            stdio: 'inherit'
+            stdio: getGitStdio()
         });
         logSuccess(`Remote origin added: ${chalk.white(repo.url)}`);
         repo._existingProject = true;
@@ -516,13 +549,13 @@ async function addRemoteToExistingGit(repo, repoPath) {
  * @returns {Promise<boolean>} True if clone should be skipped
  */
 async function updateExistingRemote(repo, repoPath, askQuestion) {
-    const confirmUpdate = await askQuestion(`Update remote origin to ${repo.url}? (y/n): `);
+    const confirmUpdate = await askQuestion(`Update remote origin to ${repo.url}? (y/n): `, 'N', { key: 'updateRemote', repo: repo.name });
 
     if (confirmUpdate.toLowerCase() === 'y' || confirmUpdate.toLowerCase() === 'yes') {
         try {
             execSync(`git remote set-url origin ${repo.url}`, {
                 cwd: repoPath,
-                stdio: 'inherit'
+                stdio: getGitStdio()
             });
             logSuccess(`Remote origin updated: ${chalk.white(repo.url)}`);
             repo._existingProject = true;
@@ -576,6 +609,7 @@ function detectProjectType(repoPath) {
         { file: 'pyproject.toml', type: 'Python/Poetry' },
         { file: 'Dockerfile', type: 'Docker' },
         { file: 'docker-compose.yml', type: 'Docker Compose' },
+        { file: 'compose.yaml', type: 'Docker Compose' },
         { file: 'Makefile', type: 'Make' },
         { file: 'CMakeLists.txt', type: 'CMake' },
         { file: '.gitignore', type: 'Git project' },
@@ -628,40 +662,184 @@ REPOSITORY CLONING OPERATIONS
  * repository configuration. Handles various scenarios including URL-based
  * cloning and empty folder creation for repositories without URLs.
  *
+ * Cloning runs as an asynchronous child process so several repositories can
+ * be cloned concurrently. Git output is captured line by line and routed
+ * through the given logger instead of being written straight to the terminal,
+ * which keeps the output of parallel clones attributable to their repository.
+ *
+ * Pinned refs from repos.yaml are honored: `branch` and `tag` are passed to
+ * `git clone --branch`, a `commit` is checked out (detached) after cloning.
+ *
  * @param {Object} repo - Repository configuration object
  * @param {string} repoPath - Target path for the repository
+ * @param {Logger} logger - Logger used for all output (e.g. a per-repository child logger)
  * @returns {Promise<void>} Resolves when cloning is complete
  */
-export async function cloneRepository(repo, repoPath) {
+export async function cloneRepository(repo, repoPath, logger = defaultLogger) {
     if (repo._createEmptyFolder) {
         // === EMPTY FOLDER CREATION ===
-        logInfo(`Creating empty folder for '${chalk.white(repo.name)}'...`);
+        logger.info(`Creating empty folder for '${chalk.white(repo.name)}'...`);
         fs.mkdirSync(repoPath, { recursive: true });
-        logSuccess(`Empty folder created: ${chalk.white(repo.name)}`);
+        logger.success(`Empty folder created: ${chalk.white(repo.name)}`);
     } else if (repo.url) {
         // === GIT CLONE OPERATION ===
         try {
-            const { execSync } = await import('child_process');
-
-            logInfo(`Cloning repository '${chalk.white(repo.name)}'...`);
-            logInfo(`Source: ${chalk.cyan(repo.url)}`);
+            logger.info(`Cloning repository '${chalk.white(repo.name)}'...`);
+            logger.info(`Source: ${chalk.cyan(repo.url)}`);
+
+            const pin = getPinnedRef(repo);
+            const cloneArgs = ['clone', repo.url, repoPath];
+            if (pin && pin.type !== 'commit') {
+                logger.info(`Pinned ${pin.type}: ${chalk.cyan(pin.value)}`);
+                cloneArgs.push('--branch', pin.value);
+            }
 
-            // Execute git clone with progress output
-            execSync(`git clone ${repo.url} ${repoPath}`, {
-                stdio: 'inherit',
-                cwd: path.dirname(repoPath)
+            await runGitCommand(cloneArgs, {
+                cwd: path.dirname(repoPath),
+                logger
             });
 
-            logSuccess(`Successfully cloned: ${chalk.white(repo.name)}`);
+            // === COMMIT PINNING ===
+            if (pin?.type === 'commit') {
+                logger.info(`Checking out pinned commit: ${chalk.cyan(pin.value)}`);
+                await runGitCommand(['checkout', '--quiet', '--detach', pin.value], {
+                    cwd: repoPath,
+                    logger
+                });
+            }
+
+            logger.success(`Successfully cloned: ${chalk.white(repo.name)}`);
 
         } catch (error) {
-            logError(`Failed to clone repository '${chalk.white(repo.name)}': ${error.message}`);
+            logger.error(`Failed to clone repository '${chalk.white(repo.name)}': ${error.message}`);
             throw error;
         }
     } else {
         // === FALLBACK HANDLING ===
-        logWarn(`No URL configured for '${chalk.white(repo.name)}', creating empty directory`);
+        logger.warn(`No URL configured for '${chalk.white(repo.name)}', creating empty directory`);
         fs.mkdirSync(repoPath, { recursive: true });
         repo._createEmptyFolder = true;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Check out the exact revision recorded in the lock file
+ *
+ * Used by `setup --frozen`. The recorded commit is fetched if it is not
+ * available locally. When a branch was recorded, that branch is reset to the
+ * commit so the working copy stays on a branch; otherwise HEAD is detached.
+ * A local branch with unpushed commits that are not part of the locked
+ * commit is not reset - those commits would be lost from it - and HEAD is
+ * detached at the locked commit instead. Working copies with uncommitted
+ * changes are never touched.
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} repoPath - Full repository path
+ * @param {Object} revision - Locked revision ({head, branch})
+ * @param {Logger} logger - Logger used for all output
+ * @returns {Promise<void>} Resolves when the revision is checked out
+ * @throws {Error} When the working copy is dirty or the commit cannot be found
+ */
+export async function checkoutRevision(repo, repoPath, revision, logger = defaultLogger) {
+    const git = new GitHelper(repoPath);
+    const status = git.getStatus();
+
+    if (!status) {
+        throw new Error(`'${repo.name}' is not a git repository`);
+    }
+    if (status.head === revision.head && status.branch === revision.branch) {
+        logger.info(`Already at locked revision ${chalk.cyan(revision.head.slice(0, 7))}`);
+        return;
+    }
+    if (status.changed > 0 || status.conflicted > 0) {
+        throw new Error(`'${repo.name}' has uncommitted changes - commit or stash them before running --frozen`);
+    }
+
+    // === COMMIT AVAILABILITY ===
+    if (!git.resolveCommit(revision.head)) {
+        logger.info('Locked commit not available locally, fetching...');
+        await runGitCommand(['fetch', 'origin'], { cwd: repoPath, logger });
+        if (!git.resolveCommit(revision.head)) {
+            throw new Error(`Locked commit ${revision.head} not found in '${repo.name}'`);
+        }
+    }
+
+    // === BRANCH PROTECTION ===
+    // `checkout -B` moves an existing branch - only when none of its commits
+    // would be lost: they are part of the locked commit or pushed to origin
+    const localBranch = revision.branch ? git.resolveCommit(`refs/heads/${revision.branch}`) : null;
+    const onBranch = Boolean(revision.branch) && (!localBranch ||
+        git.isAncestor(localBranch, revision.head) ||
+        git.isAncestor(localBranch, `refs/remotes/origin/${revision.branch}`));
+    if (revision.branch && !onBranch) {
+        logger.warn(`Branch ${chalk.white(revision.branch)} has unpushed commits that are not part of the locked revision - ` +
+            `leaving it unchanged and checking out ${chalk.cyan(revision.head.slice(0, 7))} detached`);
+    }
+
+    // === CHECKOUT ===
+    const checkoutArgs = onBranch
+        ? ['checkout', '--quiet', '-B', revision.branch, revision.head]
+        : ['checkout', '--quiet', '--detach', revision.head];
+    await runGitCommand(checkoutArgs, { cwd: repoPath, logger });
+
+    // Restore tracking so `multirepo sync` can fast-forward the branch later
+    if (onBranch && git.resolveCommit(`origin/${revision.branch}`)) {
+        git.tryRun(['branch', '--quiet', `--set-upstream-to=origin/${revision.branch}`, revision.branch]);
+    }
+
+    logger.success(`Checked out locked revision ${chalk.cyan(revision.head.slice(0, 7))}${onBranch ? ` on ${chalk.white(revision.branch)}` : ' (detached)'}`);
+}
+
+/**
+ * Run a git command asynchronously with captured, line-buffered output
+ *
+ * Output lines are forwarded to the logger as debug messages while the
+ * command runs (visible with --verbose). When the command fails, the
+ * captured stderr is replayed as error messages so the cause is visible
+ * without verbose mode.
+ *
+ * @param {Array<string>} args - Arguments passed to the git executable
+ * @param {Object} options - Execution options
+ * @param {string} options.cwd - Working directory for the command
+ * @param {Logger} options.logger - Logger receiving the command output
+ * @returns {Promise<string>} Captured stdout when the command succeeds
+ */
+function runGitCommand(args, { cwd, logger = defaultLogger }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('git', args, {
+            cwd,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            // Fail instead of waiting for credentials on the terminal in unattended runs
+            env: isNonInteractive ? { ...process.env, GIT_TERMINAL_PROMPT: '0' } : process.env
+        });
+
+        let stdout = '';
+        const stderrLines = [];
+
+        // === LINE-BUFFERED OUTPUT FORWARDING ===
+        // Git uses carriage returns for progress updates, treat them as line breaks
+        const forwardLines = (chunk, collect) => {
+            chunk.toString().split(/[\r\n]+/).filter(line => line.trim() !== '').forEach(line => {
+                collect?.push(line);
+                logger.debug(line);
+            });
+        };
+
+        child.stdout.on('data', chunk => {
+            stdout += chunk.toString();
+            forwardLines(chunk);
+        });
+        child.stderr.on('data', chunk => forwardLines(chunk, stderrLines));
+
+        child.on('error', reject);
+        child.on('close', code => {
+            if (code === 0) {
+                resolve(stdout);
+                return;
+            }
+
+            stderrLines.forEach(line => logger.error(line));
+            reject(new Error(`git ${args[0]} exited with code ${code}`));
+        });
+    });
+}
@@ -35,9 +35,22 @@ import yaml from 'js-yaml';
 // Terminal styling for enhanced visual feedback
 import chalk from 'chalk';
 // Logging system for consistent output formatting
-import { log, logInfo, logQuestion, logSuccess } from '../helper/logger.js';
+import { emitEvent, isJsonOutput, log, logError, logInfo, logQuestion, logSuccess, logWarn } from '../helper/logger.js';
 // Configuration flags for execution mode detection
-import { isDryRun, isVerbose, packagesDir } from './config.js';
+import {
+    addRepositoryDependencies,
+    filterRepositories,
+    getCustomHook,
+    getRepositoryGroups,
+    getRepositoryTags,
+    hasRepositoryFilter,
+    isDryRun,
+    isNonInteractive,
+    isVerbose,
+    packagesDir
+} from './config.js';
+// Preset answers for non-interactive runs
+import { createMissingAnswerError, recordAnswer, resolvePresetAnswer } from './answers.js';
 // Hook system integration for execution plan generation
 import { getHooksForRepo } from './hooks.js';
 
@@ -98,7 +111,8 @@ ADVANCED PROMPT SYSTEM WITH VALIDATION
  *   emptyMessage: 'Error text', // Custom empty selection error
  *   allChoice: 'All items',     // Text for "select all" option
  *   choices: [...],             // Array of choice objects
- *   default: 'defaultValue'     // Default selection
+ *   default: 'defaultValue',    // Default selection
+ *   decision: {key, repo}       // Decision point reported in the prompt event (optional)
  * }
  * ```
  *
@@ -181,13 +195,15 @@ export async function safePrompt(safePromptConfig) {
 
     // === PROMPT EXECUTION AND CLEANUP ===
     // Execute the prompt and handle console cleanup
-    const result = await inquirer.prompt(promptConfig);
+    const output = getPromptOutput();
+    const prompt = output === process.stdout ? inquirer.prompt : inquirer.createPromptModule({ output });
+    const result = await prompt(promptConfig);
 
     // Small delay to ensure prompt completion
     await new Promise(resolve => setTimeout(resolve, 10));
 
     // Clean up console output (remove inquirer artifacts)
-    process.stdout.write('\x1b[1A\x1b[K\r\x1b[K');
+    output.write('\x1b[1A\x1b[K\r\x1b[K');
 
     // === LOGGING AND FEEDBACK ===
     // Log the question for consistency with other UI components
@@ -196,6 +212,7 @@ export async function safePrompt(safePromptConfig) {
     // === SELECTION RESULT PROCESSING ===
     // Process and log the user's selection with appropriate formatting
     const selectedValues = result[safePromptConfig.name];
+    reportPrompt(promptConfig.message, selectedValues, 'user', safePromptConfig.decision ?? { key: safePromptConfig.name });
 
     if (Array.isArray(selectedValues)) {
         // Handle multi-selection results
@@ -231,6 +248,12 @@ SIMPLE INTERACTIVE QUESTION SYSTEM
  * quick confirmations and simple user input scenarios where the full
  * inquirer interface would be overkill.
  *
+ * Preset Answers:
+ * - When the question is a known decision point, answers from --answer flags,
+ *   the answers file or --yes defaults are returned without prompting
+ * - In non-interactive mode an unanswered question rejects instead of blocking
+ * - Answers to decision points are recorded so `setup --resume` can replay them
+ *
  * Dry-Run Handling:
  * - Automatically returns default answer in dry-run mode
  * - Logs what would have been asked for user awareness
@@ -244,21 +267,50 @@ SIMPLE INTERACTIVE QUESTION SYSTEM
  *
  * @param {string} query - Question text to display to the user
  * @param {string} defaultAnswer - Default response if user provides no input
+ * @param {Object} [decision] - Decision point ({key, repo}) for preset answers, see answers.js
  * @returns {Promise<string>} User's response or default answer
  */
-export function askQuestion(query, defaultAnswer = "N") {
+export function askQuestion(query, defaultAnswer = "N", decision = null) {
+    // === PRESET ANSWER HANDLING ===
+    if (decision) {
+        let preset;
+        try {
+            preset = resolvePresetAnswer(decision.key, decision.repo);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        if (preset) {
+            logQuestion(query);
+            logInfo(`Answer: ${chalk.white(preset.value)} ${chalk.gray(`(${preset.source})`)}`);
+            reportPrompt(query, preset.value, preset.source, decision);
+            recordAnswer(decision.key, decision.repo, preset.value);
+            return Promise.resolve({ yes: 'y', no: 'n' }[preset.value] ?? preset.value);
+        }
+    }
+
     // === DRY-RUN MODE HANDLING ===
     // In dry-run mode, simulate the question without user interaction
     if (isDryRun) {
         logInfo(`Dry run: ${query} (Default: ${defaultAnswer})`);
+        reportPrompt(query, defaultAnswer, 'dry run', decision);
         return Promise.resolve(defaultAnswer);
     }
 
+    // === NON-INTERACTIVE MODE ===
+    // Never block on stdin when running unattended
+    if (isNonInteractive) {
+        return Promise.reject(decision
+            ? createMissingAnswerError(decision.key, decision.repo)
+            : new Error(`Cannot ask '${query}' in non-interactive mode`));
+    }
+
     // === READLINE INTERFACE SETUP ===
     // Create readline interface for terminal input/output
+    const output = getPromptOutput();
     const rl = readline.createInterface({
         input: process.stdin,
-        output: process.stdout,
+        output,
     });
 
     // === QUESTION DISPLAY ===
@@ -274,11 +326,15 @@ export function askQuestion(query, defaultAnswer = "N") {
 
             // === CONSOLE CLEANUP ===
             // Remove the input line for clean output
-            process.stdout.write('\x1b[1A\x1b[K\r\x1b[K');
+            output.write('\x1b[1A\x1b[K\r\x1b[K');
 
             // === ANSWER LOGGING ===
             // Log the final answer for record keeping
             logInfo(`Answer: ${chalk.white(answer)}`);
+            reportPrompt(query, answer, 'user', decision);
+            if (decision) {
+                recordAnswer(decision.key, decision.repo, answer);
+            }
 
             // === CLEANUP AND RESOLUTION ===
             rl.close();
@@ -287,6 +343,36 @@ export function askQuestion(query, defaultAnswer = "N") {
     });
 }
 
+/**
+ * Terminal stream interactive prompts render on
+ *
+ * In JSON output mode stdout carries the event stream only, so prompts are
+ * rendered on stderr instead.
+ *
+ * @returns {stream.Writable} process.stdout, or process.stderr in JSON output mode
+ */
+function getPromptOutput() {
+    return isJsonOutput() ? process.stderr : process.stdout;
+}
+
+/**
+ * Report an answered question as a prompt event (JSON output mode)
+ *
+ * @param {string} query - Question text
+ * @param {string|Array<string>} answer - Given answer
+ * @param {string} source - Where the answer came from ('user', 'dry run' or the preset source)
+ * @param {Object|null} decision - Decision point ({key, repo}) if the question has one
+ */
+export function reportPrompt(query, answer, source, decision) {
+    emitEvent('prompt', {
+        ...(decision?.repo ? { repo: decision.repo } : {}),
+        key: decision?.key ?? null,
+        question: query.trim(),
+        answer,
+        source
+    });
+}
+
 /*
 ================================================================================
 REPOSITORY SELECTION SYSTEM
@@ -304,8 +390,9 @@ REPOSITORY SELECTION SYSTEM
  * Selection Logic:
  * 1. Single repository: Automatically proceed without prompting
  * 2. Multiple repositories: Present interactive selection interface
- * 3. Dry-run mode: Skip selection and proceed with all repositories
+ * 3. Dry-run and non-interactive mode: Skip selection and proceed with all repositories
  * 4. "Select All" option: Allow quick selection of all repositories
+ * 5. Group and tag entries: Select every member of a group or tag at once
  *
  * User Experience Features:
  * - Clear repository identification and descriptions
@@ -315,9 +402,11 @@ REPOSITORY SELECTION SYSTEM
  * - Consistent formatting and visual feedback
  *
  * @param {Object} allRepos - Complete repository configuration from repos.yaml
+ * @param {string} message - Prompt message shown above the checkbox list
+ * @param {Object} groups - Group name to repository name list (repos.yaml `groups`)
  * @returns {Promise<Array>} Array of selected repository configuration objects
  */
-export async function promptForRepositories(allRepos) {
+export async function promptForRepositories(allRepos, message = 'Which repositories would you like to set up?', groups = {}) {
     // === REPOSITORY NORMALIZATION ===
     // Convert repos object to consistent array format for processing
     let reposToProcess = Object.entries(allRepos).map(([name, data]) => ({
@@ -345,10 +434,29 @@ export async function promptForRepositories(allRepos) {
         return reposToProcess;
     }
 
+    // === NON-INTERACTIVE MODE HANDLING ===
+    if (isNonInteractive) {
+        logInfo('Skipping repository selection in non-interactive mode - processing all repositories');
+        return reposToProcess;
+    }
+
     // === INTERACTIVE SELECTION PROMPT ===
     try {
+        // Group and tag entries expand to their member repositories after selection
+        const collections = {};
+        Object.entries(groups).forEach(([name, members]) => { collections[`group:${name}`] = members; });
+        Object.entries(getRepositoryTags(allRepos)).forEach(([tag, members]) => { collections[`tag:${tag}`] = members; });
+
+        const collectionChoices = Object.entries(collections).map(([value, members]) => {
+            const [kind, name] = value.split(':');
+            return {
+                name: `${kind === 'group' ? 'Group' : 'Tag'}: ${name}` + chalk.gray(` (${members.join(', ')})`),
+                value
+            };
+        });
+
         // Build choice list with repository names and metadata
-        const choices = reposToProcess.map(repo => {
+        const repoChoices = reposToProcess.map(repo => {
             // Create descriptive choice names with additional context
             let choiceName = repo.name;
 
@@ -365,11 +473,17 @@ export async function promptForRepositories(allRepos) {
             };
         });
 
+        // Separate group/tag entries from single repositories (same dynamic import as safePrompt)
+        const inquirer = (await import('inquirer')).default;
+        const choices = collectionChoices.length > 0
+            ? [...collectionChoices, new inquirer.Separator(), ...repoChoices]
+            : repoChoices;
+
         // Execute repository selection prompt
         const { selections } = await safePrompt({
             type: 'checkbox',
             name: 'selections',
-            message: 'Which repositories would you like to set up?',
+            message,
             allowEmpty: false,
             emptyMessage: 'You must choose at least one repository to proceed.',
             allChoice: 'All Repositories',
@@ -381,7 +495,8 @@ export async function promptForRepositories(allRepos) {
         // Filter repositories based on user selection
         if (!selections.includes('all')) {
             const originalCount = reposToProcess.length;
-            reposToProcess = reposToProcess.filter(repo => selections.includes(repo.name));
+            const selectedNames = new Set(selections.flatMap(value => collections[value] || [value]));
+            reposToProcess = reposToProcess.filter(repo => selectedNames.has(repo.name));
 
             logInfo(`Selected ${chalk.cyan(reposToProcess.length)} of ${chalk.cyan(originalCount)} available repositories`);
         } else {
@@ -397,6 +512,58 @@ export async function promptForRepositories(allRepos) {
     return reposToProcess;
 }
 
+/**
+ * Resolve the repositories a command should operate on
+ *
+ * Uses the command-line filter (--only, --tag, --exclude) when one was given
+ * and falls back to the interactive selection otherwise. Unknown repository,
+ * group or tag names are rejected so typos don't silently change the selection.
+ *
+ * With `withDependencies`, repositories listed in `dependsOn` of a selected
+ * repository are selected automatically - unless --exclude removes them.
+ *
+ * @param {Object} config - Parsed repos.yaml content ({repos, groups})
+ * @param {Object} filter - Selection filter ({only, tags, exclude}, see config.js)
+ * @param {string} message - Prompt message used for the interactive fallback
+ * @param {Object} options - Selection options
+ * @param {boolean} options.withDependencies - Add the `dependsOn` repositories of the selection
+ * @returns {Promise<Array>} Array of selected repository configuration objects
+ * @throws {Error} When the filter is invalid or matches no repository
+ */
+export async function selectRepositories(config, filter = {}, message, { withDependencies = false } = {}) {
+    let selected;
+
+    if (!hasRepositoryFilter(filter)) {
+        selected = await promptForRepositories(config.repos || {}, message, getRepositoryGroups(config));
+    } else {
+        // === COMMAND-LINE FILTER ===
+        selected = filterRepositories(config, filter);
+        if (selected.length === 0) {
+            throw new Error('No repositories match the given --only/--tag/--exclude selection');
+        }
+
+        logInfo(`Selected ${chalk.cyan(selected.length)} repositories from command line: ${chalk.white(selected.map(r => r.name).join(', '))}`);
+    }
+
+    if (!withDependencies) {
+        return selected;
+    }
+
+    // === DEPENDENCY AUTO-SELECTION ===
+    // Only --exclude can keep a dependency out of the selection
+    const candidates = filterRepositories(config, { exclude: filter.exclude || [] });
+    const { repos, added, unavailable } = addRepositoryDependencies(config, selected, candidates);
+
+    if (added.length > 0) {
+        logInfo(`Added required dependencies: ${chalk.white(added.join(', '))}`);
+    }
+    if (unavailable.length > 0) {
+        logWarn(`Excluded dependencies will not be set up: ${chalk.white(unavailable.join(', '))}`);
+    }
+
+    return repos;
+}
+
 /*
 ================================================================================
 DRY-RUN VISUALIZATION AND REPORTING SYSTEM
@@ -446,8 +613,8 @@ export function displayDryRunSummary(repos) {
                     type: repo.url ? 'git-repository' : 'local-project',
                     traits: repo.traits || [],
                     hasCustomScripts: {
-                        preClone: !!(repo.preClone && repo.preClone.endsWith('.js')),
-                        postClone: !!(repo.postClone && repo.postClone.endsWith('.js'))
+                        preClone: !!getCustomHook(repo, 'preClone')?.run.endsWith('.js'),
+                        postClone: !!getCustomHook(repo, 'postClone')?.run.endsWith('.js')
                     }
                 },
 
@@ -540,11 +707,11 @@ export function displayDryRunSummary(repos) {
             }
 
             const customScripts = [];
-            if (repo.preClone && repo.preClone.endsWith('.js')) {
-                customScripts.push(`preClone: ${repo.preClone}`);
-            }
-            if (repo.postClone && repo.postClone.endsWith('.js')) {
-                customScripts.push(`postClone: ${repo.postClone}`);
+            for (const hookType of ['preClone', 'postClone']) {
+                const customHook = getCustomHook(repo, hookType);
+                if (customHook?.run.endsWith('.js')) {
+                    customScripts.push(`${hookType}: ${customHook.run}`);
+                }
             }
             if (customScripts.length > 0) {
                 log(chalk.gray(`   🔧 Custom scripts: ${chalk.cyan(customScripts.join(', '))}`));
@@ -0,0 +1,273 @@
+/*
+================================================================================
+File: scripts/exec.js (Workspace-Wide Command Execution)
+Description: Runs an arbitrary shell command inside every selected repository
+             of the multirepo workspace (e.g. `multirepo exec -- npm test`).
+             Commands are executed with the same environment as command hooks
+             (REPO_NAME, REPO_PATH, HOOK_TYPE), either one repository at a time
+             or concurrently, and finish with an aggregated exit-code summary.
+
+Key Responsibilities:
+- Run the user command given after the `--` separator (or by the API caller)
+- Select repositories via --only/--tag/--exclude or the interactive selection prompt
+- Execute sequentially or in parallel (--parallel / --jobs N)
+- Prefix every output line with its repository name
+- Summarize exit codes and return them as the command result
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for repository existence checks
+import fs from 'fs';
+// Terminal styling for prefixes and summary output
+import chalk from 'chalk';
+
+// === LOGGING SYSTEM ===
+import {
+    emitEvent,
+    groupEnd,
+    groupEndAll,
+    groupStart,
+    isJsonOutput,
+    logError,
+    logInfo,
+    logSuccess,
+    logWarn
+} from './helper/logger.js';
+
+// === CONFIGURATION MANAGEMENT ===
+import {
+    isDryRun,
+    jobs,
+    loadConfiguration,
+    repositoryFilter
+} from './core/config.js';
+
+// === REPOSITORY SELECTION AND EXECUTION ===
+import { selectRepositories } from './core/ui.js';
+import { getRepositoryPath } from './core/repository.js';
+import { runRepositoryCommand } from './core/hooks.js';
+import { runWithConcurrency } from './helper/concurrency.js';
+
+/*
+================================================================================
+OUTPUT FORMATTING
+================================================================================
+*/
+
+// Colors cycled through to tell repository prefixes apart
+const PREFIX_COLORS = [chalk.cyan, chalk.magenta, chalk.yellow, chalk.green, chalk.blue];
+
+/*
+================================================================================
+MAIN EXECUTION ORCHESTRATION
+================================================================================
+*/
+
+/**
+ * Entry point for the exec command
+ *
+ * Options:
+ * - parallel: Run in all selected repositories at once (unless jobs is given)
+ * - jobs: Explicit concurrency limit (--jobs), takes precedence over parallel
+ * - onOutput: Receives every output line ({repo, line, stream}) instead of the
+ *   prefixed console output
+ *
+ * The command runs through `sh -c`. Command words are quoted one by one, so
+ * arguments keep their spaces (`exec -- git commit -m "two words"`); a single
+ * word or a string is run as written and may use shell syntax (pipes, &&).
+ *
+ * @param {Array<string>|string} commandArgs - User command (words after `--` or a command string)
+ * @param {Object} options - Execution options (see above)
+ * @returns {Promise<Object>} Exec result ({exitCode, command, results, error?})
+ */
+export async function runExec(commandArgs, { parallel = false, jobs: jobLimit = null, onOutput = null } = {}) {
+    groupEndAll();
+    let exitCode = 0;
+    let results = [];
+    const command = buildShellCommand(commandArgs);
+
+    try {
+        if (command === '') {
+            throw new Error('No command given. Usage: multirepo exec [options] -- <command>');
+        }
+
+        // === REPOSITORY SELECTION ===
+        groupStart('Repository Selection');
+        let repos;
+        try {
+            const config = await loadConfiguration();
+            repos = await selectRepositories(config, repositoryFilter, `Which repositories should run '${command}'?`);
+        } finally {
+            groupEnd();
+        }
+
+        // === EXECUTION ===
+        // Run all selected repositories at once unless --jobs sets an explicit limit
+        const concurrency = jobLimit ? jobs : (parallel ? repos.length : 1);
+        groupStart(`Executing '${command}' in ${repos.length} repositories (${concurrency > 1 ? `${concurrency} parallel` : 'sequential'})`);
+        try {
+            results = await executeInRepositories(repos, command, concurrency, onOutput);
+        } finally {
+            groupEnd();
+        }
+
+        // === SUMMARY ===
+        exitCode = displayExecutionSummary(results);
+
+    } catch (error) {
+        logError(`Exec failed: ${error.message}`);
+        return { exitCode: 1, command, results, error: error.message };
+    } finally {
+        groupEndAll();
+    }
+
+    return { exitCode, command, results };
+}
+
+/*
+================================================================================
+COMMAND EXECUTION
+================================================================================
+*/
+
+/**
+ * Quote a command word for the POSIX shell
+ *
+ * @param {string} word - Command word
+ * @returns {string} Word as is when it has no special characters, single-quoted otherwise
+ */
+export function quoteShellArgument(word) {
+    const text = String(word);
+    return /^[\w@%+=:,./-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Build the shell command line of the user command
+ *
+ * @param {Array<string>|string} commandArgs - Command words or command string
+ * @returns {string} Command line for `sh -c` ('' when no command is given)
+ */
+export function buildShellCommand(commandArgs) {
+    if (!Array.isArray(commandArgs)) {
+        return String(commandArgs ?? '').trim();
+    }
+    // A single word is a command string (`exec -- 'npm ci && npm test'`)
+    return commandArgs.length === 1 ? String(commandArgs[0]).trim() : commandArgs.map(quoteShellArgument).join(' ');
+}
+
+/**
+ * Run the command in every repository with bounded concurrency
+ *
+ * Repositories whose directory does not exist are skipped. Each output line
+ * is printed as soon as it arrives, prefixed with the padded repository name
+ * (emitted as output event in JSON output mode).
+ *
+ * @param {Array<Object>} repos - Selected repository configuration objects
+ * @param {string} command - Shell command to run
+ * @param {number} concurrency - Maximum number of concurrently running commands
+ * @param {Function|null} onOutput - Output line callback (default: prefixed console output)
+ * @returns {Promise<Array<Object>>} Result per repository ({name, status, code, duration})
+ */
+async function executeInRepositories(repos, command, concurrency, onOutput) {
+    const nameWidth = Math.max(...repos.map(repo => repo.name.length));
+
+    const settled = await runWithConcurrency(repos, concurrency, async (repo, index) => {
+        const repoPath = getRepositoryPath(repo.name);
+
+        if (!fs.existsSync(repoPath)) {
+            logWarn(`Skipping '${chalk.white(repo.name)}': directory does not exist (run setup first)`);
+            return { name: repo.name, status: 'skipped', code: null, duration: 0 };
+        }
+
+        if (isDryRun) {
+            logInfo(`Would run in ${chalk.white(repo.name)}: ${chalk.cyan(command)}`);
+            return { name: repo.name, status: 'skipped', code: null, duration: 0 };
+        }
+
+        // === PREFIXED OUTPUT STREAMING ===
+        const color = PREFIX_COLORS[index % PREFIX_COLORS.length];
+        const prefix = color(`[${repo.name.padEnd(nameWidth)}]`);
+
+        const startTime = Date.now();
+        const code = await runRepositoryCommand(command, {
+            repo,
+            cwd: repoPath,
+            hookType: 'exec',
+            onOutput: (line, stream) => {
+                if (onOutput) {
+                    onOutput({ repo: repo.name, line, stream });
+                } else if (isJsonOutput()) {
+                    emitEvent('output', { repo: repo.name, phase: 'exec', stream, line });
+                } else {
+                    (stream === 'stderr' ? console.error : console.log)(`${prefix} ${line}`);
+                }
+            }
+        });
+
+        return {
+            name: repo.name,
+            status: code === 0 ? 'success' : 'failed',
+            code,
+            duration: Date.now() - startTime
+        };
+    });
+
+    // Spawn failures (e.g. missing shell) surface as rejected entries
+    return settled.map(({ item, status, value, reason }) => status === 'fulfilled' ? value : {
+        name: item.name,
+        status: 'failed',
+        code: null,
+        duration: 0,
+        error: reason.message
+    });
+}
+
+/*
+================================================================================
+SUMMARY REPORTING
+================================================================================
+*/
+
+/**
+ * Print the aggregated exit-code summary
+ *
+ * @param {Array<Object>} results - Results from executeInRepositories
+ * @returns {number} Process exit code (1 if any repository failed)
+ */
+function displayExecutionSummary(results) {
+    groupStart('Execution Summary');
+
+    try {
+        const nameWidth = Math.max(...results.map(result => result.name.length));
+
+        results.forEach(result => {
+            const name = chalk.white(result.name.padEnd(nameWidth));
+            const duration = chalk.gray(`(${(result.duration / 1000).toFixed(1)}s)`);
+
+            if (result.status === 'success') {
+                logSuccess(`${name}  exit 0 ${duration}`);
+            } else if (result.status === 'skipped') {
+                logWarn(`${name}  skipped`);
+            } else {
+                logError(`${name}  ${result.error ? result.error : `exit ${result.code}`} ${duration}`);
+            }
+        });
+
+        const succeeded = results.filter(r => r.status === 'success').length;
+        const failed = results.filter(r => r.status === 'failed').length;
+        const skipped = results.filter(r => r.status === 'skipped').length;
+
+        const totals = `${chalk.green(succeeded)} succeeded, ${chalk.red(failed)} failed, ${chalk.yellow(skipped)} skipped`;
+        if (failed > 0) {
+            logError(`Command failed in ${failed} of ${results.length} repositories: ${totals}`);
+            return 1;
+        }
+
+        logSuccess(`Command finished: ${totals}`);
+        return 0;
+
+    } finally {
+        groupEnd();
+    }
+}
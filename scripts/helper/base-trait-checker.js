@@ -13,6 +13,8 @@ Key Responsibilities:
 - Context management and state propagation across validation phases
 - Abstract method definitions for trait-specific validation logic
 - Common utility methods for cross-trait functionality
+- Structured findings collection (report()) returned as check() result
+- Remediation registration for findings (setup --fix)
 - Trait relationship management and suggestion logic
 - Security and maintenance recommendation generation
 
@@ -23,6 +25,13 @@ Validation Workflow (Template Method Pattern):
 4. validateStructure() - Directory and file structure validation (optional)
 5. provideSuggestions() - Enhancement and optimization suggestions (optional)
 
+Findings:
+Problems are reported with this.report({severity, code, message, file, fix})
+instead of being logged only. check() returns the collected findings
+({trait, passed, errors, warnings, findings}); whether they fail the hook is
+decided by the hook runner (errors always, warnings with `setup --strict`).
+Checkers never terminate the process.
+
 Helper Integration:
 - PackageJsonHelper: Package.json analysis and dependency management
 - ConfigFileHelper: Configuration file detection and validation
@@ -37,6 +46,10 @@ import { PackageJsonHelper } from './package-json-helper.js';
 import { ConfigFileHelper } from './config-file-helper.js';
 import { DirectoryHelper } from './directory-helper.js';
 import { TraitAdviser } from './trait-adviser.js';
+// Trait suggestions listed in the setup report (setup --report)
+import { recordTraitSuggestion } from './setup-report.js';
+// Structured findings returned by check()
+import { TraitFindings } from './trait-findings.js';
 // Logging system for validation feedback and progress reporting
 import { defaultLogger, logInfo } from './logger.js';
 // Terminal styling for enhanced visual feedback
@@ -137,6 +150,10 @@ export class BaseTraitChecker {
         // Store complete context for future reference and helper initialization
         this.context = context;
 
+        // === FINDINGS COLLECTOR ===
+        // Shared with the helpers, so their findings end up in the check result
+        this.findings = new TraitFindings(this.traitName, this.logger);
+
         // === HELPER CLASS LIFECYCLE MANAGEMENT ===
         // Initialize or reinitialize all helper classes with current context
         this.initializeHelpers();
@@ -156,15 +173,15 @@ export class BaseTraitChecker {
     initializeHelpers() {
         // === PACKAGE ANALYSIS HELPER ===
         // Specialized helper for package.json analysis and dependency management
-        this.packageHelper = new PackageJsonHelper(this.cwd);
+        this.packageHelper = new PackageJsonHelper(this.cwd, this.findings);
 
         // === CONFIGURATION FILE HELPER ===
         // Specialized helper for configuration file detection and validation
-        this.configHelper = new ConfigFileHelper(this.cwd);
+        this.configHelper = new ConfigFileHelper(this.cwd, this.findings);
 
         // === DIRECTORY STRUCTURE HELPER ===
         // Specialized helper for file system structure analysis
-        this.directoryHelper = new DirectoryHelper(this.cwd);
+        this.directoryHelper = new DirectoryHelper(this.cwd, this.findings);
 
         // === TRAIT RECOMMENDATION ENGINE ===
         // Intelligent system for suggesting additional relevant traits
@@ -220,46 +237,100 @@ export class BaseTraitChecker {
      * 5. Directory structure validation (optional)
      * 6. Enhancement suggestions (optional)
      *
+     * A phase can end the workflow early with stopValidation(); the phases
+     * after it are skipped.
+     *
+     * An exception thrown by a validation phase (e.g. a required file missing)
+     * is recorded as error finding before it is rethrown; the findings
+     * collected until then are attached to it as `findings`.
+     *
      * @param {Object} context - Execution context (optional if already set)
+     * @returns {Promise<Object>} Check result ({trait, passed, errors, warnings, findings})
+     * @throws {Error} When a validation phase throws
      */
     async check(context) {
         // === CONTEXT MANAGEMENT ===
         // Update context if provided or if no context exists
         if (context || !this.context) {
             this.setContext(context);
+        } else {
+            this.findings.reset();
         }
 
         this.logger.info(`Starting comprehensive validation for ${chalk.cyan(this.traitName)} trait`);
 
         try {
             // === VALIDATION PHASE EXECUTION ===
-            // Execute each validation phase in the defined order
-
-            await this.validateCore();
-            this.logger.info(`Core validation completed for ${this.traitName}`);
-
-            await this.validateConfiguration();
-            this.logger.info(`Configuration validation completed for ${this.traitName}`);
-
-            await this.validateDependencies();
-            this.logger.info(`Dependency validation completed for ${this.traitName}`);
-
-            await this.validateStructure();
-            this.logger.info(`Structure validation completed for ${this.traitName}`);
-
-            await this.provideSuggestions();
-            this.logger.info(`Suggestions generated for ${this.traitName}`);
+            // Execute each validation phase in the defined order, until a
+            // phase calls stopValidation()
+            this.stopReason = null;
+            const phases = [
+                [() => this.validateCore(), 'Core validation completed'],
+                [() => this.validateConfiguration(), 'Configuration validation completed'],
+                [() => this.validateDependencies(), 'Dependency validation completed'],
+                [() => this.validateStructure(), 'Structure validation completed'],
+                [() => this.provideSuggestions(), 'Suggestions generated']
+            ];
+
+            for (const [runPhase, completed] of phases) {
+                await runPhase();
+                this.logger.info(`${completed} for ${this.traitName}`);
+
+                if (this.stopReason) {
+                    this.logger.info(`Remaining validation phases skipped for ${this.traitName}: ${this.stopReason}`);
+                    break;
+                }
+            }
 
             // === COMPLETION REPORTING ===
-            this.logger.success(`All validation phases completed successfully for ${chalk.cyan(this.traitName)} trait`);
+            const result = this.findings.getResult();
+            if (result.passed) {
+                this.logger.success(`All validation phases completed for ${chalk.cyan(this.traitName)} trait` +
+                    (result.warnings > 0 ? ` with ${result.warnings} warning(s)` : ''));
+            } else {
+                this.logger.error(`Validation of ${chalk.cyan(this.traitName)} trait found ${result.errors} error(s)`);
+            }
+            return result;
 
         } catch (error) {
             // === ERROR HANDLING ===
-            this.logger.error(`Validation failed for ${this.traitName} trait: ${error.message}`);
+            if (!error.finding) {
+                this.report({ severity: 'error', code: 'check-failed', message: `Validation failed for ${this.traitName} trait: ${error.message}` });
+            }
+            error.findings = this.findings.getResult().findings;
             throw error;
         }
     }
 
+    /**
+     * Skip the validation phases after the running one
+     *
+     * For findings that make the later phases meaningless, e.g. the framework
+     * dependency itself missing - the later phases would only report follow-up
+     * findings of the same problem. The running phase should return after
+     * calling this method.
+     *
+     * @param {string} reason - Why the remaining phases are skipped (logged)
+     */
+    stopValidation(reason) {
+        this.stopReason = reason;
+    }
+
+    /**
+     * Record a finding of this check
+     *
+     * The finding is logged at the level of its severity and returned by
+     * check() - see TraitFindings.report() in trait-findings.js. A
+     * `remediation` (remediation.js) registers the automatic fix that
+     * `setup --fix` offers for the finding.
+     *
+     * @param {Object} finding - Finding ({severity, code, message, file, fix, remediation})
+     * @returns {Object} Recorded finding
+     */
+    report(finding) {
+        return this.findings.report(finding);
+    }
+
     /*
     ============================================================================
     ABSTRACT VALIDATION METHODS (TEMPLATE METHOD HOOKS)
@@ -276,7 +347,7 @@ export class BaseTraitChecker {
      * Implementation Requirements:
      * - Must be implemented by all subclasses
      * - Should validate core trait requirements
-     * - Should throw descriptive errors for validation failures
+     * - Should report unmet requirements as error findings (this.report())
      * - Should use this.logger for consistent output
      *
      * @throws {Error} Must be implemented by subclasses
@@ -416,6 +487,7 @@ export class BaseTraitChecker {
 
             if (shouldSuggest) {
                 this.logger.info(`Trait Suggestion: ${message}`);
+                recordTraitSuggestion(traitName, message);
             }
         } catch (error) {
             this.logger.warn(`Trait suggestion detection failed for ${traitName}: ${error.message}`);
@@ -17,6 +17,7 @@ Key Responsibilities:
 - Cache optimization statistics and reporting
 - Force execution override handling for development workflows
 - Integrity validation for cache consistency
+- Revision snapshots (HEAD SHA and branch) for reproducible workspaces
 
 Cache Decision Matrix:
 - PreClone: Based on repos.yaml, trait scripts, and custom preClone scripts
@@ -31,10 +32,60 @@ import fs from 'fs';
 import path from 'path';
 // Lock file management for persistent cache state
 import { LockFileManager } from './lockfile.js';
+// Git working copy inspection for revision snapshots
+import { GitHelper } from './git-helper.js';
 // Configuration flags for cache behavior control
-import { cacheOptions, isDryRun } from '../core/config.js';
+import { cacheOptions, customScriptsDir, getCustomHook, isDryRun, isFix, packagesDir, reposFilePath } from '../core/config.js';
 // Logging system for cache operation feedback
-import { logInfo, logWarn, logSuccess } from './logger.js';
+import { emitEvent, logInfo, logWarn, logSuccess } from './logger.js';
+// Answers given during the run, persisted for setup --resume
+import { getRecordedAnswers } from '../core/answers.js';
+
+/*
+================================================================================
+DEPENDENCY FILE MATRIX
+================================================================================
+*/
+
+// === MONITORED DEPENDENCY FILES ===
+// Package manager manifests and lock files whose changes require a postClone re-run
+export const DEPENDENCY_FILES = [
+    // Node.js ecosystem
+    'package.json',
+    'package-lock.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+
+    // PHP ecosystem
+    'composer.json',
+    'composer.lock',
+
+    // Python ecosystem
+    'requirements.txt',
+    'pyproject.toml',
+    'poetry.lock',
+    'Pipfile',
+    'Pipfile.lock',
+
+    // Ruby ecosystem
+    'Gemfile.lock',
+
+    // Go ecosystem
+    'go.mod',
+    'go.sum',
+
+    // Rust ecosystem
+    'Cargo.toml',
+    'Cargo.lock',
+
+    // Java ecosystem
+    'pom.xml',
+    'build.gradle',
+    'build.gradle.kts',
+    'settings.gradle',
+    'settings.gradle.kts',
+    'gradle.lockfile'
+];
 
 /*
 ================================================================================
@@ -74,6 +125,8 @@ export class CacheManager {
         // === DEPENDENCY MANAGEMENT ===
         this.lockManager = new LockFileManager(); // Persistent state storage
         this.initialized = false; // Lazy initialization flag
+        this.setupRun = null; // Progress of the current setup run (setup --resume)
+        this.cacheDecisions = {}; // Reported decisions per repository and phase (setup report)
     }
 
     /*
@@ -164,48 +217,43 @@ export class CacheManager {
      *
      * @param {Object} repo - Repository configuration object
      * @param {string} repoPath - Full path to repository directory
+     * @param {boolean} reportEvent - Emit a cache.hit/cache.miss event (false for statistics)
      * @returns {boolean} True if preClone can be skipped safely
      */
-    canSkipPreClone(repo, repoPath) {
+    canSkipPreClone(repo, repoPath, reportEvent = true) {
         // === FORCE EXECUTION CHECK ===
         // Always execute if user explicitly requested cache bypass
         if (this.shouldForceExecution('preClone')) {
-            logInfo(`Forcing preClone execution for ${repo.name} (cache override)`);
-            return false;
+            return this.reportCacheDecision(repo, 'preClone', false, 'cache override', reportEvent);
         }
 
         // === PREVIOUS SUCCESS VALIDATION ===
         // Cannot skip if no previous successful execution exists
         const repoData = this.lockManager.getRepositoryData(repo.name);
         if (!repoData || repoData.preCloneStatus !== 'success') {
-            logInfo(`preClone needed for ${repo.name} (no previous success)`);
-            return false;
+            return this.reportCacheDecision(repo, 'preClone', false, 'no previous success', reportEvent);
         }
 
         // === CONFIGURATION CHANGE DETECTION ===
         // Check if repos.yaml has been modified since last execution
         if (this.lockManager.hasReposYamlChanged()) {
-            logInfo(`preClone needed for ${repo.name} (repos.yaml changed)`);
-            return false;
+            return this.reportCacheDecision(repo, 'preClone', false, 'repos.yaml changed', reportEvent);
         }
 
         // === TRAIT SCRIPT CHANGE DETECTION ===
         // Check if any trait scripts used by this repository have changed
         if (this.lockManager.haveTraitScriptsChanged(repo.traits, 'preClone')) {
-            logInfo(`preClone needed for ${repo.name} (trait scripts changed)`);
-            return false;
+            return this.reportCacheDecision(repo, 'preClone', false, 'trait scripts changed', reportEvent);
         }
 
         // === CUSTOM SCRIPT CHANGE DETECTION ===
         // Check if repository-specific custom preClone script has changed
         if (this.hasCustomScriptChanged(repo, 'preClone', repoData)) {
-            logInfo(`preClone needed for ${repo.name} (custom script changed)`);
-            return false;
+            return this.reportCacheDecision(repo, 'preClone', false, 'custom script changed', reportEvent);
         }
 
         // === CACHE HIT - OPERATION CAN BE SKIPPED ===
-        logSuccess(`preClone can be skipped for ${repo.name} (no changes detected)`);
-        return true;
+        return this.reportCacheDecision(repo, 'preClone', true, 'no changes detected', reportEvent);
     }
 
     /*
@@ -234,55 +282,94 @@ export class CacheManager {
      *
      * @param {Object} repo - Repository configuration object
      * @param {string} repoPath - Full path to repository directory
+     * @param {boolean} reportEvent - Emit a cache.hit/cache.miss event (false for statistics)
      * @returns {boolean} True if postClone can be skipped safely
      */
-    canSkipPostClone(repo, repoPath) {
+    canSkipPostClone(repo, repoPath, reportEvent = true) {
         // === FORCE EXECUTION CHECK ===
         // Always execute if user explicitly requested cache bypass
         if (this.shouldForceExecution('postClone')) {
-            logInfo(`Forcing postClone execution for ${repo.name} (cache override)`);
-            return false;
+            return this.reportCacheDecision(repo, 'postClone', false, 'cache override', reportEvent);
+        }
+
+        // === FIX MODE ===
+        // Trait checks have to run again to offer the fixes of their findings
+        if (isFix) {
+            return this.reportCacheDecision(repo, 'postClone', false, 'fixes requested (--fix)', reportEvent);
         }
 
         // === PREVIOUS SUCCESS VALIDATION ===
         // Cannot skip if no previous successful execution exists
         const repoData = this.lockManager.getRepositoryData(repo.name);
         if (!repoData || repoData.postCloneStatus !== 'success') {
-            logInfo(`postClone needed for ${repo.name} (no previous success)`);
-            return false;
+            return this.reportCacheDecision(repo, 'postClone', false, 'no previous success', reportEvent);
         }
 
         // === REPOSITORY CONTENT CHANGE DETECTION ===
         // Check if repository files have been modified since last execution
         if (this.lockManager.hasRepositoryChanged(repo.name, repoPath)) {
-            logInfo(`postClone needed for ${repo.name} (repository content changed)`);
-            return false;
+            return this.reportCacheDecision(repo, 'postClone', false, 'repository content changed', reportEvent);
         }
 
         // === TRAIT SCRIPT CHANGE DETECTION ===
         // Check if any trait scripts used by this repository have changed
         if (this.lockManager.haveTraitScriptsChanged(repo.traits, 'postClone')) {
-            logInfo(`postClone needed for ${repo.name} (trait scripts changed)`);
-            return false;
+            return this.reportCacheDecision(repo, 'postClone', false, 'trait scripts changed', reportEvent);
         }
 
         // === CUSTOM SCRIPT CHANGE DETECTION ===
         // Check if repository-specific custom postClone script has changed
         if (this.hasCustomScriptChanged(repo, 'postClone', repoData)) {
-            logInfo(`postClone needed for ${repo.name} (custom script changed)`);
-            return false;
+            return this.reportCacheDecision(repo, 'postClone', false, 'custom script changed', reportEvent);
         }
 
         // === DEPENDENCY FILE CHANGE DETECTION ===
         // Check if package manager files have been modified
         if (this.haveDependencyFilesChanged(repo, repoPath, repoData)) {
-            logInfo(`postClone needed for ${repo.name} (dependency files changed)`);
-            return false;
+            return this.reportCacheDecision(repo, 'postClone', false, 'dependency files changed', reportEvent);
         }
 
         // === CACHE HIT - OPERATION CAN BE SKIPPED ===
-        logSuccess(`postClone can be skipped for ${repo.name} (no changes detected)`);
-        return true;
+        return this.reportCacheDecision(repo, 'postClone', true, 'no changes detected', reportEvent);
+    }
+
+    /**
+     * Log a cache decision and report it as a cache.hit/cache.miss event
+     *
+     * Reported decisions are kept for the setup report (see getCacheDecision).
+     *
+     * @param {Object} repo - Repository configuration object
+     * @param {string} phase - Phase the decision is for ('preClone' or 'postClone')
+     * @param {boolean} canSkip - True on a cache hit (phase can be skipped)
+     * @param {string} reason - Reason of the decision
+     * @param {boolean} reportEvent - Emit the event (JSON output mode)
+     * @returns {boolean} The decision (canSkip)
+     */
+    reportCacheDecision(repo, phase, canSkip, reason, reportEvent) {
+        if (canSkip) {
+            logSuccess(`${phase} can be skipped for ${repo.name} (${reason})`);
+        } else if (reason === 'cache override') {
+            logInfo(`Forcing ${phase} execution for ${repo.name} (${reason})`);
+        } else {
+            logInfo(`${phase} needed for ${repo.name} (${reason})`);
+        }
+
+        if (reportEvent) {
+            emitEvent(canSkip ? 'cache.hit' : 'cache.miss', { repo: repo.name, phase, reason });
+            this.cacheDecisions[repo.name] = { ...this.cacheDecisions[repo.name], [phase]: { hit: canSkip, reason } };
+        }
+        return canSkip;
+    }
+
+    /**
+     * Get the reported cache decision of a repository phase
+     *
+     * @param {string} repoName - Repository name
+     * @param {string} phase - Phase ('preClone' or 'postClone')
+     * @returns {Object|null} Decision ({hit, reason}) or null when none was made
+     */
+    getCacheDecision(repoName, phase) {
+        return this.cacheDecisions[repoName]?.[phase] ?? null;
     }
 
     /*
@@ -310,7 +397,7 @@ export class CacheManager {
      * @returns {boolean} True if custom script has changed
      */
     hasCustomScriptChanged(repo, hookType, repoData) {
-        const hookScript = repo[hookType];
+        const hookScript = getCustomHook(repo, hookType)?.run;
 
         // === SCRIPT CONFIGURATION VALIDATION ===
         // Only JavaScript files are considered custom scripts
@@ -319,7 +406,7 @@ export class CacheManager {
         }
 
         // === SCRIPT EXISTENCE CHECK ===
-        const scriptPath = `scripts/custom/${repo.name}/${hookScript}`;
+        const scriptPath = path.join(customScriptsDir, repo.name, hookScript);
         if (!fs.existsSync(scriptPath)) {
             return false; // Script file doesn't exist on filesystem
         }
@@ -376,33 +463,8 @@ export class CacheManager {
             return false; // Repository doesn't exist yet, no dependency files to check
         }
 
-        // === DEPENDENCY FILE MATRIX ===
-        // Comprehensive list of dependency files across multiple ecosystems
-        const dependencyFiles = [
-            // Node.js ecosystem
-            'package.json',
-            'package-lock.json',
-            'yarn.lock',
-            'pnpm-lock.yaml',
-
-            // PHP ecosystem
-            'composer.json',
-            'composer.lock',
-
-            // Python ecosystem
-            'requirements.txt',
-            'Pipfile.lock',
-
-            // Ruby ecosystem
-            'Gemfile.lock',
-
-            // Go ecosystem
-            'go.mod',
-            'go.sum'
-        ];
-
         // === FILE-BY-FILE CHANGE DETECTION ===
-        for (const file of dependencyFiles) {
+        for (const file of DEPENDENCY_FILES) {
             const filePath = path.join(repoPath, file);
 
             // Check if file exists in repository
@@ -411,7 +473,7 @@ export class CacheManager {
                 const currentHash = this.lockManager.calculateFileChecksum(filePath);
 
                 // Get stored checksum from cache
-                const storedHash = repoData.dependencyFiles?.[file];
+                const storedHash = repoData?.dependencyFiles?.[file];
 
                 // Compare checksums
                 if (currentHash !== storedHash) {
@@ -494,8 +556,9 @@ export class CacheManager {
      * @param {string} repoPath - Full path to repository directory
      * @param {string} phase - Phase that was executed ('preClone' or 'postClone')
      * @param {boolean} success - Whether the phase executed successfully
+     * @param {Array<Object>|null} hookResults - Hook results collected by runHooks (kept if null)
      */
-    async updateAfterSuccess(repo, repoPath, phase, success = true) {
+    async updateAfterSuccess(repo, repoPath, phase, success = true, hookResults = null) {
         // === CACHE DISABLED CHECK ===
         if (cacheOptions.skipCache) {
             return; // Don't update cache if caching is disabled
@@ -514,6 +577,13 @@ export class CacheManager {
             await this.updatePostCloneData(repo, repoPath, updateData, success);
         }
 
+        // === HOOK OUTCOME RECORDING ===
+        // Timeouts and retries of the last run, per phase
+        if (hookResults) {
+            const previousResults = this.lockManager.getRepositoryData(repo.name)?.hookResults;
+            updateData.hookResults = { ...previousResults, [phase]: hookResults };
+        }
+
         // === LOCK FILE UPDATE ===
         this.lockManager.updateRepositoryData(repo.name, updateData);
 
@@ -541,8 +611,9 @@ export class CacheManager {
         // === CUSTOM SCRIPT CHECKSUM STORAGE ===
         updateData.customScripts = updateData.customScripts || {};
 
-        if (repo.preClone && repo.preClone.endsWith('.js')) {
-            const scriptPath = `scripts/custom/${repo.name}/${repo.preClone}`;
+        const customHook = getCustomHook(repo, 'preClone');
+        if (customHook?.run.endsWith('.js')) {
+            const scriptPath = path.join(customScriptsDir, repo.name, customHook.run);
             if (fs.existsSync(scriptPath)) {
                 updateData.customScripts.preClone = this.lockManager.calculateFileChecksum(scriptPath);
             }
@@ -576,8 +647,9 @@ export class CacheManager {
         // === CUSTOM SCRIPT CHECKSUM STORAGE ===
         updateData.customScripts = updateData.customScripts || {};
 
-        if (repo.postClone && repo.postClone.endsWith('.js')) {
-            const scriptPath = `scripts/custom/${repo.name}/${repo.postClone}`;
+        const customHook = getCustomHook(repo, 'postClone');
+        if (customHook?.run.endsWith('.js')) {
+            const scriptPath = path.join(customScriptsDir, repo.name, customHook.run);
             if (fs.existsSync(scriptPath)) {
                 updateData.customScripts.postClone = this.lockManager.calculateFileChecksum(scriptPath);
             }
@@ -605,18 +677,9 @@ export class CacheManager {
             return {}; // No repository, no dependency files
         }
 
-        // === DEPENDENCY FILE MATRIX ===
-        const dependencyFiles = [
-            'package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml',
-            'composer.json', 'composer.lock',
-            'requirements.txt', 'Pipfile.lock',
-            'Gemfile.lock',
-            'go.mod', 'go.sum'
-        ];
-
         // === CHECKSUM CALCULATION ===
         const checksums = {};
-        for (const file of dependencyFiles) {
+        for (const file of DEPENDENCY_FILES) {
             const filePath = path.join(repoPath, file);
             if (fs.existsSync(filePath)) {
                 checksums[file] = this.lockManager.calculateFileChecksum(filePath);
@@ -642,7 +705,7 @@ export class CacheManager {
      */
     updateGlobalChecksums(repo) {
         // === REPOS.YAML CHECKSUM UPDATE ===
-        const reposYamlHash = this.lockManager.calculateFileChecksum('repos.yaml');
+        const reposYamlHash = this.lockManager.calculateFileChecksum(reposFilePath);
         this.lockManager.updateGlobalChecksums({
             reposYaml: reposYamlHash
         });
@@ -652,6 +715,169 @@ export class CacheManager {
         this.lockManager.updateTraitScriptChecksums(repo.traits);
     }
 
+    /*
+    ============================================================================
+    REVISION SNAPSHOT MANAGEMENT
+    ============================================================================
+    */
+
+    /**
+     * Record the commit and branch a repository is checked out at
+     *
+     * Turns the lock file into a snapshot of the workspace that `setup --frozen`
+     * can restore. Directories without git or without commits are not recorded.
+     *
+     * @param {Object} repo - Repository configuration object
+     * @param {string} repoPath - Full path to repository directory
+     * @returns {boolean} True if a revision was recorded
+     */
+    recordRevision(repo, repoPath) {
+        // === CACHE DISABLED CHECK ===
+        if (cacheOptions.skipCache) {
+            return false;
+        }
+
+        const git = new GitHelper(repoPath);
+        const status = git.isRepository() ? git.getStatus() : null;
+        if (!status?.head) {
+            return false;
+        }
+
+        this.lockManager.updateRepositoryRevision(repo.name, { head: status.head, branch: status.branch });
+        return true;
+    }
+
+    /**
+     * Retrieve the revision recorded for a repository
+     *
+     * @param {string} repoName - Repository identifier
+     * @returns {Object|null} Revision ({head, branch}) or null if none was recorded
+     */
+    getLockedRevision(repoName) {
+        return this.lockManager.getRepositoryRevision(repoName);
+    }
+
+    /*
+    ============================================================================
+    SETUP RUN PROGRESS (--resume)
+    ============================================================================
+    */
+
+    /**
+     * Start tracking a new setup run
+     *
+     * The run state keeps everything `setup --resume` needs beyond the
+     * per-phase statuses: the repository selection, the answers given to
+     * decision points and the outcome of the clone phase.
+     *
+     * @param {Array<string>} repoNames - Selected repositories in processing order
+     */
+    startSetupRun(repoNames) {
+        this.setupRun = {
+            startedAt: new Date().toISOString(),
+            status: 'running',
+            selection: repoNames,
+            answers: {},
+            repos: {}
+        };
+        this.lockManager.setSetupRun(this.setupRun);
+    }
+
+    /**
+     * Get the last setup run if it did not complete
+     *
+     * @returns {Object|null} Run state or null when there is nothing to resume
+     */
+    getInterruptedRun() {
+        const run = this.lockManager.getSetupRun();
+        return run && run.status !== 'completed' ? run : null;
+    }
+
+    /**
+     * Continue tracking an interrupted setup run
+     *
+     * @param {Object} run - Run state from getInterruptedRun
+     */
+    resumeSetupRun(run) {
+        this.setupRun = { ...run, status: 'running', resumedAt: new Date().toISOString() };
+        this.lockManager.setSetupRun(this.setupRun);
+    }
+
+    /**
+     * Record the outcome of the clone phase for a repository
+     *
+     * @param {Object} repo - Repository configuration object (with _existingProject etc.)
+     */
+    recordCloneResult(repo) {
+        if (!this.setupRun) {
+            return;
+        }
+
+        this.setupRun.repos[repo.name] = {
+            existingProject: !!repo._existingProject,
+            createEmptyFolder: !!repo._createEmptyFolder,
+            skipClone: !!repo._skipClone
+        };
+    }
+
+    /**
+     * Get the result of a phase that already completed in the tracked run
+     *
+     * preClone and postClone count as completed when their status in the
+     * repository data is `success` and was written after the run started.
+     * The clone phase is taken from the run state.
+     *
+     * @param {string} repoName - Repository identifier
+     * @param {string} phase - 'preClone', 'clone' or 'postClone'
+     * @returns {Object|null} Phase result (clone: {existingProject, createEmptyFolder, skipClone}) or null
+     */
+    getCompletedPhase(repoName, phase) {
+        if (!this.setupRun) {
+            return null;
+        }
+
+        if (phase === 'clone') {
+            return this.setupRun.repos[repoName] || null;
+        }
+
+        const repoData = this.lockManager.getRepositoryData(repoName);
+        const completed = repoData?.[`${phase}Status`] === 'success' &&
+            repoData[`${phase}Timestamp`] >= this.setupRun.startedAt;
+        return completed ? { status: 'success' } : null;
+    }
+
+    /**
+     * Persist the progress of the setup run
+     *
+     * Called after every repository and phase so an interrupted setup (Ctrl+C,
+     * crash, killed CI job) can be continued with `setup --resume`.
+     *
+     * @returns {Promise<void>} Resolves when the lock file is written
+     */
+    async checkpoint() {
+        if (!this.setupRun || cacheOptions.skipCache || isDryRun) {
+            return;
+        }
+
+        this.setupRun.answers = getRecordedAnswers();
+        await this.lockManager.save({ quiet: true });
+    }
+
+    /**
+     * Mark the tracked setup run as finished
+     *
+     * Only a run without failures is `completed`; a run with failed
+     * repositories stays resumable so `--resume` retries them.
+     *
+     * @param {boolean} success - Whether every repository passed
+     */
+    finishSetupRun(success) {
+        if (this.setupRun) {
+            this.setupRun.status = success ? 'completed' : 'failed';
+            this.setupRun.finishedAt = new Date().toISOString();
+        }
+    }
+
     /*
     ============================================================================
     FAILURE HANDLING AND RECOVERY
@@ -667,9 +893,10 @@ export class CacheManager {
      * @param {Object} repo - Repository configuration object
      * @param {string} repoPath - Full path to repository directory
      * @param {string} phase - Phase that failed ('preClone' or 'postClone')
+     * @param {Array<Object>|null} hookResults - Hook results collected by runHooks (kept if null)
      */
-    async updateAfterFailure(repo, repoPath, phase) {
-        await this.updateAfterSuccess(repo, repoPath, phase, false);
+    async updateAfterFailure(repo, repoPath, phase, hookResults = null) {
+        await this.updateAfterSuccess(repo, repoPath, phase, false, hookResults);
         logWarn(`Cache marked failure for ${repo.name} ${phase} phase`);
     }
 
@@ -731,10 +958,10 @@ export class CacheManager {
 
         // === REPOSITORY-BY-REPOSITORY ANALYSIS ===
         for (const repo of repos) {
-            const repoPath = path.join('packages', repo.name);
+            const repoPath = path.join(packagesDir, repo.name);
 
             // Count preClone cache hits and forces
-            if (this.canSkipPreClone(repo, repoPath)) {
+            if (this.canSkipPreClone(repo, repoPath, false)) {
                 stats.preCloneSkipped++;
             }
             if (this.shouldForceExecution('preClone')) {
@@ -743,7 +970,7 @@ export class CacheManager {
 
             // Count postClone cache hits and forces (only for existing repos)
             if (fs.existsSync(repoPath)) {
-                if (this.canSkipPostClone(repo, repoPath)) {
+                if (this.canSkipPostClone(repo, repoPath, false)) {
                     stats.postCloneSkipped++;
                 }
                 if (this.shouldForceExecution('postClone')) {
@@ -768,12 +995,13 @@ export class CacheManager {
      * and current configuration for user awareness.
      *
      * @param {Array} repos - Array of repository configuration objects
+     * @returns {Object|null} Statistics from getCacheStats, null when the cache is disabled
      */
     displayCacheInfo(repos) {
         // === CACHE DISABLED CHECK ===
         if (cacheOptions.skipCache) {
             logWarn('Cache system disabled (--skip-cache)');
-            return;
+            return null;
         }
 
         // === BASIC CACHE INFORMATION ===
@@ -810,6 +1038,8 @@ export class CacheManager {
                 logWarn(`  PostClone operations forced: ${stats.postCloneForced}/${stats.total}`);
             }
         }
+
+        return stats;
     }
 
     /*
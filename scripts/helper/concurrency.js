@@ -0,0 +1,82 @@
+/*
+================================================================================
+File: scripts/helper/concurrency.js (Bounded Parallel Task Execution)
+Description: Small worker-pool utility for the multirepo setup orchestrator.
+             Runs an async worker over a list of items while never exceeding a
+             configured number of in-flight operations. Used wherever several
+             repositories can be processed independently (e.g. cloning) without
+             overwhelming the network, the disk or the terminal.
+
+Key Responsibilities:
+- Limit the number of concurrently running async operations
+- Preserve input order in the returned results regardless of completion order
+- Capture per-item failures instead of aborting the whole batch
+- Provide a settled-style result list for summary reporting
+================================================================================
+*/
+
+/*
+================================================================================
+BOUNDED CONCURRENCY EXECUTION
+================================================================================
+*/
+
+/**
+ * Execute an async worker for every item with a maximum concurrency limit
+ *
+ * Items are started in input order. As soon as one operation settles, the
+ * next pending item is started, so at most `limit` operations are running
+ * at any time. Failures never reject the returned promise - every item is
+ * reported with its own status so callers can decide how to react.
+ *
+ * Result Format (one entry per item, same order as input):
+ * ```
+ * { item, status: 'fulfilled', value }
+ * { item, status: 'rejected', reason }
+ * ```
+ *
+ * @param {Array<*>} items - Items to process
+ * @param {number} limit - Maximum number of concurrently running workers (>= 1)
+ * @param {Function} worker - Async function receiving (item, index)
+ * @returns {Promise<Array<Object>>} Settled results in input order
+ */
+export async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(normalizeLimit(limit), items.length));
+    let nextIndex = 0;
+
+    // === WORKER LOOP ===
+    // Each lane keeps pulling the next unclaimed item until the list is exhausted
+    const runLane = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            const item = items[index];
+
+            try {
+                const value = await worker(item, index);
+                results[index] = { item, status: 'fulfilled', value };
+            } catch (reason) {
+                results[index] = { item, status: 'rejected', reason };
+            }
+        }
+    };
+
+    const lanes = [];
+    for (let i = 0; i < workerCount; i++) {
+        lanes.push(runLane());
+    }
+    await Promise.all(lanes);
+
+    return results;
+}
+
+/**
+ * Normalize a user-provided concurrency limit to a positive integer
+ *
+ * @param {*} limit - Raw limit value (number or numeric string)
+ * @returns {number} Positive integer limit, defaults to 1 for invalid input
+ */
+export function normalizeLimit(limit) {
+    const parsed = Number.parseInt(limit, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : 1;
+}
@@ -14,8 +14,10 @@ Key Responsibilities:
 - Multi-format configuration file discovery (JSON, YAML, JS, etc.)
 - Required vs optional file validation with descriptive error messaging
 - Git ignore file analysis and validation for proper artifact exclusion
+- Remediations adding missing .gitignore entries (setup --fix)
 - Cross-platform file path resolution and normalization
 - Text file content analysis for configuration validation
+- Problems reported as findings of the running trait check (trait-findings.js)
 
 Configuration Management Features:
 - Flexible file discovery with multiple naming convention support
@@ -33,7 +35,9 @@ import fs from 'fs';
 // Path utilities for cross-platform file system navigation
 import path from 'path';
 // Comprehensive logging system for validation feedback
-import { logError, logSuccess, logWarn, logInfo } from './logger.js';
+import { logSuccess, logWarn, logInfo } from './logger.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
 // Terminal styling for enhanced visual feedback
 import chalk from 'chalk';
 
@@ -82,10 +86,12 @@ export class ConfigFileHelper {
      * this base directory, ensuring consistent path handling across operations.
      *
      * @param {string} cwd - Working directory path for all file operations
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
      */
-    constructor(cwd) {
+    constructor(cwd, findings = null) {
         // === WORKING DIRECTORY CONTEXT ===
         this.cwd = path.resolve(cwd); // Resolve to absolute path for consistency
+        this.findings = findings;
 
         logInfo(`Configuration file helper initialized with working directory: ${this.cwd}`);
     }
@@ -136,19 +142,19 @@ export class ConfigFileHelper {
      *
      * Ensures that a critical configuration file exists, providing detailed
      * error messaging and diagnostic information when files are missing.
-     * Terminates execution with descriptive error information to guide
-     * users in resolving configuration issues.
+     * Reports an error finding and stops the check with descriptive error
+     * information to guide users in resolving configuration issues.
      *
      * Error Reporting Features:
      * - Clear identification of missing files
      * - Full path information for debugging
      * - Contextual error messages explaining requirements
-     * - Process termination for critical missing files
+     * - Error finding 'missing-file' for critical missing files
      *
      * @param {string} filename - Required file name
      * @param {string} errorMessage - Additional context for why file is required
      * @returns {string} Full path to the validated file
-     * @throws {Process Exit} Terminates process if file is missing
+     * @throws {Error} When the file is missing (with the reported `finding`)
      */
     requireFile(filename, errorMessage) {
         // === EXISTENCE VALIDATION ===
@@ -159,12 +165,13 @@ export class ConfigFileHelper {
             const fullErrorMsg = `${missingFileMsg}${reasonMsg}`;
 
             // === DETAILED DIAGNOSTIC INFORMATION ===
-            logError(fullErrorMsg);
+            const finding = { severity: 'error', code: 'missing-file', message: fullErrorMsg, file: filename };
+            reportFinding(this.findings, finding);
             logInfo(`Expected location: ${chalk.gray(path.join(this.cwd, filename))}`);
             logInfo('This file is required for proper trait validation and setup.');
 
-            // === PROCESS TERMINATION ===
-            process.exit(1);
+            // === CHECK TERMINATION ===
+            throw Object.assign(new Error(`Required file '${filename}' not found`), { finding });
         }
 
         // === SUCCESS CONFIRMATION ===
@@ -274,12 +281,12 @@ export class ConfigFileHelper {
      * - Multiple naming convention support
      * - Detailed error reporting with all searched locations
      * - Trait-specific error context
-     * - Process termination for missing required configurations
+     * - Error finding that stops the check for missing required configurations
      *
      * @param {Array<string>} possibleNames - Array of acceptable configuration file names
      * @param {string} traitName - Name of trait requiring configuration (for error context)
      * @returns {string} Name of the found configuration file
-     * @throws {Process Exit} Terminates process if no configuration found
+     * @throws {Error} When no configuration is found (with the reported `finding`)
      */
     requireOneOfConfigs(possibleNames, traitName) {
         const foundConfig = this.findConfig(possibleNames);
@@ -288,7 +295,8 @@ export class ConfigFileHelper {
             // === COMPREHENSIVE ERROR REPORTING ===
             const configList = possibleNames.map(c => chalk.white(c)).join(', ');
 
-            logError(`No ${traitName} configuration file found in '${chalk.cyan(this.cwd)}'`);
+            const finding = { severity: 'error', code: 'missing-config', message: `No ${traitName} configuration file found in '${chalk.cyan(this.cwd)}'`, file: possibleNames[0] };
+            reportFinding(this.findings, finding);
             logInfo(`Expected one of: ${configList}`);
             logInfo(`Searched locations:`);
 
@@ -299,8 +307,8 @@ export class ConfigFileHelper {
 
             logInfo(`Please create a ${traitName} configuration file to proceed with validation.`);
 
-            // === PROCESS TERMINATION ===
-            process.exit(1);
+            // === CHECK TERMINATION ===
+            throw Object.assign(new Error(`No ${traitName} configuration file found`), { finding });
         }
 
         // === SUCCESS CONFIRMATION ===
@@ -390,8 +398,8 @@ export class ConfigFileHelper {
      * Validate JSON file syntax and structure with configurable error handling
      *
      * Performs comprehensive JSON file validation with configurable error
-     * handling. Can either terminate execution on invalid JSON or provide
-     * warnings while continuing execution.
+     * handling. Can either stop the check with an error finding on invalid
+     * JSON or report a warning while continuing execution.
      *
      * Validation Features:
      * - JSON syntax validation
@@ -400,8 +408,9 @@ export class ConfigFileHelper {
      * - Detailed error reporting with context
      *
      * @param {string} filename - JSON file name to validate
-     * @param {boolean} errorOnInvalid - Whether to terminate on invalid JSON
+     * @param {boolean} errorOnInvalid - Whether invalid JSON is an error finding that stops the check
      * @returns {Object|null} Parsed JSON object, or null if invalid/missing
+     * @throws {Error} When the JSON is invalid and errorOnInvalid is set (with the reported `finding`)
      */
     validateJsonFile(filename, errorOnInvalid = true) {
         const filePath = path.join(this.cwd, filename);
@@ -423,14 +432,15 @@ export class ConfigFileHelper {
             // === ERROR HANDLING WITH CONFIGURABLE SEVERITY ===
             const message = `JSON validation failed for '${chalk.white(filename)}' at '${chalk.gray(filePath)}': ${error.message}`;
 
+            const finding = { severity: errorOnInvalid ? 'error' : 'warning', code: 'invalid-json', message, file: filename };
+            reportFinding(this.findings, finding);
+
             if (errorOnInvalid) {
                 // === FATAL ERROR HANDLING ===
-                logError(message);
                 logInfo('Please fix the JSON syntax errors before continuing.');
-                process.exit(1);
+                throw Object.assign(new Error(`Invalid JSON in '${filename}': ${error.message}`), { finding });
             } else {
                 // === WARNING HANDLING ===
-                logWarn(message);
                 logInfo('Continuing with validation, but this file may not function correctly.');
                 return null;
             }
@@ -514,7 +524,13 @@ export class ConfigFileHelper {
         if (!gitignoreContent) {
             if (requiredEntries.length > 0) {
                 const entriesList = requiredEntries.map(e => chalk.cyan(e)).join(', ');
-                logWarn(`${chalk.white('.gitignore')} file not found at '${chalk.gray(gitignorePath)}'.`);
+                reportFinding(this.findings, {
+                    severity: 'warning',
+                    code: 'missing-gitignore',
+                    message: `${chalk.white('.gitignore')} file not found at '${chalk.gray(gitignorePath)}'.`,
+                    file: '.gitignore',
+                    remediation: this.createGitignoreRemediation(requiredEntries)
+                });
                 logInfo(`Consider creating one to exclude: ${entriesList}`);
                 logInfo('This will prevent committing generated files and dependencies to version control.');
             }
@@ -535,7 +551,13 @@ export class ConfigFileHelper {
         } else {
             // === MISSING ENTRIES REPORTING ===
             const missingList = missingEntries.map(e => chalk.cyan(e)).join(', ');
-            logWarn(`${chalk.white('.gitignore')} at '${chalk.gray(gitignorePath)}' should include: ${missingList}`);
+            reportFinding(this.findings, {
+                severity: 'warning',
+                code: 'gitignore-entries',
+                message: `${chalk.white('.gitignore')} at '${chalk.gray(gitignorePath)}' should include: ${missingList}`,
+                file: '.gitignore',
+                remediation: this.createGitignoreRemediation(missingEntries)
+            });
 
             // === IMPROVEMENT SUGGESTIONS ===
             logInfo('Add these entries to prevent committing unwanted files:');
@@ -547,6 +569,23 @@ export class ConfigFileHelper {
         }
     }
 
+    /**
+     * Remediation appending entries to .gitignore (`setup --fix`)
+     *
+     * Creates the file when it does not exist; existing content is kept and
+     * completed with a final line break before the entries are appended.
+     *
+     * @param {Array<string>} entries - Entries missing in .gitignore
+     * @returns {Object} File edit remediation (see remediation.js)
+     */
+    createGitignoreRemediation(entries) {
+        return {
+            description: `Add ${entries.join(', ')} to .gitignore`,
+            file: '.gitignore',
+            update: content => (content && !content.endsWith('\n') ? `${content}\n` : content) + entries.join('\n') + '\n'
+        };
+    }
+
     /*
     ============================================================================
     UTILITY AND INTROSPECTION METHODS
@@ -0,0 +1,94 @@
+/*
+================================================================================
+File: scripts/helper/dependency-graph.js (Dependency Ordering Utility)
+Description: Small graph utility for the multirepo setup orchestrator. Orders
+             named nodes so that every node comes after the nodes it depends on
+             and detects circular dependencies. Used for the `dependsOn` key of
+             repositories in repos.yaml, both when validating the configuration
+             and when ordering the setup phases.
+
+Key Responsibilities:
+- Sort nodes topologically (dependencies first)
+- Keep the input order wherever the dependencies allow it
+- Report circular dependencies with the complete cycle path
+- Collect the transitive dependencies of a set of nodes
+================================================================================
+*/
+
+/*
+================================================================================
+TOPOLOGICAL ORDERING
+================================================================================
+*/
+
+/**
+ * Order names so that dependencies always come before their dependents
+ *
+ * Uses a depth-first traversal in input order with a processing stack for
+ * cycle detection (the same approach as trait dependency resolution), so
+ * unrelated nodes keep their original order. Dependencies that are not part
+ * of `names` are ignored.
+ *
+ * @param {Array<string>} names - Names to order
+ * @param {Function} getDependencies - Returns the dependency names of a name
+ * @returns {Array<string>} Names in dependency order
+ * @throws {Error} On circular dependencies (`error.cycle` holds the cycle path)
+ */
+export function sortByDependencies(names, getDependencies) {
+    const included = new Set(names);
+    const sorted = [];
+    const visited = new Set();
+    const processingStack = [];
+
+    const visit = (name) => {
+        // === CIRCULAR DEPENDENCY DETECTION ===
+        if (processingStack.includes(name)) {
+            const cycle = [...processingStack.slice(processingStack.indexOf(name)), name];
+            const error = new Error(`Circular dependency: ${cycle.join(' -> ')}`);
+            error.cycle = cycle;
+            throw error;
+        }
+
+        if (visited.has(name)) {
+            return;
+        }
+
+        // === DEPENDENCIES FIRST ===
+        processingStack.push(name);
+        for (const dependency of getDependencies(name) || []) {
+            if (included.has(dependency)) {
+                visit(dependency);
+            }
+        }
+        processingStack.pop();
+
+        visited.add(name);
+        sorted.push(name);
+    };
+
+    names.forEach(visit);
+    return sorted;
+}
+
+/**
+ * Collect the transitive dependencies of the given names
+ *
+ * @param {Array<string>} names - Starting names
+ * @param {Function} getDependencies - Returns the dependency names of a name
+ * @returns {Set<string>} All direct and indirect dependencies (may include starting names)
+ */
+export function collectDependencies(names, getDependencies) {
+    const dependencies = new Set();
+
+    const visit = (name) => {
+        for (const dependency of getDependencies(name) || []) {
+            if (!dependencies.has(dependency)) {
+                dependencies.add(dependency);
+                visit(dependency);
+            }
+        }
+    };
+
+    names.forEach(visit);
+    return dependencies;
+}
@@ -16,6 +16,7 @@ Key Responsibilities:
 - Content analysis for directory population assessment
 - Cross-platform file system operation abstraction
 - Detailed logging integration for validation feedback
+- Problems reported as findings of the running trait check (trait-findings.js)
 
 Analysis Capabilities:
 - Common project directory detection (src/, test/, docs/, etc.)
@@ -34,6 +35,8 @@ import fs from 'fs';
 import path from 'path';
 // Logging system for validation feedback and status reporting
 import { logSuccess, logWarn, logInfo } from './logger.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
 // Terminal styling for enhanced visual feedback
 import chalk from 'chalk';
 
@@ -76,10 +79,12 @@ export class DirectoryHelper {
      * base directory, providing consistent path handling throughout the analysis.
      *
      * @param {string} cwd - Working directory path for all operations
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
      */
-    constructor(cwd) {
+    constructor(cwd, findings = null) {
         // === WORKING DIRECTORY CONTEXT ===
         this.cwd = path.resolve(cwd); // Resolve to absolute path for consistency
+        this.findings = findings;
 
         logInfo(`Directory helper initialized with working directory: ${this.cwd}`);
     }
@@ -211,7 +216,7 @@ export class DirectoryHelper {
         // === EXISTENCE VALIDATION ===
         if (!this.hasDirectory(name)) {
             const message = missingMessage || `${chalk.white(name)} directory not found.`;
-            logWarn(message);
+            reportFinding(this.findings, { severity: 'warning', code: 'missing-directory', message, file: name });
             return false;
         }
 
@@ -219,7 +224,7 @@ export class DirectoryHelper {
         const contents = this.getDirectoryContents(name);
         if (contents.length === 0) {
             const message = emptyMessage || `${chalk.white(name)} directory is empty.`;
-            logWarn(message);
+            reportFinding(this.findings, { severity: 'warning', code: 'empty-directory', message, file: name });
             return false;
         }
 
@@ -361,7 +366,7 @@ export class DirectoryHelper {
                 const successMessage = message || `${chalk.white(name)} directory found.`;
                 logSuccess(successMessage);
             } else if (required) {
-                logWarn(`${chalk.white(name)} directory not found but is required for this project type.`);
+                reportFinding(this.findings, { severity: 'warning', code: 'missing-directory', message: `${chalk.white(name)} directory not found but is required for this project type.`, file: name });
             } else {
                 const infoMessage = message || `${chalk.white(name)} directory not found (optional).`;
                 logInfo(infoMessage);
@@ -417,7 +422,7 @@ export class DirectoryHelper {
                 logSuccess(successMessage);
             } else if (required) {
                 const errorMessage = `No ${name} files found in ${chalk.white(sourceDir)} directory - required for this project type.`;
-                logWarn(errorMessage);
+                reportFinding(this.findings, { severity: 'warning', code: 'missing-source-files', message: errorMessage, file: sourceDir });
                 validationSuccessful = false;
             } else {
                 const infoMessage = `No ${name} files found in ${chalk.white(sourceDir)} directory (optional).`;
@@ -0,0 +1,450 @@
+/*
+================================================================================
+File: scripts/helper/docker-project-helper.js (Docker Project Analysis Engine)
+Description: Dockerfile and Compose file analysis for the docker trait. Parses
+             Dockerfile instructions and Compose files of a repository and
+             collects the host ports published by the Compose files of every
+             repository managed in repos.yaml, so port collisions between
+             repositories are found before the containers are started.
+
+Key Responsibilities:
+- Dockerfile parsing (line continuations, comments, build stages)
+- Base image and final user analysis of Dockerfiles
+- Compose file discovery and loading (YAML, see js-yaml)
+- Published port parsing (short and long syntax, ranges, protocols, host IPs)
+- env_file reference resolution
+- Published ports of all managed repositories (repos.yaml)
+- Problems reported as findings of the running trait check (trait-findings.js)
+
+Limitations:
+- Only the primary Compose file is analyzed, override files are ignored
+- Variables in Compose files are resolved from their default value or the
+  environment, not from .env files
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for Dockerfile and Compose file access
+import fs from 'fs';
+// Path utilities for cross-platform file system navigation
+import path from 'path';
+// YAML parser for Compose files
+import yaml from 'js-yaml';
+// Shared repository file access
+import { ProjectFileHelper } from './project-file-helper.js';
+// Logging system for analysis feedback
+import { logInfo, logSuccess } from './logger.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
+// Managed repositories for the workspace port analysis
+import { checkConfigurationFile, packagesDir } from '../core/config.js';
+// Terminal styling for enhanced visual feedback
+import chalk from 'chalk';
+
+/*
+================================================================================
+DOCKER PROJECT CONFIGURATION
+================================================================================
+*/
+
+// === COMPOSE FILES ===
+// Compose file names, in the order `docker compose` looks them up
+export const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'];
+
+// === USERS ===
+// Users that run a container with root privileges
+const ROOT_USERS = ['root', '0'];
+
+// === PORT RANGES ===
+// Largest published port range that is expanded into single ports
+const MAX_PORT_RANGE = 1000;
+
+/*
+================================================================================
+DOCKERFILE ANALYSIS
+================================================================================
+*/
+
+/**
+ * Parse a Dockerfile into its instructions
+ *
+ * Comments and parser directives are skipped, continued lines are joined.
+ *
+ * @param {string} content - Dockerfile content
+ * @returns {Array<Object>} Instructions ({instruction, args, line}), instruction upper-cased
+ */
+export function parseDockerfile(content) {
+    const instructions = [];
+    let current = null;
+
+    content.replace(/\r\n/g, '\n').split('\n').forEach((text, index) => {
+        const trimmed = text.trim();
+
+        // === COMMENTS AND EMPTY LINES ===
+        // Both may appear inside a continued instruction without ending it
+        if (trimmed === '' || trimmed.startsWith('#')) {
+            return;
+        }
+
+        const continued = trimmed.endsWith('\\');
+        const part = continued ? trimmed.slice(0, -1).trim() : trimmed;
+
+        if (current) {
+            current.args = `${current.args} ${part}`.trim();
+        } else {
+            const [instruction, ...args] = part.split(/\s+/);
+            current = { instruction: instruction.toUpperCase(), args: args.join(' '), line: index + 1 };
+        }
+
+        if (!continued) {
+            instructions.push(current);
+            current = null;
+        }
+    });
+
+    if (current) {
+        instructions.push(current);
+    }
+    return instructions;
+}
+
+/**
+ * Split parsed instructions into build stages
+ *
+ * @param {Array<Object>} instructions - Instructions from parseDockerfile()
+ * @returns {Array<Object>} Stages ({image, tag, digest, alias, line, user, userLine}),
+ *          tag/digest are null when the reference has none; image is null for
+ *          stages built from an earlier stage
+ */
+export function getBuildStages(instructions) {
+    const stages = [];
+
+    instructions.forEach(({ instruction, args, line }) => {
+        if (instruction === 'FROM') {
+            // FROM [--platform=<platform>] <image> [AS <name>]
+            const words = args.split(/\s+/).filter(word => !word.startsWith('--'));
+            const reference = words[0] ?? '';
+            const alias = words[1]?.toUpperCase() === 'AS' ? words[2] ?? null : null;
+            const fromStage = stages.some(stage => stage.alias && stage.alias.toLowerCase() === reference.toLowerCase());
+
+            stages.push({ ...(fromStage ? { image: null, tag: null, digest: null } : parseImageReference(reference)), alias, line, user: null, userLine: null });
+        } else if (instruction === 'USER' && stages.length > 0) {
+            const stage = stages[stages.length - 1];
+            stage.user = args.split(':')[0];
+            stage.userLine = line;
+        }
+    });
+
+    return stages;
+}
+
+/**
+ * Split an image reference into image, tag and digest
+ *
+ * @param {string} reference - Reference like 'registry:5000/node:20-alpine@sha256:...'
+ * @returns {Object} Parts ({image, tag, digest}), tag/digest null when missing
+ */
+export function parseImageReference(reference) {
+    const [name, digest = null] = reference.split('@');
+    // A colon after the last slash separates the tag (a registry port comes before it)
+    const tagIndex = name.lastIndexOf(':');
+    const hasTag = tagIndex > name.lastIndexOf('/');
+
+    return {
+        image: hasTag ? name.slice(0, tagIndex) : name,
+        tag: hasTag ? name.slice(tagIndex + 1) : null,
+        digest
+    };
+}
+
+/**
+ * Check whether a user runs the container with root privileges
+ *
+ * @param {string|null} user - User of the USER instruction, null without one
+ * @returns {boolean} True for root (also when no user is set)
+ */
+export function isRootUser(user) {
+    return user === null || ROOT_USERS.includes(user);
+}
+
+/*
+================================================================================
+COMPOSE FILE ANALYSIS
+================================================================================
+*/
+
+/**
+ * Resolve variables in a Compose value
+ *
+ * ${VAR:-default} and ${VAR-default} fall back to the default, other variables
+ * are read from the environment.
+ *
+ * @param {string} value - Value with variables
+ * @returns {string|null} Resolved value, null when a variable cannot be resolved
+ */
+function resolveVariables(value) {
+    let unresolved = false;
+
+    const resolved = String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::?-([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g, (match, name, fallback, bareName) => {
+        const variable = process.env[name ?? bareName];
+        if (variable !== undefined && variable !== '') {
+            return variable;
+        }
+        if (fallback !== undefined) {
+            return fallback;
+        }
+        unresolved = true;
+        return '';
+    });
+
+    return unresolved ? null : resolved;
+}
+
+/**
+ * Expand a published port or port range
+ *
+ * @param {string|number} value - Port like '8080' or range like '8080-8085'
+ * @returns {Array<number>} Ports (empty for an unusable value)
+ */
+function expandPortRange(value) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(String(value).trim());
+    if (!match) {
+        return [];
+    }
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (end < start || end - start > MAX_PORT_RANGE) {
+        return [];
+    }
+    return Array.from({ length: end - start + 1 }, (_, index) => start + index);
+}
+
+/**
+ * Collect the host ports published by the services of a Compose file
+ *
+ * Container-only ports (no host port) and ports with unresolvable variables
+ * are skipped.
+ *
+ * @param {Object} compose - Parsed Compose file
+ * @returns {Array<Object>} Published ports ({service, port, protocol, hostIp})
+ */
+export function getPublishedPorts(compose) {
+    const published = [];
+
+    Object.entries(compose?.services ?? {}).forEach(([service, definition]) => {
+        const ports = Array.isArray(definition?.ports) ? definition.ports : [];
+
+        ports.forEach(entry => {
+            let hostPorts;
+            let protocol = 'tcp';
+            let hostIp = '';
+
+            if (entry && typeof entry === 'object') {
+                // === LONG SYNTAX ===
+                // {target, published, protocol, host_ip}
+                if (entry.published === undefined) return;
+                const value = resolveVariables(entry.published);
+                if (value === null) return;
+                hostPorts = value;
+                protocol = entry.protocol ?? protocol;
+                hostIp = entry.host_ip ?? hostIp;
+            } else {
+                // === SHORT SYNTAX ===
+                // [HOST_IP:][HOST_PORT:]CONTAINER_PORT[/PROTOCOL]
+                const value = resolveVariables(entry);
+                if (value === null) return;
+                const [mapping, suffix] = value.split('/');
+                protocol = suffix ?? protocol;
+
+                const parts = mapping.split(':');
+                if (parts.length < 2) return;
+                hostPorts = parts[parts.length - 2];
+                hostIp = parts.slice(0, -2).join(':').replace(/^\[|\]$/g, '');
+            }
+
+            expandPortRange(hostPorts).forEach(port => published.push({ service, port, protocol, hostIp }));
+        });
+    });
+
+    return published;
+}
+
+/**
+ * Check whether two published ports claim the same host port
+ *
+ * @param {Object} a - Published port from getPublishedPorts()
+ * @param {Object} b - Published port from getPublishedPorts()
+ * @returns {boolean} True when both cannot be bound at the same time
+ */
+export function portsCollide(a, b) {
+    if (a.port !== b.port || a.protocol !== b.protocol) {
+        return false;
+    }
+    // A port bound to all interfaces collides with every address
+    const isWildcard = hostIp => ['', '0.0.0.0', '::'].includes(hostIp);
+    return isWildcard(a.hostIp) || isWildcard(b.hostIp) || a.hostIp === b.hostIp;
+}
+
+/**
+ * Collect the env_file references of a service
+ *
+ * @param {Object} definition - Service definition
+ * @returns {Array<Object>} References ({path, required})
+ */
+export function getEnvFiles(definition) {
+    const envFiles = definition?.env_file;
+    if (!envFiles) {
+        return [];
+    }
+
+    return (Array.isArray(envFiles) ? envFiles : [envFiles]).map(entry => (typeof entry === 'object'
+        ? { path: String(entry.path), required: entry.required !== false }
+        : { path: String(entry), required: true }));
+}
+
+/**
+ * Find the primary Compose file of a directory
+ *
+ * @param {string} directory - Directory to search
+ * @returns {string|null} Compose file name, null when there is none
+ */
+export function findComposeFile(directory) {
+    return COMPOSE_FILES.find(file => fs.existsSync(path.join(directory, file))) ?? null;
+}
+
+/*
+================================================================================
+DOCKER PROJECT HELPER
+================================================================================
+*/
+
+/**
+ * Dockerfile and Compose file analysis bound to a repository directory
+ */
+export class DockerProjectHelper extends ProjectFileHelper {
+    /**
+     * @param {string} cwd - Repository directory
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
+     */
+    constructor(cwd, findings = null) {
+        super(cwd, findings);
+
+        logInfo(`Docker project helper initialized for directory: ${this.cwd}`);
+    }
+
+    /**
+     * Read and parse a Dockerfile of the repository
+     *
+     * @param {string} filename - Dockerfile name relative to the repository
+     * @returns {Array<Object>|null} Instructions from parseDockerfile(), null when missing
+     */
+    readDockerfile(filename = 'Dockerfile') {
+        const content = this.readFile(filename);
+        return content === null ? null : parseDockerfile(content);
+    }
+
+    /**
+     * Find the primary Compose file of the repository
+     *
+     * @returns {string|null} Compose file name, null when there is none
+     */
+    findComposeFile() {
+        return findComposeFile(this.cwd);
+    }
+
+    /**
+     * Load and parse a Compose file
+     *
+     * A syntax error is reported as 'invalid-compose' error finding.
+     *
+     * @param {string} filename - Compose file name relative to the repository
+     * @returns {Object|null} Parsed Compose file, null when missing or invalid
+     */
+    loadComposeFile(filename) {
+        const content = this.readFile(filename);
+        if (content === null) {
+            return null;
+        }
+
+        try {
+            const compose = yaml.load(content);
+            if (!compose || typeof compose !== 'object' || Array.isArray(compose)) {
+                throw new Error('expected a mapping at the top level');
+            }
+            logSuccess(`${chalk.white(filename)} loaded successfully.`);
+            return compose;
+        } catch (error) {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'invalid-compose',
+                message: `Could not parse ${chalk.white(filename)}: ${error.message.split('\n')[0]}`,
+                file: filename
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Build a file remediation that copies an example env file
+     *
+     * Looks for '<file>.example', '<file>.dist' and '<file>.sample' next to the
+     * missing file.
+     *
+     * @param {string} filename - Missing env file relative to the repository
+     * @returns {Object|null} File remediation, null without an example file
+     */
+    createEnvFileRemediation(filename) {
+        const example = this.findFile(['.example', '.dist', '.sample'].map(suffix => `${filename}${suffix}`));
+        if (!example) {
+            return null;
+        }
+
+        const content = this.readFile(example);
+        return {
+            description: `Create ${filename} from ${example}`,
+            file: filename,
+            update: () => content
+        };
+    }
+
+    /*
+    ============================================================================
+    WORKSPACE ANALYSIS
+    ============================================================================
+    */
+
+    /**
+     * Collect the ports published by the other managed repositories
+     *
+     * Reads repos.yaml and the primary Compose file of every cloned repository
+     * except this one. Unreadable files are skipped - they are reported by the
+     * docker trait check of their own repository.
+     *
+     * @returns {Array<Object>} Published ports ({repo, file, service, port, protocol, hostIp})
+     */
+    getWorkspacePorts() {
+        let repos;
+        try {
+            repos = checkConfigurationFile().config?.repos ?? {};
+        } catch (error) {
+            logInfo(`Workspace port analysis skipped: ${error.message}`);
+            return [];
+        }
+
+        return Object.keys(repos).flatMap(repo => {
+            const directory = path.join(packagesDir, repo);
+            const file = path.resolve(directory) === this.cwd ? null : findComposeFile(directory);
+            if (!file) {
+                return [];
+            }
+
+            try {
+                const compose = yaml.load(fs.readFileSync(path.join(directory, file), 'utf8'));
+                return getPublishedPorts(compose).map(published => ({ repo, file, ...published }));
+            } catch (error) {
+                return [];
+            }
+        });
+    }
+}
@@ -0,0 +1,267 @@
+/*
+================================================================================
+File: scripts/helper/git-helper.js (Git Working Copy Utility)
+Description: Git utility for the multirepo setup orchestrator. Wraps the git
+             command line to inspect the state of an already cloned repository:
+             current branch, upstream tracking information, working tree changes
+             and remote configuration. Also provides the few safe update
+             operations (fetch, fast-forward, stash) used by workspace-wide
+             commands such as `status` and `sync`.
+
+Key Responsibilities:
+- Detect whether a directory is a git working copy
+- Parse porcelain status output into structured branch and change data
+- Resolve remote URLs and HEAD commit information
+- Hide git command failures behind null/empty results for robust reporting
+- Perform non-destructive updates (fetch, fast-forward only merges, stashing)
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for repository detection
+import fs from 'fs';
+// Path utilities for cross-platform path resolution
+import path from 'path';
+// Child process execution for git commands (argument arrays avoid shell quoting issues)
+import { execFileSync } from 'child_process';
+
+/*
+================================================================================
+GIT WORKING COPY INSPECTION
+================================================================================
+*/
+
+/**
+ * Git Helper bound to a single working copy
+ *
+ * All commands are executed with the working copy as current directory.
+ * Query methods never throw for git failures; they return null (or empty
+ * structures) so callers can report partial information for broken or
+ * unusual repositories instead of aborting.
+ */
+export class GitHelper {
+    /**
+     * Initialize git helper with working copy context
+     *
+     * @param {string} cwd - Path to the repository working copy
+     */
+    constructor(cwd) {
+        this.cwd = path.resolve(cwd);
+    }
+
+    /*
+    ============================================================================
+    COMMAND EXECUTION
+    ============================================================================
+    */
+
+    /**
+     * Execute a git command and return its trimmed output
+     *
+     * @param {Array<string>} args - Arguments passed to git
+     * @returns {string} Trimmed stdout of the command
+     * @throws {Error} When git exits with a non-zero code
+     */
+    run(args) {
+        return execFileSync('git', args, {
+            cwd: this.cwd,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'pipe']
+        }).trim();
+    }
+
+    /**
+     * Execute a git command, returning null instead of throwing on failure
+     *
+     * @param {Array<string>} args - Arguments passed to git
+     * @returns {string|null} Trimmed stdout or null if the command failed
+     */
+    tryRun(args) {
+        try {
+            return this.run(args);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /*
+    ============================================================================
+    REPOSITORY STATE QUERIES
+    ============================================================================
+    */
+
+    /**
+     * Check whether the working directory is the root of a git repository
+     *
+     * @returns {boolean} True if a .git directory or file exists
+     */
+    isRepository() {
+        return fs.existsSync(path.join(this.cwd, '.git'));
+    }
+
+    /**
+     * Resolve the URL of a configured remote
+     *
+     * @param {string} remote - Remote name (default: origin)
+     * @returns {string|null} Remote URL or null if the remote is not configured
+     */
+    getRemoteUrl(remote = 'origin') {
+        return this.tryRun(['remote', 'get-url', remote]);
+    }
+
+    /**
+     * Resolve the full SHA of the currently checked out commit
+     *
+     * @returns {string|null} Commit SHA or null for repositories without commits
+     */
+    getHeadSha() {
+        return this.tryRun(['rev-parse', 'HEAD']);
+    }
+
+    /**
+     * Resolve a ref (branch, tag, SHA) to the full SHA of the commit it points to
+     *
+     * @param {string} ref - Any ref git can resolve
+     * @returns {string|null} Commit SHA or null if the ref is unknown locally
+     */
+    resolveCommit(ref) {
+        return this.tryRun(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    }
+
+    /**
+     * Check whether a commit is an ancestor of (or equal to) another commit
+     *
+     * @param {string} ancestor - Possible ancestor (any ref git can resolve)
+     * @param {string} descendant - Commit to compare against
+     * @returns {boolean} True if `ancestor` is reachable from `descendant`
+     */
+    isAncestor(ancestor, descendant) {
+        return this.tryRun(['merge-base', '--is-ancestor', ancestor, descendant]) !== null;
+    }
+
+    /**
+     * List the files changed between two commits
+     *
+     * @param {string} from - Older commit
+     * @param {string} to - Newer commit
+     * @returns {Array<string>|null} Paths relative to the repository root, null if the diff failed
+     */
+    getChangedFiles(from, to) {
+        const output = this.tryRun(['diff', '--name-only', '--no-renames', from, to]);
+        return output === null ? null : output.split('\n').filter(Boolean);
+    }
+
+    /**
+     * Collect branch, upstream and working tree information in a single call
+     *
+     * Parses `git status --porcelain=v2 --branch`, which reports the branch
+     * header and every changed path in a stable, machine-readable format.
+     *
+     * Result Structure:
+     * ```
+     * {
+     *   branch: 'main' | null (detached HEAD),
+     *   head: '<sha>' | null (no commits yet),
+     *   detached: boolean,
+     *   upstream: 'origin/main' | null,
+     *   ahead: number | null, behind: number | null,
+     *   changed: number, untracked: number, conflicted: number
+     * }
+     * ```
+     *
+     * @returns {Object|null} Parsed status or null if git status failed
+     */
+    getStatus() {
+        const output = this.tryRun(['status', '--porcelain=v2', '--branch']);
+        if (output === null) {
+            return null;
+        }
+
+        const status = {
+            branch: null,
+            head: null,
+            detached: false,
+            upstream: null,
+            ahead: null,
+            behind: null,
+            changed: 0,
+            untracked: 0,
+            conflicted: 0
+        };
+
+        // === PORCELAIN V2 PARSING ===
+        for (const line of output.split('\n')) {
+            if (line.startsWith('# branch.oid ')) {
+                const oid = line.slice('# branch.oid '.length);
+                status.head = oid === '(initial)' ? null : oid;
+            } else if (line.startsWith('# branch.head ')) {
+                const head = line.slice('# branch.head '.length);
+                status.detached = head === '(detached)';
+                status.branch = status.detached ? null : head;
+            } else if (line.startsWith('# branch.upstream ')) {
+                status.upstream = line.slice('# branch.upstream '.length);
+            } else if (line.startsWith('# branch.ab ')) {
+                const [ahead, behind] = line.slice('# branch.ab '.length).split(' ');
+                status.ahead = Math.abs(parseInt(ahead, 10));
+                status.behind = Math.abs(parseInt(behind, 10));
+            } else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+                status.changed++;
+            } else if (line.startsWith('u ')) {
+                status.conflicted++;
+            } else if (line.startsWith('? ')) {
+                status.untracked++;
+            }
+        }
+
+        return status;
+    }
+
+    /*
+    ============================================================================
+    SAFE UPDATE OPERATIONS
+    ============================================================================
+    */
+
+    /**
+     * Fetch all branches from the default remote, pruning deleted branches
+     *
+     * @throws {Error} When the fetch fails (network, authentication, ...)
+     */
+    fetch() {
+        this.run(['fetch', '--prune']);
+    }
+
+    /**
+     * Fast-forward the current branch to its upstream
+     *
+     * Never creates merge commits - fails instead if the branches diverged.
+     *
+     * @throws {Error} When a fast-forward is not possible
+     */
+    fastForward() {
+        this.run(['merge', '--ff-only', '@{upstream}']);
+    }
+
+    /**
+     * Stash tracked working tree changes
+     *
+     * @param {string} message - Stash message for later identification
+     * @returns {boolean} True if changes were stashed, false if there was nothing to stash
+     * @throws {Error} When git refuses to create the stash
+     */
+    stash(message) {
+        const before = this.tryRun(['rev-parse', '--verify', '--quiet', 'refs/stash']);
+        this.run(['stash', 'push', '--message', message]);
+        const after = this.tryRun(['rev-parse', '--verify', '--quiet', 'refs/stash']);
+        return after !== null && after !== before;
+    }
+
+    /**
+     * Re-apply and drop the most recent stash entry
+     *
+     * @throws {Error} When the stash cannot be applied cleanly (entry is kept)
+     */
+    stashPop() {
+        this.run(['stash', 'pop']);
+    }
+}
@@ -0,0 +1,321 @@
+/*
+================================================================================
+File: scripts/helper/go-module-helper.js (Go Module Analysis Engine)
+Description: go.mod and go.sum analysis for the go trait. Parses the module
+             manifest, resolves the Go version a module requires, detects the
+             installed Go toolchain and checks which required modules are
+             missing from go.sum and from the module cache.
+
+Key Responsibilities:
+- go.mod parsing (module, go and toolchain directives, require and replace)
+- go.sum parsing and completeness check against the requirements
+- Toolchain detection and version check against the go directive
+- Module cache lookup (GOMODCACHE) for downloaded modules
+- Problems reported as findings of the running trait check (trait-findings.js)
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for manifest and module cache access
+import fs from 'fs';
+// Path utilities for cross-platform file system navigation
+import path from 'path';
+// Toolchain detection
+import { execSync } from 'child_process';
+// Shared repository file access
+import { ProjectFileHelper } from './project-file-helper.js';
+// Logging system for analysis feedback
+import { logInfo, logSuccess } from './logger.js';
+// Release version comparison for the go directive
+import { isVersionAtLeast } from './version.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
+// Terminal styling for enhanced visual feedback
+import chalk from 'chalk';
+
+/*
+================================================================================
+GO MODULE CONFIGURATION
+================================================================================
+*/
+
+// === TOOLCHAIN SWITCHING ===
+// First Go release that downloads the toolchain a module requires (GOTOOLCHAIN=auto)
+const TOOLCHAIN_SWITCH_VERSION = '1.21';
+
+// === COMMAND TIMEOUT ===
+// Go commands that do not return in time count as failed
+const GO_COMMAND_TIMEOUT = 30000;
+
+/*
+================================================================================
+GO.MOD PARSING
+================================================================================
+*/
+
+/**
+ * Parse a go.mod file
+ *
+ * Directives can be single-line (`require a v1`) or blocks (`require ( ... )`).
+ * Only the directives the trait checks are kept.
+ *
+ * @param {string} content - go.mod content
+ * @returns {Object} Manifest ({module, go, toolchain, require: [{path, version, indirect}],
+ *          replace: [{path, version, replacement, replacementVersion}]})
+ */
+export function parseGoMod(content) {
+    const manifest = { module: null, go: null, toolchain: null, require: [], replace: [] };
+    let block = null;
+
+    content.replace(/\r\n/g, '\n').split('\n').forEach(rawLine => {
+        const indirect = /\/\/\s*indirect\b/.test(rawLine);
+        const line = rawLine.replace(/\/\/.*$/, '').trim();
+        if (line === '') return;
+
+        // === BLOCKS ===
+        if (block) {
+            if (line === ')') {
+                block = null;
+            } else {
+                addDirective(manifest, block, line, indirect);
+            }
+            return;
+        }
+
+        const [, directive, rest] = /^(\S+)\s*(.*)$/.exec(line);
+        if (rest === '(') {
+            block = directive;
+        } else {
+            addDirective(manifest, directive, rest, indirect);
+        }
+    });
+
+    return manifest;
+}
+
+/**
+ * Add a single directive to a parsed go.mod
+ *
+ * @param {Object} manifest - Manifest being built
+ * @param {string} directive - Directive name (module, go, require, ...)
+ * @param {string} args - Directive arguments
+ * @param {boolean} indirect - Whether the line is marked // indirect
+ */
+function addDirective(manifest, directive, args, indirect) {
+    const words = args.split(/\s+/).map(word => word.replace(/^"|"$/g, ''));
+
+    switch (directive) {
+        case 'module':
+        case 'go':
+        case 'toolchain':
+            manifest[directive] = words[0];
+            break;
+        case 'require':
+            manifest.require.push({ path: words[0], version: words[1], indirect });
+            break;
+        case 'replace': {
+            // replace old [version] => new [version]
+            const arrow = words.indexOf('=>');
+            if (arrow === -1) return;
+            manifest.replace.push({
+                path: words[0],
+                version: arrow > 1 ? words[1] : null,
+                replacement: words[arrow + 1],
+                replacementVersion: words[arrow + 2] ?? null
+            });
+            break;
+        }
+        default:
+            // exclude, retract and godebug do not affect the checks
+            break;
+    }
+}
+
+/**
+ * Escape a module path for the module cache (uppercase letters become '!' + lowercase)
+ *
+ * @param {string} modulePath - Module path, e.g. 'github.com/BurntSushi/toml'
+ * @returns {string} Escaped path, e.g. 'github.com/!burnt!sushi/toml'
+ */
+export function escapeModulePath(modulePath) {
+    return modulePath.replace(/[A-Z]/g, letter => `!${letter.toLowerCase()}`);
+}
+
+/**
+ * Check whether a replacement points to a directory instead of a module version
+ *
+ * @param {string} replacement - Replacement path of a replace directive
+ * @returns {boolean} True for './dir', '../dir' and absolute paths
+ */
+export function isLocalReplacement(replacement) {
+    return /^\.{1,2}(\/|$)/.test(replacement) || path.isAbsolute(replacement);
+}
+
+/*
+================================================================================
+TOOLCHAIN DETECTION
+================================================================================
+*/
+
+/**
+ * Find the installed Go toolchain
+ *
+ * GOTOOLCHAIN=local keeps `go version` from downloading the toolchain a
+ * module requires, so the installed version is reported.
+ *
+ * @returns {Object|null} Toolchain ({command, version}), null when Go is not installed
+ */
+export function detectGoToolchain() {
+    try {
+        const output = execSync('go version', {
+            encoding: 'utf8',
+            stdio: 'pipe',
+            timeout: GO_COMMAND_TIMEOUT,
+            env: { ...process.env, GOTOOLCHAIN: 'local' }
+        });
+        const match = /go version go(\d+(?:\.\d+)*)/.exec(output);
+        return match ? { command: 'go', version: match[1] } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/*
+================================================================================
+GO MODULE HELPER
+================================================================================
+*/
+
+/**
+ * Go module analysis bound to a repository directory
+ */
+export class GoModuleHelper extends ProjectFileHelper {
+    /**
+     * @param {string} cwd - Repository directory
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
+     */
+    constructor(cwd, findings = null) {
+        super(cwd, findings);
+
+        // === LAZY LOADING STATE ===
+        this._goMod = undefined;
+
+        logInfo(`Go module helper initialized for directory: ${this.cwd}`);
+    }
+
+    /**
+     * Parsed go.mod (loaded once)
+     *
+     * @returns {Object|null} Manifest from parseGoMod(), null when go.mod is missing
+     */
+    get goMod() {
+        if (this._goMod === undefined) {
+            const content = this.readFile('go.mod');
+            this._goMod = content === null ? null : parseGoMod(content);
+        }
+        return this._goMod;
+    }
+
+    /**
+     * Module requirements that are fetched from a module proxy
+     *
+     * Requirements replaced by a local directory are skipped, requirements
+     * replaced by another module version are returned as that version.
+     *
+     * @returns {Array<Object>} Requirements ({path, version, indirect})
+     */
+    getRemoteRequirements() {
+        const goMod = this.goMod;
+        if (!goMod) return [];
+
+        return goMod.require.flatMap(requirement => {
+            const replacement = goMod.replace.find(replace => replace.path === requirement.path &&
+                (replace.version === null || replace.version === requirement.version));
+            if (!replacement) {
+                return [requirement];
+            }
+            if (isLocalReplacement(replacement.replacement)) {
+                return [];
+            }
+            return [{ ...requirement, path: replacement.replacement, version: replacement.replacementVersion }];
+        });
+    }
+
+    /**
+     * Find requirements without a go.mod hash in go.sum
+     *
+     * @returns {Array<Object>|null} Requirements missing from go.sum, null when go.sum is missing
+     */
+    getUnsummedRequirements() {
+        const goSum = this.readFile('go.sum');
+        if (goSum === null) return null;
+
+        // Lines: <module> <version>[/go.mod] h1:<hash>
+        const summed = new Set(goSum.split('\n')
+            .map(line => line.trim().split(/\s+/))
+            .filter(words => words.length === 3)
+            .map(([modulePath, version]) => `${modulePath} ${version.replace(/\/go\.mod$/, '')}`));
+
+        return this.getRemoteRequirements().filter(requirement => !summed.has(`${requirement.path} ${requirement.version}`));
+    }
+
+    /**
+     * Find requirements that are not downloaded to the module cache
+     *
+     * @returns {Array<Object>|null} Requirements not in the module cache, null when the cache cannot be located
+     */
+    getMissingModules() {
+        let moduleCache;
+        try {
+            moduleCache = execSync('go env GOMODCACHE', {
+                cwd: this.cwd,
+                encoding: 'utf8',
+                stdio: 'pipe',
+                timeout: GO_COMMAND_TIMEOUT,
+                env: { ...process.env, GOTOOLCHAIN: 'local' }
+            }).trim();
+        } catch (error) {
+            return null;
+        }
+        if (!moduleCache) return null;
+
+        return this.getRemoteRequirements().filter(({ path: modulePath, version }) => !fs.existsSync(
+            path.join(moduleCache, 'cache', 'download', escapeModulePath(modulePath), '@v', `${version}.zip`)
+        ));
+    }
+
+    /**
+     * Check a toolchain against the go directive of go.mod
+     *
+     * An older toolchain is an 'unsupported-go' error finding - or a warning
+     * when it downloads the required toolchain itself (Go 1.21+ unless
+     * GOTOOLCHAIN=local).
+     *
+     * @param {Object} toolchain - Toolchain ({command, version})
+     * @returns {boolean} False when the toolchain is older than the go directive
+     */
+    validateGoVersion(toolchain) {
+        const required = this.goMod?.go;
+        if (!required) {
+            logInfo('No go directive declared in go.mod.');
+            return true;
+        }
+
+        if (isVersionAtLeast(toolchain.version, required)) {
+            logSuccess(`Go ${chalk.white(toolchain.version)} satisfies go ${chalk.cyan(required)} (go.mod).`);
+            return true;
+        }
+
+        const switches = isVersionAtLeast(toolchain.version, TOOLCHAIN_SWITCH_VERSION) && process.env.GOTOOLCHAIN !== 'local';
+        reportFinding(this.findings, {
+            severity: switches ? 'warning' : 'error',
+            code: 'unsupported-go',
+            message: switches
+                ? `Go ${toolchain.version} is older than go ${required} required by go.mod - the go command downloads go${required} on first use.`
+                : `Go ${toolchain.version} does not satisfy go ${required} required by go.mod.`,
+            file: 'go.mod',
+            fix: `Install Go ${required} or newer`
+        });
+        return false;
+    }
+}
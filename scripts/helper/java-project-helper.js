@@ -0,0 +1,421 @@
+/*
+================================================================================
+File: scripts/helper/java-project-helper.js (Java Project Analysis Engine)
+Description: JDK, Maven and Gradle analysis for the java, maven and gradle
+             traits. Detects the installed JDK, resolves the Java version a
+             build requires (maven.compiler.release, Gradle toolchains) and
+             validates the Maven and Gradle wrappers a repository ships.
+
+Key Responsibilities:
+- JDK detection (JAVA_HOME first, then the PATH) and JRE-only installs
+- Required Java version from pom.xml and build.gradle(.kts)
+- Wrapper script (mvnw, gradlew) executable bit, with chmod as fix
+- Wrapper properties (distributionUrl) and the Gradle wrapper jar
+- Multi-module build detection (Maven modules, Gradle includes)
+- Problems reported as findings of the running trait check (trait-findings.js)
+
+Limitations:
+- pom.xml is read with patterns, not an XML parser; parent POMs and profiles
+  are not resolved
+- Gradle build scripts are code - only the usual declarations are recognized
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for build file and wrapper access
+import fs from 'fs';
+// Path utilities for cross-platform file system navigation
+import path from 'path';
+// JDK detection
+import { execSync } from 'child_process';
+// Shared repository file access
+import { ProjectFileHelper } from './project-file-helper.js';
+// Logging system for analysis feedback
+import { logInfo, logSuccess } from './logger.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
+// chmod commands offered as fix (setup --fix)
+import { createCommandRemediation } from './remediation.js';
+// Terminal styling for enhanced visual feedback
+import chalk from 'chalk';
+
+/*
+================================================================================
+JAVA PROJECT CONFIGURATION
+================================================================================
+*/
+
+// === BUILD FILES ===
+// Files that make a directory a Maven or Gradle build
+export const MAVEN_BUILD_FILES = ['pom.xml'];
+export const GRADLE_BUILD_FILES = ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'];
+
+// === WRAPPERS ===
+// Wrapper script, properties and (Gradle only) bootstrap jar per build tool
+export const WRAPPERS = {
+    maven: { script: 'mvnw', properties: '.mvn/wrapper/maven-wrapper.properties', jar: null },
+    gradle: { script: 'gradlew', properties: 'gradle/wrapper/gradle-wrapper.properties', jar: 'gradle/wrapper/gradle-wrapper.jar' }
+};
+
+// === MAVEN VERSION PROPERTIES ===
+// pom.xml properties declaring the Java version, in order of precedence
+const MAVEN_VERSION_PROPERTIES = ['maven.compiler.release', 'maven.compiler.target', 'maven.compiler.source', 'java.version'];
+
+// === GRADLE VERSION DECLARATIONS ===
+// [pattern, toolchain] - toolchains let Gradle find or provision a matching JDK
+const GRADLE_VERSION_PATTERNS = [
+    [/JavaLanguageVersion\.of\(\s*['"]?(\d+)['"]?\s*\)/, true],
+    [/jvmToolchain\(\s*(\d+)\s*\)/, true],
+    [/(?:sourceCompatibility|targetCompatibility)\s*=\s*(?:JavaVersion\.VERSION_(?:1_)?(\d+)|['"]?(?:1\.)?(\d+)['"]?)/, false],
+    [/options\.release(?:\.set\(|\s*=\s*)\s*(\d+)/, false]
+];
+
+/**
+ * Check whether a repository directory holds one of the given build files
+ *
+ * preClone hooks run before the first clone too, when the repository (and
+ * possibly context.cwd) does not exist yet.
+ *
+ * @param {string|undefined} cwd - Repository directory
+ * @param {Array<string>} files - Build files, e.g. MAVEN_BUILD_FILES
+ * @returns {boolean} True when the directory is checked out with a build file
+ */
+export function hasBuildFile(cwd, files) {
+    return Boolean(cwd) && files.some(file => fs.existsSync(path.join(cwd, file)));
+}
+
+/*
+================================================================================
+JDK DETECTION
+================================================================================
+*/
+
+/**
+ * Extract the feature version from a Java version string
+ *
+ * @param {string} version - Version like '17.0.2', '21' or '1.8.0_292'
+ * @returns {number} Feature version (8 for '1.8.0_292')
+ */
+export function getJavaFeatureVersion(version) {
+    const [first, second] = String(version).split(/[._-]/).map(part => parseInt(part, 10));
+    return first === 1 ? second : first;
+}
+
+/**
+ * Run a JDK tool with -version
+ *
+ * @param {string} command - Tool command or path
+ * @returns {string|null} Version, null when the tool does not run
+ */
+function probeJavaTool(command) {
+    try {
+        // java -version and javac -version (before JDK 9) print to stderr
+        const output = execSync(`"${command}" -version 2>&1`, { encoding: 'utf8', stdio: 'pipe', timeout: 15000 });
+        return /(?:version "|javac )(\d+(?:[._]\d+)*)/.exec(output)?.[1] ?? null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the JDK used by Maven and Gradle
+ *
+ * Both use JAVA_HOME when it is set and the java command on the PATH otherwise.
+ *
+ * @returns {Object|null} JDK ({command, version, feature, hasCompiler, javaHome}), null when Java is not installed
+ */
+export function detectJdk() {
+    const javaHome = process.env.JAVA_HOME || null;
+    const binary = name => (javaHome ? path.join(javaHome, 'bin', name) : name);
+
+    const version = probeJavaTool(binary('java'));
+    if (!version) {
+        return null;
+    }
+
+    return {
+        command: binary('java'),
+        version,
+        feature: getJavaFeatureVersion(version),
+        // A JRE has no compiler
+        hasCompiler: probeJavaTool(binary('javac')) !== null,
+        javaHome
+    };
+}
+
+/*
+================================================================================
+JAVA PROJECT HELPER
+================================================================================
+*/
+
+/**
+ * Java build analysis bound to a repository directory
+ */
+export class JavaProjectHelper extends ProjectFileHelper {
+    /**
+     * @param {string} cwd - Repository directory
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
+     */
+    constructor(cwd, findings = null) {
+        super(cwd, findings);
+
+        logInfo(`Java project helper initialized for directory: ${this.cwd}`);
+    }
+
+    /*
+    ============================================================================
+    BUILD FILE ANALYSIS
+    ============================================================================
+    */
+
+    /**
+     * Read the <properties> of pom.xml
+     *
+     * @returns {Object} Property values by name (empty without pom.xml)
+     */
+    getMavenProperties() {
+        const pom = this.readFile('pom.xml') ?? '';
+        const section = /<properties>([\s\S]*?)<\/properties>/.exec(pom.replace(/<!--[\s\S]*?-->/g, ''))?.[1] ?? '';
+
+        const properties = {};
+        for (const [, name, value] of section.matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+            properties[name] = value;
+        }
+        return properties;
+    }
+
+    /**
+     * Read a top-level element of pom.xml (outside <parent>, <dependencies>, ...)
+     *
+     * @param {string} element - Element name, e.g. 'artifactId'
+     * @returns {string|null} Element text, null when missing
+     */
+    getPomElement(element) {
+        const pom = (this.readFile('pom.xml') ?? '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(parent|dependencies|dependencyManagement|build|profiles|modules|properties|reporting)>[\s\S]*?<\/\1>/g, '');
+        return new RegExp(`<${element}>\\s*([^<]*?)\\s*</${element}>`).exec(pom)?.[1] ?? null;
+    }
+
+    /**
+     * Java version pom.xml compiles for
+     *
+     * Sources: maven.compiler.release/target/source and java.version
+     * properties, then <release> of the compiler plugin configuration.
+     * ${property} references are resolved from <properties>.
+     *
+     * @returns {Object|null} Requirement ({version, source, toolchain: false}), null when none is declared
+     */
+    getMavenJavaVersion() {
+        const pom = this.readFile('pom.xml');
+        if (!pom) return null;
+
+        const properties = this.getMavenProperties();
+        const resolve = value => String(value).replace(/\$\{([\w.-]+)\}/g, (match, name) => properties[name] ?? match);
+
+        const property = MAVEN_VERSION_PROPERTIES.find(name => properties[name]);
+        const candidates = [
+            property && [properties[property], `pom.xml (${property})`],
+            [/<release>\s*([^<]+?)\s*<\/release>/.exec(pom)?.[1], 'pom.xml (maven-compiler-plugin release)']
+        ];
+
+        for (const candidate of candidates.filter(Boolean)) {
+            const version = candidate[0] && resolve(candidate[0]);
+            if (version && /^(1\.)?\d+$/.test(version)) {
+                return { version: String(getJavaFeatureVersion(version)), source: candidate[1], toolchain: false };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Java version the Gradle build declares
+     *
+     * Toolchain declarations (JavaLanguageVersion.of, jvmToolchain) take
+     * precedence over source/targetCompatibility and options.release.
+     *
+     * @returns {Object|null} Requirement ({version, source, toolchain}), null when none is declared
+     */
+    getGradleJavaVersion() {
+        const buildFile = this.findFile(['build.gradle', 'build.gradle.kts']);
+        const script = buildFile ? this.readFile(buildFile).replace(/\/\/.*$/gm, '') : null;
+        if (!script) return null;
+
+        for (const [pattern, toolchain] of GRADLE_VERSION_PATTERNS) {
+            const match = pattern.exec(script);
+            const version = match?.slice(1).find(Boolean);
+            if (version) {
+                return { version, source: `${buildFile} (${toolchain ? 'toolchain' : 'compatibility'})`, toolchain };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Java version the build requires (Maven first, then Gradle)
+     *
+     * @returns {Object|null} Requirement ({version, source, toolchain}), null when none is declared
+     */
+    getRequiredJavaVersion() {
+        return this.getMavenJavaVersion() ?? this.getGradleJavaVersion();
+    }
+
+    /**
+     * Check a JDK against the Java version the build requires
+     *
+     * An older JDK is an 'unsupported-java' error - or a warning for Gradle
+     * toolchains, which Gradle resolves to another installed or provisioned JDK.
+     *
+     * @param {Object} jdk - JDK from detectJdk()
+     * @returns {boolean} False when the JDK is older than the required version
+     */
+    validateJavaVersion(jdk) {
+        const requirement = this.getRequiredJavaVersion();
+        if (!requirement) {
+            logInfo('No Java version requirement declared.');
+            return true;
+        }
+
+        if (jdk.feature >= parseInt(requirement.version, 10)) {
+            logSuccess(`Java ${chalk.white(jdk.version)} satisfies Java ${chalk.cyan(requirement.version)} required by ${requirement.source}.`);
+            return true;
+        }
+
+        reportFinding(this.findings, {
+            severity: requirement.toolchain ? 'warning' : 'error',
+            code: 'unsupported-java',
+            message: requirement.toolchain
+                ? `Java ${jdk.version} is older than the Java ${requirement.version} toolchain of ${requirement.source} - Gradle needs a matching JDK installed or provisioned.`
+                : `Java ${jdk.version} does not satisfy Java ${requirement.version} required by ${requirement.source}.`,
+            file: requirement.source.split(' ')[0],
+            fix: `Install JDK ${requirement.version} and point JAVA_HOME to it`
+        });
+        return false;
+    }
+
+    /**
+     * Check whether the build consists of several modules
+     *
+     * @returns {boolean} True for Maven <modules> or Gradle include() in the settings
+     */
+    isMultiModuleBuild() {
+        const pom = this.readFile('pom.xml') ?? '';
+        const settings = this.readFile('settings.gradle') ?? this.readFile('settings.gradle.kts') ?? '';
+        return /<modules>\s*<module>/.test(pom) || /^\s*include\s*[('"]/m.test(settings);
+    }
+
+    /*
+    ============================================================================
+    WRAPPER VALIDATION
+    ============================================================================
+    */
+
+    /**
+     * Check the wrapper script of a build tool
+     *
+     * A script without executable bit is a 'wrapper-not-executable' error with
+     * `chmod +x` as fix (Windows has no executable bit).
+     *
+     * @param {string} tool - Build tool ('maven' or 'gradle')
+     * @returns {boolean} True when the repository ships the wrapper script
+     */
+    validateWrapperScript(tool) {
+        const { script } = WRAPPERS[tool];
+        if (!this.hasFile(script)) {
+            return false;
+        }
+
+        if (process.platform === 'win32') {
+            logSuccess(`Wrapper script found: ${chalk.white(script)}`);
+            return true;
+        }
+
+        const executable = (fs.statSync(path.join(this.cwd, script)).mode & 0o111) !== 0;
+        if (executable) {
+            logSuccess(`Wrapper script ${chalk.white(script)} is executable.`);
+        } else {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'wrapper-not-executable',
+                message: `Wrapper script ${chalk.white(script)} is not executable. Run ${chalk.cyan(`chmod +x ${script}`)} ` +
+                    `(and ${chalk.cyan(`git update-index --chmod=+x ${script}`)} to fix it in the repository).`,
+                file: script,
+                remediation: createCommandRemediation(`chmod +x ${script}`)
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Read a Java properties file
+     *
+     * @param {string} filename - Properties file relative to the repository
+     * @returns {Object|null} Values by key, null when the file does not exist
+     */
+    readProperties(filename) {
+        const content = this.readFile(filename);
+        if (content === null) return null;
+
+        const properties = {};
+        content.replace(/\\\r?\n\s*/g, '').split(/\r?\n/).forEach(line => {
+            const match = /^\s*([^#!\s=:][^=:\s]*)\s*[=:\s]\s*(.*)$/.exec(line);
+            if (match) {
+                properties[match[1]] = match[2].replace(/\\(.)/g, '$1').trim();
+            }
+        });
+        return properties;
+    }
+
+    /**
+     * Check the wrapper properties (and jar) of a build tool
+     *
+     * @param {string} tool - Build tool ('maven' or 'gradle')
+     * @returns {Object|null} Wrapper properties, null when missing
+     */
+    validateWrapperProperties(tool) {
+        const { script, properties: propertiesFile, jar } = WRAPPERS[tool];
+
+        const properties = this.readProperties(propertiesFile);
+        if (!properties) {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'missing-wrapper-properties',
+                message: `${chalk.white(script)} found, but ${chalk.white(propertiesFile)} is missing. The wrapper cannot download ${tool}.`,
+                file: propertiesFile
+            });
+            return null;
+        }
+
+        const distributionUrl = properties.distributionUrl;
+        if (!distributionUrl) {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'invalid-wrapper-properties',
+                message: `${chalk.white(propertiesFile)} has no ${chalk.cyan('distributionUrl')}.`,
+                file: propertiesFile
+            });
+        } else if (distributionUrl.startsWith('http://')) {
+            reportFinding(this.findings, {
+                severity: 'warning',
+                code: 'insecure-wrapper-url',
+                message: `${chalk.white(propertiesFile)} downloads ${tool} over plain HTTP. Use an https:// ${chalk.cyan('distributionUrl')}.`,
+                file: propertiesFile
+            });
+        } else {
+            const version = /-(\d+(?:\.\d+)+)-(?:bin|all)\.zip$/.exec(distributionUrl)?.[1];
+            logSuccess(`Wrapper uses ${tool}${version ? ` ${chalk.white(version)}` : ''}: ${chalk.gray(distributionUrl)}`);
+        }
+
+        if (jar && !this.hasFile(jar)) {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'missing-wrapper-jar',
+                message: `${chalk.white(jar)} is missing - ${chalk.white(script)} cannot start without it. Regenerate the wrapper with ${chalk.cyan(`${tool} wrapper`)}.`,
+                file: jar
+            });
+        }
+
+        return properties;
+    }
+}
@@ -0,0 +1,213 @@
+/*
+================================================================================
+File: scripts/helper/junit-report.js (JUnit XML Setup Results)
+Description: Renders the results of a setup run as JUnit XML
+             (`setup --junit <file>`), so CI systems show the multirepo health
+             check like any other test suite. Every repository becomes a
+             testsuite, every hook that ran - trait checks (BaseTraitChecker
+             check()), custom scripts and commands - a testcase. Warnings logged
+             while a hook ran are attached to its testcase as system-out.
+
+Key Responsibilities:
+- Map repositories to testsuites and hooks to testcases
+- Map phases without hooks (repository setup, cached or skipped phases) to a
+  testcase per phase, so every suite shows what happened
+- Report failed and timed-out hooks as failures, an aborted setup as error
+- Produce well-formed XML (escaping, no control characters)
+
+Testcase Mapping:
+- Hook succeeded:          passed testcase
+- Hook failed / timed out: <failure type="failed|timeout">
+- Phase cached or skipped: <skipped> with the cache or skip reason
+- Phase failed (no hooks): <failure type="phase">
+- Setup aborted:           <error> in the extra testsuite "multirepo"
+
+The data collected by SetupReport (setup-report.js) is passed in; this module
+only renders it.
+================================================================================
+*/
+
+/*
+================================================================================
+XML HELPERS
+================================================================================
+*/
+
+/**
+ * Escape text for XML attributes and text nodes
+ *
+ * Control characters other than tab, line feed and carriage return are not
+ * allowed in XML 1.0 and are removed.
+ *
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a duration for the JUnit `time` attribute (seconds)
+ *
+ * @param {number|null} durationMs - Duration in milliseconds
+ * @returns {string} Seconds with millisecond precision
+ */
+function toSeconds(durationMs) {
+    return ((durationMs ?? 0) / 1000).toFixed(3);
+}
+
+/**
+ * Render warnings as system-out lines
+ *
+ * @param {Array<Object>} warnings - Collected warnings ({phase, message})
+ * @returns {string} Warning lines
+ */
+function formatWarnings(warnings) {
+    return warnings.map(warning => `WARNING${warning.phase ? ` [${warning.phase}]` : ''}: ${warning.message}`).join('\n');
+}
+
+/*
+================================================================================
+TESTCASE MAPPING
+================================================================================
+*/
+
+/**
+ * Build the testcases of a repository
+ *
+ * Warnings that belong to no testcase (logged outside of a hook in a phase
+ * that ran hooks) are returned separately for the testsuite system-out.
+ *
+ * @param {Object} report - Report data (see renderHtmlReport in setup-report.js)
+ * @param {Object} repo - Repository result ({name, phases})
+ * @returns {Object} Testcases and remaining warnings ({testcases, warnings})
+ */
+function buildTestCases(report, repo) {
+    const testcases = [];
+    const warnings = report.warnings.filter(warning => warning.repo === repo.name);
+    const assigned = new Set();
+    const take = (filter) => {
+        const taken = warnings.filter(warning => !assigned.has(warning) && filter(warning));
+        taken.forEach(warning => assigned.add(warning));
+        return taken;
+    };
+
+    Object.keys(report.phases).forEach(phase => {
+        const result = repo.phases[phase];
+        if (!result) {
+            return; // Phase not reached
+        }
+
+        const classname = `multirepo.${repo.name}.${phase}`;
+
+        // === HOOK TESTCASES ===
+        result.hooks.forEach(hook => {
+            testcases.push({
+                classname,
+                name: hook.hook,
+                durationMs: hook.durationMs,
+                failure: hook.outcome === 'success' ? null : { type: hook.outcome, message: hook.error ?? hook.outcome },
+                warnings: take(warning => warning.phase === phase && warning.hook === hook.hook)
+            });
+        });
+
+        // === PHASE TESTCASE ===
+        // Phases without hooks, and failures that happened outside of a hook
+        const hookFailed = result.hooks.some(hook => hook.outcome !== 'success');
+        if (result.hooks.length === 0 || (result.status === 'fail' && !hookFailed)) {
+            const reason = result.detail || result.cache?.reason || '';
+            testcases.push({
+                classname,
+                name: report.phases[phase],
+                durationMs: result.durationMs,
+                failure: result.status === 'fail' ? { type: 'phase', message: reason } : null,
+                skipped: result.status === 'cached' || result.status === 'skip' ? `${result.status}${reason ? `: ${reason}` : ''}` : null,
+                warnings: take(warning => warning.phase === phase)
+            });
+        }
+    });
+
+    return { testcases, warnings: take(() => true) };
+}
+
+/**
+ * Render a testcase element
+ *
+ * @param {Object} testcase - Testcase ({classname, name, durationMs, failure, skipped, error, warnings})
+ * @returns {Array<string>} XML lines
+ */
+function renderTestCase(testcase) {
+    const open = `    <testcase classname="${escapeXml(testcase.classname)}" name="${escapeXml(testcase.name)}" time="${toSeconds(testcase.durationMs)}"`;
+    const children = [];
+
+    if (testcase.error) {
+        children.push(`      <error type="aborted" message="${escapeXml(testcase.error)}">${escapeXml(testcase.error)}</error>`);
+    }
+    if (testcase.failure) {
+        children.push(`      <failure type="${escapeXml(testcase.failure.type)}" message="${escapeXml(testcase.failure.message)}">${escapeXml(testcase.failure.message)}</failure>`);
+    }
+    if (testcase.skipped) {
+        children.push(`      <skipped message="${escapeXml(testcase.skipped)}"/>`);
+    }
+    if (testcase.warnings.length > 0) {
+        children.push(`      <system-out>${escapeXml(formatWarnings(testcase.warnings))}</system-out>`);
+    }
+
+    return children.length > 0 ? [`${open}>`, ...children, '    </testcase>'] : [`${open}/>`];
+}
+
+/*
+================================================================================
+JUNIT RENDERING
+================================================================================
+*/
+
+/**
+ * Render the setup results as JUnit XML
+ *
+ * @param {Object} report - Report data (see renderHtmlReport in setup-report.js)
+ * @returns {string} JUnit XML document
+ */
+export function renderJUnitReport(report) {
+    const timestamp = report.generated.replace(/\.\d+Z$/, '');
+    const suites = report.repositories.map(repo => ({ name: repo.name, ...buildTestCases(report, repo) }));
+
+    // === ABORTED SETUP ===
+    if (report.error) {
+        suites.push({
+            name: 'multirepo',
+            testcases: [{ classname: 'multirepo', name: 'setup', durationMs: report.durationMs, error: report.error, warnings: [] }],
+            warnings: []
+        });
+    }
+
+    const count = (testcases, key) => testcases.filter(testcase => testcase[key]).length;
+    const all = suites.flatMap(suite => suite.testcases);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="multirepo setup" tests="${all.length}" failures="${count(all, 'failure')}" errors="${count(all, 'error')}" ` +
+            `skipped="${count(all, 'skipped')}" time="${toSeconds(report.durationMs)}">`
+    ];
+
+    suites.forEach(suite => {
+        const time = suite.testcases.reduce((total, testcase) => total + (testcase.durationMs ?? 0), 0);
+        lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.testcases.length}" failures="${count(suite.testcases, 'failure')}" ` +
+            `errors="${count(suite.testcases, 'error')}" skipped="${count(suite.testcases, 'skipped')}" time="${toSeconds(time)}" timestamp="${timestamp}">`);
+
+        suite.testcases.forEach(testcase => lines.push(...renderTestCase(testcase)));
+
+        if (suite.warnings.length > 0) {
+            lines.push(`    <system-out>${escapeXml(formatWarnings(suite.warnings))}</system-out>`);
+        }
+        lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>', '');
+    return lines.join('\n');
+}
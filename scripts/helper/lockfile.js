@@ -35,6 +35,8 @@ import path from 'path';
 import crypto from 'crypto';
 // Logging system for operation feedback and debugging
 import { logInfo, logWarn, logError } from './logger.js';
+// Workspace file locations (lock file, repos.yaml, trait scripts)
+import { lockFilePath as defaultLockFilePath, reposFilePath, traitScriptsDir } from '../core/config.js';
 
 /*
 ================================================================================
@@ -75,9 +77,9 @@ export class LockFileManager {
      * and intelligent exclusion patterns for directory scanning. The exclusion
      * patterns prevent common non-essential directories from affecting checksums.
      *
-     * @param {string} lockFilePath - Path to the lock file (default: 'multirepo.lock')
+     * @param {string} lockFilePath - Path to the lock file (default: multirepo.lock in the workspace root)
      */
-    constructor(lockFilePath = 'multirepo.lock') {
+    constructor(lockFilePath = defaultLockFilePath) {
         // === STORAGE CONFIGURATION ===
         this.lockFilePath = lockFilePath;
         this.lockData = null; // Lazy-loaded lock file content
@@ -178,7 +180,10 @@ export class LockFileManager {
             globalChecksums: {
                 reposYaml: null,                 // Main configuration file checksum
                 traitScripts: {}                 // Trait script checksums by path
-            }
+            },
+
+            // === SETUP RUN PROGRESS ===
+            setupRun: null                        // Last setup run for `setup --resume`
         };
     }
 
@@ -195,9 +200,11 @@ export class LockFileManager {
      * operations to prevent corruption. Includes comprehensive error
      * handling and validation of the save operation.
      *
+     * @param {Object} [options] - Save options
+     * @param {boolean} [options.quiet=false] - Skip the success message (progress checkpoints)
      * @returns {Promise<void>} Resolves when save operation completes
      */
-    async save() {
+    async save({ quiet = false } = {}) {
         try {
             // === JSON SERIALIZATION ===
             // Format with indentation for human readability and debugging
@@ -217,7 +224,9 @@ export class LockFileManager {
             // === UPDATE GENERATION TIMESTAMP ===
             this.lockData.generated = new Date().toISOString();
 
-            logInfo(`Lock file saved successfully: ${this.lockFilePath}`);
+            if (!quiet) {
+                logInfo(`Lock file saved successfully: ${this.lockFilePath}`);
+            }
         } catch (error) {
             logError(`Critical error saving lock file: ${error.message}`);
             throw new Error(`Lock file save failed: ${error.message}`);
@@ -432,6 +441,7 @@ export class LockFileManager {
      * - Hook execution tracking (preClone/postClone)
      * - Dependency file monitoring
      * - Custom script tracking
+     * - Resolved revision (HEAD SHA and branch)
      *
      * @param {string} repoName - Repository identifier
      * @param {Object} data - New state data to merge
@@ -460,6 +470,13 @@ export class LockFileManager {
                 // === CUSTOM SCRIPT TRACKING ===
                 customScripts: {},               // Custom script checksums by type
 
+                // === REVISION SNAPSHOT ===
+                head: null,                      // Resolved HEAD commit SHA after setup
+                branch: null,                    // Checked out branch (null when detached)
+
+                // === HOOK OUTCOMES ===
+                hookResults: {},                 // Last hook results by phase (outcome, attempts, duration)
+
                 // === LEGACY HOOK TRACKING ===
                 hooks: {
                     preClone: {
@@ -492,6 +509,51 @@ export class LockFileManager {
         return this.lockData?.repositories?.[repoName] || null;
     }
 
+    /**
+     * Record the commit a repository is checked out at
+     *
+     * @param {string} repoName - Repository identifier
+     * @param {Object} revision - Resolved revision ({head, branch})
+     */
+    updateRepositoryRevision(repoName, { head, branch }) {
+        this.updateRepositoryData(repoName, { head, branch: branch || null });
+    }
+
+    /**
+     * Retrieve the recorded revision of a repository
+     *
+     * @param {string} repoName - Repository identifier
+     * @returns {Object|null} Revision ({head, branch}) or null if none was recorded
+     */
+    getRepositoryRevision(repoName) {
+        const repoData = this.getRepositoryData(repoName);
+        return repoData?.head ? { head: repoData.head, branch: repoData.branch || null } : null;
+    }
+
+    /*
+    ============================================================================
+    SETUP RUN PROGRESS
+    ============================================================================
+    */
+
+    /**
+     * Retrieve the state of the last setup run
+     *
+     * @returns {Object|null} Run state ({startedAt, status, selection, answers, repos}) or null
+     */
+    getSetupRun() {
+        return this.lockData?.setupRun || null;
+    }
+
+    /**
+     * Store the state of the current setup run
+     *
+     * @param {Object} run - Run state ({startedAt, status, selection, answers, repos})
+     */
+    setSetupRun(run) {
+        this.lockData.setupRun = run;
+    }
+
     /*
     ============================================================================
     GLOBAL STATE MANAGEMENT
@@ -569,7 +631,7 @@ export class LockFileManager {
         // === TRAIT-BY-TRAIT CHECKING ===
         for (const trait of traits) {
             // === SCRIPT FILE CHECKING ===
-            const scriptPath = `scripts/traits/${trait}/${hookType}.js`;
+            const scriptPath = path.join(traitScriptsDir, trait, `${hookType}.js`);
             const scriptKey = `${trait}/${hookType}.js`;
 
             if (fs.existsSync(scriptPath)) {
@@ -583,7 +645,7 @@ export class LockFileManager {
             }
 
             // === CONFIGURATION FILE CHECKING ===
-            const configPath = `scripts/traits/${trait}/config.yaml`;
+            const configPath = path.join(traitScriptsDir, trait, 'config.yaml');
             const configKey = `${trait}/config.yaml`;
 
             if (fs.existsSync(configPath)) {
@@ -607,7 +669,7 @@ export class LockFileManager {
      * @returns {boolean} True if repos.yaml has been modified
      */
     hasReposYamlChanged() {
-        const currentHash = this.calculateFileChecksum('repos.yaml');
+        const currentHash = this.calculateFileChecksum(reposFilePath);
         const hasChanged = currentHash !== this.lockData.globalChecksums.reposYaml;
 
         if (hasChanged) {
@@ -640,7 +702,7 @@ export class LockFileManager {
         for (const trait of traits) {
             // === HOOK SCRIPT PROCESSING ===
             for (const hookType of hookTypes) {
-                const scriptPath = `scripts/traits/${trait}/${hookType}.js`;
+                const scriptPath = path.join(traitScriptsDir, trait, `${hookType}.js`);
                 const scriptKey = `${trait}/${hookType}.js`;
 
                 if (fs.existsSync(scriptPath)) {
@@ -650,7 +712,7 @@ export class LockFileManager {
             }
 
             // === CONFIGURATION FILE PROCESSING ===
-            const configPath = `scripts/traits/${trait}/config.yaml`;
+            const configPath = path.join(traitScriptsDir, trait, 'config.yaml');
             const configKey = `${trait}/config.yaml`;
 
             if (fs.existsSync(configPath)) {
@@ -5,7 +5,8 @@ Description: Comprehensive logging infrastructure for the multirepo setup orches
              Provides structured, styled console output with persistent group support,
              configurable log levels, and both class-based and functional interfaces.
              Serves as the foundation for all user feedback and debugging information
-             throughout the entire setup process.
+             throughout the entire setup process. In JSON output mode the same calls
+             produce newline-delimited JSON events on stdout instead of styled text.
 
 Key Features:
 - Persistent group management with nested support
@@ -15,12 +16,16 @@ Key Features:
 - Child logger creation for modular logging
 - Backward compatibility with function-based API
 - Custom log level registration and batch operations
+- JSON event stream output (--output json) with repo/phase context and group nesting ids
+- Transcript sinks receiving every message regardless of verbose/quiet (run log files)
 ================================================================================
 */
 
 // === EXTERNAL DEPENDENCIES ===
 // Terminal styling library for enhanced visual feedback
 import chalk from 'chalk';
+// Removes terminal styling from messages emitted as JSON events
+import { stripVTControlCharacters } from 'util';
 
 /*
 ================================================================================
@@ -80,6 +85,19 @@ const LOG_LEVELS = {
     }
 };
 
+// === OUTPUT FORMATS ===
+// text: styled console output (default)
+// json: one JSON event per line on stdout (NDJSON) for CI dashboards and wrappers
+const OUTPUT_FORMATS = ['text', 'json'];
+
+// Group ids are unique per process, so events of child loggers nest correctly
+let lastGroupId = 0;
+
+// === TRANSCRIPT SINKS ===
+// Shared by all loggers: receive every message as plain text, including debug
+// messages and child process output the terminal does not show (see addLogSink)
+const logSinks = new Set();
+
 /*
 ================================================================================
 ADVANCED LOGGER CLASS WITH GROUP MANAGEMENT
@@ -112,15 +130,19 @@ export class Logger {
      *
      * @param {Object} options - Configuration object for logger behavior
      * @param {boolean} options.verbose - Enable debug message output
+     * @param {boolean} options.quiet - Suppress all output except errors
      * @param {string} options.prefix - Prefix string for all messages
      * @param {boolean} options.timestamp - Include timestamps in output
      * @param {boolean} options.color - Enable colored output
      * @param {Object} options.customLevels - Additional log levels to register
      * @param {string} options.groupIndentChar - Character used for group indentation
+     * @param {string} options.format - Output format ('text' or 'json')
+     * @param {Object} options.context - Event context ({repo, phase, hook}), repo and phase are added to JSON events
      */
     constructor(options = {}) {
         // === CORE CONFIGURATION ===
         this.isVerbose = options.verbose ?? this.detectVerboseFlag();
+        this.isQuiet = options.quiet ?? false;
         this.prefix = options.prefix ?? '';
         this.timestampEnabled = options.timestamp ?? true;
         this.colorEnabled = options.color ?? true;
@@ -131,6 +153,11 @@ export class Logger {
         this.groupStack = []; // Stack to support nested groups with complete state preservation
         this.currentGroupPrefix = ''; // Current indentation prefix applied to all messages
         this.groupIndentChar = options.groupIndentChar ?? '│'; // Visual character for group boundaries
+
+        // === EVENT OUTPUT STATE ===
+        this.format = options.format ?? 'text';
+        this.context = { repo: null, phase: null, hook: null, ...(options.context || {}) };
+        this.baseGroupId = null; // Group of the parent logger a child logger was created in
     }
 
     /*
@@ -148,7 +175,10 @@ export class Logger {
      * @returns {boolean} True if verbose mode should be enabled
      */
     detectVerboseFlag() {
-        return process.argv.includes('--verbose') || process.argv.includes('-v');
+        // Arguments after a standalone `--` belong to user commands, not to the logger
+        const separatorIndex = process.argv.indexOf('--');
+        const args = separatorIndex === -1 ? process.argv : process.argv.slice(0, separatorIndex);
+        return args.includes('--verbose') || args.includes('-v');
     }
 
     /**
@@ -248,17 +278,154 @@ export class Logger {
      * @param {number} indentationOffset - Additional indentation level
      */
     log(level, message, indentationOffset = 0) {
+        // === TRANSCRIPT SINKS ===
+        // Transcripts are complete, so they are fed before any filtering
+        this.writeToSinks(level, message, indentationOffset);
+
         // === VERBOSE MODE FILTERING ===
         // Debug messages are only shown when verbose mode is explicitly enabled
         if (level === this.levels.DEBUG && !this.isVerbose) {
             return; // Skip debug messages when not in verbose mode
         }
 
+        // === QUIET MODE FILTERING ===
+        // Machine-readable output modes keep stdout clean; errors still reach stderr
+        if (this.isQuiet && level !== this.levels.ERROR) {
+            return;
+        }
+
+        // === JSON EVENT OUTPUT ===
+        if (this.format === 'json') {
+            this.emit('log', { level: this.getLevelName(level), message: stripVTControlCharacters(String(message)) });
+            return;
+        }
+
         // === MESSAGE FORMATTING AND OUTPUT ===
         const formattedMessage = this.formatLogMessage(level, message, indentationOffset);
         level.console(formattedMessage);
     }
 
+    /**
+     * Log a line of child process output (hook commands and scripts)
+     *
+     * The line always reaches the transcript sinks. The terminal shows it in
+     * verbose mode only, which keeps the regular output condensed; in JSON
+     * output mode it is emitted as an output event instead.
+     *
+     * @param {string} line - Output line without line break
+     * @param {string} stream - Stream the line was written to ('stdout' or 'stderr')
+     * @param {Object} fields - Event fields overriding the logger context ({repo, phase})
+     * @param {Object} [options] - Output options
+     * @param {boolean} [options.terminal=true] - False when the caller already passed the output through to the terminal
+     * @returns {Logger} Returns this logger instance for method chaining
+     */
+    output(line, stream = 'stdout', fields = {}, { terminal = true } = {}) {
+        const message = stream === 'stderr' ? `[stderr] ${line}` : line;
+        this.writeToSinks(this.levels.DEBUG, message, 0, fields.repo);
+
+        if (this.format === 'json') {
+            this.emit('output', { ...fields, stream, line });
+        } else if (terminal && this.isVerbose && !this.isQuiet) {
+            this.levels.DEBUG.console(this.formatLogMessage(this.levels.DEBUG, message));
+        }
+        return this;
+    }
+
+    /**
+     * Pass a message to the transcript sinks as plain text
+     *
+     * @param {Object} level - Log level configuration object
+     * @param {string} message - Message content
+     * @param {number} indentationOffset - Additional indentation level
+     * @param {string|null} repo - Repository the message belongs to (default: logger context)
+     */
+    writeToSinks(level, message, indentationOffset = 0, repo = this.context.repo) {
+        if (logSinks.size === 0) {
+            return;
+        }
+
+        const entry = {
+            line: stripVTControlCharacters(this.formatLogMessage(level, String(message), indentationOffset)),
+            message: stripVTControlCharacters(String(message)),
+            level: this.getLevelName(level),
+            repo: repo ?? null,
+            phase: this.context.phase,
+            hook: this.context.hook
+        };
+        logSinks.forEach(sink => sink(entry));
+    }
+
+    /**
+     * Name of a log level in lowercase (e.g. 'info')
+     *
+     * @param {Object} level - Log level configuration object
+     * @returns {string} Level name
+     */
+    getLevelName(level) {
+        return (Object.keys(this.levels).find(name => this.levels[name] === level) ?? 'INFO').toLowerCase();
+    }
+
+    /*
+    ============================================================================
+    JSON EVENT STREAM
+    ============================================================================
+    */
+
+    /**
+     * Emit a structured event (JSON output mode only)
+     *
+     * Writes one JSON object per line to stdout. Every event carries the
+     * timestamp, the event type, the repository and phase of the logger
+     * context and the id of the innermost open group, so consumers can rebuild
+     * the group nesting. Fields in `data` override the context. In text mode
+     * this is a no-op - the styled log messages already cover the same steps.
+     *
+     * In quiet mode only `error` events and error-level log events are written.
+     *
+     * @param {string} type - Event type (e.g. 'phase.start', 'hook.end', 'cache.miss')
+     * @param {Object} data - Event specific fields
+     * @returns {Logger} Returns this logger instance for method chaining
+     */
+    emit(type, data = {}) {
+        if (this.format !== 'json') {
+            return this;
+        }
+        if (this.isQuiet && type !== 'error' && !(type === 'log' && data.level === 'error')) {
+            return this;
+        }
+
+        const event = {
+            ts: new Date().toISOString(),
+            event: type,
+            repo: this.context.repo,
+            phase: this.context.phase,
+            group: this.getCurrentGroupId(),
+            ...(this.prefix ? { source: this.prefix } : {}),
+            ...data
+        };
+        // console.log like the text output: a closed stdout pipe must not crash the run
+        console.log(JSON.stringify(event));
+        return this;
+    }
+
+    /**
+     * Id of the innermost open group (inherited from the parent for child loggers)
+     *
+     * @returns {number|null} Group id or null outside of any group
+     */
+    getCurrentGroupId() {
+        return this.groupStack.length > 0 ? this.groupStack[this.groupStack.length - 1].id : this.baseGroupId;
+    }
+
+    /**
+     * Check whether the logger writes JSON events instead of styled text
+     *
+     * @returns {boolean} True in JSON output mode
+     */
+    isJsonOutput() {
+        return this.format === 'json';
+    }
+
     /*
     ============================================================================
     PERSISTENT GROUP MANAGEMENT SYSTEM
@@ -278,17 +445,25 @@ export class Logger {
      * @returns {Logger} Returns this logger instance for method chaining
      */
     groupStart(title) {
+        const id = ++lastGroupId;
+
         // === GROUP START VISUAL INDICATOR ===
-        const groupDepth = this.getGroupDepth();
-        const startIndicator = `┌─${'▶'.repeat(groupDepth + 1)} ${chalk.bold.underline(title)}`;
-        this.log(this.levels.INFO, startIndicator);
+        // JSON mode: the event carries the enclosing group, the new id nests below it
+        const startIndicator = `┌─${'▶'.repeat(this.getGroupDepth() + 1)} ${chalk.bold.underline(title)}`;
+        if (this.format === 'json') {
+            this.writeToSinks(this.levels.INFO, startIndicator);
+            this.emit('group.start', { id, title: stripVTControlCharacters(title) });
+        } else {
+            this.log(this.levels.INFO, startIndicator);
+        }
 
         // === STATE PRESERVATION ===
         // Push current state to stack for proper nesting support
         this.groupStack.push({
+            id,
             title: title,
             prefix: this.currentGroupPrefix,
-            startTime: Date.now() // For potential duration tracking
+            startTime: Date.now() // Reported as durationMs of the group.end event
         });
 
         // === INDENTATION UPDATE ===
@@ -320,9 +495,17 @@ export class Logger {
         this.currentGroupPrefix = endedGroup.prefix;
 
         // === GROUP END VISUAL INDICATOR ===
-        const groupDepth = this.getGroupDepth();
-        const endIndicator = `└─${'◀'.repeat(groupDepth + 1)} ${chalk.bold.underline(endedGroup.title)}`;
-        this.log(this.levels.INFO, endIndicator);
+        const endIndicator = `└─${'◀'.repeat(this.getGroupDepth() + 1)} ${chalk.bold.underline(endedGroup.title)}`;
+        if (this.format === 'json') {
+            this.writeToSinks(this.levels.INFO, endIndicator);
+            this.emit('group.end', {
+                id: endedGroup.id,
+                title: stripVTControlCharacters(endedGroup.title),
+                durationMs: Date.now() - endedGroup.startTime
+            });
+        } else {
+            this.log(this.levels.INFO, endIndicator);
+        }
 
         return this;
     }
@@ -461,7 +644,9 @@ export class Logger {
      *
      * Child loggers inherit all configuration from their parent but add
      * an additional prefix for component identification. They maintain
-     * independent group states while sharing visual formatting.
+     * independent group states while sharing visual formatting. Events of a
+     * child logger carry the parent's context and nest below the parent's
+     * current group.
      *
      * @param {string} childPrefix - Additional prefix for the child logger
      * @returns {Logger} New logger instance with combined prefix
@@ -470,16 +655,20 @@ export class Logger {
         const fullPrefix = this.prefix ? `${this.prefix}:${childPrefix}` : childPrefix;
         const child = new Logger({
             verbose: this.isVerbose,
+            quiet: this.isQuiet,
             prefix: fullPrefix,
             timestamp: this.timestampEnabled,
             color: this.colorEnabled,
             customLevels: this.levels === LOG_LEVELS ? undefined : this.levels,
-            groupIndentChar: this.groupIndentChar
+            groupIndentChar: this.groupIndentChar,
+            format: this.format,
+            context: this.context
         });
 
         // === INHERIT CURRENT GROUP CONTEXT ===
         // Child loggers start with the same indentation as their parent
         child.currentGroupPrefix = this.currentGroupPrefix;
+        child.baseGroupId = this.getCurrentGroupId();
 
         return child;
     }
@@ -498,6 +687,35 @@ export class Logger {
         return this;
     }
 
+    /**
+     * Dynamically enable or disable quiet mode (errors only)
+     */
+    setQuiet(quiet) {
+        this.isQuiet = quiet;
+        return this;
+    }
+
+    /**
+     * Switch the output format ('text' or 'json')
+     *
+     * @throws {Error} On unknown formats
+     */
+    setFormat(format) {
+        if (!OUTPUT_FORMATS.includes(format)) {
+            throw new Error(`Invalid output format '${format}' (expected: ${OUTPUT_FORMATS.join(', ')})`);
+        }
+        this.format = format;
+        return this;
+    }
+
+    /**
+     * Update the event context ({repo, phase, hook}) - only the given keys change
+     */
+    setContext(context) {
+        this.context = { ...this.context, ...context };
+        return this;
+    }
+
     /**
      * Dynamically enable or disable timestamp inclusion
      */
@@ -620,6 +838,17 @@ export const groupStart = (title) => defaultLogger.groupStart(title);
 export const groupEnd = () => defaultLogger.groupEnd();
 export const groupEndAll = () => defaultLogger.groupEndAll();
 
+// === TRANSCRIPT SINK API ===
+// Sinks are called with {line, message, level, repo, phase, hook} for every message of every logger
+export const addLogSink = (sink) => { logSinks.add(sink); };
+export const removeLogSink = (sink) => { logSinks.delete(sink); };
+
+// === EVENT STREAM FUNCTIONAL API ===
+// Structured events for the JSON output mode (no-ops in text mode)
+export const emitEvent = (type, data) => defaultLogger.emit(type, data);
+export const setLogContext = (context) => defaultLogger.setContext(context);
+export const isJsonOutput = () => defaultLogger.isJsonOutput();
+
 // === UTILITY FUNCTION EXPORTS ===
 // Provide access to utility functions for advanced usage
 export const getTimestamp = () => defaultLogger.getTimestamp();
@@ -633,7 +862,7 @@ MODULE EXPORTS AND FACTORY FUNCTIONS
 
 // === CONFIGURATION EXPORTS ===
 // Export log level constants for external reference
-export {LOG_LEVELS};
+export {LOG_LEVELS, OUTPUT_FORMATS};
 
 // === INSTANCE EXPORTS ===
 // Export the default logger instance with alternative names
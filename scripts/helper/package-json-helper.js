@@ -11,10 +11,12 @@ Key Responsibilities:
 - Package.json file loading and parsing with lazy initialization
 - Dependency analysis across production and development scopes
 - NPM script detection and validation with pattern matching
+- Remediations adding missing npm scripts (setup --fix)
 - Node.js engine requirement validation and reporting
 - Package configuration completeness assessment
 - Entry point validation for library and application projects
 - Integration with ConfigFileHelper for consistent file operations
+- Problems reported as findings of the running trait check (trait-findings.js)
 
 Analysis Capabilities:
 - Multi-scope dependency detection (dependencies, devDependencies, peerDependencies)
@@ -36,6 +38,8 @@ import path from 'path';
 import { logInfo, logSuccess, logWarn } from './logger.js';
 // Configuration file helper for consistent file operations
 import { ConfigFileHelper } from './config-file-helper.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
 // Terminal styling for enhanced visual feedback
 import chalk from 'chalk';
 
@@ -85,11 +89,13 @@ export class PackageJsonHelper {
      * when actually needed.
      *
      * @param {string} cwd - Working directory path containing package.json
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
      */
-    constructor(cwd) {
+    constructor(cwd, findings = null) {
         // === WORKING DIRECTORY CONTEXT ===
         this.cwd = path.resolve(cwd);
         this.packageJsonPath = path.join(this.cwd, 'package.json');
+        this.findings = findings;
 
         // === LAZY LOADING STATE ===
         this._packageJson = null; // Cached parsed content
@@ -97,7 +103,7 @@ export class PackageJsonHelper {
 
         // === HELPER INTEGRATION ===
         // Use ConfigFileHelper for consistent file operations
-        this.configHelper = new ConfigFileHelper(cwd);
+        this.configHelper = new ConfigFileHelper(cwd, findings);
 
         logInfo(`Package.json helper initialized for directory: ${this.cwd}`);
     }
@@ -148,7 +154,7 @@ export class PackageJsonHelper {
             return this._packageJson;
         } catch (error) {
             // === COMPREHENSIVE ERROR HANDLING ===
-            logWarn(`Could not parse package.json: ${error.message}`);
+            reportFinding(this.findings, { severity: 'warning', code: 'invalid-json', message: `Could not parse package.json: ${error.message}`, file: 'package.json' });
 
             // === ADDITIONAL ERROR CONTEXT ===
             if (error instanceof SyntaxError) {
@@ -203,10 +209,11 @@ export class PackageJsonHelper {
      * Require package.json to exist with comprehensive error reporting
      *
      * Validates that package.json exists, using the ConfigFileHelper for
-     * consistent error reporting and diagnostic information. Terminates
-     * execution if the file is missing.
+     * consistent error reporting and diagnostic information. Stops the
+     * check with an error finding if the file is missing.
      *
      * @param {string} errorMessage - Additional context for why package.json is required
+     * @throws {Error} When package.json is missing
      */
     requirePackageJson(errorMessage = 'This is required for Node.js/npm projects.') {
         this.configHelper.requireFile('package.json', errorMessage);
@@ -372,6 +379,33 @@ export class PackageJsonHelper {
         return script || null;
     }
 
+    /**
+     * Remediation adding an npm script to package.json (`setup --fix`)
+     *
+     * Existing scripts are never overwritten; the indentation of the file is
+     * kept.
+     *
+     * @param {string} name - Script name, e.g. 'build'
+     * @param {string} command - Script command, e.g. 'vite build'
+     * @returns {Object} File edit remediation (see remediation.js)
+     */
+    createScriptRemediation(name, command) {
+        return {
+            description: `Add script "${name}": "${command}" to package.json`,
+            file: 'package.json',
+            update: content => {
+                const pkg = JSON.parse(content);
+                if (pkg.scripts && Object.hasOwn(pkg.scripts, name)) {
+                    return content;
+                }
+
+                pkg.scripts = { ...pkg.scripts, [name]: command };
+                const indent = content.match(/^[ \t]+(?=")/m)?.[0] ?? 2;
+                return JSON.stringify(pkg, null, indent) + '\n';
+            }
+        };
+    }
+
     /**
      * Find scripts matching a specific pattern (name or content)
      *
@@ -489,14 +523,14 @@ export class PackageJsonHelper {
 
         // === REQUIRED FIELD VALIDATION ===
         if (!pkg.name) {
-            logWarn(`${chalk.white('package.json')} is missing the ${chalk.cyan('name')} field.`);
+            reportFinding(this.findings, { severity: 'warning', code: 'missing-field', message: `${chalk.white('package.json')} is missing the ${chalk.cyan('name')} field.`, file: 'package.json' });
             logInfo('The name field is required for npm package identification.');
         } else {
             logSuccess(`Package name: ${chalk.cyan(pkg.name)}`);
         }
 
         if (!pkg.version) {
-            logWarn(`${chalk.white('package.json')} is missing the ${chalk.cyan('version')} field.`);
+            reportFinding(this.findings, { severity: 'warning', code: 'missing-field', message: `${chalk.white('package.json')} is missing the ${chalk.cyan('version')} field.`, file: 'package.json' });
             logInfo('The version field is required for npm package versioning.');
         } else {
             logSuccess(`Package version: ${chalk.cyan(pkg.version)}`);
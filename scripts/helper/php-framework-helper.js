@@ -0,0 +1,245 @@
+/*
+================================================================================
+File: scripts/helper/php-framework-helper.js (PHP Framework Analysis Engine)
+Description: Shared analysis for the symfony and laravel traits. Resolves the
+             Composer packages of an application, reads its dotenv files and
+             builds the fixes both frameworks need after a fresh clone
+             (creating .env from its template, framework console commands).
+
+Key Responsibilities:
+- Composer package lookup (composer.json requirements, locked versions)
+- Dotenv parsing (.env, .env.local, .env.example)
+- Env file remediation from a committed template (setup --fix)
+- Git tracking check for machine-specific env files
+- Symfony CLI detection
+- Problems reported as findings of the running trait check (trait-findings.js)
+
+Limitations:
+- Variable references (${VAR}) and command substitution in dotenv files are
+  not expanded - values are checked as written
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// Symfony CLI detection
+import { execSync } from 'child_process';
+// Shared repository file access
+import { ProjectFileHelper } from './project-file-helper.js';
+// Logging system for analysis feedback
+import { logInfo } from './logger.js';
+// Tracked files of the repository
+import { GitHelper } from './git-helper.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
+// Terminal styling for enhanced visual feedback
+import chalk from 'chalk';
+
+/*
+================================================================================
+DOTENV PARSING
+================================================================================
+*/
+
+/**
+ * Parse a dotenv file
+ *
+ * Supports `export` prefixes, single- and double-quoted values (double-quoted
+ * values may span lines) and trailing comments after unquoted values.
+ *
+ * @param {string} content - Dotenv file content
+ * @returns {Object} Values by variable name
+ */
+export function parseDotenv(content) {
+    const variables = {};
+    const pattern = /^[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_]*)[ \t]*=[ \t]*("(?:\\.|[^"\\])*"|'[^']*'|[^\r\n]*)/gm;
+
+    for (const [, name, rawValue] of content.matchAll(pattern)) {
+        if (rawValue.startsWith('"')) {
+            variables[name] = rawValue.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\$])/g, '$1');
+        } else if (rawValue.startsWith('\'')) {
+            variables[name] = rawValue.slice(1, -1);
+        } else {
+            variables[name] = rawValue.replace(/[ \t]+#.*$/, '').trim();
+        }
+    }
+    return variables;
+}
+
+/*
+================================================================================
+SYMFONY CLI DETECTION
+================================================================================
+*/
+
+/**
+ * Find the Symfony CLI
+ *
+ * @returns {string|null} Version, null when the symfony command is not installed
+ */
+export function detectSymfonyCli() {
+    try {
+        const output = execSync('symfony version --no-ansi', { encoding: 'utf8', stdio: 'pipe', timeout: 15000 });
+        return /version\s+v?(\d+(?:\.\d+)*)/i.exec(output)?.[1] ?? 'unknown version';
+    } catch (error) {
+        return null;
+    }
+}
+
+/*
+================================================================================
+PHP FRAMEWORK HELPER
+================================================================================
+*/
+
+/**
+ * PHP application analysis bound to a repository directory
+ */
+export class PhpFrameworkHelper extends ProjectFileHelper {
+    /**
+     * @param {string} cwd - Repository directory
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
+     */
+    constructor(cwd, findings = null) {
+        super(cwd, findings);
+
+        // === LAZY LOADING STATE ===
+        this._composerJson = undefined;
+        this._lockedPackages = undefined;
+
+        logInfo(`PHP framework helper initialized for directory: ${this.cwd}`);
+    }
+
+    /*
+    ============================================================================
+    COMPOSER PACKAGES
+    ============================================================================
+    */
+
+    /**
+     * Parsed composer.json (loaded once)
+     *
+     * Invalid JSON is reported by the composer trait and treated as missing here.
+     *
+     * @returns {Object|null} composer.json content, null when missing or invalid
+     */
+    get composerJson() {
+        if (this._composerJson === undefined) {
+            try {
+                this._composerJson = JSON.parse(this.readFile('composer.json') ?? 'null');
+            } catch (error) {
+                this._composerJson = null;
+            }
+        }
+        return this._composerJson;
+    }
+
+    /**
+     * Locked package versions of composer.lock (loaded once)
+     *
+     * @returns {Map<string, string>} Versions by package name (empty without composer.lock)
+     */
+    get lockedPackages() {
+        if (this._lockedPackages === undefined) {
+            this._lockedPackages = new Map();
+            try {
+                const lock = JSON.parse(this.readFile('composer.lock') ?? '{}');
+                [...(lock.packages ?? []), ...(lock['packages-dev'] ?? [])].forEach(({ name, version }) => {
+                    this._lockedPackages.set(name, version);
+                });
+            } catch (error) {
+                logInfo(`composer.lock could not be parsed: ${error.message}`);
+            }
+        }
+        return this._lockedPackages;
+    }
+
+    /**
+     * Check whether composer.json requires a package
+     *
+     * @param {string} name - Package name, e.g. 'symfony/framework-bundle'
+     * @returns {boolean} True for require and require-dev entries
+     */
+    requiresPackage(name) {
+        const composerJson = this.composerJson;
+        return Boolean(composerJson?.require?.[name] ?? composerJson?.['require-dev']?.[name]);
+    }
+
+    /**
+     * Version of a package - the locked version when available, else the constraint
+     *
+     * @param {string} name - Package name
+     * @returns {string|null} Version or constraint, null when not required
+     */
+    getPackageVersion(name) {
+        return this.lockedPackages.get(name) ?? this.composerJson?.require?.[name] ?? this.composerJson?.['require-dev']?.[name] ?? null;
+    }
+
+    /*
+    ============================================================================
+    DOTENV FILES
+    ============================================================================
+    */
+
+    /**
+     * Read and parse a dotenv file of the repository
+     *
+     * @param {string} filename - Dotenv file relative to the repository
+     * @returns {Object|null} Values by variable name, null when the file does not exist
+     */
+    readDotenv(filename) {
+        const content = this.readFile(filename);
+        return content === null ? null : parseDotenv(content);
+    }
+
+    /**
+     * Find the committed template of an env file
+     *
+     * @param {string} filename - Env file, e.g. '.env'
+     * @param {Array<string>} templates - Template candidates (default: .example, .dist, .sample copies)
+     * @returns {string|null} First existing template, null when none exists
+     */
+    findEnvTemplate(filename, templates = ['.example', '.dist', '.sample'].map(suffix => `${filename}${suffix}`)) {
+        return this.findFile(templates);
+    }
+
+    /**
+     * Remediation creating an env file from its template (`setup --fix`)
+     *
+     * @param {string} filename - Missing env file
+     * @param {string} template - Template to copy
+     * @returns {Object} File edit remediation (see remediation.js)
+     */
+    createEnvFileRemediation(filename, template) {
+        const content = this.readFile(template);
+        return {
+            description: `Create ${filename} from ${template}`,
+            file: filename,
+            update: existing => existing || content
+        };
+    }
+
+    /**
+     * Report env files with machine-specific values that are tracked by git
+     *
+     * @param {Array<string>} filenames - Env files that must not be committed
+     * @returns {Array<string>} Tracked files of the list
+     */
+    validateUntrackedEnvFiles(filenames) {
+        const git = new GitHelper(this.cwd);
+        if (!git.isRepository()) {
+            return [];
+        }
+
+        const tracked = (git.tryRun(['ls-files', '--', ...filenames]) ?? '').split('\n').filter(Boolean);
+        tracked.forEach(file => {
+            reportFinding(this.findings, {
+                severity: 'warning',
+                code: 'committed-env-file',
+                message: `${chalk.white(file)} is committed. It holds machine-specific values and secrets - ` +
+                    `remove it with ${chalk.cyan(`git rm --cached ${file}`)} and ignore it.`,
+                file
+            });
+        });
+        return tracked;
+    }
+}
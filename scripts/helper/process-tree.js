@@ -0,0 +1,137 @@
+/*
+================================================================================
+File: scripts/helper/process-tree.js (Child Process Supervision Utility)
+Description: Timeout supervision for child processes spawned by hooks. A hook
+             command such as `composer install` usually starts further processes
+             of its own, so killing only the direct child would leave the actual
+             work running. Supervised children are started as the leader of their
+             own process group (POSIX) and terminated as a whole tree: SIGTERM
+             first, SIGKILL after a grace period. On Windows `taskkill /T` is
+             used instead.
+
+Key Responsibilities:
+- Provide spawn options that make a child killable as a process tree
+- Enforce a timeout on a running child and report whether it fired
+- Terminate complete process trees (POSIX process groups, Windows taskkill)
+- Kill supervised trees when the orchestrator itself exits
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// Synchronous taskkill invocation on Windows
+import { spawnSync } from 'child_process';
+
+/*
+================================================================================
+SUPERVISION STATE
+================================================================================
+*/
+
+// Seconds between SIGTERM and SIGKILL for a timed-out process tree
+const KILL_GRACE_SECONDS = 5;
+
+// Supervised children still running - killed if the orchestrator exits first
+const runningTrees = new Set();
+let exitHandlerInstalled = false;
+
+/*
+================================================================================
+PROCESS TREE SUPERVISION
+================================================================================
+*/
+
+/**
+ * Spawn options required for process tree termination
+ *
+ * On POSIX the child becomes the leader of a new process group, so the group
+ * id can be signalled to reach every descendant. A process group in the
+ * background must not read from the terminal, therefore stdin is not inherited.
+ *
+ * @returns {Object} Options to merge into the spawn() options
+ */
+export function getSupervisedSpawnOptions() {
+    return process.platform === 'win32' ? {} : { detached: true };
+}
+
+/**
+ * Enforce a timeout on a running child process
+ *
+ * When the timeout expires the whole process tree is terminated and
+ * `timedOut` is set on the returned handle. `clear()` must be called once the
+ * child has exited to cancel the timers.
+ *
+ * @param {ChildProcess} child - Child spawned with getSupervisedSpawnOptions()
+ * @param {number|null} timeoutSeconds - Timeout in seconds (null or 0 for none)
+ * @returns {Object} Supervision handle ({timedOut, clear()})
+ */
+export function superviseChildProcess(child, timeoutSeconds) {
+    const handle = { timedOut: false, clear: () => {} };
+    if (!timeoutSeconds) {
+        return handle;
+    }
+
+    trackProcessTree(child);
+
+    let killTimer = null;
+    const timeoutTimer = setTimeout(() => {
+        handle.timedOut = true;
+        killProcessTree(child, 'SIGTERM');
+
+        // Escalate if the tree ignores SIGTERM
+        killTimer = setTimeout(() => killProcessTree(child, 'SIGKILL'), KILL_GRACE_SECONDS * 1000);
+        killTimer.unref();
+    }, timeoutSeconds * 1000);
+
+    handle.clear = () => {
+        clearTimeout(timeoutTimer);
+        clearTimeout(killTimer);
+        runningTrees.delete(child);
+    };
+
+    return handle;
+}
+
+/**
+ * Terminate a child process together with all of its descendants
+ *
+ * @param {ChildProcess} child - Child process (leader of its own group on POSIX)
+ * @param {string} signal - Signal to send (POSIX only, Windows always forces)
+ */
+export function killProcessTree(child, signal = 'SIGTERM') {
+    if (!child.pid) {
+        return;
+    }
+
+    try {
+        if (process.platform === 'win32') {
+            spawnSync('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+        } else {
+            // Negative pid addresses the whole process group
+            process.kill(-child.pid, signal);
+        }
+    } catch (error) {
+        // ESRCH: the tree already exited
+        if (error.code !== 'ESRCH') {
+            child.kill(signal);
+        }
+    }
+}
+
+/**
+ * Register a supervised child so it is killed when the orchestrator exits
+ *
+ * Supervised children run in their own process group, so they would not
+ * receive the Ctrl+C of the terminal or die with the parent otherwise.
+ *
+ * @param {ChildProcess} child - Supervised child process
+ */
+function trackProcessTree(child) {
+    runningTrees.add(child);
+
+    if (!exitHandlerInstalled) {
+        exitHandlerInstalled = true;
+        process.on('exit', () => {
+            runningTrees.forEach(tree => killProcessTree(tree, 'SIGKILL'));
+        });
+    }
+}
@@ -0,0 +1,68 @@
+/*
+================================================================================
+File: scripts/helper/project-file-helper.js (Repository File Access Base)
+Description: Base class of the language and framework helpers (Python, Docker,
+             Go, Rust, Java, PHP frameworks). Binds a helper to a repository
+             directory and the findings collector of the running trait check
+             and provides the plain file access they share.
+
+Key Responsibilities:
+- Repository directory and findings collector of a helper
+- File existence checks relative to the repository
+- Text file reading (null for missing files, no logging)
+
+Unlike ConfigFileHelper, which logs every detected file for the generic
+trait checks, these methods are silent - the helpers log their own results.
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for repository file access
+import fs from 'fs';
+// Path utilities for cross-platform file system navigation
+import path from 'path';
+
+/**
+ * File access bound to a repository directory
+ */
+export class ProjectFileHelper {
+    /**
+     * @param {string} cwd - Repository directory
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
+     */
+    constructor(cwd, findings = null) {
+        this.cwd = path.resolve(cwd);
+        this.findings = findings;
+    }
+
+    /**
+     * Check whether a file exists in the repository
+     *
+     * @param {string} filename - File name relative to the repository
+     * @returns {boolean} True when the file exists
+     */
+    hasFile(filename) {
+        return fs.existsSync(path.join(this.cwd, filename));
+    }
+
+    /**
+     * Read a text file of the repository
+     *
+     * @param {string} filename - File name relative to the repository
+     * @returns {string|null} Content, null when the file does not exist
+     */
+    readFile(filename) {
+        const filePath = path.join(this.cwd, filename);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    }
+
+    /**
+     * Find the first existing file of a list
+     *
+     * @param {Array<string>} filenames - Candidate file names
+     * @returns {string|null} First existing file name, null when none exists
+     */
+    findFile(filenames) {
+        return filenames.find(filename => this.hasFile(filename)) ?? null;
+    }
+}
@@ -0,0 +1,623 @@
+/*
+================================================================================
+File: scripts/helper/python-project-helper.js (Python Project Analysis Engine)
+Description: Python counterpart of PackageJsonHelper for the python, pip,
+             poetry and pipenv traits. Reads the Python manifests
+             (pyproject.toml, requirements.txt, Pipfile), resolves the Python
+             version a project requires, locates interpreters and virtualenvs
+             and detects the configuration of the usual Python tooling.
+
+Key Responsibilities:
+- Lazy loading of pyproject.toml and Pipfile (TOML, see toml.js)
+- Requirements file parsing (pinned vs unpinned requirements)
+- Python version constraints from pyproject.toml, Pipfile, .python-version
+  and runtime.txt, evaluated for PEP 440 and Poetry specifiers
+- Interpreter detection (python3/python, virtualenv interpreters)
+- Virtualenv detection and the packages installed into it (install command as fix)
+- pytest, ruff and mypy configuration detection
+- Problems reported as findings of the running trait check (trait-findings.js)
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for manifest and virtualenv access
+import fs from 'fs';
+// Path utilities for cross-platform file system navigation
+import path from 'path';
+// Interpreter version detection
+import { execSync } from 'child_process';
+// Shared repository file access
+import { ProjectFileHelper } from './project-file-helper.js';
+// Logging system for analysis feedback
+import { logInfo, logSuccess } from './logger.js';
+// TOML manifests (pyproject.toml, Pipfile)
+import { getTomlValue, parseToml } from './toml.js';
+// Release version comparison for the version constraints
+import { compareVersions, parseVersion } from './version.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
+// Install commands offered as fix (setup --fix)
+import { createCommandRemediation } from './remediation.js';
+// Terminal styling for enhanced visual feedback
+import chalk from 'chalk';
+
+/*
+================================================================================
+PYTHON PROJECT CONFIGURATION
+================================================================================
+*/
+
+// === MANIFESTS ===
+// Files that make a directory a Python project, in order of preference
+export const PYTHON_MANIFESTS = ['pyproject.toml', 'requirements.txt', 'setup.py', 'setup.cfg', 'Pipfile'];
+
+// === VIRTUALENVS ===
+// In-project virtualenv directories, in order of preference
+export const VIRTUALENV_DIRECTORIES = ['.venv', 'venv', 'env'];
+
+// === INTERPRETERS ===
+// Commands tried to find the Python interpreter
+const PYTHON_COMMANDS = ['python3', 'python'];
+
+// === TOOL CONFIGURATION ===
+// Dedicated files and sections in shared files ([file, section]) per tool
+const TOOL_CONFIGS = {
+    pytest: {
+        files: ['pytest.ini'],
+        sections: [['pyproject.toml', 'tool.pytest.ini_options'], ['setup.cfg', 'tool:pytest'], ['tox.ini', 'pytest']]
+    },
+    ruff: {
+        files: ['ruff.toml', '.ruff.toml'],
+        sections: [['pyproject.toml', 'tool.ruff']]
+    },
+    mypy: {
+        files: ['mypy.ini', '.mypy.ini'],
+        sections: [['pyproject.toml', 'tool.mypy'], ['setup.cfg', 'mypy']]
+    }
+};
+
+/*
+================================================================================
+VERSION CONSTRAINTS
+================================================================================
+*/
+
+/**
+ * Normalize a distribution name (PEP 503)
+ *
+ * @param {string} name - Distribution name, e.g. 'Django_REST.framework'
+ * @returns {string} Normalized name, e.g. 'django-rest-framework'
+ */
+export function normalizePackageName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Check a version against a single clause like '>=3.10', '^3.10' or '==3.11.*'
+ *
+ * @param {Array<number>} version - Release parts of the checked version
+ * @param {string} clause - Clause (operator and version)
+ * @returns {boolean|null} Whether the version matches, null for unknown syntax
+ */
+function matchesClause(version, clause) {
+    const match = /^(===|~=|==|!=|<=|>=|<|>|\^|~)?v?(\d+(?:\.\d+)*)(\.\*)?$/.exec(clause);
+    if (!match) {
+        return null;
+    }
+
+    const [, operator = '==', bound, wildcard] = match;
+    const target = parseVersion(bound);
+    const comparison = compareVersions(version, target);
+    const hasPrefix = target.every((part, index) => (version[index] ?? 0) === part);
+
+    switch (operator) {
+        case '==':
+        case '===':
+            return wildcard ? hasPrefix : comparison === 0;
+        case '!=':
+            return wildcard ? !hasPrefix : comparison !== 0;
+        case '<=':
+            return comparison <= 0;
+        case '>=':
+            return comparison >= 0;
+        case '<':
+            return comparison < 0;
+        case '>':
+            return comparison > 0;
+        case '~=': {
+            // Compatible release: >= bound, same release up to the second to last part
+            const prefix = target.slice(0, -1);
+            return comparison >= 0 && prefix.every((part, index) => version[index] === part);
+        }
+        case '^': {
+            // Poetry caret: the first non-zero part must not change
+            const significant = Math.max(0, target.findIndex(part => part !== 0));
+            const upper = target.slice(0, significant + 1).map((part, index) => (index === significant ? part + 1 : part));
+            return comparison >= 0 && compareVersions(version, upper) < 0;
+        }
+        case '~': {
+            // Poetry tilde: minor updates for '~3', patch updates for '~3.10'
+            const fixed = target.length > 1 ? 2 : 1;
+            const upper = target.slice(0, fixed).map((part, index) => (index === fixed - 1 ? part + 1 : part));
+            return comparison >= 0 && compareVersions(version, upper) < 0;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a version against a version constraint
+ *
+ * Supports PEP 440 specifiers ('>=3.10,<4', '~=3.11', '==3.11.*') and Poetry
+ * constraints ('^3.10', '~3.10', '>=3.9 <4', '^3.9 || ^3.11').
+ *
+ * @param {string} version - Checked version, e.g. '3.11.4'
+ * @param {string} constraint - Version constraint
+ * @returns {boolean|null} Whether the version satisfies the constraint, null for unknown syntax
+ */
+export function satisfiesVersionConstraint(version, constraint) {
+    const release = parseVersion(version);
+    const alternatives = String(constraint).split(/\|\|?/).map(alternative => alternative.trim());
+
+    let unknown = false;
+    for (const alternative of alternatives) {
+        if (alternative === '' || alternative === '*') {
+            return true;
+        }
+
+        const clauses = alternative.replace(/(===|~=|==|!=|<=|>=|<|>|\^|~)\s+/g, '$1').split(/[,\s]+/).filter(Boolean);
+        const results = clauses.map(clause => matchesClause(release, clause));
+        if (results.includes(null)) {
+            unknown = true;
+        } else if (results.every(Boolean)) {
+            return true;
+        }
+    }
+
+    return unknown ? null : false;
+}
+
+/*
+================================================================================
+INTERPRETER DETECTION
+================================================================================
+*/
+
+/**
+ * Run an interpreter with --version
+ *
+ * @param {string} command - Interpreter command or path
+ * @param {string} [cwd] - Working directory (pyenv reads .python-version from it)
+ * @returns {Object|null} Interpreter ({command, version}), null when it does not run
+ */
+function probeInterpreter(command, cwd) {
+    try {
+        // Python 2 prints its version to stderr
+        const output = execSync(`"${command}" --version 2>&1`, { cwd, encoding: 'utf8', stdio: 'pipe', timeout: 15000 });
+        const match = /Python (\d+\.\d+(?:\.\d+)?)/.exec(output);
+        return match ? { command, version: match[1] } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the Python interpreter on the PATH
+ *
+ * @param {string} [cwd] - Working directory (pyenv reads .python-version from it)
+ * @returns {Object|null} Interpreter ({command, version}), null when none is installed
+ */
+export function detectPythonInterpreter(cwd = undefined) {
+    for (const command of PYTHON_COMMANDS) {
+        const interpreter = probeInterpreter(command, cwd);
+        if (interpreter) {
+            return interpreter;
+        }
+    }
+    return null;
+}
+
+/*
+================================================================================
+PYTHON PROJECT HELPER
+================================================================================
+*/
+
+/**
+ * Python manifest and environment analysis bound to a repository directory
+ */
+export class PythonProjectHelper extends ProjectFileHelper {
+    /**
+     * @param {string} cwd - Repository directory
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
+     */
+    constructor(cwd, findings = null) {
+        super(cwd, findings);
+
+        // === LAZY LOADING STATE ===
+        this._manifests = {};
+
+        logInfo(`Python project helper initialized for directory: ${this.cwd}`);
+    }
+
+    /*
+    ============================================================================
+    MANIFEST LOADING
+    ============================================================================
+    */
+
+    /**
+     * Load and parse a TOML manifest once
+     *
+     * A syntax error is reported as 'invalid-toml' error finding.
+     *
+     * @param {string} filename - Manifest file name, e.g. 'pyproject.toml'
+     * @returns {Object|null} Parsed manifest, null when missing or invalid
+     */
+    loadTomlManifest(filename) {
+        if (Object.hasOwn(this._manifests, filename)) {
+            return this._manifests[filename];
+        }
+
+        const content = this.readFile(filename);
+        let manifest = null;
+        if (content !== null) {
+            try {
+                manifest = parseToml(content);
+                logSuccess(`${chalk.white(filename)} loaded successfully.`);
+            } catch (error) {
+                reportFinding(this.findings, {
+                    severity: 'error',
+                    code: 'invalid-toml',
+                    message: `Could not parse ${chalk.white(filename)}: ${error.message}`,
+                    file: filename
+                });
+            }
+        }
+
+        this._manifests[filename] = manifest;
+        return manifest;
+    }
+
+    /**
+     * Parsed pyproject.toml
+     *
+     * @returns {Object|null} Parsed manifest, null when missing or invalid
+     */
+    get pyproject() {
+        return this.loadTomlManifest('pyproject.toml');
+    }
+
+    /**
+     * Parsed Pipfile
+     *
+     * @returns {Object|null} Parsed manifest, null when missing or invalid
+     */
+    get pipfile() {
+        return this.loadTomlManifest('Pipfile');
+    }
+
+    /**
+     * Value of a dotted path in pyproject.toml
+     *
+     * @param {string} dottedPath - Path like 'tool.poetry.name'
+     * @returns {*} Value, undefined when missing
+     */
+    getPyprojectValue(dottedPath) {
+        return getTomlValue(this.pyproject, dottedPath);
+    }
+
+    /**
+     * Whether pyproject.toml is managed by Poetry
+     *
+     * @returns {boolean} True for a [tool.poetry] table or the poetry-core build backend
+     */
+    isPoetryProject() {
+        return this.getPyprojectValue('tool.poetry') !== undefined ||
+            String(this.getPyprojectValue('build-system.build-backend') ?? '').startsWith('poetry.');
+    }
+
+    /*
+    ============================================================================
+    REQUIREMENTS AND DEPENDENCIES
+    ============================================================================
+    */
+
+    /**
+     * Parse a requirements file
+     *
+     * Options (-r, -c, --index-url), editable installs and comments are
+     * skipped. A requirement counts as pinned with '==' or '===' or a hash.
+     *
+     * @param {string} filename - Requirements file (default: requirements.txt)
+     * @returns {Array<Object>|null} Requirements ({name, specifier, pinned, line}), null when missing
+     */
+    readRequirements(filename = 'requirements.txt') {
+        const content = this.readFile(filename);
+        if (content === null) {
+            return null;
+        }
+
+        const requirements = [];
+        content.replace(/\\\n/g, ' ').split('\n').forEach((rawLine, index) => {
+            const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+            if (!line || line.startsWith('-')) {
+                return;
+            }
+
+            const match = /^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[^\]]*\])?\s*([^;]*)/.exec(line);
+            if (!match) {
+                return; // URLs and paths
+            }
+
+            const specifier = match[3].replace(/\s--hash=\S+/g, '').trim();
+            requirements.push({
+                name: normalizePackageName(match[1]),
+                specifier,
+                pinned: /^===?/.test(specifier) || line.includes('--hash='),
+                line: index + 1
+            });
+        });
+
+        return requirements;
+    }
+
+    /**
+     * Names of all declared dependencies
+     *
+     * Collected from pyproject.toml (PEP 621 and Poetry), the Pipfile and
+     * requirements*.txt files.
+     *
+     * @returns {Set<string>} Normalized distribution names
+     */
+    getDeclaredDependencies() {
+        const names = new Set();
+        const addRequirementStrings = (values) => (Array.isArray(values) ? values : []).forEach(value => {
+            const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/.exec(String(value));
+            if (match) {
+                names.add(normalizePackageName(match[1]));
+            }
+        });
+        const addTableKeys = (table) => Object.keys(table && typeof table === 'object' ? table : {})
+            .filter(name => name !== 'python')
+            .forEach(name => names.add(normalizePackageName(name)));
+
+        // === PYPROJECT.TOML ===
+        addRequirementStrings(this.getPyprojectValue('project.dependencies'));
+        Object.values(this.getPyprojectValue('project.optional-dependencies') ?? {}).forEach(addRequirementStrings);
+        Object.values(this.getPyprojectValue('dependency-groups') ?? {}).forEach(addRequirementStrings);
+        addTableKeys(this.getPyprojectValue('tool.poetry.dependencies'));
+        addTableKeys(this.getPyprojectValue('tool.poetry.dev-dependencies'));
+        Object.values(this.getPyprojectValue('tool.poetry.group') ?? {}).forEach(group => addTableKeys(group?.dependencies));
+
+        // === PIPFILE ===
+        if (this.hasFile('Pipfile')) {
+            addTableKeys(getTomlValue(this.pipfile, 'packages'));
+            addTableKeys(getTomlValue(this.pipfile, 'dev-packages'));
+        }
+
+        // === REQUIREMENTS FILES ===
+        fs.readdirSync(this.cwd)
+            .filter(file => /^requirements.*\.(txt|in)$/.test(file))
+            .forEach(file => (this.readRequirements(file) ?? []).forEach(requirement => names.add(requirement.name)));
+
+        return names;
+    }
+
+    /**
+     * Whether a distribution is declared as dependency
+     *
+     * @param {string} name - Distribution name
+     * @returns {boolean} True when declared in any manifest
+     */
+    hasDependency(name) {
+        return this.getDeclaredDependencies().has(normalizePackageName(name));
+    }
+
+    /*
+    ============================================================================
+    PYTHON VERSION REQUIREMENTS
+    ============================================================================
+    */
+
+    /**
+     * Python version the project requires
+     *
+     * Sources in order: pyproject.toml (requires-python, Poetry python
+     * dependency), Pipfile ([requires]), .python-version and runtime.txt.
+     *
+     * @returns {Object|null} Requirement ({constraint, source}), null when none is declared
+     */
+    getPythonConstraint() {
+        const candidates = [];
+
+        if (this.hasFile('pyproject.toml')) {
+            candidates.push(
+                [this.getPyprojectValue('project.requires-python'), 'pyproject.toml (requires-python)'],
+                [this.getPyprojectValue('tool.poetry.dependencies.python'), 'pyproject.toml (tool.poetry.dependencies)']
+            );
+        }
+        if (this.hasFile('Pipfile')) {
+            const fullVersion = getTomlValue(this.pipfile, 'requires.python_full_version');
+            const version = getTomlValue(this.pipfile, 'requires.python_version');
+            candidates.push(
+                [fullVersion && `==${fullVersion}`, 'Pipfile (python_full_version)'],
+                [version && `==${version}.*`, 'Pipfile (python_version)']
+            );
+        }
+
+        // === VERSION FILES ===
+        // pyenv: '3.11' selects the latest 3.11 release
+        const pyenvVersion = this.readFile('.python-version')?.split('\n')[0].trim();
+        if (pyenvVersion && /^\d+(\.\d+)*$/.test(pyenvVersion)) {
+            candidates.push([pyenvVersion.split('.').length < 3 ? `==${pyenvVersion}.*` : `==${pyenvVersion}`, '.python-version']);
+        }
+        const runtimeVersion = /^python-(\d+(?:\.\d+)*)/.exec(this.readFile('runtime.txt')?.trim() ?? '')?.[1];
+        if (runtimeVersion) {
+            candidates.push([`==${runtimeVersion}`, 'runtime.txt']);
+        }
+
+        const found = candidates.find(([constraint]) => typeof constraint === 'string' && constraint.trim() !== '');
+        return found ? { constraint: found[0].trim(), source: found[1] } : null;
+    }
+
+    /**
+     * Check an interpreter against the Python version the project requires
+     *
+     * Reports 'unsupported-python' error findings for interpreters that do not
+     * satisfy the constraint.
+     *
+     * @param {Object} interpreter - Interpreter ({command, version})
+     * @returns {boolean} False when the interpreter does not satisfy the constraint
+     */
+    validatePythonVersion(interpreter) {
+        const requirement = this.getPythonConstraint();
+        if (!requirement) {
+            logInfo('No Python version requirement declared.');
+            return true;
+        }
+
+        const satisfied = satisfiesVersionConstraint(interpreter.version, requirement.constraint);
+        if (satisfied === null) {
+            logInfo(`Python version requirement ${chalk.cyan(requirement.constraint)} from ${requirement.source} could not be evaluated.`);
+            return true;
+        }
+        if (satisfied) {
+            logSuccess(`Python ${chalk.white(interpreter.version)} satisfies ${chalk.cyan(requirement.constraint)} (${requirement.source}).`);
+            return true;
+        }
+
+        reportFinding(this.findings, {
+            severity: 'error',
+            code: 'unsupported-python',
+            message: `Python ${interpreter.version} (${interpreter.command}) does not satisfy ${requirement.constraint} required by ${requirement.source}.`,
+            file: requirement.source.split(' ')[0],
+            fix: `Install a Python version matching ${requirement.constraint}`
+        });
+        return false;
+    }
+
+    /*
+    ============================================================================
+    VIRTUALENV DETECTION
+    ============================================================================
+    */
+
+    /**
+     * Find the in-project virtualenv
+     *
+     * @returns {string|null} Virtualenv directory (relative), null when none exists
+     */
+    findVirtualenv() {
+        return VIRTUALENV_DIRECTORIES.find(directory => this.hasFile(path.join(directory, 'pyvenv.cfg'))) ?? null;
+    }
+
+    /**
+     * Interpreter of a virtualenv
+     *
+     * @param {string} directory - Virtualenv directory (relative or absolute)
+     * @returns {Object|null} Interpreter ({command, version}), null when it does not run
+     */
+    getVirtualenvInterpreter(directory) {
+        const root = path.resolve(this.cwd, directory);
+        const command = [path.join(root, 'bin', 'python'), path.join(root, 'Scripts', 'python.exe')].find(file => fs.existsSync(file));
+        return command ? probeInterpreter(command, this.cwd) : null;
+    }
+
+    /**
+     * Distributions installed into a virtualenv
+     *
+     * @param {string} directory - Virtualenv directory (relative or absolute)
+     * @returns {Set<string>} Normalized distribution names
+     */
+    getInstalledPackages(directory) {
+        const root = path.resolve(this.cwd, directory);
+        const sitePackages = [];
+
+        // === SITE-PACKAGES LOCATIONS ===
+        // lib/pythonX.Y/site-packages (POSIX), Lib/site-packages (Windows)
+        const libDirectory = path.join(root, 'lib');
+        if (fs.existsSync(libDirectory)) {
+            fs.readdirSync(libDirectory)
+                .filter(entry => entry.startsWith('python'))
+                .forEach(entry => sitePackages.push(path.join(libDirectory, entry, 'site-packages')));
+        }
+        sitePackages.push(path.join(root, 'Lib', 'site-packages'));
+
+        const installed = new Set();
+        sitePackages.filter(directory => fs.existsSync(directory)).forEach(directory => {
+            fs.readdirSync(directory)
+                .map(entry => /^(.+?)-[^-]+\.(dist-info|egg-info)$/.exec(entry)?.[1])
+                .filter(Boolean)
+                .forEach(name => installed.add(normalizePackageName(name)));
+        });
+
+        return installed;
+    }
+
+    /**
+     * Check that distributions are installed into a virtualenv
+     *
+     * Reports a 'missing-packages' warning finding whose remediation runs the
+     * install command of the trait.
+     *
+     * @param {string} directory - Virtualenv directory (relative or absolute)
+     * @param {Array<string>} names - Distributions that must be installed
+     * @param {Object} options - Reporting options
+     * @param {string} options.file - Manifest or lock file declaring the distributions
+     * @param {string} options.command - Install command, e.g. 'poetry install'
+     * @returns {boolean} True when all distributions are installed
+     */
+    validateInstalledPackages(directory, names, { file, command }) {
+        const installed = this.getInstalledPackages(directory);
+        const missing = [...new Set(names.map(normalizePackageName))].filter(name => !installed.has(name));
+
+        if (missing.length === 0) {
+            logSuccess(`All ${chalk.cyan(names.length)} dependencies are installed in ${chalk.white(directory)}.`);
+            return true;
+        }
+
+        reportFinding(this.findings, {
+            severity: 'warning',
+            code: 'missing-packages',
+            message: `${missing.length} dependenc${missing.length === 1 ? 'y is' : 'ies are'} not installed in ${chalk.white(directory)}: ` +
+                `${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', ...' : ''}. Run ${chalk.cyan(command)}.`,
+            file,
+            remediation: createCommandRemediation(command)
+        });
+        return false;
+    }
+
+    /*
+    ============================================================================
+    TOOL CONFIGURATION DETECTION
+    ============================================================================
+    */
+
+    /**
+     * Find the configuration of a Python tool
+     *
+     * @param {string} tool - 'pytest', 'ruff' or 'mypy'
+     * @returns {string|null} Where the configuration was found, e.g. 'pyproject.toml [tool.ruff]'
+     */
+    findToolConfig(tool) {
+        const { files, sections } = TOOL_CONFIGS[tool];
+
+        const file = files.find(name => this.hasFile(name));
+        if (file) {
+            return file;
+        }
+
+        const section = sections.find(([filename, name]) => {
+            if (filename === 'pyproject.toml') {
+                return this.hasFile(filename) && this.getPyprojectValue(name) !== undefined;
+            }
+            // INI files (setup.cfg, tox.ini)
+            const content = this.readFile(filename);
+            return content !== null && new RegExp(`^\\[${name.replace(/[.:]/g, '\\$&')}\\]`, 'm').test(content);
+        });
+
+        return section ? `${section[0]} [${section[1]}]` : null;
+    }
+}
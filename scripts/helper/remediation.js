@@ -0,0 +1,224 @@
+/*
+================================================================================
+File: scripts/helper/remediation.js (Trait Check Remediations)
+Description: Safe automatic fixes for trait check findings (`setup --fix`).
+             Trait checkers attach a remediation to the finding it resolves
+             (BaseTraitChecker.report({..., remediation})); the hook runner
+             previews every remediation, asks for confirmation and applies it
+             (core/hooks.js). This module describes, previews and applies the
+             file edits - commands are run by the hook runner with the regular
+             hook environment.
+
+Key Responsibilities:
+- Validate remediation definitions (command or file edit)
+- Render the preview of a remediation: the command, or a unified diff
+- Apply file edits
+- Build command remediations (file edits are built by the helpers, e.g.
+  ConfigFileHelper.createGitignoreRemediation())
+
+Remediation Types:
+- Command:   {description, command}              e.g. npm install
+- File edit: {description, file, update(content)} update() returns the new
+             content of the file (content is '' for a file that does not exist)
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for file edits
+import fs from 'fs';
+// Path utilities for repository-relative files
+import path from 'path';
+// Terminal styling for diff output
+import chalk from 'chalk';
+
+/*
+================================================================================
+REMEDIATION DEFINITIONS
+================================================================================
+*/
+
+// Lines of unchanged context around every change of a diff
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Validate a remediation definition
+ *
+ * @param {Object} remediation - Remediation ({description, command} or {description, file, update})
+ * @throws {Error} When the definition is incomplete
+ */
+export function validateRemediation(remediation) {
+    if (!remediation?.description) {
+        throw new Error('Remediation has no description');
+    }
+
+    const isCommand = typeof remediation.command === 'string' && remediation.command.length > 0;
+    const isFileEdit = typeof remediation.file === 'string' && typeof remediation.update === 'function';
+    if (isCommand === isFileEdit) {
+        throw new Error(`Remediation '${remediation.description}' needs either a command or a file with an update function`);
+    }
+}
+
+/**
+ * Remediation that runs a command in the repository
+ *
+ * @param {string} command - Shell command, e.g. 'npm install'
+ * @param {string} [description] - Description (default: "Run <command>")
+ * @returns {Object} Command remediation
+ */
+export function createCommandRemediation(command, description = `Run ${command}`) {
+    return { description, command };
+}
+
+/*
+================================================================================
+PREVIEW AND APPLICATION
+================================================================================
+*/
+
+/**
+ * Current and updated content of a file edit
+ *
+ * @param {Object} remediation - File edit remediation
+ * @param {string} cwd - Repository directory
+ * @returns {Object} Contents ({filePath, exists, before, after})
+ */
+function computeFileEdit(remediation, cwd) {
+    const filePath = path.join(cwd, remediation.file);
+    const exists = fs.existsSync(filePath);
+    const before = exists ? fs.readFileSync(filePath, 'utf8') : '';
+
+    return { filePath, exists, before, after: remediation.update(before) };
+}
+
+/**
+ * Render the preview of a remediation
+ *
+ * @param {Object} remediation - Remediation
+ * @param {string} cwd - Repository directory
+ * @returns {Array<string>} Preview lines (command, or unified diff with colors)
+ */
+export function previewRemediation(remediation, cwd) {
+    if (remediation.command) {
+        return [chalk.cyan(`$ ${remediation.command}`)];
+    }
+
+    const { exists, before, after } = computeFileEdit(remediation, cwd);
+    if (before === after) {
+        return [chalk.gray(`${remediation.file}: no changes`)];
+    }
+
+    return createUnifiedDiff(remediation.file, before, after, exists).map(line => {
+        if (line.startsWith('+') && !line.startsWith('+++')) {
+            return chalk.green(line);
+        }
+        if (line.startsWith('-') && !line.startsWith('---')) {
+            return chalk.red(line);
+        }
+        return line.startsWith('@@') ? chalk.cyan(line) : line;
+    });
+}
+
+/**
+ * Apply a file edit remediation
+ *
+ * @param {Object} remediation - File edit remediation
+ * @param {string} cwd - Repository directory
+ * @returns {boolean} True when the file changed
+ */
+export function applyFileRemediation(remediation, cwd) {
+    const { filePath, before, after } = computeFileEdit(remediation, cwd);
+    if (before === after) {
+        return false;
+    }
+
+    fs.writeFileSync(filePath, after);
+    return true;
+}
+
+/*
+================================================================================
+UNIFIED DIFF
+================================================================================
+*/
+
+/**
+ * Create a unified diff of two file contents
+ *
+ * Line-based longest common subsequence - remediations only touch small
+ * configuration files.
+ *
+ * @param {string} file - File name shown in the diff header
+ * @param {string} before - Current content
+ * @param {string} after - Updated content
+ * @param {boolean} exists - Whether the file exists (diff against /dev/null otherwise)
+ * @returns {Array<string>} Diff lines
+ */
+export function createUnifiedDiff(file, before, after, exists = true) {
+    const oldLines = splitLines(before);
+    const newLines = splitLines(after);
+
+    // === LONGEST COMMON SUBSEQUENCE ===
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    // === EDIT SCRIPT ===
+    // Entries: [type (' ', '-', '+'), text, old line number, new line number]
+    const edits = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            edits.push([' ', oldLines[i], i++, j++]);
+        } else if (i < oldLines.length && (j >= newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            edits.push(['-', oldLines[i], i++, j]);
+        } else {
+            edits.push(['+', newLines[j], i, j++]);
+        }
+    }
+
+    // === HUNKS ===
+    const lines = [`--- ${exists ? `a/${file}` : '/dev/null'}`, `+++ b/${file}`];
+    const changed = edits.map((edit, index) => edit[0] !== ' ' ? index : -1).filter(index => index >= 0);
+
+    let start = 0;
+    while (start < changed.length) {
+        // Changes closer than twice the context share a hunk
+        let end = start;
+        while (end + 1 < changed.length && changed[end + 1] - changed[end] <= DIFF_CONTEXT_LINES * 2) {
+            end++;
+        }
+
+        const from = Math.max(0, changed[start] - DIFF_CONTEXT_LINES);
+        const to = Math.min(edits.length, changed[end] + DIFF_CONTEXT_LINES + 1);
+        const hunk = edits.slice(from, to);
+        const oldCount = hunk.filter(edit => edit[0] !== '+').length;
+        const newCount = hunk.filter(edit => edit[0] !== '-').length;
+        const oldStart = oldCount > 0 ? hunk[0][2] + 1 : hunk[0][2];
+        const newStart = newCount > 0 ? hunk[0][3] + 1 : hunk[0][3];
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(([type, text]) => lines.push(`${type}${text}`));
+        start = end + 1;
+    }
+
+    return lines;
+}
+
+/**
+ * Split file content into lines (no trailing empty line for a final line break)
+ *
+ * @param {string} content - File content
+ * @returns {Array<string>} Lines
+ */
+function splitLines(content) {
+    if (content === '') {
+        return [];
+    }
+    return content.replace(/\n$/, '').split('\n');
+}
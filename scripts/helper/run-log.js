@@ -0,0 +1,263 @@
+/*
+================================================================================
+File: scripts/helper/run-log.js (Per-Run Setup Transcripts)
+Description: Log directory management for setup runs. Every setup run writes a
+             timestamped directory `.multirepo/logs/<run-id>/` in the workspace
+             root with the complete transcript of the run (run.log) and one
+             transcript per repository (repositories/<repo>.log). The files
+             receive every log message, including debug messages and the
+             stdout/stderr of hooks, so the terminal can stay condensed while
+             nothing is lost once the run is over.
+
+Key Responsibilities:
+- Create the log directory of a run and prune the oldest runs
+- Collect the messages of all loggers through a transcript sink (logger.js)
+- Split the transcript per repository using the logger context
+- Locate the runs and transcripts of earlier runs (`multirepo logs`)
+
+Log Directory Layout:
+.multirepo/logs/
+└── 2026-10-18T09-12-03-114Z/     # Run id: start time (UTC), sorts chronologically
+    ├── run.log                    # Complete transcript
+    └── repositories/
+        ├── api.log                # Everything logged while working on 'api'
+        └── web.log
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for transcript files
+import fs from 'fs';
+// Path utilities for the log directory layout
+import path from 'path';
+// Transcript sink registration
+import { addLogSink, removeLogSink } from './logger.js';
+
+/*
+================================================================================
+LOG DIRECTORY CONFIGURATION
+================================================================================
+*/
+
+// === FILE NAMES ===
+const RUN_LOG_FILE = 'run.log';
+const REPOSITORY_LOGS_DIR = 'repositories';
+
+// Number of run directories kept - older runs are deleted when a new run starts
+const MAX_KEPT_RUNS = 20;
+
+// Run log of the setup currently running (one per process)
+let activeRunLog = null;
+
+/*
+================================================================================
+RUN LOG
+================================================================================
+*/
+
+/**
+ * Transcript files of a single setup run
+ *
+ * Registers itself as transcript sink while open: every logged line goes to
+ * run.log, lines logged in the context of a repository additionally go to
+ * that repository's file. Files are written synchronously, so the transcript
+ * is complete even when the process is interrupted.
+ */
+export class RunLog {
+    /**
+     * @param {string} logsDir - Directory holding the run directories
+     * @param {string} runId - Run id (default: derived from the current time)
+     */
+    constructor(logsDir, runId = createRunId()) {
+        this.logsDir = logsDir;
+        this.runId = runId;
+        this.directory = path.join(logsDir, runId);
+        this.files = new Map(); // File path -> file descriptor
+        this.sink = (entry) => this.write(entry);
+    }
+
+    /**
+     * Create the run directory and start collecting log messages
+     *
+     * @returns {RunLog} Returns this run log for method chaining
+     */
+    open() {
+        fs.mkdirSync(path.join(this.directory, REPOSITORY_LOGS_DIR), { recursive: true });
+        this.writeLine(this.getRunLogPath(), `# multirepo setup run ${this.runId}`);
+        addLogSink(this.sink);
+        return this;
+    }
+
+    /**
+     * Stop collecting log messages and close all files
+     */
+    close() {
+        removeLogSink(this.sink);
+        this.files.forEach(fd => fs.closeSync(fd));
+        this.files.clear();
+    }
+
+    /**
+     * Write a transcript entry (logger sink)
+     *
+     * @param {Object} entry - Transcript entry ({line, level, repo, phase})
+     */
+    write(entry) {
+        this.writeLine(this.getRunLogPath(), entry.line);
+        if (entry.repo) {
+            this.writeLine(this.getRepositoryLogPath(entry.repo), entry.line);
+        }
+    }
+
+    /**
+     * Append a line to a transcript file, opening it on first use
+     *
+     * @param {string} filePath - Transcript file
+     * @param {string} line - Line without line break
+     */
+    writeLine(filePath, line) {
+        try {
+            if (!this.files.has(filePath)) {
+                this.files.set(filePath, fs.openSync(filePath, 'a'));
+            }
+            fs.writeSync(this.files.get(filePath), line + '\n');
+        } catch (error) {
+            // A transcript that cannot be written must never break the setup itself
+        }
+    }
+
+    /**
+     * Path of the complete transcript
+     *
+     * @returns {string} Path to run.log
+     */
+    getRunLogPath() {
+        return path.join(this.directory, RUN_LOG_FILE);
+    }
+
+    /**
+     * Path of a repository transcript
+     *
+     * @param {string} repoName - Repository name
+     * @returns {string} Path to repositories/<repo>.log
+     */
+    getRepositoryLogPath(repoName) {
+        return path.join(this.directory, REPOSITORY_LOGS_DIR, `${repoName}.log`);
+    }
+}
+
+/**
+ * Create a run id from the current time (UTC, sorts chronologically)
+ *
+ * @returns {string} Run id, e.g. 2026-10-18T09-12-03-114Z
+ */
+function createRunId() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+/*
+================================================================================
+ACTIVE RUN MANAGEMENT
+================================================================================
+*/
+
+/**
+ * Start the run log of a setup run
+ *
+ * Prunes the oldest runs first, so at most MAX_KEPT_RUNS directories exist.
+ *
+ * @param {string} logsDir - Directory holding the run directories
+ * @returns {RunLog} Opened run log
+ * @throws {Error} When the run directory cannot be created
+ */
+export function startRunLog(logsDir) {
+    finishRunLog();
+    pruneRuns(logsDir, MAX_KEPT_RUNS - 1);
+
+    activeRunLog = new RunLog(logsDir).open();
+    return activeRunLog;
+}
+
+/**
+ * Close the run log of the current setup run
+ */
+export function finishRunLog() {
+    activeRunLog?.close();
+    activeRunLog = null;
+}
+
+/**
+ * Run log of the setup currently running
+ *
+ * Hooks capture their output into the transcript while a run log is active.
+ *
+ * @returns {RunLog|null} Active run log or null outside of a setup run
+ */
+export function getActiveRunLog() {
+    return activeRunLog;
+}
+
+/*
+================================================================================
+EARLIER RUNS
+================================================================================
+*/
+
+/**
+ * List the ids of all recorded runs, oldest first
+ *
+ * @param {string} logsDir - Directory holding the run directories
+ * @returns {Array<string>} Run ids
+ */
+export function listRuns(logsDir) {
+    if (!fs.existsSync(logsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(logsDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(path.join(logsDir, entry.name, RUN_LOG_FILE)))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Open the transcripts of a recorded run for reading
+ *
+ * @param {string} logsDir - Directory holding the run directories
+ * @param {string} runId - Run id (see listRuns)
+ * @returns {RunLog} Run log (not registered as sink)
+ */
+export function getRun(logsDir, runId) {
+    return new RunLog(logsDir, runId);
+}
+
+/**
+ * List the repositories that have a transcript in a run
+ *
+ * @param {RunLog} runLog - Run log of a recorded run
+ * @returns {Array<string>} Repository names
+ */
+export function listRunRepositories(runLog) {
+    const repositoriesDir = path.join(runLog.directory, REPOSITORY_LOGS_DIR);
+    if (!fs.existsSync(repositoriesDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(repositoriesDir)
+        .filter(file => file.endsWith('.log'))
+        .map(file => file.slice(0, -'.log'.length))
+        .sort();
+}
+
+/**
+ * Delete the oldest runs so that at most `keep` runs remain
+ *
+ * @param {string} logsDir - Directory holding the run directories
+ * @param {number} keep - Number of runs to keep
+ */
+function pruneRuns(logsDir, keep) {
+    const runs = listRuns(logsDir);
+    runs.slice(0, Math.max(0, runs.length - keep)).forEach(runId => {
+        fs.rmSync(path.join(logsDir, runId), { recursive: true, force: true });
+    });
+}
@@ -0,0 +1,364 @@
+/*
+================================================================================
+File: scripts/helper/rust-project-helper.js (Rust Project Analysis Engine)
+Description: Cargo.toml and Cargo.lock analysis for the rust trait. Reads the
+             Cargo manifests (TOML, see toml.js), resolves the Rust version a
+             crate requires (rust-version, rust-toolchain.toml), detects the
+             installed toolchain and checks which locked crates are missing
+             from the Cargo registry cache.
+
+Key Responsibilities:
+- Lazy loading of Cargo.toml, Cargo.lock and rust-toolchain(.toml)
+- Minimum supported Rust version and pinned toolchain channel resolution
+- Toolchain detection (rustup overrides of the repository are honored),
+  missing pinned toolchains with their install command as fix
+- Direct dependency names of the root package
+- Registry cache lookup (CARGO_HOME) for fetched crates
+- Problems reported as findings of the running trait check (trait-findings.js)
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for manifest and registry cache access
+import fs from 'fs';
+// Path utilities for cross-platform file system navigation
+import path from 'path';
+// Home directory of the default CARGO_HOME
+import os from 'os';
+// Toolchain detection
+import { execSync } from 'child_process';
+// Shared repository file access
+import { ProjectFileHelper } from './project-file-helper.js';
+// Logging system for analysis feedback
+import { logInfo, logSuccess } from './logger.js';
+// TOML manifests (Cargo.toml, Cargo.lock, rust-toolchain.toml)
+import { getTomlValue, parseToml } from './toml.js';
+// Release version comparison for rust-version
+import { isVersionAtLeast } from './version.js';
+// Findings of the trait check using this helper
+import { reportFinding } from './trait-findings.js';
+// Toolchain installs offered as fix (setup --fix)
+import { createCommandRemediation } from './remediation.js';
+// Terminal styling for enhanced visual feedback
+import chalk from 'chalk';
+
+/*
+================================================================================
+RUST PROJECT CONFIGURATION
+================================================================================
+*/
+
+// === TOOLCHAIN FILES ===
+// Files pinning the toolchain of a repository, in the order rustup reads them
+const TOOLCHAIN_FILES = ['rust-toolchain.toml', 'rust-toolchain'];
+
+// === DEPENDENCY TABLES ===
+// Cargo.toml tables declaring dependencies of the package
+const DEPENDENCY_TABLES = ['dependencies', 'dev-dependencies', 'build-dependencies'];
+
+// === COMMAND TIMEOUT ===
+// Toolchain commands that do not return in time count as failed
+const RUST_COMMAND_TIMEOUT = 30000;
+
+/*
+================================================================================
+TOOLCHAIN DETECTION
+================================================================================
+*/
+
+/**
+ * Find the Rust toolchain
+ *
+ * Run in a repository, rustup selects the toolchain the repository pins.
+ * RUSTUP_AUTO_INSTALL=0 keeps rustup from installing a missing pinned
+ * toolchain, so a missing toolchain is reported instead.
+ *
+ * @param {string} [cwd] - Working directory (rustup reads rust-toolchain.toml from it)
+ * @returns {Object|null} Toolchain ({command, version}), null when rustc does not run
+ */
+export function detectRustToolchain(cwd = undefined) {
+    try {
+        const output = execSync('rustc --version', {
+            cwd,
+            encoding: 'utf8',
+            stdio: 'pipe',
+            timeout: RUST_COMMAND_TIMEOUT,
+            env: { ...process.env, RUSTUP_AUTO_INSTALL: '0' }
+        });
+        const match = /rustc (\d+\.\d+\.\d+)/.exec(output);
+        return match ? { command: 'rustc', version: match[1] } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Directory of the Cargo registry cache
+ *
+ * @returns {string} registry/cache directory of CARGO_HOME
+ */
+function getRegistryCacheDirectory() {
+    return path.join(process.env.CARGO_HOME || path.join(os.homedir(), '.cargo'), 'registry', 'cache');
+}
+
+/*
+================================================================================
+RUST PROJECT HELPER
+================================================================================
+*/
+
+/**
+ * Cargo manifest and toolchain analysis bound to a repository directory
+ */
+export class RustProjectHelper extends ProjectFileHelper {
+    /**
+     * @param {string} cwd - Repository directory
+     * @param {TraitFindings|null} findings - Findings collector of the trait check (null: only log)
+     */
+    constructor(cwd, findings = null) {
+        super(cwd, findings);
+
+        // === LAZY LOADING STATE ===
+        this._manifests = {};
+
+        logInfo(`Rust project helper initialized for directory: ${this.cwd}`);
+    }
+
+    /*
+    ============================================================================
+    MANIFEST LOADING
+    ============================================================================
+    */
+
+    /**
+     * Load and parse a TOML manifest once
+     *
+     * A syntax error is reported as 'invalid-toml' error finding - Cargo
+     * refuses to work with an invalid manifest.
+     *
+     * @param {string} filename - Manifest file name, e.g. 'Cargo.toml'
+     * @returns {Object|null} Parsed manifest, null when missing or invalid
+     */
+    loadTomlManifest(filename) {
+        if (Object.hasOwn(this._manifests, filename)) {
+            return this._manifests[filename];
+        }
+
+        const content = this.readFile(filename);
+        let manifest = null;
+        if (content !== null) {
+            try {
+                manifest = parseToml(content);
+                logSuccess(`${chalk.white(filename)} loaded successfully.`);
+            } catch (error) {
+                reportFinding(this.findings, {
+                    severity: 'error',
+                    code: 'invalid-toml',
+                    message: `Could not parse ${chalk.white(filename)}: ${error.message}`,
+                    file: filename
+                });
+            }
+        }
+
+        this._manifests[filename] = manifest;
+        return manifest;
+    }
+
+    /**
+     * Parsed Cargo.toml
+     *
+     * @returns {Object|null} Manifest, null when missing or invalid
+     */
+    get cargoToml() {
+        return this.loadTomlManifest('Cargo.toml');
+    }
+
+    /**
+     * Parsed Cargo.lock
+     *
+     * @returns {Object|null} Lock file, null when missing or invalid
+     */
+    get cargoLock() {
+        return this.loadTomlManifest('Cargo.lock');
+    }
+
+    /*
+    ============================================================================
+    RUST VERSION REQUIREMENTS
+    ============================================================================
+    */
+
+    /**
+     * Minimum Rust version the package requires (rust-version)
+     *
+     * `rust-version.workspace = true` is resolved from [workspace.package].
+     *
+     * @returns {string|null} Minimum version, null when none is declared
+     */
+    getRustVersion() {
+        const manifest = this.cargoToml;
+        const rustVersion = getTomlValue(manifest, 'package.rust-version');
+        const resolved = rustVersion?.workspace === true || rustVersion === undefined
+            ? getTomlValue(manifest, 'workspace.package.rust-version')
+            : rustVersion;
+        return typeof resolved === 'string' ? resolved : null;
+    }
+
+    /**
+     * Toolchain channel the repository pins
+     *
+     * rust-toolchain.toml ([toolchain] channel) or the legacy rust-toolchain
+     * file, which holds either the same TOML or just the channel.
+     *
+     * @returns {Object|null} Pin ({channel, source}), null when no toolchain is pinned
+     */
+    getToolchainChannel() {
+        for (const source of TOOLCHAIN_FILES) {
+            const content = this.readFile(source);
+            if (content === null) continue;
+
+            if (!content.includes('[toolchain]')) {
+                const channel = content.trim();
+                return channel ? { channel, source } : null;
+            }
+            const channel = getTomlValue(this.loadTomlManifest(source), 'toolchain.channel');
+            return typeof channel === 'string' ? { channel, source } : null;
+        }
+        return null;
+    }
+
+    /**
+     * Detect the toolchain selected for the repository and validate it
+     *
+     * A pinned toolchain that is not installed is a 'toolchain-missing' error
+     * (fixed by `rustup toolchain install`), no toolchain at all 'rust-missing'.
+     *
+     * @returns {Object|null} Toolchain ({command, version}), null when rustc does not run
+     */
+    validateToolchain() {
+        const toolchain = detectRustToolchain(this.cwd);
+        if (toolchain) {
+            this.validateRustVersion(toolchain);
+            return toolchain;
+        }
+
+        // Outside the repository the default toolchain is used
+        const pin = this.getToolchainChannel();
+        if (pin && detectRustToolchain(os.homedir())) {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'toolchain-missing',
+                message: `Toolchain ${chalk.cyan(pin.channel)} pinned in ${chalk.white(pin.source)} is not installed.`,
+                file: pin.source,
+                remediation: createCommandRemediation(`rustup toolchain install ${pin.channel}`)
+            });
+        } else {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'rust-missing',
+                message: 'Rust not found. Please install Rust (rustup) to continue.',
+                fix: 'Install Rust via https://rustup.rs'
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Check a toolchain against rust-version and the pinned channel
+     *
+     * A toolchain older than rust-version is an 'unsupported-rust' error,
+     * a toolchain not matching a pinned version is a 'toolchain-mismatch'
+     * warning.
+     *
+     * @param {Object} toolchain - Toolchain ({command, version})
+     * @returns {boolean} False when the toolchain does not satisfy the requirements
+     */
+    validateRustVersion(toolchain) {
+        let satisfied = true;
+
+        const rustVersion = this.getRustVersion();
+        if (!rustVersion) {
+            logInfo('No rust-version declared in Cargo.toml.');
+        } else if (isVersionAtLeast(toolchain.version, rustVersion)) {
+            logSuccess(`Rust ${chalk.white(toolchain.version)} satisfies rust-version ${chalk.cyan(rustVersion)} (Cargo.toml).`);
+        } else {
+            reportFinding(this.findings, {
+                severity: 'error',
+                code: 'unsupported-rust',
+                message: `Rust ${toolchain.version} is older than rust-version ${rustVersion} required by Cargo.toml.`,
+                file: 'Cargo.toml',
+                fix: 'rustup update stable'
+            });
+            satisfied = false;
+        }
+
+        // === PINNED TOOLCHAIN ===
+        // Only numeric channels pin a version (stable, beta and nightly move)
+        const pin = this.getToolchainChannel();
+        if (pin && /^\d+\.\d+(\.\d+)?$/.test(pin.channel)) {
+            const matches = `${toolchain.version}.`.startsWith(`${pin.channel}.`);
+            if (matches) {
+                logSuccess(`Rust ${chalk.white(toolchain.version)} matches the toolchain pinned in ${pin.source}.`);
+            } else {
+                reportFinding(this.findings, {
+                    severity: 'warning',
+                    code: 'toolchain-mismatch',
+                    message: `Rust ${toolchain.version} is used, but ${pin.source} pins ${pin.channel}.`,
+                    file: pin.source,
+                    fix: `rustup toolchain install ${pin.channel}`
+                });
+                satisfied = false;
+            }
+        }
+
+        return satisfied;
+    }
+
+    /*
+    ============================================================================
+    DEPENDENCIES
+    ============================================================================
+    */
+
+    /**
+     * Names of the packages the root package depends on
+     *
+     * Renamed dependencies (`alias = { package = "name" }`) are returned by
+     * their package name. Platform-specific tables ([target.'cfg'.dependencies])
+     * are included.
+     *
+     * @returns {Array<string>} Package names
+     */
+    getDependencyNames() {
+        const manifest = this.cargoToml;
+        if (!manifest) return [];
+
+        const tables = [manifest, ...Object.values(manifest.target ?? {})];
+        const names = tables.flatMap(table => DEPENDENCY_TABLES.flatMap(section => Object.entries(table?.[section] ?? {})
+            .map(([alias, definition]) => (typeof definition === 'object' && definition.package ? definition.package : alias))));
+
+        return [...new Set(names)];
+    }
+
+    /**
+     * Locked registry crates that are not in the Cargo registry cache
+     *
+     * Git and path dependencies are skipped.
+     *
+     * @returns {Array<Object>|null} Locked packages ({name, version}), null without Cargo.lock
+     */
+    getMissingCrates() {
+        const lock = this.cargoLock;
+        if (!lock) return null;
+
+        // One cache directory per registry (crates.io, mirrors, alternative registries)
+        const cacheDirectory = getRegistryCacheDirectory();
+        const registries = fs.existsSync(cacheDirectory)
+            ? fs.readdirSync(cacheDirectory).map(entry => path.join(cacheDirectory, entry))
+            : [];
+
+        return (lock.package ?? [])
+            .filter(locked => /^(registry|sparse)\+/.test(locked.source ?? ''))
+            .filter(({ name, version }) => !registries.some(registry => fs.existsSync(path.join(registry, `${name}-${version}.crate`))));
+    }
+}
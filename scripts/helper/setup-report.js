@@ -0,0 +1,557 @@
+/*
+================================================================================
+File: scripts/helper/setup-report.js (HTML and Markdown Setup Reports)
+Description: Self-contained report of a setup run (`setup --report <file>`).
+             The console summary of setup.js and the cache statistics of
+             CacheManager are gone once the terminal is closed - the report
+             keeps them in a single file that can be attached to onboarding
+             tickets or archived by CI: which repositories were processed,
+             which phases ran or were cached and why, how long every hook took,
+             the traits TraitAdviser suggested and the warnings of the trait
+             checkers. The format follows the file extension (.html or .md);
+             the same data is also rendered as JUnit XML for CI test result
+             views (`setup --junit <file>`, see junit-report.js).
+
+Key Responsibilities:
+- Collect trait suggestions and repository warnings while the setup runs
+- Render the run results as a standalone HTML page (inline styles, no assets)
+- Render the same content as GitHub-flavored Markdown
+- Hand the collected data to the JUnit XML renderer (junit-report.js)
+- Write the report file, creating its directory when needed
+
+Collected Data:
+- Warnings: every warning logged in the context of a repository (transcript sink),
+  with the phase and the hook that was running
+- Trait suggestions: recorded by TraitAdviser and BaseTraitChecker
+- Everything else (phase results, cache decisions, hook results) is passed in
+  by setup.js when the run is over
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for report writing
+import fs from 'fs';
+// Path utilities for format detection and directory creation
+import path from 'path';
+// Plain text for messages that carry terminal styling
+import { stripVTControlCharacters } from 'util';
+// Warning collection and repository context
+import { addLogSink, defaultLogger, removeLogSink } from './logger.js';
+// JUnit XML rendering (setup --junit)
+import { renderJUnitReport } from './junit-report.js';
+
+/*
+================================================================================
+REPORT CONFIGURATION
+================================================================================
+*/
+
+// === REPORT FORMATS ===
+// Report format by file extension
+const REPORT_FORMATS = {
+    '.html': 'html',
+    '.htm': 'html',
+    '.md': 'markdown',
+    '.markdown': 'markdown'
+};
+
+// === STATUS LABELS ===
+// Phase statuses as shown in the report (see recordPhaseResult in setup.js)
+const STATUS_LABELS = {
+    pass: 'ran',
+    cached: 'cached',
+    fail: 'failed',
+    skip: 'skipped'
+};
+
+// Reports of the setup currently running (--report and --junit)
+let activeReports = [];
+
+/*
+================================================================================
+SETUP REPORT
+================================================================================
+*/
+
+/**
+ * Report of a single setup run
+ *
+ * Collects warnings and trait suggestions while open; the results of the run
+ * are passed to save() once it is over.
+ */
+export class SetupReport {
+    /**
+     * @param {string} filePath - Report file
+     * @param {string} format - Report format ('html', 'markdown' or 'junit', default: from the file extension)
+     * @throws {Error} When no format is given and the file extension is not a supported report format
+     */
+    constructor(filePath, format = getReportFormat(filePath)) {
+        this.filePath = path.resolve(filePath);
+        this.format = format;
+        this.warnings = [];    // {repo, phase, hook, message}
+        this.suggestions = []; // {repo, trait, message}
+        this.sink = (entry) => this.collect(entry);
+    }
+
+    /**
+     * Start collecting warnings
+     *
+     * @returns {SetupReport} Returns this report for method chaining
+     */
+    open() {
+        addLogSink(this.sink);
+        return this;
+    }
+
+    /**
+     * Stop collecting warnings
+     */
+    close() {
+        removeLogSink(this.sink);
+    }
+
+    /**
+     * Collect a warning logged in the context of a repository (logger sink)
+     *
+     * @param {Object} entry - Transcript entry ({line, message, level, repo, phase, hook})
+     */
+    collect(entry) {
+        if (entry.level === 'warn' && entry.repo) {
+            this.warnings.push({ repo: entry.repo, phase: entry.phase, hook: entry.hook, message: entry.message.trim() });
+        }
+    }
+
+    /**
+     * Record a trait suggestion (first suggestion per repository and trait wins)
+     *
+     * @param {string|null} repoName - Repository the suggestion is for
+     * @param {string} trait - Suggested trait
+     * @param {string} message - Suggestion message
+     */
+    addSuggestion(repoName, trait, message) {
+        if (!this.suggestions.some(suggestion => suggestion.repo === repoName && suggestion.trait === trait)) {
+            this.suggestions.push({ repo: repoName, trait, message: stripVTControlCharacters(message) });
+        }
+    }
+
+    /**
+     * Render the report and write it to its file
+     *
+     * @param {Object} run - Run results (see renderHtmlReport)
+     * @returns {string} Path of the written report
+     */
+    save(run) {
+        const report = { ...run, warnings: this.warnings, suggestions: this.suggestions };
+        const content = REPORT_RENDERERS[this.format](report);
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, content);
+        return this.filePath;
+    }
+}
+
+/**
+ * Determine the report format from the file extension
+ *
+ * @param {string} filePath - Report file
+ * @returns {string} Report format ('html' or 'markdown')
+ * @throws {Error} When the extension is not supported
+ */
+export function getReportFormat(filePath) {
+    const format = REPORT_FORMATS[path.extname(filePath).toLowerCase()];
+    if (!format) {
+        throw new Error(`Unsupported report file '${filePath}' (expected: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+    return format;
+}
+
+/*
+================================================================================
+ACTIVE REPORT MANAGEMENT
+================================================================================
+*/
+
+/**
+ * Start a report of the current setup run
+ *
+ * @param {string} filePath - Report file
+ * @param {string} [format] - Report format (default: from the file extension)
+ * @returns {SetupReport} Opened report
+ * @throws {Error} When the file extension is not a supported report format
+ */
+export function startSetupReport(filePath, format) {
+    const report = new SetupReport(filePath, format).open();
+    activeReports.push(report);
+    return report;
+}
+
+/**
+ * Stop collecting data for the reports of the current setup run
+ */
+export function finishSetupReports() {
+    activeReports.forEach(report => report.close());
+    activeReports = [];
+}
+
+/**
+ * Record a trait suggestion for the repository currently being processed
+ *
+ * Does nothing outside of a setup run with --report or --junit.
+ *
+ * @param {string} trait - Suggested trait
+ * @param {string} message - Suggestion message as logged
+ */
+export function recordTraitSuggestion(trait, message) {
+    activeReports.forEach(report => report.addSuggestion(defaultLogger.context.repo, trait, message));
+}
+
+/*
+================================================================================
+REPORT CONTENT
+================================================================================
+*/
+
+/**
+ * Describe a phase result: what happened and why
+ *
+ * The cache decision explains why a phase ran or was cached, the recorded
+ * detail why it failed or was skipped.
+ *
+ * @param {Object|null} result - Phase result ({status, detail, durationMs, cache, hooks})
+ * @returns {Object} Description ({status, label, reason})
+ */
+function describePhase(result) {
+    if (!result) {
+        return { status: 'none', label: 'not reached', reason: '' };
+    }
+
+    const reason = result.detail || result.cache?.reason || '';
+    return { status: result.status, label: STATUS_LABELS[result.status] ?? result.status, reason };
+}
+
+/**
+ * Format a duration in milliseconds for humans (e.g. 850ms, 12.4s, 3m 05s)
+ *
+ * @param {number|null} durationMs - Duration in milliseconds
+ * @returns {string} Formatted duration, '-' when unknown
+ */
+function formatDuration(durationMs) {
+    if (durationMs === null || durationMs === undefined) {
+        return '-';
+    }
+    if (durationMs < 1000) {
+        return `${durationMs}ms`;
+    }
+    if (durationMs < 60000) {
+        return `${(durationMs / 1000).toFixed(1)}s`;
+    }
+
+    const seconds = Math.round(durationMs / 1000);
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Key figures of the run
+ *
+ * @param {Object} report - Report data
+ * @returns {Array<Array<string>>} Label/value pairs
+ */
+function getOverview(report) {
+    const count = (result) => report.repositories.filter(repo => repo.result === result).length;
+    const overview = [
+        ['Generated', report.generated],
+        ['Workspace', report.workspaceRoot],
+        ['Run', report.runId ?? '-'],
+        ['Duration', formatDuration(report.durationMs)],
+        ['Outcome', report.error ? `aborted: ${report.error}` : (report.exitCode === 0 ? 'completed' : 'completed with failures')],
+        ['Repositories', `${report.repositories.length} (passed: ${count('passed')}, failed: ${count('failed')}, skipped: ${count('skipped')})`],
+        ['Cache options', report.cacheOptions]
+    ];
+
+    if (report.cacheStats) {
+        overview.push(['Cache hit rate', `${report.cacheStats.cacheHitRate}% (${report.cacheStats.operationsSaved} operations skipped)`]);
+    }
+    return overview;
+}
+
+/**
+ * Collected entries (warnings, suggestions) of a repository
+ *
+ * @param {Array<Object>} entries - Collected entries with `repo`
+ * @param {string} repoName - Repository name
+ * @returns {Array<Object>} Entries of the repository
+ */
+function entriesOf(entries, repoName) {
+    return entries.filter(entry => entry.repo === repoName);
+}
+
+/*
+================================================================================
+HTML RENDERING
+================================================================================
+*/
+
+// === HTML STYLES ===
+// Inline stylesheet - the report must not depend on external assets
+const HTML_STYLES = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1100px; color: #1f2328; padding: 0 1rem; }
+h1 { border-bottom: 1px solid #d0d7de; padding-bottom: .4rem; }
+h2 { margin-top: 2.2rem; }
+table { border-collapse: collapse; margin: .6rem 0 1rem; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+table.overview th { width: 12rem; }
+.status { font-weight: 600; white-space: nowrap; }
+.status-pass, .status-passed { color: #1a7f37; }
+.status-cached { color: #0969da; }
+.status-fail, .status-failed { color: #cf222e; }
+.status-skip, .status-skipped { color: #9a6700; }
+.status-none { color: #6e7781; }
+.reason { color: #57606a; font-size: .9em; }
+ul.warnings li { color: #9a6700; }
+section.repository { border-top: 1px solid #d0d7de; margin-top: 1.6rem; }
+`;
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the report as a standalone HTML page
+ *
+ * Report Data:
+ * - generated, workspaceRoot, runId, durationMs, exitCode, error, cacheOptions, cacheStats
+ * - phases: Phase labels by phase identifier
+ * - repositories: {name, result, reason, phases: {<phase>: {status, detail, durationMs, cache, hooks}}}
+ * - warnings, suggestions: Collected entries with `repo`
+ *
+ * @param {Object} report - Report data
+ * @returns {string} HTML document
+ */
+export function renderHtmlReport(report) {
+    const phaseIds = Object.keys(report.phases);
+    const status = (text, statusClass) => `<span class="status status-${statusClass}">${escapeHtml(text)}</span>`;
+    const phaseCell = (result) => {
+        const phase = describePhase(result);
+        return `<td>${status(phase.label, phase.status)}${phase.reason ? `<br><span class="reason">${escapeHtml(phase.reason)}</span>` : ''}</td>`;
+    };
+
+    const html = [];
+
+    // === OVERVIEW ===
+    html.push('<!DOCTYPE html>', '<html lang="en">', '<head>', '<meta charset="utf-8">',
+        `<title>Multirepo Setup Report - ${escapeHtml(report.generated)}</title>`,
+        `<style>${HTML_STYLES}</style>`, '</head>', '<body>', '<h1>Multirepo Setup Report</h1>');
+    html.push('<table class="overview">');
+    getOverview(report).forEach(([label, value]) => html.push(`<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`));
+    html.push('</table>');
+
+    // === RESULT MATRIX ===
+    html.push('<h2>Repositories</h2>', '<table>',
+        `<tr><th>Repository</th>${phaseIds.map(id => `<th>${escapeHtml(report.phases[id])}</th>`).join('')}<th>Result</th></tr>`);
+    report.repositories.forEach(repo => {
+        html.push(`<tr><td><a href="#repo-${escapeHtml(repo.name)}">${escapeHtml(repo.name)}</a></td>` +
+            phaseIds.map(id => phaseCell(repo.phases[id])).join('') +
+            `<td>${status(repo.result, repo.result)}${repo.reason ? `<br><span class="reason">${escapeHtml(repo.reason)}</span>` : ''}</td></tr>`);
+    });
+    html.push('</table>');
+
+    // === REPOSITORY DETAILS ===
+    report.repositories.forEach(repo => {
+        html.push(`<section class="repository" id="repo-${escapeHtml(repo.name)}">`, `<h2>${escapeHtml(repo.name)}</h2>`);
+
+        html.push('<table>', '<tr><th>Phase</th><th>Status</th><th>Reason</th><th>Duration</th></tr>');
+        phaseIds.forEach(id => {
+            const phase = describePhase(repo.phases[id]);
+            html.push(`<tr><td>${escapeHtml(report.phases[id])}</td><td>${status(phase.label, phase.status)}</td>` +
+                `<td>${escapeHtml(phase.reason)}</td><td>${formatDuration(repo.phases[id]?.durationMs)}</td></tr>`);
+        });
+        html.push('</table>');
+
+        const hooks = phaseIds.flatMap(id => (repo.phases[id]?.hooks ?? []).map(hook => ({ phase: id, ...hook })));
+        if (hooks.length > 0) {
+            html.push('<h3>Hooks</h3>', '<table>', '<tr><th>Phase</th><th>Hook</th><th>Outcome</th><th>Attempts</th><th>Duration</th></tr>');
+            hooks.forEach(hook => {
+                html.push(`<tr><td>${escapeHtml(hook.phase)}</td><td><code>${escapeHtml(hook.hook)}</code></td>` +
+                    `<td>${status(hook.outcome, hook.outcome === 'success' ? 'pass' : 'fail')}${hook.error ? `<br><span class="reason">${escapeHtml(hook.error)}</span>` : ''}</td>` +
+                    `<td>${hook.attempts}</td><td>${formatDuration(hook.durationMs)}</td></tr>`);
+            });
+            html.push('</table>');
+        }
+
+        const suggestions = entriesOf(report.suggestions, repo.name);
+        if (suggestions.length > 0) {
+            html.push('<h3>Trait Suggestions</h3>', '<ul>');
+            suggestions.forEach(suggestion => html.push(`<li><strong>${escapeHtml(suggestion.trait)}</strong>: ${escapeHtml(suggestion.message)}</li>`));
+            html.push('</ul>');
+        }
+
+        const warnings = entriesOf(report.warnings, repo.name);
+        if (warnings.length > 0) {
+            html.push('<h3>Warnings</h3>', '<ul class="warnings">');
+            warnings.forEach(warning => html.push(`<li>${warning.phase ? `[${escapeHtml(warning.phase)}] ` : ''}${escapeHtml(warning.message)}</li>`));
+            html.push('</ul>');
+        }
+
+        html.push('</section>');
+    });
+
+    html.push('</body>', '</html>', '');
+    return html.join('\n');
+}
+
+/*
+================================================================================
+MARKDOWN RENDERING
+================================================================================
+*/
+
+/**
+ * Escape text for Markdown
+ *
+ * Backslash-escapes the characters that start inline formatting, links, HTML
+ * and entities, and block syntax (headings, quotes, lists) at the line start.
+ * Pipes and line breaks are left to escapeMarkdownCell().
+ *
+ * @param {*} value - Text
+ * @returns {string} Text rendered literally
+ */
+function escapeMarkdown(value) {
+    return String(value ?? '')
+        .replace(/[\\`*_[\]<>&~]/g, '\\$&')
+        .replace(/^(\s*)([#>+=-])/gm, '$1\\$2')
+        .replace(/^(\s*\d+)([.)])(?=\s|$)/gm, '$1\\$2');
+}
+
+/**
+ * Render text as a Markdown code span
+ *
+ * The fence is one backtick longer than the longest backtick run of the text.
+ *
+ * @param {*} value - Text
+ * @returns {string} Code span
+ */
+function markdownCode(value) {
+    const text = String(value ?? '').replace(/\r?\n/g, ' ');
+    const fence = '`'.repeat(Math.max(0, ...(text.match(/`+/g) ?? []).map(run => run.length)) + 1);
+    const padding = /^`|`$/.test(text) ? ' ' : '';
+    return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Escape Markdown for a table cell
+ *
+ * GitHub-flavored Markdown unescapes `\|` before inline parsing, so this also
+ * works inside code spans.
+ *
+ * @param {string} markdown - Cell content (already escaped Markdown)
+ * @returns {string} Content safe to use between `|` separators
+ */
+function escapeMarkdownCell(markdown) {
+    return String(markdown ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Render a Markdown table
+ *
+ * @param {Array<string>} header - Column titles (Markdown)
+ * @param {Array<Array<string>>} rows - Cell contents (Markdown)
+ * @returns {Array<string>} Table lines
+ */
+function markdownTable(header, rows) {
+    return [
+        `| ${header.map(escapeMarkdownCell).join(' | ')} |`,
+        `|${header.map(() => '---').join('|')}|`,
+        ...rows.map(row => `| ${row.map(escapeMarkdownCell).join(' | ')} |`)
+    ];
+}
+
+/**
+ * Render the report as GitHub-flavored Markdown
+ *
+ * All report values are escaped (escapeMarkdown, markdownCode) - repository
+ * names, hooks and messages come from repos.yaml and hook output.
+ *
+ * @param {Object} report - Report data (see renderHtmlReport)
+ * @returns {string} Markdown document
+ */
+export function renderMarkdownReport(report) {
+    const phaseIds = Object.keys(report.phases);
+    const phaseTitles = phaseIds.map(id => escapeMarkdown(report.phases[id]));
+    const phaseText = (result) => {
+        const phase = describePhase(result);
+        return escapeMarkdown(phase.reason ? `${phase.label} (${phase.reason})` : phase.label);
+    };
+    const inline = (value) => escapeMarkdown(value).replace(/\r?\n/g, ' ');
+
+    const lines = ['# Multirepo Setup Report', ''];
+
+    // === OVERVIEW ===
+    lines.push(...markdownTable(['', ''], getOverview(report).map(([label, value]) => [`**${escapeMarkdown(label)}**`, escapeMarkdown(value)])), '');
+
+    // === RESULT MATRIX ===
+    lines.push('## Repositories', '');
+    lines.push(...markdownTable(
+        ['Repository', ...phaseTitles, 'Result'],
+        report.repositories.map(repo => [
+            escapeMarkdown(repo.name),
+            ...phaseIds.map(id => phaseText(repo.phases[id])),
+            escapeMarkdown(repo.reason ? `${repo.result}: ${repo.reason}` : repo.result)
+        ])
+    ), '');
+
+    // === REPOSITORY DETAILS ===
+    report.repositories.forEach(repo => {
+        lines.push(`## ${inline(repo.name)}`, '');
+        lines.push(...markdownTable(['Phase', 'Status', 'Reason', 'Duration'], phaseIds.map((id, index) => {
+            const phase = describePhase(repo.phases[id]);
+            return [phaseTitles[index], escapeMarkdown(phase.label), escapeMarkdown(phase.reason), formatDuration(repo.phases[id]?.durationMs)];
+        })), '');
+
+        const hooks = phaseIds.flatMap(id => (repo.phases[id]?.hooks ?? []).map(hook => ({ phase: id, ...hook })));
+        if (hooks.length > 0) {
+            lines.push('### Hooks', '');
+            lines.push(...markdownTable(['Phase', 'Hook', 'Outcome', 'Attempts', 'Duration'], hooks.map(hook => [
+                escapeMarkdown(hook.phase),
+                markdownCode(hook.hook),
+                escapeMarkdown(hook.error ? `${hook.outcome}: ${hook.error}` : hook.outcome),
+                String(hook.attempts),
+                formatDuration(hook.durationMs)
+            ])), '');
+        }
+
+        const suggestions = entriesOf(report.suggestions, repo.name);
+        if (suggestions.length > 0) {
+            lines.push('### Trait Suggestions', '');
+            suggestions.forEach(suggestion => lines.push(`- **${inline(suggestion.trait)}**: ${inline(suggestion.message)}`));
+            lines.push('');
+        }
+
+        const warnings = entriesOf(report.warnings, repo.name);
+        if (warnings.length > 0) {
+            lines.push('### Warnings', '');
+            warnings.forEach(warning => lines.push(`- ${warning.phase ? `\\[${inline(warning.phase)}\\] ` : ''}${inline(warning.message)}`));
+            lines.push('');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+// === REPORT RENDERERS ===
+// Renderer by report format
+const REPORT_RENDERERS = {
+    html: renderHtmlReport,
+    markdown: renderMarkdownReport,
+    junit: renderJUnitReport
+};
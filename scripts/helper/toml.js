@@ -0,0 +1,395 @@
+/*
+================================================================================
+File: scripts/helper/toml.js (TOML Manifest Reader)
+Description: Reader for the TOML manifests trait checks inspect - pyproject.toml,
+             Pipfile and poetry.lock of Python projects. The checks only read
+             manifests, so this module parses TOML into plain objects and
+             never writes it.
+
+Key Responsibilities:
+- Parse tables, arrays of tables, dotted and quoted keys
+- Parse strings (basic, literal, multi-line), numbers, booleans, arrays and
+  inline tables
+- Report syntax errors, duplicate keys and tables defined twice with their
+  line number
+
+Limitations:
+- Dates and times are kept as strings
+- Tables created implicitly by dotted keys may be extended by a later
+  [table] header
+================================================================================
+*/
+
+/*
+================================================================================
+TOML PARSING
+================================================================================
+*/
+
+// Characters allowed in bare keys
+const BARE_KEY_PATTERN = /[A-Za-z0-9_-]/;
+
+// Escape sequences of basic strings
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+/**
+ * Parse a TOML document
+ *
+ * @param {string} content - TOML document
+ * @returns {Object} Parsed document
+ * @throws {Error} On a syntax error (message names the line)
+ */
+export function parseToml(content) {
+    const parser = new TomlParser(content);
+    return parser.parseDocument();
+}
+
+/**
+ * Look up a dotted path in a parsed document
+ *
+ * @param {Object|null} document - Parsed document
+ * @param {string} dottedPath - Path like 'tool.poetry.dependencies'
+ * @returns {*} Value at the path, undefined when missing
+ */
+export function getTomlValue(document, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), document);
+}
+
+/**
+ * Recursive descent parser over the document text
+ */
+class TomlParser {
+    /**
+     * @param {string} content - TOML document
+     */
+    constructor(content) {
+        this.text = content.replace(/\r\n/g, '\n');
+        this.pos = 0;
+
+        // Tables defined by a header or as inline table value - defining them
+        // again is an error
+        this.definedTables = new WeakSet();
+    }
+
+    /**
+     * Parse the whole document
+     *
+     * @returns {Object} Parsed document
+     */
+    parseDocument() {
+        const root = {};
+        let table = root;
+
+        while (this.skipWhitespaceAndComments(true), this.pos < this.text.length) {
+            if (this.text.startsWith('[[', this.pos)) {
+                // === ARRAY OF TABLES ===
+                this.pos += 2;
+                const keys = this.parseKey();
+                this.expect(']]');
+                const parent = this.resolveTable(root, keys.slice(0, -1));
+                const last = keys[keys.length - 1];
+                if (!Array.isArray(parent[last])) {
+                    parent[last] = [];
+                }
+                table = {};
+                parent[last].push(table);
+                this.definedTables.add(table);
+            } else if (this.text[this.pos] === '[') {
+                // === TABLE ===
+                this.pos++;
+                const keys = this.parseKey();
+                this.expect(']');
+                table = this.resolveTable(root, keys);
+                if (this.definedTables.has(table)) {
+                    this.fail(`Table '${keys.join('.')}' is defined twice`);
+                }
+                this.definedTables.add(table);
+            } else {
+                // === KEY/VALUE PAIR ===
+                this.parseKeyValue(table);
+            }
+            this.expectLineEnd();
+        }
+
+        return root;
+    }
+
+    /**
+     * Walk to (and create) the table of a key path
+     *
+     * The last table of an array of tables is used, as TOML defines.
+     *
+     * @param {Object} root - Table to start from
+     * @param {Array<string>} keys - Key path
+     * @returns {Object} Table at the path
+     */
+    resolveTable(root, keys) {
+        return keys.reduce((table, key) => {
+            if (Array.isArray(table[key])) {
+                return table[key][table[key].length - 1];
+            }
+            if (table[key] === undefined) {
+                table[key] = {};
+            } else if (typeof table[key] !== 'object') {
+                this.fail(`Key '${key}' is not a table`);
+            }
+            return table[key];
+        }, root);
+    }
+
+    /**
+     * Parse `key = value` into a table
+     *
+     * @param {Object} table - Target table
+     */
+    parseKeyValue(table) {
+        const keys = this.parseKey();
+        this.skipWhitespace();
+        this.expect('=');
+        this.skipWhitespace();
+        const parent = this.resolveTable(table, keys.slice(0, -1));
+        const last = keys[keys.length - 1];
+        if (Object.hasOwn(parent, last)) {
+            this.fail(`Duplicate key '${keys.join('.')}'`);
+        }
+
+        const value = this.parseValue();
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            this.definedTables.add(value);
+        }
+        parent[last] = value;
+    }
+
+    /**
+     * Parse a (dotted) key
+     *
+     * @returns {Array<string>} Key parts
+     */
+    parseKey() {
+        const keys = [];
+
+        do {
+            this.skipWhitespace();
+            const char = this.text[this.pos];
+            if (char === '"' || char === "'") {
+                keys.push(this.parseString());
+            } else {
+                const start = this.pos;
+                while (this.pos < this.text.length && BARE_KEY_PATTERN.test(this.text[this.pos])) {
+                    this.pos++;
+                }
+                if (start === this.pos) {
+                    this.fail('Expected a key');
+                }
+                keys.push(this.text.slice(start, this.pos));
+            }
+            this.skipWhitespace();
+        } while (this.text[this.pos] === '.' && ++this.pos);
+
+        return keys;
+    }
+
+    /**
+     * Parse a value
+     *
+     * @returns {*} Parsed value
+     */
+    parseValue() {
+        const char = this.text[this.pos];
+
+        if (char === '"' || char === "'") {
+            return this.parseString();
+        }
+        if (char === '[') {
+            return this.parseArray();
+        }
+        if (char === '{') {
+            return this.parseInlineTable();
+        }
+
+        // === SCALARS ===
+        // Numbers, booleans and dates up to the next delimiter
+        const match = /^[^\s,\]}#]+(?: \d{2}:[^\s,\]}#]+)?/.exec(this.text.slice(this.pos));
+        if (!match) {
+            this.fail('Expected a value');
+        }
+        this.pos += match[0].length;
+
+        const raw = match[0];
+        if (raw === 'true' || raw === 'false') {
+            return raw === 'true';
+        }
+        if (/^[+-]?(inf|nan)$/.test(raw)) {
+            return Number(raw.replace('inf', 'Infinity').replace('nan', 'NaN'));
+        }
+        const number = Number(raw.replace(/_/g, ''));
+        return Number.isNaN(number) ? raw : number;
+    }
+
+    /**
+     * Parse a basic, literal or multi-line string
+     *
+     * @returns {string} String value
+     */
+    parseString() {
+        const quote = this.text[this.pos];
+        const multiLine = this.text.startsWith(quote.repeat(3), this.pos);
+        const delimiter = multiLine ? quote.repeat(3) : quote;
+        this.pos += delimiter.length;
+        if (multiLine && this.text[this.pos] === '\n') {
+            this.pos++; // A line break right after the opening delimiter is trimmed
+        }
+
+        let value = '';
+        while (!this.text.startsWith(delimiter, this.pos)) {
+            const char = this.text[this.pos];
+            if (char === undefined || (char === '\n' && !multiLine)) {
+                this.fail('Unterminated string');
+            }
+
+            if (char === '\\' && quote === '"') {
+                // === ESCAPE SEQUENCES ===
+                const next = this.text[this.pos + 1];
+                if (next === 'u' || next === 'U') {
+                    const length = next === 'u' ? 4 : 8;
+                    value += String.fromCodePoint(parseInt(this.text.slice(this.pos + 2, this.pos + 2 + length), 16));
+                    this.pos += 2 + length;
+                } else if (multiLine && /\s/.test(next)) {
+                    // Line ending backslash trims the following whitespace
+                    this.pos++;
+                    this.skipWhitespace(true);
+                } else if (Object.hasOwn(ESCAPES, next)) {
+                    value += ESCAPES[next];
+                    this.pos += 2;
+                } else {
+                    this.fail(`Invalid escape sequence '\\${next}'`);
+                }
+                continue;
+            }
+
+            value += char;
+            this.pos++;
+        }
+
+        this.pos += delimiter.length;
+        return value;
+    }
+
+    /**
+     * Parse an array (may span several lines)
+     *
+     * @returns {Array<*>} Array value
+     */
+    parseArray() {
+        const values = [];
+        this.pos++;
+
+        for (;;) {
+            this.skipWhitespaceAndComments(true);
+            if (this.text[this.pos] === ']') {
+                this.pos++;
+                return values;
+            }
+
+            values.push(this.parseValue());
+            this.skipWhitespaceAndComments(true);
+            if (this.text[this.pos] === ',') {
+                this.pos++;
+            } else if (this.text[this.pos] !== ']') {
+                this.fail("Expected ',' or ']' in array");
+            }
+        }
+    }
+
+    /**
+     * Parse an inline table (single line)
+     *
+     * @returns {Object} Table value
+     */
+    parseInlineTable() {
+        const table = {};
+        this.pos++;
+        this.skipWhitespace();
+
+        if (this.text[this.pos] === '}') {
+            this.pos++;
+            return table;
+        }
+
+        for (;;) {
+            this.parseKeyValue(table);
+            this.skipWhitespace();
+            if (this.text[this.pos] === '}') {
+                this.pos++;
+                return table;
+            }
+            this.expect(',');
+            this.skipWhitespace();
+        }
+    }
+
+    /**
+     * Skip spaces and tabs (and line breaks)
+     *
+     * @param {boolean} newLines - Whether line breaks are skipped too
+     */
+    skipWhitespace(newLines = false) {
+        const pattern = newLines ? /[ \t\n]/ : /[ \t]/;
+        while (this.pos < this.text.length && pattern.test(this.text[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    /**
+     * Skip whitespace and comments
+     *
+     * @param {boolean} newLines - Whether line breaks are skipped too
+     */
+    skipWhitespaceAndComments(newLines = false) {
+        for (;;) {
+            this.skipWhitespace(newLines);
+            if (this.text[this.pos] !== '#') {
+                return;
+            }
+            while (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+                this.pos++;
+            }
+            if (!newLines) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Require the end of a line (after an optional comment)
+     */
+    expectLineEnd() {
+        this.skipWhitespaceAndComments();
+        if (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+            this.fail('Expected the end of the line');
+        }
+    }
+
+    /**
+     * Require a token at the current position
+     *
+     * @param {string} token - Expected token
+     */
+    expect(token) {
+        if (!this.text.startsWith(token, this.pos)) {
+            this.fail(`Expected '${token}'`);
+        }
+        this.pos += token.length;
+    }
+
+    /**
+     * Throw a syntax error for the current position
+     *
+     * @param {string} message - Error description
+     * @throws {Error} Always
+     */
+    fail(message) {
+        const line = this.text.slice(0, this.pos).split('\n').length;
+        throw new Error(`${message} (line ${line})`);
+    }
+}
@@ -12,12 +12,15 @@ Key Responsibilities:
 - Framework detection through dependency analysis (React, Vue, Express, etc.)
 - Development tool identification via configuration files (ESLint, Prettier, Jest, etc.)
 - Build system recognition through package and config analysis (Webpack, Vite, etc.)
+- Platform recognition through manifests of other ecosystems (Python, Go, Rust, etc.)
 - Intelligent trait filtering to avoid duplicate suggestions
 - Contextual messaging for user-friendly trait recommendations
+- Recording of every suggestion for the setup report (setup --report)
 - Comprehensive repository analysis across multiple detection dimensions
 
 Detection Strategies:
 - Package.json dependency scanning for installed frameworks and tools
+- Manifest and lock file detection for non-JavaScript platforms
 - Configuration file presence analysis for tool setups
 - Combined detection patterns for robust framework identification
 - Multi-dimensional analysis combining dependencies and configurations
@@ -28,6 +31,10 @@ Detection Strategies:
 // === EXTERNAL DEPENDENCIES ===
 // Logging system for trait suggestion output
 import { logInfo } from './logger.js';
+// Trait suggestions listed in the setup report (setup --report)
+import { recordTraitSuggestion } from './setup-report.js';
+// composer.json lookup for the PHP framework suggestions
+import { PhpFrameworkHelper } from './php-framework-helper.js';
 // Terminal styling for enhanced recommendation display
 import chalk from 'chalk';
 
@@ -63,7 +70,7 @@ INTELLIGENT TRAIT RECOMMENDATION ENGINE
  * - Framework Traits: React, Vue, Express, Next.js, etc.
  * - Tool Traits: TypeScript, ESLint, Prettier, Jest, etc.
  * - Build System Traits: Webpack, Vite, Rollup, etc.
- * - Platform Traits: Docker, Node.js, PHP, etc.
+ * - Platform Traits: Python, pip, Poetry, Pipenv, Go, Rust, etc.
  */
 export class TraitAdviser {
     /**
@@ -156,7 +163,7 @@ export class TraitAdviser {
                 // === SUGGESTION MESSAGING ===
                 const suggestionMessage = message ||
                     `${traitName} detected. Consider adding ${chalk.cyan(traitName)} trait for enhanced validation.`;
-                logInfo(suggestionMessage);
+                this.reportSuggestion(traitName, suggestionMessage);
                 return true;
             }
         } catch (error) {
@@ -166,6 +173,17 @@ export class TraitAdviser {
         return false;
     }
 
+    /**
+     * Log a trait suggestion and record it for the setup report
+     *
+     * @param {string} traitName - Suggested trait
+     * @param {string} message - Suggestion message
+     */
+    reportSuggestion(traitName, message) {
+        logInfo(message);
+        recordTraitSuggestion(traitName, message);
+    }
+
     /*
     ============================================================================
     DEPENDENCY-BASED TRAIT SUGGESTIONS
@@ -202,7 +220,7 @@ export class TraitAdviser {
         if (hasDeps) {
             // === CONTEXTUAL MESSAGING ===
             const defaultMessage = `${dependencies[0]} dependencies detected. Consider adding ${chalk.cyan(traitName)} trait for enhanced validation.`;
-            logInfo(message || defaultMessage);
+            this.reportSuggestion(traitName, message || defaultMessage);
             return true;
         }
 
@@ -245,7 +263,7 @@ export class TraitAdviser {
         if (hasConfig) {
             // === CONTEXTUAL MESSAGING ===
             const defaultMessage = `${traitName} configuration detected. Consider adding ${chalk.cyan(traitName)} trait for enhanced validation.`;
-            logInfo(message || defaultMessage);
+            this.reportSuggestion(traitName, message || defaultMessage);
             return true;
         }
 
@@ -290,7 +308,7 @@ export class TraitAdviser {
         if (hasDeps || hasConfig) {
             // === CONTEXTUAL MESSAGING ===
             const defaultMessage = `${traitName} detected. Consider adding ${chalk.cyan(traitName)} trait for enhanced validation.`;
-            logInfo(message || defaultMessage);
+            this.reportSuggestion(traitName, message || defaultMessage);
             return true;
         }
 
@@ -316,6 +334,7 @@ export class TraitAdviser {
      * - Express.js: Node.js web application framework
      * - Next.js: React-based full-stack framework
      * - Angular: TypeScript-based application platform (extensible)
+     * - Symfony, Laravel: PHP frameworks required in composer.json
      *
      * Detection Strategy:
      * - Primary package detection for core framework libraries
@@ -373,6 +392,28 @@ export class TraitAdviser {
             }
         });
 
+        // === PHP FRAMEWORK DETECTION ===
+        // PHP frameworks are required in composer.json, not package.json
+        const phpFrameworkChecks = [
+            {
+                trait: 'symfony',
+                pkg: 'symfony/framework-bundle',
+                message: `Symfony dependencies detected. Consider adding ${chalk.cyan('symfony')} trait for console, .env and cache validation.`
+            },
+            {
+                trait: 'laravel',
+                pkg: 'laravel/framework',
+                message: `Laravel dependencies detected. Consider adding ${chalk.cyan('laravel')} trait for artisan, .env and APP_KEY validation.`
+            }
+        ];
+        // Only PHP repositories get a helper; composer.json is parsed once, on the first lookup
+        const phpHelper = this.configHelper?.hasFile('composer.json') ? new PhpFrameworkHelper(this.configHelper.cwd) : null;
+        phpFrameworkChecks.forEach(({ trait, pkg, message }) => {
+            if (phpHelper && this.suggestTrait(trait, () => phpHelper.requiresPackage(pkg), message)) {
+                suggestions.push(trait);
+            }
+        });
+
         if (suggestions.length > 0) {
             logInfo(`Suggested ${suggestions.length} framework trait(s): ${suggestions.join(', ')}`);
         }
@@ -462,7 +503,7 @@ export class TraitAdviser {
             {
                 trait: 'docker',
                 deps: [], // Docker is typically not a package dependency
-                configs: ['Dockerfile', 'docker-compose.yml', 'docker-compose.yaml', '.dockerignore'],
+                configs: ['Dockerfile', 'compose.yaml', 'compose.yml', 'docker-compose.yml', 'docker-compose.yaml', '.dockerignore'],
                 message: `Docker configuration detected. Consider adding ${chalk.cyan('docker')} trait for enhanced containerization validation.`
             }
         ];
@@ -482,6 +523,97 @@ export class TraitAdviser {
         return suggestions;
     }
 
+    /*
+    ============================================================================
+    PLATFORM TRAIT SUGGESTION SYSTEM
+    ============================================================================
+    */
+
+    /**
+     * Platform trait suggestions for projects outside the JavaScript ecosystem
+     *
+     * Platforms are recognized by their manifests and lock files, as their
+     * dependencies are not declared in package.json.
+     *
+     * Supported Platforms:
+     * - Python: pyproject.toml, requirements.txt, setup.py, setup.cfg, Pipfile
+     * - pip: requirements.txt, requirements.in
+     * - Poetry: poetry.lock or a [tool.poetry] table in pyproject.toml
+     * - Pipenv: Pipfile, Pipfile.lock
+     * - Go: go.mod, go.sum
+     * - Rust: Cargo.toml, Cargo.lock
+     *
+     * @returns {Array<string>} Array of suggested platform trait names
+     */
+    suggestPlatformTraits() {
+        // === PLATFORM DETECTION MATRIX ===
+        const platformChecks = [
+            {
+                trait: 'python',
+                configs: ['pyproject.toml', 'requirements.txt', 'setup.py', 'setup.cfg', 'Pipfile'],
+                message: `Python project detected. Consider adding ${chalk.cyan('python')} trait for interpreter and virtualenv validation.`
+            },
+            {
+                trait: 'pip',
+                configs: ['requirements.txt', 'requirements.in'],
+                message: `pip requirements detected. Consider adding ${chalk.cyan('pip')} trait for requirements validation.`
+            },
+            {
+                trait: 'pipenv',
+                configs: ['Pipfile', 'Pipfile.lock'],
+                message: `Pipfile detected. Consider adding ${chalk.cyan('pipenv')} trait for lock file and virtualenv validation.`
+            },
+            {
+                trait: 'go',
+                configs: ['go.mod', 'go.sum'],
+                message: `Go module detected. Consider adding ${chalk.cyan('go')} trait for toolchain and module validation.`
+            },
+            {
+                trait: 'rust',
+                configs: ['Cargo.toml', 'Cargo.lock'],
+                message: `Cargo manifest detected. Consider adding ${chalk.cyan('rust')} trait for toolchain and crate validation.`
+            },
+            {
+                trait: 'java',
+                configs: ['pom.xml', 'build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'],
+                message: `Java build detected. Consider adding ${chalk.cyan('java')} trait for JDK and source layout validation.`
+            },
+            {
+                trait: 'maven',
+                configs: ['pom.xml', 'mvnw'],
+                message: `Maven build detected. Consider adding ${chalk.cyan('maven')} trait for build tool and wrapper validation.`
+            },
+            {
+                trait: 'gradle',
+                configs: ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts', 'gradlew'],
+                message: `Gradle build detected. Consider adding ${chalk.cyan('gradle')} trait for build tool and wrapper validation.`
+            }
+        ];
+
+        // === SUGGESTION PROCESSING ===
+        const suggestions = [];
+        platformChecks.forEach(({ trait, configs, message }) => {
+            if (this.suggestTraitByConfig(trait, configs, message)) {
+                suggestions.push(trait);
+            }
+        });
+
+        // === POETRY DETECTION ===
+        // Poetry shares pyproject.toml with other build backends
+        const isPoetryProject = () => this.configHelper.hasFile('poetry.lock') ||
+            (this.configHelper.hasFile('pyproject.toml') && /^\[tool\.poetry[\].]/m.test(this.configHelper.readTextFile('pyproject.toml')));
+        if (this.configHelper && this.suggestTrait('poetry', isPoetryProject,
+            `Poetry project detected. Consider adding ${chalk.cyan('poetry')} trait for lock file and virtualenv validation.`)) {
+            suggestions.push('poetry');
+        }
+
+        if (suggestions.length > 0) {
+            logInfo(`Suggested ${suggestions.length} platform trait(s): ${suggestions.join(', ')}`);
+        }
+
+        return suggestions;
+    }
+
     /*
     ============================================================================
     COMPREHENSIVE TRAIT ANALYSIS SYSTEM
@@ -498,7 +630,7 @@ export class TraitAdviser {
      * Analysis Categories:
      * 1. Framework Traits: React, Vue, Express, Next.js, etc.
      * 2. Tool Traits: TypeScript, ESLint, Jest, Webpack, etc.
-     * 3. Platform Traits: Docker, Node.js, etc. (extensible)
+     * 3. Platform Traits: Python, pip, Poetry, Pipenv, Go, Rust, etc.
      *
      * Returns consolidated suggestions with categorization for
      * comprehensive trait recommendation reporting.
@@ -514,14 +646,18 @@ export class TraitAdviser {
         // === TOOL ANALYSIS ===
         const toolSuggestions = this.suggestToolTraits();
 
+        // === PLATFORM ANALYSIS ===
+        const platformSuggestions = this.suggestPlatformTraits();
+
         // === RESULTS COMPILATION ===
-        const allSuggestions = [...frameworkSuggestions, ...toolSuggestions];
+        const allSuggestions = [...frameworkSuggestions, ...toolSuggestions, ...platformSuggestions];
 
         // === COMPREHENSIVE REPORTING ===
         if (allSuggestions.length > 0) {
             logInfo(`Trait analysis complete: ${allSuggestions.length} total suggestions generated`);
             logInfo(`Framework suggestions: ${frameworkSuggestions.length}`);
             logInfo(`Tool suggestions: ${toolSuggestions.length}`);
+            logInfo(`Platform suggestions: ${platformSuggestions.length}`);
         } else {
             logInfo('Trait analysis complete: No additional traits recommended');
         }
@@ -531,6 +667,7 @@ export class TraitAdviser {
             all: allSuggestions,
             frameworks: frameworkSuggestions,
             tools: toolSuggestions,
+            platforms: platformSuggestions,
             total: allSuggestions.length
         };
     }
@@ -0,0 +1,217 @@
+/*
+================================================================================
+File: scripts/helper/trait-findings.js (Structured Trait Check Findings)
+Description: Findings collector of the trait checks. Instead of only logging
+             what they noticed, trait checkers (BaseTraitChecker.report()) and
+             their helpers record every problem as a structured finding. The
+             check() function of a trait returns the collected findings as its
+             result, so the hook runner can summarize them, attach them to the
+             hook results and decide whether the check failed - the checks
+             themselves never terminate the process.
+
+Key Responsibilities:
+- Validate and record findings ({severity, code, message, file, fix})
+- Collect the remediations attached to findings (setup --fix, see remediation.js)
+- Log every finding at the level matching its severity
+- Build the result object returned by check() functions
+- Decide which findings fail a check (errors, warnings too in strict mode)
+- Derive the exit code of a trait script run standalone
+
+Severities:
+- error:   The trait requirements are not met - the check fails
+- warning: Problem worth fixing - fails the check only with `setup --strict`
+- info:    Recommendation, never fails the check
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// Plain finding messages without terminal colors
+import { stripVTControlCharacters } from 'util';
+// Logging system for findings reported without a collector
+import { defaultLogger } from './logger.js';
+// Remediation definitions attached to findings
+import { validateRemediation } from './remediation.js';
+
+/*
+================================================================================
+FINDING CONFIGURATION
+================================================================================
+*/
+
+// === SEVERITIES ===
+// Ordered from most to least severe, mapped to the logger method of the level
+export const FINDING_SEVERITIES = {
+    error: 'error',
+    warning: 'warn',
+    info: 'info'
+};
+
+// Environment variable telling trait scripts run as child process to apply strict mode
+export const STRICT_ENV_VARIABLE = 'MULTIREPO_STRICT';
+
+/*
+================================================================================
+FINDINGS COLLECTOR
+================================================================================
+*/
+
+/**
+ * Collector for the findings of a single trait check
+ *
+ * Findings keep the plain message (no terminal colors), so they can be
+ * written to the lock file, JSON output and reports unchanged; the log line
+ * keeps the colored message.
+ */
+export class TraitFindings {
+    /**
+     * @param {string} traitName - Trait whose check reports the findings
+     * @param {Object} logger - Logger receiving a line per finding (default: defaultLogger)
+     */
+    constructor(traitName, logger = defaultLogger) {
+        this.traitName = traitName;
+        this.logger = logger;
+        this.findings = [];
+        this.remediations = [];
+    }
+
+    /**
+     * Record a finding and log it at the level of its severity
+     *
+     * @param {Object} finding - Finding to record
+     * @param {string} finding.severity - 'error', 'warning' or 'info' (default: 'warning')
+     * @param {string} finding.code - Stable identifier, e.g. 'missing-dependency'
+     * @param {string} finding.message - Human-readable description (may contain colors)
+     * @param {string|null} [finding.file] - File the finding refers to, relative to the repository
+     * @param {string|null} [finding.fix] - Suggested remediation, e.g. a command to run
+     * @param {Object|null} [finding.remediation] - Automatic fix applied with `setup --fix` (see remediation.js);
+     *                                              its description is the default for `fix`
+     * @returns {Object} Recorded finding
+     * @throws {Error} When severity, code or remediation are invalid
+     */
+    report({ severity = 'warning', code, message, file = null, fix = null, remediation = null }) {
+        if (!Object.hasOwn(FINDING_SEVERITIES, severity)) {
+            throw new Error(`Invalid finding severity '${severity}' (expected: ${Object.keys(FINDING_SEVERITIES).join(', ')})`);
+        }
+        if (!code) {
+            throw new Error(`Finding of trait '${this.traitName}' has no code: ${message}`);
+        }
+        if (remediation) {
+            validateRemediation(remediation);
+            this.remediations.push({ ...remediation, trait: this.traitName, code });
+        }
+
+        const finding = {
+            trait: this.traitName,
+            severity,
+            code,
+            message: stripVTControlCharacters(String(message)),
+            file,
+            fix: fix ?? remediation?.description ?? null
+        };
+        this.findings.push(finding);
+
+        this.logger[FINDING_SEVERITIES[severity]](message);
+        return finding;
+    }
+
+    /**
+     * Forget the findings of an earlier check run
+     */
+    reset() {
+        this.findings = [];
+        this.remediations = [];
+    }
+
+    /**
+     * Findings of a severity
+     *
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @returns {Array<Object>} Matching findings
+     */
+    getFindings(severity) {
+        return this.findings.filter(finding => finding.severity === severity);
+    }
+
+    /**
+     * Build the result object returned by check()
+     *
+     * Remediations hold functions and are not serializable - hook results
+     * only keep the findings.
+     *
+     * @returns {Object} Check result ({trait, passed, errors, warnings, findings, remediations})
+     */
+    getResult() {
+        const errors = this.getFindings('error').length;
+
+        return {
+            trait: this.traitName,
+            passed: errors === 0,
+            errors,
+            warnings: this.getFindings('warning').length,
+            findings: [...this.findings],
+            remediations: [...this.remediations]
+        };
+    }
+}
+
+/**
+ * Report a finding to a collector, or only log it without one
+ *
+ * Helpers (ConfigFileHelper, PackageJsonHelper, DirectoryHelper) are used by
+ * trait checkers with a collector and standalone without one.
+ *
+ * @param {TraitFindings|null} collector - Findings collector of the running check
+ * @param {Object} finding - Finding (see TraitFindings.report)
+ */
+export function reportFinding(collector, finding) {
+    if (collector) {
+        collector.report(finding);
+    } else {
+        defaultLogger[FINDING_SEVERITIES[finding.severity ?? 'warning']](finding.message);
+    }
+}
+
+/*
+================================================================================
+RESULT EVALUATION
+================================================================================
+*/
+
+/**
+ * Findings that fail a check
+ *
+ * Errors always fail a check, warnings only in strict mode. Results without
+ * findings (check functions not based on BaseTraitChecker) never fail.
+ *
+ * @param {Object|undefined} result - Result returned by a check() function
+ * @param {boolean} strict - Whether warnings fail the check (--strict)
+ * @returns {Array<Object>} Failing findings
+ */
+export function getFailingFindings(result, strict = false) {
+    const findings = Array.isArray(result?.findings) ? result.findings : [];
+    return findings.filter(finding => finding.severity === 'error' || (strict && finding.severity === 'warning'));
+}
+
+/**
+ * Format a finding as a single line
+ *
+ * @param {Object} finding - Finding
+ * @returns {string} Line like `[warning] npm/no-lock-file: No lock file found. (package-lock.json)`
+ */
+export function formatFinding(finding) {
+    return `[${finding.severity}] ${finding.trait}/${finding.code}: ${finding.message}` +
+        (finding.file ? ` (${finding.file})` : '');
+}
+
+/**
+ * Exit code of a trait script run standalone (node scripts/traits/<trait>/<hook>.js)
+ *
+ * The hook runner sets MULTIREPO_STRICT when it starts the script as child
+ * process during `setup --strict`.
+ *
+ * @param {Object|undefined} result - Result returned by the check() function
+ * @returns {number} 1 when a finding fails the check, 0 otherwise
+ */
+export function getCheckExitCode(result) {
+    return getFailingFindings(result, process.env[STRICT_ENV_VARIABLE] === '1').length > 0 ? 1 : 0;
+}
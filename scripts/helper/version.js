@@ -0,0 +1,52 @@
+/*
+================================================================================
+File: scripts/helper/version.js (Release Version Comparison)
+Description: Comparison of dotted release versions ('3.11.4', '1.22', 'go1.21')
+             shared by the trait helpers that check toolchain versions
+             (Python, Go, Rust). Pre-release and build suffixes are ignored -
+             only the numeric release parts are compared.
+
+Key Responsibilities:
+- Split versions into their numeric release parts
+- Compare versions (missing parts count as 0)
+- Minimum version checks
+================================================================================
+*/
+
+/**
+ * Split a version into its numeric release parts
+ *
+ * @param {string} version - Version like '3.11.4' or '3.12.0rc1'
+ * @returns {Array<number>} Release parts, e.g. [3, 11, 4]
+ */
+export function parseVersion(version) {
+    return String(version).split('.').map(part => parseInt(part, 10)).filter(part => !Number.isNaN(part));
+}
+
+/**
+ * Compare two release part arrays (missing parts count as 0)
+ *
+ * @param {Array<number>} a - Release parts
+ * @param {Array<number>} b - Release parts
+ * @returns {number} Negative, 0 or positive
+ */
+export function compareVersions(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const difference = (a[i] ?? 0) - (b[i] ?? 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Check that a version is at least a minimum version
+ *
+ * @param {string} version - Checked version, e.g. '1.22.1'
+ * @param {string} minimum - Minimum version, e.g. '1.21'
+ * @returns {boolean} True when version >= minimum
+ */
+export function isVersionAtLeast(version, minimum) {
+    return compareVersions(parseVersion(version), parseVersion(minimum)) >= 0;
+}
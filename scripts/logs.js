@@ -0,0 +1,88 @@
+/*
+================================================================================
+File: scripts/logs.js (Setup Transcript Viewer)
+Description: Read-only command that returns the transcript of the last setup
+             run from .multirepo/logs/<run-id>/ (written by setup, see
+             helper/run-log.js). Without a repository the complete transcript
+             of the run is returned, with a repository only the lines that
+             belong to it - including the full stdout/stderr of its hooks,
+             which the terminal only shows in verbose mode.
+
+Key Responsibilities:
+- Locate the most recent setup run in the workspace log directory
+- Read the complete or the per-repository transcript of that run
+- Accept only repositories defined in repos.yaml
+- Report missing runs and repositories without a transcript clearly
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for transcript reading
+import fs from 'fs';
+
+// === LOGGING SYSTEM ===
+import { logError } from './helper/logger.js';
+
+// === CONFIGURATION MANAGEMENT ===
+import { checkConfigurationFile, logsDir } from './core/config.js';
+
+// === RUN TRANSCRIPTS ===
+import { getRun, listRunRepositories, listRuns } from './helper/run-log.js';
+
+/*
+================================================================================
+TRANSCRIPT LOOKUP
+================================================================================
+*/
+
+/**
+ * Entry point for the logs command
+ *
+ * The transcript is returned, not printed - the command line writes it to
+ * stdout unchanged.
+ *
+ * @param {string|null} repoName - Repository whose transcript is requested (null: complete run)
+ * @returns {Promise<Object>} Logs result ({exitCode, runId, file, transcript, error?})
+ */
+export async function runLogs(repoName = null) {
+    const result = (exitCode, runId = null, file = null, transcript = '', error = null) => ({
+        exitCode,
+        runId,
+        file,
+        transcript,
+        ...(error ? { error } : {})
+    });
+
+    try {
+        // === REPOSITORY VALIDATION ===
+        // Only repositories of repos.yaml - the name becomes part of the transcript path
+        if (repoName) {
+            const repos = Object.keys(checkConfigurationFile().config?.repos ?? {});
+            if (!repos.includes(repoName)) {
+                throw new Error(`Unknown repository '${repoName}'` + (repos.length > 0 ? ` (repositories: ${repos.join(', ')})` : ''));
+            }
+        }
+
+        // === LAST RUN ===
+        const runs = listRuns(logsDir);
+        if (runs.length === 0) {
+            throw new Error(`No setup run logs found in ${logsDir} - run 'multirepo setup' first`);
+        }
+
+        const run = getRun(logsDir, runs[runs.length - 1]);
+
+        // === TRANSCRIPT SELECTION ===
+        const file = repoName ? run.getRepositoryLogPath(repoName) : run.getRunLogPath();
+        if (!fs.existsSync(file)) {
+            const available = listRunRepositories(run);
+            throw new Error(`The last setup run (${run.runId}) has no transcript for '${repoName}'` +
+                (available.length > 0 ? ` (available: ${available.join(', ')})` : ''));
+        }
+
+        return result(0, run.runId, file, fs.readFileSync(file, 'utf8'));
+
+    } catch (error) {
+        logError(error.message);
+        return result(1, null, null, '', error.message);
+    }
+}
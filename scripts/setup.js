@@ -11,10 +11,19 @@ Key Responsibilities:
 - Three-phase setup orchestration (pre-clone, clone, post-clone)
 - Intelligent caching system integration with multi-dimensional change detection
 - Comprehensive error handling with graceful degradation and recovery
+- Per-repository failure isolation (--keep-going) with a pass/fail/skip result matrix
+- Progress checkpoints in the lock file and continuation of interrupted runs (--resume)
 - Interactive user experience with dry-run simulation and progress tracking
 - Repository conflict resolution with existing project integration
+- Inter-repository dependency ordering (`dependsOn`) across all phases
 - Statistical reporting with cache effectiveness analysis
-- Global process lifecycle management with proper cleanup and signal handling
+- Workspace revision snapshots in the lock file and reproducible --frozen checkouts
+- Structured per-repository results for the programmatic API (scripts/api.js)
+- Phase and repository events for the JSON output mode (--output json)
+- Per-run transcripts in .multirepo/logs/<run-id>/ (complete and per repository)
+- HTML and Markdown setup reports (--report <file>) and JUnit XML results (--junit <file>)
+- Trait check fixes (--fix), previewed as diffs in dry-run mode
+- Process lifecycle handlers for the command line (signals, unhandled errors)
 
 Architecture Overview:
 - Template Method pattern for consistent phase execution workflow
@@ -26,6 +35,8 @@ Architecture Overview:
 */
 
 // === EXTERNAL DEPENDENCIES ===
+// File system checks for the dry-run fix preview
+import fs from 'fs';
 // Terminal styling for enhanced visual feedback and user experience
 import chalk from 'chalk';
 
@@ -33,14 +44,15 @@ import chalk from 'chalk';
 // Comprehensive logging infrastructure with hierarchical group management
 import {
     defaultLogger,
+    emitEvent,
     groupEnd,
     groupEndAll,
     groupStart,
-    log,
     logError,
     logInfo,
     logSuccess,
-    logWarn
+    logWarn,
+    setLogContext
 } from './helper/logger.js';
 
 // === CONFIGURATION MANAGEMENT ===
@@ -48,10 +60,22 @@ import {
 import {
     checkSystemDependencies,
     isDryRun,
+    isFix,
+    isFrozen,
+    isKeepGoing,
+    isNonInteractive,
+    isResume,
+    jobs,
     loadConfiguration,
+    junitFile,
+    logsDir,
+    reportFile,
+    repositoryFilter,
+    sortRepositoriesByDependencies,
     validateConfiguration,
     validateCacheOptions,
-    getActiveCacheOptions
+    getActiveCacheOptions,
+    workspaceRoot
 } from './core/config.js';
 
 // === USER INTERFACE SYSTEM ===
@@ -59,16 +83,21 @@ import {
 import {
     askQuestion,
     displayDryRunSummary,
-    promptForRepositories
+    selectRepositories
 } from './core/ui.js';
 
+// === NON-INTERACTIVE DECISIONS ===
+// Preset answers from --answer flags, answers files and --yes defaults
+import { loadAnswers, setResumedAnswers } from './core/answers.js';
+
 // === HOOK EXECUTION ENGINE ===
 // Trait-based hook system for extensible repository validation and setup
-import { runHooks } from './core/hooks.js';
+import { previewRemediations, runHooks } from './core/hooks.js';
 
 // === REPOSITORY OPERATIONS ===
 // Core repository management including cloning, conflict resolution, and path handling
 import {
+    checkoutRevision,
     cloneRepository,
     ensurePackagesDirectory,
     getRepositoryPath,
@@ -79,6 +108,22 @@ import {
 // Advanced cache management with multi-dimensional change detection
 import { CacheManager } from './helper/cache-manager.js';
 
+// === CONCURRENCY CONTROL ===
+// Bounded parallel execution for independent repository operations
+import { runWithConcurrency } from './helper/concurrency.js';
+
+// === RUN TRANSCRIPTS ===
+// Per-run log directory with the complete and the per-repository transcripts
+import { finishRunLog, startRunLog } from './helper/run-log.js';
+
+// === SETUP REPORT ===
+// HTML and Markdown report (--report <file>) and JUnit XML results (--junit <file>) of the run
+import { finishSetupReports, startSetupReport } from './helper/setup-report.js';
+
+// === TRAIT CHECK FINDINGS ===
+// Structured findings returned by trait check functions
+import { formatFinding } from './helper/trait-findings.js';
+
 /*
 ================================================================================
 GLOBAL STATE MANAGEMENT
@@ -89,6 +134,18 @@ GLOBAL STATE MANAGEMENT
 // Global cache manager for intelligent operation skipping and state persistence
 let cacheManager = null;
 
+// === SETUP PHASES ===
+// Phase identifiers and labels, in execution order (columns of the result matrix)
+const SETUP_PHASES = {
+    preClone: 'Pre-clone validation',
+    clone: 'Repository setup',
+    postClone: 'Post-clone setup'
+};
+
+// === EXIT CODES ===
+// 1 is used when the setup aborts, 2 when it completed but repositories failed
+const EXIT_PARTIAL_FAILURE = 2;
+
 /*
 ================================================================================
 MAIN ORCHESTRATION SYSTEM
@@ -114,34 +171,58 @@ MAIN ORCHESTRATION SYSTEM
  *
  * Error Handling Strategy:
  * - Comprehensive try-catch with detailed error reporting
- * - Graceful degradation with partial success scenarios
+ * - Graceful degradation with partial success scenarios (exit code 2)
  * - Proper cleanup in all exit paths
  * - Development vs production error detail levels
  *
- * @returns {Promise<void>} Resolves when setup process completes successfully
+ * The process is never exited here: the outcome is returned, and the command
+ * line turns `exitCode` into the process exit code. Options are read from the
+ * runtime state, so configure() must have been called (see scripts/api.js).
+ *
+ * Every run except dry runs writes its transcript to .multirepo/logs/<run-id>/
+ * (see helper/run-log.js); `runId` identifies it in the result. With report
+ * files configured (--report, --junit), the reports are written when the run
+ * is over, also when it was aborted.
+ *
+ * @returns {Promise<Object>} Setup result ({exitCode, dryRun, runId, repositories, error?})
  */
-async function main() {
+export async function runSetup() {
     // === LOGGING STATE INITIALIZATION ===
     // Ensure clean logging state for consistent output formatting
     groupEndAll();
+    cacheManager = null;
+    let reposToProcess = [];
+    let reports = [];
+    let cacheStats = null;
+    const startTime = Date.now();
+    const runLog = openRunLog();
+    const runId = runLog?.runId ?? null;
 
     try {
         // === MAIN ORCHESTRATION GROUP ===
         groupStart('Multirepo Setup');
 
         // === STARTUP DIAGNOSTICS ===
-        // Log startup information for debugging and audit purposes
-        log(`Arguments received: ${process.argv.slice(2).join(' ')}`);
         logInfo('Multirepo setup orchestrator starting...');
 
+        // === SETUP REPORTS ===
+        // An unsupported report file fails before anything is touched
+        reports = openSetupReports();
+
         // === CACHE OPTIONS VALIDATION ===
         // Validate command-line cache options for consistency and correctness
         const cacheValidation = validateCacheOptions();
         if (!cacheValidation.valid) {
             logError('Invalid cache options detected:');
             cacheValidation.errors.forEach(error => logError(`  ${error}`));
-            logError('Please review command-line arguments and try again.');
-            process.exit(1);
+            throw new Error('Please review the cache options and try again.');
+        }
+
+        // === PRESET ANSWER VALIDATION ===
+        // Load answers up front so a broken answers file fails before anything is touched
+        const answers = loadAnswers();
+        if (isNonInteractive) {
+            logInfo(`Non-interactive mode enabled${answers.source ? ` (answers: ${chalk.white(answers.source)})` : ''}`);
         }
 
         // === DRY-RUN MODE NOTIFICATION ===
@@ -161,34 +242,63 @@ async function main() {
         logInfo('Starting comprehensive multirepo setup process...');
 
         // === CONFIGURATION AND VALIDATION PHASE ===
-        const {config, reposToProcess} = await initializeAndValidate();
+        ({reposToProcess} = await initializeAndValidate());
 
         // === CACHE ANALYSIS AND REPORTING ===
         // Display cache effectiveness information before execution
-        cacheManager.displayCacheInfo(reposToProcess);
+        cacheStats = cacheManager.displayCacheInfo(reposToProcess);
 
         // === DRY-RUN EARLY TERMINATION ===
         // Handle dry-run mode with comprehensive simulation reporting
         if (isDryRun) {
             displayDryRunSummary(reposToProcess);
+            if (isFix) {
+                await displayFixPreview(reposToProcess);
+            }
             logSuccess('Dry-run analysis completed successfully.');
-            return;
+            return { exitCode: 0, dryRun: true, runId, repositories: getRepositoryResults(reposToProcess) };
+        }
+
+        // === RUN PROGRESS TRACKING ===
+        // Checkpoints after every repository and phase make the run resumable
+        if (isResume) {
+            cacheManager.resumeSetupRun(cacheManager.getInterruptedRun());
+        } else {
+            cacheManager.startSetupRun(reposToProcess.map(repo => repo.name));
         }
+        await cacheManager.checkpoint();
 
         // === THREE-PHASE EXECUTION ORCHESTRATION ===
         await executeSetupPhases(reposToProcess);
 
+        // === REVISION SNAPSHOT ===
+        // Record the resolved commit of every repository for `setup --frozen`
+        recordRepositoryRevisions(reposToProcess);
+
         // === COMPLETION AND SUMMARY ===
-        logSuccess(chalk.bold.white('Multirepo setup completed successfully!'));
-        displaySetupSummary(reposToProcess);
+        const failedCount = reposToProcess.filter(repo => repo._setupFailed).length;
+        if (failedCount > 0) {
+            logWarn(chalk.bold.white(`Multirepo setup completed with ${failedCount} failed repositories`));
+        } else {
+            logSuccess(chalk.bold.white('Multirepo setup completed successfully!'));
+        }
+        const exitCode = displaySetupSummary(reposToProcess);
+        cacheManager.finishSetupRun(failedCount === 0);
+        if (failedCount > 0) {
+            logInfo(`Run ${chalk.cyan('multirepo setup --resume')} to retry the failed repositories`);
+        }
 
         // === CACHE STATE PERSISTENCE ===
         // Save cache data for future execution optimization
         await cacheManager.save();
         logInfo('Cache state persisted for future optimization');
 
+        saveSetupReports(reports, { runId, startTime, cacheStats, exitCode, repos: reposToProcess });
+        return { exitCode, dryRun: false, runId, repositories: getRepositoryResults(reposToProcess) };
+
     } catch (error) {
         // === COMPREHENSIVE ERROR HANDLING ===
+        emitEvent('error', { repo: null, message: error.message });
         logError(`Setup process failed: ${error.message}`);
 
         // === DEVELOPMENT ERROR DETAILS ===
@@ -199,14 +309,106 @@ async function main() {
         }
 
         logError('Please review the error details above and try again.');
-        process.exit(1);
+        if (cacheManager?.setupRun) {
+            logInfo(`Run ${chalk.cyan('multirepo setup --resume')} to continue where this run stopped`);
+        }
+        saveSetupReports(reports, { runId, startTime, cacheStats, exitCode: 1, repos: reposToProcess, error: error.message });
+        return { exitCode: 1, dryRun: isDryRun, runId, repositories: getRepositoryResults(reposToProcess), error: error.message };
     } finally {
         // === CLEANUP OPERATIONS ===
         // Ensure all logging groups are properly closed
+        if (runLog) {
+            logInfo(`Run log: ${chalk.white(runLog.directory)} (show with ${chalk.cyan('multirepo logs [repo]')})`);
+        }
         groupEndAll();
+        finishSetupReports();
+        finishRunLog();
+    }
+}
+
+/**
+ * Open the transcript of this setup run
+ *
+ * Dry runs leave the file system untouched and get no run log. A log
+ * directory that cannot be created only costs the transcript, not the run.
+ *
+ * @returns {RunLog|null} Opened run log or null
+ */
+function openRunLog() {
+    if (isDryRun) {
+        return null;
+    }
+
+    try {
+        return startRunLog(logsDir);
+    } catch (error) {
+        logWarn(`Could not create the run log in ${logsDir}: ${error.message}`);
+        return null;
     }
 }
 
+/**
+ * Start collecting the configured setup reports (--report, --junit)
+ *
+ * Dry runs leave the file system untouched and write no reports.
+ *
+ * @returns {Array<SetupReport>} Opened reports
+ * @throws {Error} When the --report file has an unsupported extension
+ */
+function openSetupReports() {
+    const reports = [];
+    if (!reportFile && !junitFile) {
+        return reports;
+    }
+    if (isDryRun) {
+        logWarn('Dry run: setup reports are not written');
+        return reports;
+    }
+
+    if (reportFile) {
+        reports.push(startSetupReport(reportFile));
+    }
+    if (junitFile) {
+        reports.push(startSetupReport(junitFile, 'junit'));
+    }
+    return reports;
+}
+
+/**
+ * Write the setup reports of this run
+ *
+ * A report that cannot be written is reported, the run result stays as is.
+ *
+ * @param {Array<SetupReport>} reports - Reports opened by openSetupReports()
+ * @param {Object} run - Run data ({runId, startTime, cacheStats, exitCode, repos, error?})
+ */
+function saveSetupReports(reports, { runId, startTime, cacheStats, exitCode, repos, error = null }) {
+    if (reports.length === 0) {
+        return;
+    }
+
+    const run = {
+        generated: new Date().toISOString(),
+        workspaceRoot,
+        runId,
+        durationMs: Date.now() - startTime,
+        exitCode,
+        error,
+        cacheOptions: getActiveCacheOptions(),
+        cacheStats,
+        phases: SETUP_PHASES,
+        repositories: getRepositoryResults(repos)
+    };
+
+    reports.forEach(report => {
+        try {
+            logSuccess(`Setup report written: ${chalk.white(report.save(run))}`);
+        } catch (writeError) {
+            logError(`Could not write the setup report ${report.filePath}: ${writeError.message}`);
+        }
+    });
+}
+
 /*
 ================================================================================
 INITIALIZATION AND VALIDATION PHASE
@@ -225,7 +427,11 @@ INITIALIZATION AND VALIDATION PHASE
  * 1. System dependency verification (Git availability, etc.)
  * 2. Configuration file loading and parsing
  * 3. Repository configuration validation with user interaction
- * 4. Interactive repository selection with filtering options
+ * 4. Repository selection (--only/--tag/--exclude or interactive prompt)
+ * 5. Dependency auto-selection and ordering (`dependsOn`, dependencies first)
+ *
+ * With --resume, the selection and the answers of the interrupted run are
+ * taken from the lock file instead, so nothing is asked twice.
  *
  * @returns {Promise<Object>} Configuration and repository selection results
  */
@@ -233,6 +439,13 @@ async function initializeAndValidate() {
     groupStart('Initialization & Validation');
 
     try {
+        // === INTERRUPTED RUN RECOVERY ===
+        // Answers must be in place before the first decision (emptyFolder) is asked
+        const resumedRun = isResume ? loadInterruptedRun() : null;
+        if (!isResume && !isDryRun && cacheManager.getInterruptedRun()) {
+            logWarn(`The previous setup run did not complete - starting a new run (use ${chalk.cyan('--resume')} to continue it instead)`);
+        }
+
         // === SYSTEM DEPENDENCY VALIDATION ===
         logInfo('Performing system dependency validation...');
         checkSystemDependencies();
@@ -251,12 +464,23 @@ async function initializeAndValidate() {
         }
         logSuccess('All repository configurations validated successfully');
 
-        // === INTERACTIVE REPOSITORY SELECTION ===
-        logInfo('Initiating interactive repository selection process...');
-        const reposToProcess = await promptForRepositories(config.repos);
+        // === REPOSITORY SELECTION ===
+        logInfo('Initiating repository selection process...');
+        const selectedRepos = resumedRun
+            ? getResumedSelection(config, resumedRun)
+            : await selectRepositories(config, repositoryFilter, undefined, { withDependencies: true });
+
+        // === DEPENDENCY ORDERING ===
+        // Every phase processes repositories in this order, dependencies first
+        const reposToProcess = sortRepositoriesByDependencies(selectedRepos);
         const selectedNames = reposToProcess.map(r => r.name).join(', ');
         logSuccess(`Repository selection completed: ${chalk.white(selectedNames)}`);
 
+        // === FROZEN MODE PRECONDITIONS ===
+        if (isFrozen) {
+            verifyLockedRevisions(reposToProcess);
+        }
+
         return {config, reposToProcess};
 
     } finally {
@@ -264,6 +488,41 @@ async function initializeAndValidate() {
     }
 }
 
+/**
+ * Load the interrupted setup run to continue (--resume)
+ *
+ * @returns {Object} Run state from the lock file
+ * @throws {Error} When the last setup run completed or none was recorded
+ */
+function loadInterruptedRun() {
+    const run = cacheManager.getInterruptedRun();
+    if (!run) {
+        throw new Error('No interrupted setup run to resume - the last setup completed or none was recorded in the lock file');
+    }
+
+    setResumedAnswers(run.answers);
+    logInfo(`Resuming setup run started at ${chalk.white(run.startedAt)} (${chalk.cyan(run.selection.length)} repositories)`);
+    return run;
+}
+
+/**
+ * Rebuild the repository selection of an interrupted run
+ *
+ * @param {Object} config - Loaded configuration
+ * @param {Object} run - Run state from the lock file
+ * @returns {Array<Object>} Selected repository objects
+ */
+function getResumedSelection(config, run) {
+    const missing = run.selection.filter(name => !Object.hasOwn(config.repos, name));
+    if (missing.length > 0) {
+        logWarn(`No longer in repos.yaml, not resumed: ${missing.join(', ')}`);
+    }
+
+    return run.selection
+        .filter(name => Object.hasOwn(config.repos, name))
+        .map(name => ({ name, ...config.repos[name] }));
+}
+
 /*
 ================================================================================
 THREE-PHASE EXECUTION ORCHESTRATION SYSTEM
@@ -282,17 +541,32 @@ THREE-PHASE EXECUTION ORCHESTRATION SYSTEM
  * 2. Repository cloning and existing project handling
  * 3. Post-clone setup and trait-based validation
  *
+ * Within each phase, repositories are processed in dependency order (see
+ * initializeAndValidate), so a repository's `dependsOn` entries are always
+ * cloned and set up before the repository itself.
+ *
+ * Failure Isolation:
+ * - Post-clone failures never stop the other repositories
+ * - Pre-clone and clone failures abort the setup, unless --keep-going is set
+ * - With --keep-going, a failed repository skips its later phases and its
+ *   dependents are skipped, while all other repositories continue
+ *
  * @param {Array<Object>} repos - Array of repository configuration objects to process
  * @returns {Promise<void>} Resolves when all phases complete successfully
  */
 async function executeSetupPhases(repos) {
     try {
         // === SEQUENTIAL PHASE EXECUTION ===
-        await runPreClonePhase(repos);
-        await runClonePhase(repos);
-        await runPostClonePhase(repos);
+        await runReportedPhase('preClone', repos, runPreClonePhase);
+        await runReportedPhase('clone', repos, runClonePhase);
+        await runReportedPhase('postClone', repos, runPostClonePhase);
 
-        logSuccess('All setup phases completed successfully');
+        const failedCount = repos.filter(repo => repo._setupFailed).length;
+        if (failedCount > 0) {
+            logWarn(`All setup phases completed, ${chalk.red(failedCount)} repositories failed`);
+        } else {
+            logSuccess('All setup phases completed successfully');
+        }
     } catch (error) {
         // === PHASE EXECUTION ERROR HANDLING ===
         logError('Setup phase execution failed - initiating cleanup procedures...');
@@ -303,6 +577,185 @@ async function executeSetupPhases(repos) {
     }
 }
 
+/**
+ * Run a setup phase between its phase.start and phase.end events
+ *
+ * Sets the phase as log context, so every event emitted while the phase runs
+ * carries it. phase.end reports the duration and the number of repositories
+ * per result status; `aborted` is set when the phase stopped the setup.
+ *
+ * @param {string} phase - Phase identifier (key of SETUP_PHASES)
+ * @param {Array<Object>} repos - Array of repository configuration objects
+ * @param {Function} runPhase - Phase function, called with `repos`
+ * @returns {Promise<void>} Resolves when the phase completed
+ */
+async function runReportedPhase(phase, repos, runPhase) {
+    const startTime = Date.now();
+    let aborted = true;
+
+    setLogContext({ phase, repo: null });
+    emitEvent('phase.start', { title: SETUP_PHASES[phase], repositories: repos.length });
+
+    try {
+        await runPhase(repos);
+        aborted = false;
+    } finally {
+        const results = {};
+        repos.forEach(repo => {
+            const status = repo._phaseResults?.[phase]?.status;
+            if (status) {
+                results[status] = (results[status] || 0) + 1;
+            }
+        });
+
+        emitEvent('phase.end', { repo: null, title: SETUP_PHASES[phase], durationMs: Date.now() - startTime, results, aborted });
+        setLogContext({ phase: null, repo: null });
+    }
+}
+
+/*
+================================================================================
+REPOSITORY OUTCOME TRACKING
+================================================================================
+*/
+
+/**
+ * Start the work on a repository within a phase
+ *
+ * Sets the repository as log context and emits repo.start. The matching
+ * repo.end is emitted when the phase result is recorded (recordPhaseResult).
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} phase - Phase identifier (key of SETUP_PHASES)
+ */
+function startRepository(repo, phase) {
+    repo._phaseStartTimes ||= {};
+    repo._phaseStartTimes[phase] = Date.now();
+
+    setLogContext({ repo: repo.name });
+    emitEvent('repo.start', { repo: repo.name, phase });
+}
+
+/**
+ * Record the outcome of a phase for a repository
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} phase - Phase identifier (key of SETUP_PHASES)
+ * @param {string} status - 'pass', 'cached', 'fail' or 'skip'
+ * @param {string} [detail] - Failure message or skip reason
+ */
+function recordPhaseResult(repo, phase, status, detail = '') {
+    const startTime = repo._phaseStartTimes?.[phase];
+    const durationMs = startTime ? Date.now() - startTime : null;
+
+    repo._phaseResults ||= {};
+    repo._phaseResults[phase] = { status, detail, durationMs };
+
+    emitEvent('repo.end', { repo: repo.name, phase, status, detail, durationMs });
+}
+
+/**
+ * Mark a repository as failed in a phase
+ *
+ * Failed repositories skip all later phases (see isBlockedByFailure).
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} phase - Phase identifier (key of SETUP_PHASES)
+ * @param {Error} error - Error that made the phase fail
+ */
+function markRepositoryFailed(repo, phase, error) {
+    emitEvent('error', { repo: repo.name, phase, message: error.message });
+    recordPhaseResult(repo, phase, 'fail', error.message);
+    repo._setupFailed = true;
+    repo._failedPhase = phase;
+}
+
+/**
+ * Check whether a repository has to skip a phase because of an earlier failure
+ *
+ * A repository is blocked when one of its own earlier phases failed or when a
+ * `dependsOn` dependency failed or was blocked itself. Dependencies come first
+ * in every phase, so their state is always known. The skip is recorded.
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} phase - Phase about to run (key of SETUP_PHASES)
+ * @param {Array<Object>} repos - All repositories of this setup run
+ * @returns {boolean} True if the phase must be skipped for this repository
+ */
+function isBlockedByFailure(repo, phase, repos) {
+    // === DEPENDENCY FAILURE PROPAGATION ===
+    // A dependent cannot be set up on top of a failed dependency
+    if (!repo._blockedBy) {
+        const failedDependency = (repo.dependsOn || [])
+            .find(name => repos.some(other => other.name === name && (other._setupFailed || other._blockedBy)));
+        if (failedDependency) {
+            repo._blockedBy = `dependency '${failedDependency}' failed`;
+        }
+    }
+
+    if (!repo._setupFailed && !repo._blockedBy) {
+        return false;
+    }
+
+    const reason = repo._blockedBy || `${SETUP_PHASES[repo._failedPhase].toLowerCase()} failed`;
+    recordPhaseResult(repo, phase, 'skip', reason);
+    logWarn(`${SETUP_PHASES[phase]} skipped: ${reason}`);
+    return true;
+}
+
+/**
+ * Check whether a phase already completed in the interrupted run (--resume)
+ *
+ * Restores the clone phase flags (_existingProject etc.) that later phases
+ * and the summary rely on.
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} phase - Phase about to run (key of SETUP_PHASES)
+ * @returns {boolean} True if the phase must not run again
+ */
+function isCompletedEarlier(repo, phase) {
+    const completed = isResume ? cacheManager.getCompletedPhase(repo.name, phase) : null;
+    if (!completed) {
+        return false;
+    }
+
+    if (phase === 'clone') {
+        repo._existingProject = completed.existingProject;
+        repo._createEmptyFolder = completed.createEmptyFolder;
+        repo._skipClone = completed.skipClone;
+        cacheManager.recordCloneResult(repo);
+
+        if (repo._skipClone && !repo._existingProject) {
+            recordPhaseResult(repo, phase, 'skip', 'skipped by user');
+            logInfo('Repository setup was skipped by user request in the interrupted run');
+            return true;
+        }
+    }
+
+    recordPhaseResult(repo, phase, 'pass', 'resumed');
+    logSuccess(`${SETUP_PHASES[phase]} already completed in the interrupted run`);
+    return true;
+}
+
+/**
+ * Handle a repository failure according to the failure isolation mode
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} phase - Phase that failed (key of SETUP_PHASES)
+ * @param {Error} error - Error that made the phase fail
+ * @throws {Error} The original error unless --keep-going is set
+ */
+function handleRepositoryFailure(repo, phase, error) {
+    markRepositoryFailed(repo, phase, error);
+
+    if (!isKeepGoing) {
+        // Re-throw to halt the setup (--keep-going isolates the failure instead)
+        throw error;
+    }
+
+    logWarn(`Continuing with remaining repositories (--keep-going), '${repo.name}' skips its remaining phases`);
+}
+
 /*
 ================================================================================
 PHASE 1: PRE-CLONE VALIDATION AND ENVIRONMENT PREPARATION
@@ -339,24 +792,35 @@ async function runPreClonePhase(repos) {
 
         // === REPOSITORY-BY-REPOSITORY VALIDATION ===
         for (const repo of repos) {
+            startRepository(repo, 'preClone');
             groupStart(`Pre-clone validation: ${repo.name}`);
+            // Hook outcomes (timeouts, retries) recorded in the lock file and the setup report
+            const hookResults = [];
+            repo._hookResults = { ...repo._hookResults, preClone: hookResults };
 
             try {
                 const repoPath = getRepositoryPath(repo.name);
 
+                // === FAILURE ISOLATION AND RESUME ===
+                if (isBlockedByFailure(repo, 'preClone', repos) || isCompletedEarlier(repo, 'preClone')) {
+                    continue;
+                }
+
                 // === INTELLIGENT CACHE ANALYSIS ===
                 // Determine if validation can be skipped based on cache state
                 if (cacheManager.canSkipPreClone(repo, repoPath)) {
                     logSuccess('Environment validation skipped (cached result)');
                     logInfo('No changes detected since last successful validation');
                     repo._preCloneSkipped = true;
+                    recordPhaseResult(repo, 'preClone', 'cached');
                 } else {
                     // === EXECUTION CONTEXT PREPARATION ===
                     const context = {
                         cwd: repoPath,
                         repo: repo,
                         logger: defaultLogger,
-                        phase: 'preClone'
+                        phase: 'preClone',
+                        hookResults: hookResults
                     };
 
                     // === TRAIT-BASED VALIDATION EXECUTION ===
@@ -366,7 +830,8 @@ async function runPreClonePhase(repos) {
 
                     // === CACHE STATE UPDATE ===
                     // Record successful validation for future cache optimization
-                    await cacheManager.updateAfterSuccess(repo, repoPath, 'preClone', true);
+                    await cacheManager.updateAfterSuccess(repo, repoPath, 'preClone', true, hookResults);
+                    recordPhaseResult(repo, 'preClone', 'pass');
                 }
 
             } catch (error) {
@@ -375,20 +840,27 @@ async function runPreClonePhase(repos) {
 
                 // === CACHE FAILURE STATE UPDATE ===
                 const repoPath = getRepositoryPath(repo.name);
-                await cacheManager.updateAfterFailure(repo, repoPath, 'preClone');
+                await cacheManager.updateAfterFailure(repo, repoPath, 'preClone', hookResults);
 
-                // Re-throw to halt execution for this repository
-                throw error;
+                handleRepositoryFailure(repo, 'preClone', error);
             } finally {
+                await cacheManager.checkpoint();
                 groupEnd();
+                setLogContext({ repo: null });
             }
         }
 
         // === PHASE COMPLETION SUMMARY ===
         const skippedCount = repos.filter(r => r._preCloneSkipped).length;
-        const executedCount = repos.length - skippedCount;
+        const failedCount = repos.filter(r => r._phaseResults?.preClone?.status === 'fail').length;
+        const executedCount = repos.length - skippedCount - failedCount;
 
-        if (skippedCount > 0) {
+        if (failedCount > 0) {
+            logWarn(`Environment validation phase completed with failures:`);
+            logInfo(`  Executed: ${chalk.cyan(executedCount)} repositories`);
+            logInfo(`  Cached: ${chalk.cyan(skippedCount)} repositories`);
+            logInfo(`  Failed: ${chalk.red(failedCount)} repositories`);
+        } else if (skippedCount > 0) {
             logSuccess(`Environment validation phase completed:`);
             logInfo(`  Executed: ${chalk.cyan(executedCount)} repositories`);
             logInfo(`  Cached: ${chalk.cyan(skippedCount)} repositories`);
@@ -418,8 +890,8 @@ PHASE 2: REPOSITORY CLONING AND EXISTING PROJECT HANDLING
  *
  * Setup Process:
  * 1. Package directory preparation and validation
- * 2. Existing directory conflict detection and resolution
- * 3. Repository cloning or alternative setup operations
+ * 2. Existing directory conflict detection and resolution (always sequential)
+ * 3. Repository cloning or alternative setup operations (parallel, limited by --jobs)
  * 4. Integration of existing projects with repository management
  *
  * Conflict Resolution Scenarios:
@@ -445,12 +917,22 @@ async function runClonePhase(repos) {
         // === REPOSITORY PROCESSING ORCHESTRATION ===
         logInfo(`Processing ${chalk.cyan(repos.length)} repositories for setup...`);
 
+        // === SERIAL CONFLICT RESOLUTION ===
+        // Interactive prompts must never overlap, so conflicts are resolved one by one
+        const cloneQueue = [];
+
         for (const repo of repos) {
+            startRepository(repo, 'clone');
             groupStart(`Repository setup: ${repo.name}`);
 
             try {
                 const repoPath = getRepositoryPath(repo.name);
 
+                // === FAILURE ISOLATION AND RESUME ===
+                if (isBlockedByFailure(repo, 'clone', repos) || isCompletedEarlier(repo, 'clone')) {
+                    continue;
+                }
+
                 // === EXISTING DIRECTORY CONFLICT ANALYSIS ===
                 logInfo('Analyzing existing directory conflicts...');
                 const skipClone = await handleExistingDirectory(repo, repoPath, askQuestion);
@@ -458,44 +940,56 @@ async function runClonePhase(repos) {
                 if (skipClone && !repo._existingProject) {
                     // === USER-REQUESTED SKIP ===
                     repo._skipClone = true;
+                    recordPhaseResult(repo, 'clone', 'skip', 'skipped by user');
+                    cacheManager.recordCloneResult(repo);
                     logInfo('Repository setup skipped by user request');
                 } else if (skipClone && repo._existingProject) {
                     // === EXISTING PROJECT INTEGRATION ===
                     repo._skipClone = true;
+                    recordPhaseResult(repo, 'clone', 'pass', 'existing project');
+                    cacheManager.recordCloneResult(repo);
                     logInfo('Existing project integration skipped by user request');
                 } else {
-                    // === REPOSITORY SETUP EXECUTION ===
-                    logInfo('Executing repository setup operation...');
-                    await cloneRepository(repo, repoPath);
-
-                    // === SETUP RESULT REPORTING ===
-                    if (repo._existingProject) {
-                        logSuccess('Existing project integrated into repository management');
-                    } else if (repo._createEmptyFolder) {
-                        logSuccess('Empty project directory created successfully');
-                    } else {
-                        logSuccess('Repository cloned successfully from remote source');
-                    }
+                    // === QUEUE FOR REPOSITORY SETUP ===
+                    logInfo('Repository queued for setup operation');
+                    cloneQueue.push(repo);
                 }
 
             } catch (error) {
                 // === REPOSITORY SETUP ERROR HANDLING ===
                 logError(`Repository setup failed for '${repo.name}': ${error.message}`);
-                throw error;
+                handleRepositoryFailure(repo, 'clone', error);
             } finally {
+                // Persists the conflict answers given so far
+                await cacheManager.checkpoint();
                 groupEnd();
+                setLogContext({ repo: null });
             }
         }
 
+        // === CONCURRENT REPOSITORY SETUP EXECUTION ===
+        if (cloneQueue.length > 0) {
+            await runCloneQueue(cloneQueue);
+        }
+
+        // === LOCKED REVISION CHECKOUT ===
+        if (isFrozen) {
+            await applyLockedRevisions(repos);
+        }
+
         // === PHASE COMPLETION ANALYSIS ===
-        const processedCount = repos.filter(r => !r._skipClone || r._existingProject).length;
-        const skippedCount = repos.filter(r => r._skipClone && !r._existingProject).length;
+        const processedCount = repos.filter(r => r._phaseResults?.clone?.status === 'pass').length;
+        const skippedCount = repos.filter(r => r._phaseResults?.clone?.status === 'skip').length;
+        const failedCount = repos.filter(r => r._phaseResults?.clone?.status === 'fail').length;
 
         logSuccess(`Repository setup phase completed:`);
         logInfo(`  Processed: ${chalk.cyan(processedCount)} repositories`);
         if (skippedCount > 0) {
             logInfo(`  Skipped: ${chalk.cyan(skippedCount)} repositories`);
         }
+        if (failedCount > 0) {
+            logInfo(`  Failed: ${chalk.red(failedCount)} repositories`);
+        }
         logInfo(`  Success rate: ${chalk.cyan(Math.round((processedCount / repos.length) * 100))}%`);
 
     } finally {
@@ -503,6 +997,96 @@ async function runClonePhase(repos) {
     }
 }
 
+/**
+ * Execute queued repository setup operations with bounded concurrency
+ *
+ * Runs `cloneRepository` for every queued repository using at most `--jobs`
+ * parallel git processes. Each repository logs through its own prefixed child
+ * logger so interleaved output remains attributable. All started operations
+ * are allowed to finish before failures are reported.
+ *
+ * @param {Array<Object>} queue - Repositories that passed conflict resolution
+ * @returns {Promise<void>} Resolves when all operations succeed (or --keep-going is set)
+ * @throws {Error} When at least one repository could not be set up (without --keep-going)
+ */
+async function runCloneQueue(queue) {
+    const concurrency = Math.min(jobs, queue.length);
+    groupStart(`Repository setup execution (${queue.length} queued, ${concurrency} parallel)`);
+
+    try {
+        const results = await runWithConcurrency(queue, jobs, async (repo) => {
+            const repoLogger = defaultLogger.createChild(repo.name).setContext({ repo: repo.name });
+            await cloneRepository(repo, getRepositoryPath(repo.name), repoLogger);
+
+            // === SETUP RESULT REPORTING ===
+            if (repo._existingProject) {
+                repoLogger.success('Existing project integrated into repository management');
+                recordPhaseResult(repo, 'clone', 'pass', 'existing project');
+            } else if (repo._createEmptyFolder) {
+                repoLogger.success('Empty project directory created successfully');
+                recordPhaseResult(repo, 'clone', 'pass', 'empty folder');
+            } else {
+                repoLogger.success('Repository cloned successfully from remote source');
+                recordPhaseResult(repo, 'clone', 'pass', 'cloned');
+            }
+
+            cacheManager.recordCloneResult(repo);
+            await cacheManager.checkpoint();
+        });
+
+        // === FAILURE AGGREGATION ===
+        const failures = results.filter(result => result.status === 'rejected');
+        if (failures.length > 0) {
+            failures.forEach(({ item, reason }) => {
+                logError(`Repository setup failed for '${item.name}': ${reason.message}`);
+                markRepositoryFailed(item, 'clone', reason);
+            });
+
+            const failedNames = failures.map(f => f.item.name).join(', ');
+            if (!isKeepGoing) {
+                throw new Error(`Repository setup failed for ${failedNames}`);
+            }
+            logWarn(`Continuing with remaining repositories (--keep-going), failed: ${failedNames}`);
+        }
+
+    } finally {
+        groupEnd();
+    }
+}
+
+/**
+ * Check out the revisions recorded in the lock file (--frozen)
+ *
+ * Runs after cloning and before the post-clone phase so hooks operate on
+ * the locked code. Covers fresh clones and integrated existing projects;
+ * user-skipped, failed and blocked repositories and empty folders are left alone.
+ *
+ * @param {Array<Object>} repos - Array of repository configuration objects
+ * @returns {Promise<void>} Resolves when every repository is at its locked revision
+ * @throws {Error} When a repository cannot be moved to its locked revision (without --keep-going)
+ */
+async function applyLockedRevisions(repos) {
+    groupStart('Locked Revision Checkout (--frozen)');
+
+    try {
+        for (const repo of repos) {
+            if (repo._phaseResults?.clone?.status !== 'pass' || repo._createEmptyFolder) {
+                continue;
+            }
+
+            try {
+                const revision = cacheManager.getLockedRevision(repo.name);
+                await checkoutRevision(repo, getRepositoryPath(repo.name), revision, defaultLogger.createChild(repo.name).setContext({ repo: repo.name }));
+            } catch (error) {
+                logError(`Locked revision checkout failed for '${repo.name}': ${error.message}`);
+                handleRepositoryFailure(repo, 'clone', error);
+            }
+        }
+    } finally {
+        groupEnd();
+    }
+}
+
 /*
 ================================================================================
 PHASE 3: POST-CLONE SETUP AND TRAIT-BASED VALIDATION
@@ -530,6 +1114,7 @@ PHASE 3: POST-CLONE SETUP AND TRAIT-BASED VALIDATION
  *
  * Error Recovery Strategy:
  * - Continue processing other repositories on individual failures
+ * - Skip repositories whose earlier phases or `dependsOn` dependencies failed
  * - Record failure states for troubleshooting and retry scenarios
  * - Provide comprehensive error reporting for debugging
  *
@@ -549,17 +1134,28 @@ async function runPostClonePhase(repos) {
             const projectType = repo._existingProject ? 'existing project' :
                 repo._createEmptyFolder ? 'empty project' : 'cloned repository';
 
+            startRepository(repo, 'postClone');
             groupStart(`Project setup: ${repo.name} (${projectType})`);
+            // Hook outcomes (timeouts, retries) recorded in the lock file and the setup report
+            const hookResults = [];
+            repo._hookResults = { ...repo._hookResults, postClone: hookResults };
 
             try {
                 const repoPath = getRepositoryPath(repo.name);
 
+                // === FAILURE ISOLATION AND RESUME ===
+                // Skips repositories whose earlier phases or dependencies failed
+                if (isBlockedByFailure(repo, 'postClone', reposToProcess) || isCompletedEarlier(repo, 'postClone')) {
+                    continue;
+                }
+
                 // === INTELLIGENT CACHE ANALYSIS ===
                 // Determine if setup can be skipped based on cache state
                 if (cacheManager.canSkipPostClone(repo, repoPath)) {
                     logSuccess('Project setup skipped (cached result)');
                     logInfo('No changes detected since last successful setup');
                     repo._postCloneSkipped = true;
+                    recordPhaseResult(repo, 'postClone', 'cached');
                 } else {
                     // === EXECUTION CONTEXT PREPARATION ===
                     const context = {
@@ -567,7 +1163,8 @@ async function runPostClonePhase(repos) {
                         repo: repo,
                         logger: defaultLogger,
                         phase: 'postClone',
-                        projectType: projectType
+                        projectType: projectType,
+                        hookResults: hookResults
                     };
 
                     // === TRAIT-BASED SETUP EXECUTION ===
@@ -577,7 +1174,8 @@ async function runPostClonePhase(repos) {
 
                     // === CACHE STATE UPDATE ===
                     // Record successful setup for future cache optimization
-                    await cacheManager.updateAfterSuccess(repo, repoPath, 'postClone', true);
+                    await cacheManager.updateAfterSuccess(repo, repoPath, 'postClone', true, hookResults);
+                    recordPhaseResult(repo, 'postClone', 'pass');
                 }
 
             } catch (error) {
@@ -586,21 +1184,23 @@ async function runPostClonePhase(repos) {
 
                 // === CACHE FAILURE STATE UPDATE ===
                 const repoPath = getRepositoryPath(repo.name);
-                await cacheManager.updateAfterFailure(repo, repoPath, 'postClone');
+                await cacheManager.updateAfterFailure(repo, repoPath, 'postClone', hookResults);
 
                 // === GRACEFUL ERROR RECOVERY ===
                 // Mark as failed but continue with other repositories
                 logWarn('Continuing with remaining repositories despite this failure...');
-                repo._setupFailed = true;
+                markRepositoryFailed(repo, 'postClone', error);
 
             } finally {
+                await cacheManager.checkpoint();
                 groupEnd();
+                setLogContext({ repo: null });
             }
         }
 
         // === PHASE COMPLETION ANALYSIS AND REPORTING ===
-        const successCount = reposToProcess.filter(r => !r._setupFailed).length;
-        const failedCount = reposToProcess.filter(r => r._setupFailed).length;
+        const successCount = reposToProcess.filter(r => !r._setupFailed && !r._blockedBy).length;
+        const failedCount = reposToProcess.filter(r => r._setupFailed || r._blockedBy).length;
         const skippedCount = reposToProcess.filter(r => r._postCloneSkipped).length;
         const executedCount = successCount - skippedCount;
 
@@ -625,6 +1225,84 @@ async function runPostClonePhase(repos) {
     }
 }
 
+/**
+ * Show the fixes `setup --fix` would offer (dry-run mode)
+ *
+ * Only repositories that are already cloned can be checked; every fix is
+ * shown as the command it runs or the diff of the file it edits.
+ *
+ * @param {Array<Object>} repos - Selected repository configuration objects
+ */
+async function displayFixPreview(repos) {
+    let total = 0;
+
+    for (const repo of repos) {
+        const repoPath = getRepositoryPath(repo.name);
+        if (!fs.existsSync(repoPath)) {
+            logInfo(`Dry run: fixes of '${repo.name}' are checked after it is cloned`);
+            continue;
+        }
+
+        groupStart(`Fix preview: ${repo.name}`);
+        try {
+            total += await previewRemediations(repo, 'postClone', {
+                cwd: repoPath,
+                repo,
+                logger: defaultLogger,
+                phase: 'postClone',
+                projectType: 'existing project'
+            });
+        } finally {
+            groupEnd();
+        }
+    }
+
+    logInfo(`Dry run: ${chalk.cyan(total)} fix(es) would be offered.`);
+}
+
+/*
+================================================================================
+REVISION SNAPSHOT MANAGEMENT
+================================================================================
+*/
+
+/**
+ * Ensure every selected repository has a revision recorded in the lock file
+ *
+ * `--frozen` must fail before anything is cloned or modified, like `npm ci`
+ * does when package-lock.json is missing or out of sync.
+ *
+ * @param {Array<Object>} repos - Selected repository configuration objects
+ * @throws {Error} When at least one repository has no locked revision
+ */
+function verifyLockedRevisions(repos) {
+    const missing = repos
+        .filter(repo => !repo._createEmptyFolder)
+        .filter(repo => !cacheManager.getLockedRevision(repo.name))
+        .map(repo => repo.name);
+
+    if (missing.length > 0) {
+        throw new Error(`--frozen requires a locked revision for every repository, missing: ${missing.join(', ')} (run setup without --frozen first)`);
+    }
+
+    logSuccess('All selected repositories have a locked revision');
+}
+
+/**
+ * Record the resolved HEAD of every processed repository in the lock file
+ *
+ * @param {Array<Object>} repos - Array of processed repository objects
+ */
+function recordRepositoryRevisions(repos) {
+    const recorded = repos
+        .filter(repo => repo._phaseResults?.clone?.status === 'pass')
+        .filter(repo => cacheManager.recordRevision(repo, getRepositoryPath(repo.name)));
+
+    if (recorded.length > 0) {
+        logInfo(`Recorded revisions for ${chalk.cyan(recorded.length)} repositories in lock file`);
+    }
+}
+
 /*
 ================================================================================
 COMPREHENSIVE SETUP SUMMARY AND REPORTING SYSTEM
@@ -640,10 +1318,13 @@ COMPREHENSIVE SETUP SUMMARY AND REPORTING SYSTEM
  * and provides insights into cache optimization performance.
  *
  * Reporting Categories:
+ * 0. Result matrix: pass/cached/fail/skip per repository and phase
  * 1. Repository processing results by category (cloned, existing, created, skipped)
  * 2. Cache optimization statistics and effectiveness metrics
  * 3. Overall success rates and performance indicators
  * 4. Failure analysis and troubleshooting information
+ * 5. Trait check findings (errors and warnings reported by trait checks)
+ * 6. Trait check fixes offered with --fix (applied, declined or failed)
  *
  * Analytics Features:
  * - Cache hit rate calculation and optimization metrics
@@ -652,11 +1333,15 @@ COMPREHENSIVE SETUP SUMMARY AND REPORTING SYSTEM
  * - Failure categorization for targeted troubleshooting
  *
  * @param {Array<Object>} repos - Array of processed repository objects with results
+ * @returns {number} Process exit code (EXIT_PARTIAL_FAILURE if any repository failed)
  */
 function displaySetupSummary(repos) {
     groupStart('Comprehensive Setup Summary');
 
     try {
+        // === RESULT MATRIX ===
+        displayResultMatrix(repos);
+
         // === REPOSITORY CATEGORIZATION ===
         // Categorize repositories by processing outcome for detailed reporting
         const cloned = repos.filter(r => !r._skipClone && !r._existingProject && !r._createEmptyFolder);
@@ -664,6 +1349,7 @@ function displaySetupSummary(repos) {
         const created = repos.filter(r => r._createEmptyFolder);
         const skipped = repos.filter(r => r._skipClone && !r._existingProject);
         const failed = repos.filter(r => r._setupFailed);
+        const blocked = repos.filter(r => r._blockedBy && !r._setupFailed);
 
         // === CACHE PERFORMANCE METRICS ===
         const preCloneSkipped = repos.filter(r => r._preCloneSkipped).length;
@@ -706,7 +1392,59 @@ function displaySetupSummary(repos) {
 
         if (failed.length > 0) {
             groupStart('Setup Failures Requiring Attention');
-            failed.forEach(repo => logError(`${chalk.white(repo.name)} - Post-clone setup failed`));
+            failed.forEach(repo => {
+                const failure = repo._phaseResults[repo._failedPhase];
+                logError(`${chalk.white(repo.name)} - ${SETUP_PHASES[repo._failedPhase]} failed: ${failure.detail}`);
+            });
+            groupEnd();
+        }
+
+        if (blocked.length > 0) {
+            groupStart('Repositories Skipped Due to Failures');
+            blocked.forEach(repo => logWarn(`${chalk.white(repo.name)} - ${repo._blockedBy}`));
+            groupEnd();
+        }
+
+        // === TRAIT CHECK FINDINGS ===
+        // Errors and warnings reported by trait checks in this run (infos stay in the log)
+        const findings = repos.flatMap(repo => Object.values(repo._hookResults ?? {})
+            .flat()
+            .flatMap(hook => hook.findings ?? [])
+            .filter(finding => finding.severity !== 'info')
+            .map(finding => ({ repo, finding })));
+
+        if (findings.length > 0) {
+            groupStart('Trait Check Findings');
+            findings.forEach(({ repo, finding }) => {
+                const line = `${chalk.white(repo.name)} - ${formatFinding(finding)}`;
+                if (finding.severity === 'error') {
+                    logError(line);
+                } else {
+                    logWarn(line);
+                }
+            });
+            groupEnd();
+        }
+
+        // === TRAIT CHECK FIXES ===
+        // Remediations offered with --fix and what became of them
+        const fixes = repos.flatMap(repo => Object.values(repo._hookResults ?? {})
+            .flat()
+            .flatMap(hook => hook.fixes ?? [])
+            .map(fix => ({ repo, fix })));
+
+        if (fixes.length > 0) {
+            groupStart('Trait Check Fixes');
+            fixes.forEach(({ repo, fix }) => {
+                const line = `${chalk.white(repo.name)} - ${fix.trait}/${fix.code}: ${fix.description} (${fix.outcome})`;
+                if (fix.outcome === 'applied') {
+                    logSuccess(line);
+                } else if (fix.outcome === 'failed') {
+                    logWarn(`${line}: ${fix.error}`);
+                } else {
+                    logInfo(line);
+                }
+            });
             groupEnd();
         }
 
@@ -715,7 +1453,7 @@ function displaySetupSummary(repos) {
 
         // === BASIC PROCESSING METRICS ===
         const totalProcessed = repos.length - skipped.length;
-        const totalSuccessful = totalProcessed - failed.length;
+        const totalSuccessful = totalProcessed - failed.length - blocked.length;
 
         logInfo(`Total repositories configured: ${chalk.cyan(repos.length)}`);
         logInfo(`Repositories processed: ${chalk.cyan(totalProcessed)}`);
@@ -727,6 +1465,9 @@ function displaySetupSummary(repos) {
         if (failed.length > 0) {
             logInfo(`Failed repositories: ${chalk.red(failed.length)}`);
         }
+        if (blocked.length > 0) {
+            logInfo(`Skipped due to failures: ${chalk.yellow(blocked.length)}`);
+        }
 
         // === CACHE OPTIMIZATION ANALYTICS ===
         if (preCloneSkipped > 0 || postCloneSkipped > 0) {
@@ -758,71 +1499,177 @@ function displaySetupSummary(repos) {
 
         groupEnd();
 
+        return failed.length > 0 ? EXIT_PARTIAL_FAILURE : 0;
+
     } finally {
         groupEnd();
     }
 }
 
-/*
-================================================================================
-GLOBAL ERROR HANDLING AND PROCESS LIFECYCLE MANAGEMENT
-================================================================================
-*/
+/**
+ * Print the pass/fail/skip matrix (one row per repository, one column per phase)
+ *
+ * @param {Array<Object>} repos - Array of processed repository objects with results
+ */
+function displayResultMatrix(repos) {
+    groupStart('Repository Results');
 
-// === UNHANDLED PROMISE REJECTION HANDLER ===
-// Comprehensive error handling for async operations that escape normal error handling
-process.on('unhandledRejection', (reason, promise) => {
-    logError('Critical Error: Unhandled Promise Rejection detected');
-    logError(`Rejection reason: ${reason}`);
-    logError('This indicates a programming error in async operation handling');
+    try {
+        const statusColors = { pass: chalk.green, cached: chalk.cyan, fail: chalk.red, skip: chalk.yellow };
+        const phases = Object.keys(SETUP_PHASES);
 
-    // Ensure clean logging state before exit
-    groupEndAll();
-    process.exit(1);
-});
-
-// === UNCAUGHT EXCEPTION HANDLER ===
-// Global safety net for synchronous errors that escape normal error handling
-process.on('uncaughtException', (error) => {
-    logError('Critical Error: Uncaught Exception detected');
-    logError(`Exception: ${error.message}`);
-
-    // === DEVELOPMENT ERROR DETAILS ===
-    if (process.env.NODE_ENV === 'development') {
-        logError('Stack trace for debugging:');
-        logError(error.stack);
+        const header = ['Repository', ...phases, 'Result'];
+        const outcomeColors = { passed: chalk.green, failed: chalk.red, skipped: chalk.yellow };
+        const rows = repos.map(repo => {
+            const cells = phases.map(phase => repo._phaseResults?.[phase])
+                .map(result => result
+                    ? { text: result.status, color: statusColors[result.status] }
+                    : { text: '-', color: chalk.gray });
+
+            // === OVERALL REPOSITORY RESULT ===
+            const outcome = getRepositoryOutcome(repo);
+            const text = outcome.reason ? `${outcome.result}: ${outcome.reason.split('\n')[0]}` : outcome.result;
+
+            return [{ text: repo.name, color: chalk.white }, ...cells, { text, color: outcomeColors[outcome.result] }];
+        });
+
+        // Widths are based on the plain text so color codes don't break alignment
+        const widths = header.map((title, column) =>
+            Math.max(title.length, ...rows.map(row => row[column].text.length))
+        );
+
+        // The last column holds free text and is not padded
+        const pad = (text, column) => column < header.length - 1 ? text.padEnd(widths[column]) : text;
+
+        logInfo(chalk.bold(header.map((title, column) => pad(title, column)).join('  ')));
+        rows.forEach(row => {
+            logInfo(row.map((cell, column) => cell.color(pad(cell.text, column))).join('  '));
+        });
+
+    } finally {
+        groupEnd();
     }
+}
 
-    logError('This indicates a serious programming error requiring immediate attention');
+/**
+ * Determine the overall result of a repository from its phase results
+ *
+ * The first failure or skip explains the outcome. A repository only passed
+ * when every phase has a result - phases the setup never reached (aborted
+ * run, dry run) make it 'skipped'.
+ *
+ * @param {Object} repo - Processed repository object
+ * @returns {Object} Outcome ({result: 'passed'|'failed'|'skipped', reason})
+ */
+function getRepositoryOutcome(repo) {
+    const phases = Object.keys(SETUP_PHASES);
+    const results = phases.map(phase => repo._phaseResults?.[phase]);
+    const problem = results.find(result => result?.status === 'fail') || results.find(result => result?.status === 'skip');
 
-    // Ensure clean logging state before exit
-    groupEndAll();
-    process.exit(1);
-});
+    if (problem) {
+        return { result: problem.status === 'fail' ? 'failed' : 'skipped', reason: problem.detail };
+    }
 
-// === GRACEFUL SHUTDOWN SIGNAL HANDLERS ===
-// Handle interrupt signals gracefully with proper cleanup
+    // === PHASES NOT REACHED ===
+    const missingPhase = phases.find(phase => !repo._phaseResults?.[phase]);
+    if (missingPhase) {
+        return {
+            result: 'skipped',
+            reason: results.some(Boolean) ? `${SETUP_PHASES[missingPhase].toLowerCase()} not reached` : 'not run'
+        };
+    }
 
-process.on('SIGINT', () => {
-    logWarn('Received SIGINT (Ctrl+C) - Initiating graceful shutdown...');
-    logInfo('Cleaning up logging state and terminating processes...');
-    groupEndAll();
-    process.exit(0);
-});
+    return { result: 'passed', reason: '' };
+}
 
-process.on('SIGTERM', () => {
-    logWarn('Received SIGTERM - Initiating graceful shutdown...');
-    logInfo('Cleaning up logging state and terminating processes...');
-    groupEndAll();
-    process.exit(0);
-});
+/**
+ * Build the serializable per-repository results returned by runSetup()
+ *
+ * Every phase that was reached carries its status, the failure or skip
+ * detail, its duration, the cache decision (preClone/postClone) and the
+ * results of the hooks that ran.
+ *
+ * @param {Array<Object>} repos - Processed repository objects
+ * @returns {Array<Object>} Results ({name, result, reason, phases: {preClone, clone, postClone}})
+ */
+function getRepositoryResults(repos) {
+    const getPhaseResult = (repo, phase) => {
+        const result = repo._phaseResults?.[phase];
+        return result ? {
+            ...result,
+            cache: cacheManager?.getCacheDecision(repo.name, phase) ?? null,
+            hooks: repo._hookResults?.[phase] ?? []
+        } : null;
+    };
+
+    return repos.map(repo => ({
+        name: repo.name,
+        ...getRepositoryOutcome(repo),
+        phases: Object.fromEntries(Object.keys(SETUP_PHASES).map(phase => [phase, getPhaseResult(repo, phase)]))
+    }));
+}
 
 /*
 ================================================================================
-APPLICATION ENTRY POINT
+GLOBAL ERROR HANDLING AND PROCESS LIFECYCLE MANAGEMENT
 ================================================================================
 */
 
-// === MAIN EXECUTION INITIALIZATION ===
-// Start the comprehensive multirepo setup orchestration process
-main();
\ No newline at end of file
+/**
+ * Install the process-wide handlers of the setup command
+ *
+ * Only the command line installs them - an application embedding the API
+ * keeps control over its own signals and error handling.
+ */
+export function installProcessHandlers() {
+    // === UNHANDLED PROMISE REJECTION HANDLER ===
+    // Comprehensive error handling for async operations that escape normal error handling
+    process.on('unhandledRejection', (reason, promise) => {
+        logError('Critical Error: Unhandled Promise Rejection detected');
+        logError(`Rejection reason: ${reason}`);
+        logError('This indicates a programming error in async operation handling');
+
+        // Ensure clean logging state before exit
+        groupEndAll();
+        process.exit(1);
+    });
+
+    // === UNCAUGHT EXCEPTION HANDLER ===
+    // Global safety net for synchronous errors that escape normal error handling
+    process.on('uncaughtException', (error) => {
+        logError('Critical Error: Uncaught Exception detected');
+        logError(`Exception: ${error.message}`);
+
+        // === DEVELOPMENT ERROR DETAILS ===
+        if (process.env.NODE_ENV === 'development') {
+            logError('Stack trace for debugging:');
+            logError(error.stack);
+        }
+
+        logError('This indicates a serious programming error requiring immediate attention');
+
+        // Ensure clean logging state before exit
+        groupEndAll();
+        process.exit(1);
+    });
+
+    // === GRACEFUL SHUTDOWN SIGNAL HANDLERS ===
+    // Handle interrupt signals gracefully with proper cleanup
+
+    process.on('SIGINT', () => {
+        logWarn('Received SIGINT (Ctrl+C) - Initiating graceful shutdown...');
+        if (cacheManager?.setupRun) {
+            logInfo(`Progress is saved - run ${chalk.cyan('multirepo setup --resume')} to continue`);
+        }
+        logInfo('Cleaning up logging state and terminating processes...');
+        groupEndAll();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', () => {
+        logWarn('Received SIGTERM - Initiating graceful shutdown...');
+        logInfo('Cleaning up logging state and terminating processes...');
+        groupEndAll();
+        process.exit(0);
+    });
+}
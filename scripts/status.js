@@ -0,0 +1,312 @@
+/*
+================================================================================
+File: scripts/status.js (Workspace Status Overview)
+Description: Read-only reporting command for the multirepo workspace. Inspects
+             every repository configured in repos.yaml at its managed location
+             and summarizes its git state next to the last setup result stored
+             in multirepo.lock. Never modifies repositories, the lock file or
+             any other file on disk.
+
+Key Responsibilities:
+- Collect branch, upstream (ahead/behind) and working tree state per repository
+- Detect remote URL mismatches against the configured `url`
+- Detect drift from the `branch`/`tag`/`commit` pinned in repos.yaml
+- Report the last recorded setup status from the lock file
+- Render a human-readable table and return the records for JSON output (--json) and the API
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for directory existence checks
+import fs from 'fs';
+// Terminal styling for table highlighting
+import chalk from 'chalk';
+
+// === LOGGING SYSTEM ===
+// Grouped output for the status table
+import {
+    groupEnd,
+    groupEndAll,
+    groupStart,
+    logError,
+    logInfo,
+    logWarn
+} from './helper/logger.js';
+
+// === CONFIGURATION MANAGEMENT ===
+// repos.yaml loading and git availability check
+import { checkSystemDependencies, filterRepositories, getPinnedRef, loadConfiguration } from './core/config.js';
+
+// === REPOSITORY OPERATIONS ===
+// Managed repository path resolution
+import { getRepositoryPath } from './core/repository.js';
+
+// === STATE INSPECTION ===
+// Git working copy inspection and lock file access
+import { GitHelper } from './helper/git-helper.js';
+import { LockFileManager } from './helper/lockfile.js';
+
+/*
+================================================================================
+MAIN STATUS ORCHESTRATION
+================================================================================
+*/
+
+/**
+ * Entry point for the status command
+ *
+ * Loads the configuration and lock file, inspects every configured repository
+ * and renders the result. For JSON output the logger is quiet, so the table is
+ * suppressed and the command line prints the returned records instead.
+ *
+ * @returns {Promise<Object>} Status result ({exitCode, generated, repositories, error?})
+ */
+export async function runStatus() {
+    groupEndAll();
+
+    try {
+        groupStart('Multirepo Status');
+
+        // === CONFIGURATION AND STATE LOADING ===
+        checkSystemDependencies();
+        const config = await loadConfiguration();
+        // All repositories unless --only/--tag/--exclude narrow it down
+        const repos = filterRepositories(config);
+
+        const lockManager = new LockFileManager();
+        await lockManager.load();
+
+        // === REPOSITORY INSPECTION ===
+        const statuses = repos.map(repo => collectRepositoryStatus(repo, lockManager));
+
+        // === OUTPUT RENDERING ===
+        displayStatusTable(statuses);
+        displayStatusWarnings(statuses);
+
+        return { exitCode: 0, generated: new Date().toISOString(), repositories: statuses };
+
+    } catch (error) {
+        logError(`Status collection failed: ${error.message}`);
+
+        if (process.env.NODE_ENV === 'development') {
+            logError(error.stack);
+        }
+
+        return { exitCode: 1, generated: new Date().toISOString(), repositories: [], error: error.message };
+    } finally {
+        groupEndAll();
+    }
+}
+
+/*
+================================================================================
+STATUS COLLECTION
+================================================================================
+*/
+
+/**
+ * Collect the complete status record of a single repository
+ *
+ * @param {Object} repo - Repository configuration object ({name, url, ...})
+ * @param {LockFileManager} lockManager - Loaded lock file manager
+ * @returns {Object} Serializable status record
+ */
+function collectRepositoryStatus(repo, lockManager) {
+    const repoPath = getRepositoryPath(repo.name);
+    const git = new GitHelper(repoPath);
+    const lockData = lockManager.getRepositoryData(repo.name);
+
+    const status = {
+        name: repo.name,
+        path: repoPath,
+        exists: fs.existsSync(repoPath),
+        isGitRepository: false,
+        branch: null,
+        head: null,
+        detached: false,
+        upstream: null,
+        ahead: null,
+        behind: null,
+        changed: 0,
+        untracked: 0,
+        conflicted: 0,
+        configuredUrl: repo.url || null,
+        remoteUrl: null,
+        remoteMismatch: false,
+        pinnedRef: getPinnedRef(repo),
+        refDrift: null,
+        lastSetup: lockData ? {
+            preClone: lockData.preCloneStatus,
+            postClone: lockData.postCloneStatus,
+            hookResults: lockData.hookResults || {},
+            lastProcessed: lockData.lastProcessed
+        } : null
+    };
+
+    if (!status.exists || !git.isRepository()) {
+        return status;
+    }
+
+    // === GIT STATE ===
+    status.isGitRepository = true;
+    Object.assign(status, git.getStatus() || {});
+
+    // === REMOTE VALIDATION ===
+    status.remoteUrl = git.getRemoteUrl();
+    status.remoteMismatch = !!status.configuredUrl && status.remoteUrl !== status.configuredUrl;
+
+    // === PINNED REF VALIDATION ===
+    status.refDrift = detectRefDrift(status, git);
+
+    return status;
+}
+
+/**
+ * Compare the working copy against the ref pinned in repos.yaml
+ *
+ * Branch pins require the branch to be checked out; tag and commit pins
+ * require HEAD to point to the pinned commit.
+ *
+ * @param {Object} status - Status record with git state already filled in
+ * @param {GitHelper} git - Git helper for the repository
+ * @returns {string|null} Human-readable drift description or null if in sync
+ */
+function detectRefDrift(status, git) {
+    const pin = status.pinnedRef;
+    if (!pin) {
+        return null;
+    }
+
+    if (pin.type === 'branch') {
+        if (status.branch === pin.value) {
+            return null;
+        }
+        return status.detached
+            ? `HEAD is detached at ${(status.head || '').slice(0, 7)}, expected branch '${pin.value}'`
+            : `on branch '${status.branch}', expected branch '${pin.value}'`;
+    }
+
+    const pinnedSha = git.resolveCommit(pin.value);
+    if (!pinnedSha) {
+        return `pinned ${pin.type} '${pin.value}' not found in the local repository`;
+    }
+    if (pinnedSha !== status.head) {
+        return `HEAD is at ${(status.head || 'no commit').slice(0, 7)}, expected ${pin.type} '${pin.value}' (${pinnedSha.slice(0, 7)})`;
+    }
+    return null;
+}
+
+/*
+================================================================================
+TABLE RENDERING
+================================================================================
+*/
+
+/**
+ * Render all repository statuses as an aligned table
+ *
+ * @param {Array<Object>} statuses - Status records from collectRepositoryStatus
+ */
+function displayStatusTable(statuses) {
+    groupStart(`Repositories (${statuses.length})`);
+
+    try {
+        if (statuses.length === 0) {
+            logWarn('No repositories configured in repos.yaml.');
+            return;
+        }
+
+        const header = ['Repository', 'Branch', 'Upstream', 'Changes', 'Remote', 'Last setup'];
+        const rows = statuses.map(status => [
+            { text: status.name, color: chalk.white },
+            formatBranchCell(status),
+            formatUpstreamCell(status),
+            formatChangesCell(status),
+            formatRemoteCell(status),
+            formatLastSetupCell(status)
+        ]);
+
+        // === COLUMN WIDTH CALCULATION ===
+        // Widths are based on the plain text so color codes don't break alignment
+        const widths = header.map((title, column) =>
+            Math.max(title.length, ...rows.map(row => row[column].text.length))
+        );
+
+        logInfo(chalk.bold(header.map((title, column) => title.padEnd(widths[column])).join('  ')));
+        rows.forEach(row => {
+            logInfo(row.map((cell, column) => cell.color(cell.text.padEnd(widths[column]))).join('  '));
+        });
+
+    } finally {
+        groupEnd();
+    }
+}
+
+/**
+ * Report details that do not fit into the table (remote URL mismatches, ref drift)
+ *
+ * @param {Array<Object>} statuses - Status records from collectRepositoryStatus
+ */
+function displayStatusWarnings(statuses) {
+    statuses.filter(status => status.remoteMismatch).forEach(status => {
+        logWarn(`${chalk.white(status.name)}: origin is ${chalk.yellow(status.remoteUrl ?? '(not set)')}, repos.yaml expects ${chalk.cyan(status.configuredUrl)}`);
+    });
+
+    statuses.filter(status => status.refDrift).forEach(status => {
+        logWarn(`${chalk.white(status.name)}: drifted from pinned ref - ${status.refDrift}`);
+    });
+}
+
+/*
+================================================================================
+CELL FORMATTERS
+================================================================================
+*/
+
+// Each formatter returns { text, color } so widths can be computed on plain text
+
+function formatBranchCell(status) {
+    if (!status.exists) return { text: 'not cloned', color: chalk.gray };
+    if (!status.isGitRepository) return { text: 'no git', color: chalk.gray };
+    const drift = status.refDrift ? ' (drift)' : '';
+    if (status.detached) return { text: `detached@${(status.head || '').slice(0, 7)}${drift}`, color: drift ? chalk.red : chalk.yellow };
+    return { text: `${status.branch || '-'}${drift}`, color: drift ? chalk.red : chalk.cyan };
+}
+
+function formatUpstreamCell(status) {
+    if (!status.isGitRepository) return { text: '-', color: chalk.gray };
+    if (!status.upstream) return { text: 'no upstream', color: chalk.gray };
+    if (status.ahead === null) return { text: 'gone', color: chalk.red };
+    if (status.ahead === 0 && status.behind === 0) return { text: 'up to date', color: chalk.green };
+    return { text: `↑${status.ahead} ↓${status.behind}`, color: chalk.yellow };
+}
+
+function formatChangesCell(status) {
+    if (!status.isGitRepository) return { text: '-', color: chalk.gray };
+
+    const parts = [];
+    if (status.conflicted > 0) parts.push(`${status.conflicted} conflicted`);
+    if (status.changed > 0) parts.push(`${status.changed} changed`);
+    if (status.untracked > 0) parts.push(`${status.untracked} untracked`);
+
+    if (parts.length === 0) return { text: 'clean', color: chalk.green };
+    return { text: parts.join(', '), color: status.conflicted > 0 ? chalk.red : chalk.yellow };
+}
+
+function formatRemoteCell(status) {
+    if (!status.isGitRepository) return { text: '-', color: chalk.gray };
+    if (status.remoteMismatch) return { text: 'mismatch', color: chalk.red };
+    if (!status.remoteUrl) return { text: 'none', color: chalk.gray };
+    return { text: 'ok', color: chalk.green };
+}
+
+function formatLastSetupCell(status) {
+    const setup = status.lastSetup;
+    if (!setup) return { text: 'never', color: chalk.gray };
+    // A failed phase whose last hook run hit its timeout is reported as such
+    const failure = (phase) => setup.hookResults[phase]?.some(result => result.outcome === 'timeout') ? 'timeout' : 'failed';
+    if (setup.preClone === 'failed') return { text: `${failure('preClone')} (preClone)`, color: chalk.red };
+    if (setup.postClone === 'failed') return { text: `${failure('postClone')} (postClone)`, color: chalk.red };
+    if (setup.postClone === 'success') return { text: 'success', color: chalk.green };
+    return { text: 'incomplete', color: chalk.yellow };
+}
@@ -0,0 +1,356 @@
+/*
+================================================================================
+File: scripts/sync.js (Workspace Update Orchestrator)
+Description: Update path for an already set up multirepo workspace. Fetches
+             every managed repository and fast-forwards its current branch to
+             the upstream branch. Never merges, rebases or resets: diverged
+             branches are only reported. When the pulled commits changed any
+             dependency manifest of a repository, all of its postClone hooks
+             are re-run so installed dependencies stay in sync with the code.
+
+Key Responsibilities:
+- Fetch and fast-forward (ff-only) every selected repository
+- Apply the dirty working tree policy (--dirty skip|stash)
+- Report diverged, detached and upstream-less repositories without touching them
+- Re-run all postClone hooks when the pulled commits changed dependency files
+- Summarize and return results per repository and persist the updated cache state
+================================================================================
+*/
+
+// === EXTERNAL DEPENDENCIES ===
+// File system operations for repository existence checks
+import fs from 'fs';
+// Terminal styling for summary output
+import chalk from 'chalk';
+
+// === LOGGING SYSTEM ===
+import {
+    defaultLogger,
+    groupEnd,
+    groupEndAll,
+    groupStart,
+    log,
+    logError,
+    logInfo,
+    logSuccess,
+    logWarn
+} from './helper/logger.js';
+
+// === CONFIGURATION MANAGEMENT ===
+import {
+    checkSystemDependencies,
+    filterRepositories,
+    getPinnedRef,
+    isDryRun,
+    loadConfiguration
+} from './core/config.js';
+
+// === REPOSITORY AND HOOK OPERATIONS ===
+import { getRepositoryPath } from './core/repository.js';
+import { runHooks } from './core/hooks.js';
+
+// === STATE MANAGEMENT ===
+import { CacheManager, DEPENDENCY_FILES } from './helper/cache-manager.js';
+import { GitHelper } from './helper/git-helper.js';
+
+/*
+================================================================================
+COMMAND OPTIONS
+================================================================================
+*/
+
+// === DIRTY WORKING TREE POLICIES ===
+// skip:  leave repositories with uncommitted changes untouched (default)
+// stash: stash changes, fast-forward, then re-apply the stash
+const DIRTY_POLICIES = ['skip', 'stash'];
+
+/*
+================================================================================
+MAIN SYNC ORCHESTRATION
+================================================================================
+*/
+
+/**
+ * Entry point for the sync command
+ *
+ * @param {Object} options - Sync options
+ * @param {string} options.dirty - Dirty working tree policy (skip or stash, default: skip)
+ * @returns {Promise<Object>} Sync result ({exitCode, results, error?})
+ */
+export async function runSync({ dirty: dirtyPolicy = 'skip' } = {}) {
+    groupEndAll();
+    let exitCode = 0;
+    const results = [];
+
+    try {
+        groupStart('Multirepo Sync');
+
+        if (!DIRTY_POLICIES.includes(dirtyPolicy)) {
+            throw new Error(`Invalid --dirty policy '${dirtyPolicy}' (expected: ${DIRTY_POLICIES.join(', ')})`);
+        }
+
+        if (isDryRun) {
+            logWarn(chalk.bold('Running in DRY RUN mode. Repositories are fetched but not updated.'));
+        }
+
+        // === CONFIGURATION AND CACHE LOADING ===
+        checkSystemDependencies();
+        const config = await loadConfiguration();
+        // Sync is a routine operation: all repositories unless --only/--tag/--exclude narrow it down
+        const repos = filterRepositories(config);
+
+        const cacheManager = new CacheManager();
+        await cacheManager.initialize();
+
+        // === REPOSITORY-BY-REPOSITORY SYNC ===
+        logInfo(`Synchronizing ${chalk.cyan(repos.length)} repositories (dirty policy: ${chalk.white(dirtyPolicy)})...`);
+
+        for (const repo of repos) {
+            groupStart(`Sync: ${repo.name}`);
+            try {
+                results.push(await syncRepository(repo, cacheManager, dirtyPolicy));
+            } finally {
+                groupEnd();
+            }
+        }
+
+        // === CACHE PERSISTENCE ===
+        if (!isDryRun && results.some(result => result.hooksRerun)) {
+            await cacheManager.save();
+        }
+
+        exitCode = displaySyncSummary(results);
+
+    } catch (error) {
+        logError(`Sync failed: ${error.message}`);
+        return { exitCode: 1, results, error: error.message };
+    } finally {
+        groupEndAll();
+    }
+
+    return { exitCode, results };
+}
+
+/*
+================================================================================
+SINGLE REPOSITORY SYNC
+================================================================================
+*/
+
+/**
+ * Fetch and fast-forward a single repository
+ *
+ * Result Statuses:
+ * - updated:    fast-forwarded to upstream
+ * - up-to-date: nothing to pull
+ * - ahead:      local commits not pushed yet, nothing to pull
+ * - diverged:   local and upstream both have new commits (left untouched)
+ * - skipped:    pinned to a tag/commit, not cloned, no git, detached, no upstream or dirty (policy skip)
+ * - failed:     a git operation failed
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {CacheManager} cacheManager - Initialized cache manager
+ * @param {string} dirtyPolicy - Dirty working tree policy (skip or stash)
+ * @returns {Promise<Object>} Result record ({name, status, detail, hooksRerun})
+ */
+async function syncRepository(repo, cacheManager, dirtyPolicy) {
+    const repoPath = getRepositoryPath(repo.name);
+    const git = new GitHelper(repoPath);
+    const result = (status, detail = '', extra = {}) => ({ name: repo.name, status, detail, hooksRerun: false, ...extra });
+
+    // === PRECONDITIONS ===
+    const pin = getPinnedRef(repo);
+    if (pin && pin.type !== 'branch') {
+        logInfo(`Pinned to ${pin.type} '${pin.value}' - not updating`);
+        return result('skipped', `pinned ${pin.type}`);
+    }
+    if (!fs.existsSync(repoPath)) {
+        logWarn('Repository is not cloned yet - run setup first');
+        return result('skipped', 'not cloned');
+    }
+    if (!git.isRepository()) {
+        logWarn('Directory is not a git repository');
+        return result('skipped', 'no git');
+    }
+
+    const status = git.getStatus();
+    if (!status) {
+        logError('Could not read git status');
+        return result('failed', 'git status failed');
+    }
+    if (status.detached) {
+        logWarn('HEAD is detached - not updating');
+        return result('skipped', 'detached HEAD');
+    }
+    if (!status.upstream) {
+        logWarn(`Branch '${status.branch}' has no upstream - not updating`);
+        return result('skipped', 'no upstream');
+    }
+
+    // === FETCH ===
+    try {
+        logInfo(`Fetching ${chalk.white(status.upstream)}...`);
+        git.fetch();
+    } catch (error) {
+        logError(`Fetch failed: ${error.stderr?.toString().trim() || error.message}`);
+        return result('failed', 'fetch failed');
+    }
+
+    const fetched = git.getStatus();
+    if (fetched.ahead === null) {
+        logWarn(`Upstream '${fetched.upstream}' no longer exists`);
+        return result('skipped', 'upstream gone');
+    }
+    if (fetched.behind === 0) {
+        if (fetched.ahead > 0) {
+            logInfo(`Nothing to pull, ${fetched.ahead} local commit(s) not pushed`);
+            return result('ahead', `↑${fetched.ahead}`);
+        }
+        logSuccess('Already up to date');
+        return result('up-to-date');
+    }
+    if (fetched.ahead > 0) {
+        logWarn(`Branch diverged from '${fetched.upstream}' (↑${fetched.ahead} ↓${fetched.behind}) - resolve manually`);
+        return result('diverged', `↑${fetched.ahead} ↓${fetched.behind}`);
+    }
+
+    // === DIRTY WORKING TREE POLICY ===
+    const isDirty = fetched.changed > 0 || fetched.conflicted > 0;
+    if (isDirty && dirtyPolicy === 'skip') {
+        logWarn(`Working tree has ${fetched.changed + fetched.conflicted} uncommitted change(s) - skipping (use --dirty stash to update anyway)`);
+        return result('skipped', `dirty, ↓${fetched.behind}`);
+    }
+
+    if (isDryRun) {
+        logInfo(`Would fast-forward ${fetched.behind} commit(s) from '${fetched.upstream}'`);
+        return result('skipped', `dry run, would pull ↓${fetched.behind}`);
+    }
+
+    // === FAST-FORWARD ===
+    let stashed = false;
+    try {
+        if (isDirty) {
+            stashed = git.stash(`multirepo sync ${new Date().toISOString()}`);
+            log(`Stashed local changes before update`);
+        }
+
+        git.fastForward();
+        logSuccess(`Fast-forwarded ${fetched.behind} commit(s) from '${fetched.upstream}'`);
+    } catch (error) {
+        logError(`Fast-forward failed: ${error.stderr?.toString().trim() || error.message}`);
+        return result('failed', 'fast-forward failed');
+    } finally {
+        if (stashed) {
+            try {
+                git.stashPop();
+                logInfo('Re-applied stashed local changes');
+            } catch (error) {
+                logError('Stashed changes could not be re-applied cleanly - they are kept in `git stash list`');
+            }
+        }
+    }
+
+    // === DEPENDENCY-DRIVEN POSTCLONE RE-RUN ===
+    const hooksRerun = await rerunPostCloneIfNeeded(repo, repoPath, cacheManager, git.getChangedFiles(fetched.head, git.getHeadSha()));
+    if (hooksRerun === false) {
+        return result('failed', `updated ↓${fetched.behind}, postClone failed`, { hooksRerun: true });
+    }
+
+    return result('updated', `↓${fetched.behind}${hooksRerun ? ', postClone re-run' : ''}`, { hooksRerun: !!hooksRerun });
+}
+
+/**
+ * Re-run postClone hooks when the update changed dependency files
+ *
+ * The files changed by the pulled commits decide: only a dependency file in
+ * the repository root triggers the re-run, so local edits and stale lock
+ * checksums do not. If the diff cannot be read, the checksums recorded in
+ * multirepo.lock are compared instead.
+ *
+ * The hooks are not tied to individual files - any changed dependency file
+ * re-runs all postClone hooks of the repository.
+ *
+ * @param {Object} repo - Repository configuration object
+ * @param {string} repoPath - Full repository path
+ * @param {CacheManager} cacheManager - Initialized cache manager
+ * @param {Array<string>|null} changedFiles - Files changed by the update (null: unknown)
+ * @returns {Promise<boolean|null>} null if not needed, true on success, false on failure
+ */
+async function rerunPostCloneIfNeeded(repo, repoPath, cacheManager, changedFiles) {
+    if (changedFiles) {
+        const changedDependencyFiles = changedFiles.filter(file => DEPENDENCY_FILES.includes(file));
+        if (changedDependencyFiles.length === 0) {
+            log('No dependency files changed by the update - postClone hooks not needed');
+            return null;
+        }
+        logInfo(`Dependency files changed: ${changedDependencyFiles.join(', ')} - re-running postClone hooks...`);
+    } else {
+        const repoData = cacheManager.lockManager.getRepositoryData(repo.name);
+        if (!cacheManager.haveDependencyFilesChanged(repo, repoPath, repoData)) {
+            log('Dependency files unchanged - postClone hooks not needed');
+            return null;
+        }
+        logInfo('Dependency files changed - re-running postClone hooks...');
+    }
+
+    const hookResults = [];
+    try {
+        await runHooks(repo, 'postClone', {
+            cwd: repoPath,
+            repo,
+            logger: defaultLogger,
+            phase: 'postClone',
+            projectType: 'existing project',
+            hookResults
+        });
+        await cacheManager.updateAfterSuccess(repo, repoPath, 'postClone', true, hookResults);
+        logSuccess('postClone hooks completed');
+        return true;
+    } catch (error) {
+        logError(`postClone hooks failed: ${error.message}`);
+        await cacheManager.updateAfterFailure(repo, repoPath, 'postClone', hookResults);
+        return false;
+    }
+}
+
+/*
+================================================================================
+SUMMARY REPORTING
+================================================================================
+*/
+
+/**
+ * Print the per-repository sync summary
+ *
+ * @param {Array<Object>} results - Results from syncRepository
+ * @returns {number} Process exit code (1 if any repository failed)
+ */
+function displaySyncSummary(results) {
+    groupStart('Sync Summary');
+
+    try {
+        const nameWidth = Math.max(0, ...results.map(result => result.name.length));
+        const statusStyles = {
+            'updated': logSuccess,
+            'up-to-date': logSuccess,
+            'ahead': logInfo,
+            'diverged': logWarn,
+            'skipped': logWarn,
+            'failed': logError
+        };
+
+        results.forEach(result => {
+            const detail = result.detail ? chalk.gray(` (${result.detail})`) : '';
+            statusStyles[result.status](`${chalk.white(result.name.padEnd(nameWidth))}  ${result.status}${detail}`);
+        });
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        logInfo(`Updated: ${chalk.green(count('updated'))}, up to date: ${chalk.cyan(count('up-to-date') + count('ahead'))}, ` +
+            `diverged: ${chalk.yellow(count('diverged'))}, skipped: ${chalk.yellow(count('skipped'))}, failed: ${chalk.red(count('failed'))}`);
+
+        return count('failed') > 0 ? 1 : 0;
+
+    } finally {
+        groupEnd();
+    }
+}
@@ -1,4 +1,6 @@
 import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
 import { ConfigFileHelper } from '../../helper/config-file-helper.js';
 import { logInfo, logSuccess, logWarn } from '../../helper/logger.js';
 import chalk from 'chalk';
@@ -46,7 +48,12 @@ class ComposerTraitChecker extends BaseTraitChecker {
         if (!composerJson) return;
 
         if (!composerJson.name) {
-            this.logger.warn(`${chalk.white('composer.json')} is missing the ${chalk.cyan('name')} field.`);
+            this.report({
+                severity: 'warning',
+                code: 'missing-field',
+                message: `${chalk.white('composer.json')} is missing the ${chalk.cyan('name')} field.`,
+                file: 'composer.json'
+            });
         }
 
         if (!composerJson.description) {
@@ -55,7 +62,12 @@ class ComposerTraitChecker extends BaseTraitChecker {
 
         // Check autoload configuration
         if (!composerJson.autoload && !composerJson['autoload-dev']) {
-            this.logger.warn(`${chalk.white('composer.json')} has no autoload configuration. Consider adding ${chalk.cyan('autoload')} section.`);
+            this.report({
+                severity: 'warning',
+                code: 'missing-autoload',
+                message: `${chalk.white('composer.json')} has no autoload configuration. Consider adding ${chalk.cyan('autoload')} section.`,
+                file: 'composer.json'
+            });
         } else {
             this.logger.success(`Autoload configuration found in ${chalk.white('composer.json')}.`);
         }
@@ -71,7 +83,13 @@ class ComposerTraitChecker extends BaseTraitChecker {
      */
     validateComposerLock() {
         if (!this.configHelper.hasFile('composer.lock')) {
-            this.logger.warn(`${chalk.white('composer.lock')} file not found. Run ${chalk.cyan('composer install')} to generate lock file and install dependencies.`);
+            this.report({
+                severity: 'warning',
+                code: 'missing-lock-file',
+                message: `${chalk.white('composer.lock')} file not found. Run ${chalk.cyan('composer install')} to generate lock file and install dependencies.`,
+                file: 'composer.lock',
+                remediation: createCommandRemediation('composer install')
+            });
         } else {
             this.logger.success(`${chalk.white('composer.lock')} found.`);
         }
@@ -115,7 +133,13 @@ class ComposerTraitChecker extends BaseTraitChecker {
                 }
             });
         } else {
-            this.logger.warn(`${chalk.white('vendor/autoload.php')} not found. Dependencies may not be properly installed.`);
+            this.report({
+                severity: 'warning',
+                code: 'missing-vendor',
+                message: `${chalk.white('vendor/autoload.php')} not found. Dependencies may not be properly installed.`,
+                file: 'vendor/autoload.php',
+                remediation: createCommandRemediation('composer install')
+            });
         }
 
         // Check for installed.json
@@ -170,5 +194,5 @@ export function check(context) {
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({ cwd: process.cwd() });
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
 }
\ No newline at end of file
@@ -0,0 +1,299 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import {
+    COMPOSE_FILES,
+    DockerProjectHelper,
+    getBuildStages,
+    getEnvFiles,
+    getPublishedPorts,
+    isRootUser,
+    portsCollide
+} from '../../helper/docker-project-helper.js';
+import chalk from 'chalk';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Tags that do not pin a base image version
+const FLOATING_TAGS = [null, 'latest'];
+
+class DockerTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'docker');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.dockerHelper = new DockerProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require a Dockerfile or Compose file
+        this.configHelper.requireOneOfConfigs(['Dockerfile', ...COMPOSE_FILES], 'Docker');
+    }
+
+    async validateConfiguration() {
+        // Lint the Dockerfile
+        if (this.dockerHelper.hasFile('Dockerfile')) {
+            this.validateDockerignore();
+            this.lintDockerfile('Dockerfile');
+        }
+
+        // Validate the Compose file
+        this.composeFile = this.dockerHelper.findComposeFile();
+        this.compose = this.composeFile ? this.dockerHelper.loadComposeFile(this.composeFile) : null;
+        if (this.compose) {
+            this.validateComposeServices();
+        }
+    }
+
+    async validateDependencies() {
+        // Check env files and published ports of the Compose services
+        if (this.compose) {
+            this.validateEnvFiles();
+            this.validatePortCollisions();
+        }
+    }
+
+    /**
+     * Validate that the build context is filtered by a .dockerignore
+     */
+    validateDockerignore() {
+        if (this.dockerHelper.hasFile('.dockerignore')) {
+            this.logger.success(`${chalk.white('.dockerignore')} found.`);
+            return;
+        }
+
+        const entries = ['.git', '.env', ...['node_modules', 'vendor', '.venv'].filter(directory => this.directoryHelper.hasDirectory(directory))];
+        this.report({
+            severity: 'warning',
+            code: 'missing-dockerignore',
+            message: `${chalk.white('.dockerignore')} not found. The whole repository (including ${chalk.cyan('.git')}) is sent to the Docker daemon as build context.`,
+            file: '.dockerignore',
+            remediation: {
+                description: `Create .dockerignore (${entries.join(', ')})`,
+                file: '.dockerignore',
+                update: content => content || `${entries.join('\n')}\n`
+            }
+        });
+    }
+
+    /**
+     * Lint base images and the user of a Dockerfile
+     *
+     * @param {string} filename - Dockerfile relative to the repository
+     */
+    lintDockerfile(filename) {
+        const stages = getBuildStages(this.dockerHelper.readDockerfile(filename) ?? []);
+        if (stages.length === 0) {
+            this.report({ severity: 'error', code: 'missing-from', message: `${chalk.white(filename)} has no ${chalk.cyan('FROM')} instruction.`, file: filename });
+            return;
+        }
+
+        // === BASE IMAGES ===
+        stages.filter(stage => stage.image && stage.image !== 'scratch').forEach(({ image, tag, digest, line }) => {
+            if (image.includes('$')) {
+                this.logger.info(`Base image ${chalk.white(image)} (line ${line}) is set by a build argument.`);
+            } else if (!digest && FLOATING_TAGS.includes(tag)) {
+                this.report({
+                    severity: 'warning',
+                    code: 'unpinned-base-image',
+                    message: `${chalk.white(filename)} line ${line}: base image ${chalk.cyan(`${image}:${tag ?? 'latest'}`)} is not pinned. ` +
+                        'Use a version tag or digest for reproducible builds.',
+                    file: filename
+                });
+            }
+        });
+
+        // === USER ===
+        // Only the final stage ends up in the image
+        const finalStage = stages[stages.length - 1];
+        if (isRootUser(finalStage.user)) {
+            this.report({
+                severity: 'warning',
+                code: 'root-user',
+                message: finalStage.user
+                    ? `${chalk.white(filename)} line ${finalStage.userLine}: the container runs as ${chalk.cyan(finalStage.user)}. Switch to an unprivileged user.`
+                    : `${chalk.white(filename)}: the container runs as root. Add a ${chalk.cyan('USER')} instruction to the final stage.`,
+                file: filename
+            });
+        } else {
+            this.logger.success(`Container runs as ${chalk.white(finalStage.user)}.`);
+        }
+    }
+
+    /**
+     * Validate the services of the Compose file
+     */
+    validateComposeServices() {
+        const file = this.composeFile;
+        const services = this.compose.services;
+
+        if (!services || typeof services !== 'object' || Object.keys(services).length === 0) {
+            this.report({ severity: 'error', code: 'missing-services', message: `${chalk.white(file)} defines no ${chalk.cyan('services')}.`, file });
+            return;
+        }
+
+        Object.entries(services).forEach(([name, definition]) => {
+            if (!definition || typeof definition !== 'object') {
+                this.report({ severity: 'error', code: 'invalid-service', message: `Service ${chalk.cyan(name)} in ${chalk.white(file)} is not a mapping.`, file });
+                return;
+            }
+
+            // === IMAGE OR BUILD ===
+            // Services extending another service inherit both
+            if (!definition.image && !definition.build && !definition.extends) {
+                this.report({
+                    severity: 'error',
+                    code: 'invalid-service',
+                    message: `Service ${chalk.cyan(name)} in ${chalk.white(file)} has neither ${chalk.cyan('image')} nor ${chalk.cyan('build')}.`,
+                    file
+                });
+            }
+            if (definition.build) {
+                this.validateBuildContext(name, definition.build);
+            }
+
+            // === DEPENDENCIES ===
+            const dependsOn = Array.isArray(definition.depends_on) ? definition.depends_on : Object.keys(definition.depends_on ?? {});
+            dependsOn.filter(dependency => !Object.hasOwn(services, dependency)).forEach(dependency => {
+                this.report({
+                    severity: 'error',
+                    code: 'unknown-service',
+                    message: `Service ${chalk.cyan(name)} in ${chalk.white(file)} depends on unknown service ${chalk.cyan(dependency)}.`,
+                    file
+                });
+            });
+        });
+
+        this.logger.success(`${chalk.white(file)} defines ${chalk.cyan(Object.keys(services).length)} service(s).`);
+    }
+
+    /**
+     * Validate the build context and Dockerfile of a Compose service
+     *
+     * @param {string} name - Service name
+     * @param {string|Object} build - Build definition (context path or {context, dockerfile})
+     */
+    validateBuildContext(name, build) {
+        const context = typeof build === 'string' ? build : build.context ?? '.';
+        // Remote contexts (Git repositories, URLs) are fetched by the Docker daemon
+        if (/^[a-z]+:\/\/|^git@/.test(context)) {
+            return;
+        }
+
+        const composeDirectory = path.dirname(this.composeFile);
+        const contextPath = path.join(composeDirectory, context);
+        if (!this.directoryHelper.hasDirectory(contextPath)) {
+            this.report({
+                severity: 'error',
+                code: 'missing-build-context',
+                message: `Build context ${chalk.white(context)} of service ${chalk.cyan(name)} not found.`,
+                file: this.composeFile
+            });
+            return;
+        }
+
+        const dockerfile = path.join(contextPath, typeof build === 'object' && build.dockerfile ? build.dockerfile : 'Dockerfile');
+        if (typeof build === 'object' && build.dockerfile_inline) {
+            return;
+        }
+        if (!this.dockerHelper.hasFile(dockerfile)) {
+            this.report({
+                severity: 'error',
+                code: 'missing-dockerfile',
+                message: `Dockerfile ${chalk.white(dockerfile)} of service ${chalk.cyan(name)} not found.`,
+                file: this.composeFile
+            });
+        } else if (path.normalize(dockerfile) !== 'Dockerfile') {
+            this.lintDockerfile(dockerfile);
+        }
+    }
+
+    /**
+     * Validate that the env_file references of the services exist
+     */
+    validateEnvFiles() {
+        const composeDirectory = path.dirname(this.composeFile);
+        const reported = new Set();
+
+        Object.entries(this.compose.services ?? {}).forEach(([name, definition]) => {
+            getEnvFiles(definition).filter(envFile => envFile.required).forEach(envFile => {
+                const filename = path.normalize(path.join(composeDirectory, envFile.path));
+                if (this.dockerHelper.hasFile(filename) || reported.has(filename)) {
+                    return;
+                }
+
+                reported.add(filename);
+                this.report({
+                    severity: 'warning',
+                    code: 'missing-env-file',
+                    message: `env_file ${chalk.white(envFile.path)} of service ${chalk.cyan(name)} not found. ` +
+                        '`docker compose up` fails until it is created.',
+                    file: this.composeFile,
+                    remediation: this.dockerHelper.createEnvFileRemediation(filename)
+                });
+            });
+        });
+    }
+
+    /**
+     * Detect services claiming the same host port, in this repository and
+     * across all managed repositories
+     */
+    validatePortCollisions() {
+        const ports = getPublishedPorts(this.compose);
+        if (ports.length === 0) {
+            this.logger.info(`${chalk.white(this.composeFile)} publishes no host ports.`);
+            return;
+        }
+
+        // === COLLISIONS WITHIN THE COMPOSE FILE ===
+        const collisions = [];
+        ports.forEach((published, index) => {
+            ports.slice(index + 1)
+                .filter(other => other.service !== published.service && portsCollide(published, other))
+                .forEach(other => collisions.push({ published, other: `service ${chalk.cyan(other.service)}` }));
+        });
+
+        // === COLLISIONS ACROSS MANAGED REPOSITORIES ===
+        const workspacePorts = this.dockerHelper.getWorkspacePorts();
+        ports.forEach(published => {
+            workspacePorts.filter(other => portsCollide(published, other)).forEach(other => {
+                collisions.push({ published, other: `service ${chalk.cyan(other.service)} of repository ${chalk.white(other.repo)} (${other.file})` });
+            });
+        });
+
+        // A published port range collides port by port - report each pair of services once
+        const pairs = new Map();
+        collisions.forEach(({ published, other }) => {
+            const key = `${published.service} ${other}`;
+            const pair = pairs.get(key) ?? { service: published.service, other, ports: [] };
+            const port = `${published.port}/${published.protocol}`;
+            if (!pair.ports.includes(port)) pair.ports.push(port);
+            pairs.set(key, pair);
+        });
+
+        pairs.forEach(({ service, other, ports: collidingPorts }) => {
+            this.report({
+                severity: 'warning',
+                code: 'port-collision',
+                message: `Host port${collidingPorts.length === 1 ? '' : 's'} ${chalk.cyan(collidingPorts.join(', '))} of service ${chalk.cyan(service)} ` +
+                    `${collidingPorts.length === 1 ? 'is' : 'are'} also published by ${other}. Both cannot run at the same time.`,
+                file: this.composeFile
+            });
+        });
+
+        if (collisions.length === 0) {
+            this.logger.success(`No port collisions across ${chalk.cyan(ports.length)} published port(s).`);
+        }
+    }
+}
+
+export function check(context) {
+    const checker = new DockerTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
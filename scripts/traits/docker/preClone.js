@@ -0,0 +1,44 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import { logSuccess } from '../../helper/logger.js';
+import { findComposeFile } from '../../helper/docker-project-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('docker', context?.logger);
+
+    // Check Docker CLI
+    try {
+        const dockerVersion = execSync('docker --version', { encoding: 'utf8', stdio: 'pipe' }).trim();
+        logSuccess(`Docker is installed: ${chalk.white(dockerVersion)}`);
+    } catch (error) {
+        findings.report({ severity: 'error', code: 'docker-missing', message: 'Docker not found. Please install Docker to continue.', fix: 'Install Docker' });
+        return findings.getResult();
+    }
+
+    // Check Compose (not needed by an existing checkout without a Compose file)
+    const cwd = context?.cwd && fs.existsSync(context.cwd) ? context.cwd : null;
+    if (cwd && !findComposeFile(cwd)) {
+        return findings.getResult();
+    }
+
+    try {
+        const composeVersion = execSync('docker compose version', { encoding: 'utf8', stdio: 'pipe' }).trim();
+        logSuccess(`Docker Compose is installed: ${chalk.white(composeVersion)}`);
+    } catch (error) {
+        findings.report({
+            severity: 'warning',
+            code: 'compose-missing',
+            message: 'Docker Compose plugin not found. Compose files of this repository cannot be started with `docker compose`.',
+            fix: 'Install the Docker Compose plugin'
+        });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({ cwd: process.cwd() }));
+}
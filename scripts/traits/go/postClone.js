@@ -0,0 +1,122 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { detectGoToolchain, GoModuleHelper } from '../../helper/go-module-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+class GoTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'go');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.goHelper = new GoModuleHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require go.mod
+        this.configHelper.requireFile('go.mod');
+
+        const module = this.goHelper.goMod?.module;
+        if (module) {
+            this.logger.success(`Go module found: ${chalk.white(module)}`);
+        } else {
+            this.report({ severity: 'error', code: 'missing-field', message: `${chalk.white('go.mod')} has no ${chalk.cyan('module')} directive.`, file: 'go.mod' });
+        }
+    }
+
+    async validateDependencies() {
+        // Check the toolchain against the go directive
+        const toolchain = detectGoToolchain();
+        if (toolchain) {
+            this.goHelper.validateGoVersion(toolchain);
+        } else {
+            this.report({ severity: 'error', code: 'go-missing', message: 'Go not found. Please install Go to continue.', fix: 'Install Go' });
+        }
+
+        // Check go.sum
+        this.validateGoSum();
+
+        // Check downloaded modules
+        if (toolchain) {
+            this.validateModuleDownloads();
+        }
+    }
+
+    async provideSuggestions() {
+        // Suggest missing traits based on detected technologies
+        this.adviser.suggestAllMissingTraits();
+    }
+
+    /**
+     * Validate that go.sum has hashes for all requirements
+     */
+    validateGoSum() {
+        const requirements = this.goHelper.getRemoteRequirements();
+        if (requirements.length === 0) {
+            this.logger.info(`${chalk.white('go.mod')} requires no modules.`);
+            return;
+        }
+
+        const unsummed = this.goHelper.getUnsummedRequirements();
+        if (unsummed === null) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-lock-file',
+                message: `${chalk.white('go.sum')} not found. Run ${chalk.cyan('go mod tidy')} to record the module hashes.`,
+                file: 'go.sum',
+                remediation: createCommandRemediation('go mod tidy')
+            });
+        } else if (unsummed.length > 0) {
+            this.report({
+                severity: 'warning',
+                code: 'outdated-lock-file',
+                message: `${chalk.white('go.sum')} is missing ${unsummed.length} requirement(s) of go.mod: ` +
+                    `${unsummed.slice(0, 5).map(requirement => requirement.path).join(', ')}${unsummed.length > 5 ? ', ...' : ''}. Run ${chalk.cyan('go mod tidy')}.`,
+                file: 'go.sum',
+                remediation: createCommandRemediation('go mod tidy')
+            });
+        } else {
+            this.logger.success(`${chalk.white('go.sum')} covers all ${chalk.cyan(requirements.length)} requirements.`);
+        }
+    }
+
+    /**
+     * Validate that the requirements are downloaded to the module cache
+     *
+     * Vendored modules (vendor/modules.txt) need no download.
+     */
+    validateModuleDownloads() {
+        if (this.configHelper.hasFile('vendor/modules.txt')) {
+            this.logger.info(`Modules are vendored in ${chalk.white('vendor/')} - skipping the module download check.`);
+            return;
+        }
+
+        const missing = this.goHelper.getMissingModules();
+        if (missing === null) {
+            this.logger.info('Module cache not found - skipping the module download check.');
+        } else if (missing.length > 0) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-modules',
+                message: `${missing.length} module(s) are not downloaded: ` +
+                    `${missing.slice(0, 5).map(requirement => requirement.path).join(', ')}${missing.length > 5 ? ', ...' : ''}. Run ${chalk.cyan('go mod download')}.`,
+                file: 'go.mod',
+                remediation: createCommandRemediation('go mod download')
+            });
+        } else {
+            this.logger.success('All required modules are downloaded.');
+        }
+    }
+}
+
+export function check(context) {
+    const checker = new GoTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import { logSuccess } from '../../helper/logger.js';
+import { detectGoToolchain, GoModuleHelper } from '../../helper/go-module-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('go', context?.logger);
+
+    // Check Go
+    const toolchain = detectGoToolchain();
+    if (!toolchain) {
+        findings.report({ severity: 'error', code: 'go-missing', message: 'Go not found. Please install Go to continue.', fix: 'Install Go' });
+        return findings.getResult();
+    }
+    logSuccess(`Go is installed: ${chalk.white(toolchain.version)}`);
+
+    // Check the go directive of an existing checkout
+    if (context?.cwd && fs.existsSync(path.join(context.cwd, 'go.mod'))) {
+        new GoModuleHelper(context.cwd, findings).validateGoVersion(toolchain);
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({ cwd: process.cwd() }));
+}
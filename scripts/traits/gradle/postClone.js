@@ -0,0 +1,47 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { GRADLE_BUILD_FILES, JavaProjectHelper } from '../../helper/java-project-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+class GradleTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'gradle');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.javaHelper = new JavaProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require a build or settings script
+        this.configHelper.requireOneOfConfigs(GRADLE_BUILD_FILES, 'Gradle');
+    }
+
+    async validateConfiguration() {
+        // Validate .gitignore
+        this.configHelper.validateGitignore(['build/', '.gradle/'], 'Gradle');
+
+        // Check the Gradle wrapper
+        if (this.javaHelper.validateWrapperScript('gradle')) {
+            this.javaHelper.validateWrapperProperties('gradle');
+        } else {
+            this.report({
+                severity: 'info',
+                code: 'missing-wrapper',
+                message: `No ${chalk.white('gradlew')} found. Run ${chalk.cyan('gradle wrapper')} to pin the Gradle version for all developers.`,
+                file: 'gradlew'
+            });
+        }
+    }
+}
+
+export function check(context) {
+    const checker = new GradleTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,38 @@
+import { execSync } from 'child_process';
+import { logSuccess } from '../../helper/logger.js';
+import { GRADLE_BUILD_FILES, hasBuildFile, JavaProjectHelper } from '../../helper/java-project-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('gradle', context?.logger);
+    const checkedOut = hasBuildFile(context?.cwd, GRADLE_BUILD_FILES);
+
+    // The Gradle wrapper replaces an installed Gradle
+    if (checkedOut && new JavaProjectHelper(context.cwd, findings).validateWrapperScript('gradle')) {
+        return findings.getResult();
+    }
+
+    // Check Gradle
+    try {
+        const version = /Gradle (\S+)/.exec(execSync('gradle --version', { encoding: 'utf8', stdio: 'pipe', timeout: 30000 }))?.[1] ?? 'unknown version';
+        logSuccess(`Gradle is installed: ${chalk.white(version)}`);
+    } catch (error) {
+        // Before the first clone it is unknown whether the repository ships gradlew
+        findings.report({
+            severity: checkedOut ? 'error' : 'warning',
+            code: 'gradle-missing',
+            message: checkedOut
+                ? `Gradle not found and the repository has no ${chalk.white('gradlew')}. Please install Gradle to continue.`
+                : `Gradle not found. It is needed unless the repository ships ${chalk.white('gradlew')}.`,
+            fix: 'Install Gradle (https://gradle.org/install/)'
+        });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,77 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { detectJdk, GRADLE_BUILD_FILES, JavaProjectHelper, MAVEN_BUILD_FILES } from '../../helper/java-project-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+// Source roots of the Maven standard directory layout (also used by Gradle)
+const MAIN_SOURCE_DIRECTORIES = ['src/main/java', 'src/main/kotlin'];
+const TEST_SOURCE_DIRECTORIES = ['src/test/java', 'src/test/kotlin'];
+
+class JavaTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'java');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.javaHelper = new JavaProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require a Maven or Gradle build
+        this.configHelper.requireOneOfConfigs([...MAVEN_BUILD_FILES, ...GRADLE_BUILD_FILES], 'Java build');
+    }
+
+    async validateStructure() {
+        // Modules have their own source roots
+        if (this.javaHelper.isMultiModuleBuild()) {
+            this.logger.info('Multi-module build - skipping the source layout check.');
+            return;
+        }
+
+        // Check the standard directory layout
+        const mainDirectory = MAIN_SOURCE_DIRECTORIES.find(directory => this.directoryHelper.hasDirectory(directory));
+        if (mainDirectory) {
+            this.logger.success(`Source directory found: ${chalk.white(mainDirectory)}`);
+        } else {
+            this.report({
+                severity: 'warning',
+                code: 'missing-directory',
+                message: `${chalk.white('src/main/java')} not found. Maven and Gradle compile sources from the standard directory layout.`,
+                file: 'src/main/java'
+            });
+        }
+
+        const testDirectory = TEST_SOURCE_DIRECTORIES.find(directory => this.directoryHelper.hasDirectory(directory));
+        if (testDirectory) {
+            this.logger.success(`Test directory found: ${chalk.white(testDirectory)}`);
+        } else {
+            this.report({ severity: 'info', code: 'missing-tests', message: `${chalk.white('src/test/java')} not found - the project has no tests.`, file: 'src/test/java' });
+        }
+    }
+
+    async validateDependencies() {
+        // Check the JDK against the required Java version
+        const jdk = detectJdk();
+        if (jdk) {
+            this.javaHelper.validateJavaVersion(jdk);
+        } else {
+            this.report({ severity: 'error', code: 'java-missing', message: 'Java not found. Please install a JDK to continue.', fix: 'Install a JDK (https://adoptium.net)' });
+        }
+    }
+
+    async provideSuggestions() {
+        // Suggest missing traits based on detected technologies
+        this.adviser.suggestAllMissingTraits();
+    }
+}
+
+export function check(context) {
+    const checker = new JavaTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,32 @@
+import { logSuccess } from '../../helper/logger.js';
+import { detectJdk, GRADLE_BUILD_FILES, hasBuildFile, JavaProjectHelper, MAVEN_BUILD_FILES } from '../../helper/java-project-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('java', context?.logger);
+
+    // Check the JDK
+    const jdk = detectJdk();
+    if (!jdk) {
+        findings.report({ severity: 'error', code: 'java-missing', message: 'Java not found. Please install a JDK to continue.', fix: 'Install a JDK (https://adoptium.net)' });
+        return findings.getResult();
+    }
+    if (!jdk.hasCompiler) {
+        findings.report({ severity: 'error', code: 'jdk-missing', message: `Java ${jdk.version} is a runtime without ${chalk.cyan('javac')}. Please install a JDK.`, fix: 'Install a JDK (https://adoptium.net)' });
+    } else {
+        logSuccess(`JDK is installed: ${chalk.white(jdk.version)}${jdk.javaHome ? chalk.gray(` (JAVA_HOME=${jdk.javaHome})`) : ''}`);
+    }
+
+    // Check the required Java version of an existing checkout
+    if (hasBuildFile(context?.cwd, [...MAVEN_BUILD_FILES, ...GRADLE_BUILD_FILES])) {
+        new JavaProjectHelper(context.cwd, findings).validateJavaVersion(jdk);
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({ cwd: process.cwd() }));
+}
@@ -1,4 +1,6 @@
 import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
 import { logInfo, logSuccess } from '../../helper/logger.js';
 import chalk from 'chalk';
 import { pathToFileURL } from 'url';
@@ -27,7 +29,13 @@ class JestTraitChecker extends BaseTraitChecker {
         if (hasJest) {
             this.logger.info(`Jest dependency found in ${chalk.white('package.json')}.`);
         } else {
-            this.logger.warn('Jest dependency not found. Consider adding jest to devDependencies.');
+            this.report({
+                severity: 'warning',
+                code: 'missing-dependency',
+                message: 'Jest dependency not found. Consider adding jest to devDependencies.',
+                file: 'package.json',
+                remediation: createCommandRemediation('npm install jest --save-dev')
+            });
         }
 
         // Check for Jest configuration in package.json
@@ -74,5 +82,5 @@ export function check(context) {
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({ cwd: process.cwd() });
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
 }
\ No newline at end of file
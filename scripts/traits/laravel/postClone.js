@@ -0,0 +1,138 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { PhpFrameworkHelper } from '../../helper/php-framework-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+// Directories Laravel writes compiled views, sessions and caches to
+const WRITABLE_DIRECTORIES = ['storage/framework/cache', 'storage/framework/sessions', 'storage/framework/views', 'bootstrap/cache'];
+
+// Key lengths in bytes of the supported ciphers (AES-128 and AES-256)
+const APP_KEY_LENGTHS = [16, 32];
+
+class LaravelTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'laravel');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.phpHelper = new PhpFrameworkHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require composer.json with the framework
+        this.configHelper.requireFile('composer.json', 'This is required for Laravel applications.');
+
+        if (this.phpHelper.requiresPackage('laravel/framework')) {
+            this.logger.success(`Laravel application found: ${chalk.white(`laravel/framework ${this.phpHelper.getPackageVersion('laravel/framework')}`)}`);
+        } else {
+            this.report({
+                severity: 'error',
+                code: 'missing-dependency',
+                message: `${chalk.white('composer.json')} does not require ${chalk.cyan('laravel/framework')}.`,
+                file: 'composer.json'
+            });
+        }
+    }
+
+    async validateConfiguration() {
+        // Validate .gitignore
+        this.configHelper.validateGitignore(['.env'], 'Laravel');
+
+        // Check .env and the application key
+        this.validateEnvFile();
+    }
+
+    async validateStructure() {
+        // Check artisan and the writable directories
+        if (this.phpHelper.hasFile('artisan')) {
+            this.logger.success(`Artisan console found: ${chalk.white('artisan')}`);
+        } else {
+            this.report({ severity: 'error', code: 'missing-file', message: `${chalk.white('artisan')} not found.`, file: 'artisan' });
+        }
+
+        const missing = WRITABLE_DIRECTORIES.filter(directory => !this.directoryHelper.hasDirectory(directory));
+        if (missing.length > 0) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-directory',
+                message: `${missing.map(directory => chalk.white(directory)).join(', ')} not found. Laravel fails to write caches, sessions and compiled views without them.`,
+                file: missing[0]
+            });
+        } else {
+            this.logger.success('Storage and cache directories found.');
+        }
+    }
+
+    /**
+     * Validate .env (created from .env.example) and its APP_KEY
+     */
+    validateEnvFile() {
+        let env = this.phpHelper.readDotenv('.env');
+        if (env === null) {
+            const template = this.phpHelper.findEnvTemplate('.env', ['.env.example']);
+            this.report({
+                severity: template ? 'warning' : 'error',
+                code: 'missing-env-file',
+                message: template
+                    ? `${chalk.white('.env')} not found. Copy ${chalk.white(template)} to ${chalk.white('.env')} and adjust it.`
+                    : `${chalk.white('.env')} not found and there is no ${chalk.white('.env.example')} to create it from.`,
+                file: '.env',
+                remediation: template ? this.phpHelper.createEnvFileRemediation('.env', template) : undefined
+            });
+            if (!template) return;
+
+            // The key check applies to the .env created from the template. Templates
+            // ship without a key, so a missing one is part of the setup still to do
+            // and reported at the severity of the missing .env.
+            env = this.phpHelper.readDotenv(template);
+            this.validateAppKey(env.APP_KEY, 'warning');
+            return;
+        }
+
+        this.phpHelper.validateUntrackedEnvFiles(['.env']);
+        this.validateAppKey(env.APP_KEY);
+    }
+
+    /**
+     * Validate the application key used for encryption and signed cookies
+     *
+     * @param {string|undefined} key - APP_KEY value
+     * @param {string} missingSeverity - Severity of a missing key
+     */
+    validateAppKey(key, missingSeverity = 'error') {
+        if (!key) {
+            this.report({
+                severity: missingSeverity,
+                code: 'missing-app-key',
+                message: `${chalk.cyan('APP_KEY')} is not set. Run ${chalk.cyan('php artisan key:generate')} - Laravel cannot encrypt without it.`,
+                file: '.env',
+                remediation: createCommandRemediation('php artisan key:generate')
+            });
+            return;
+        }
+
+        const length = key.startsWith('base64:') ? Buffer.from(key.slice('base64:'.length), 'base64').length : Buffer.byteLength(key);
+        if (APP_KEY_LENGTHS.includes(length)) {
+            this.logger.success(`${chalk.cyan('APP_KEY')} is set.`);
+        } else {
+            this.report({
+                severity: 'warning',
+                code: 'invalid-app-key',
+                message: `${chalk.cyan('APP_KEY')} has ${length} bytes, the supported ciphers need 16 or 32. Run ${chalk.cyan('php artisan key:generate --force')}.`,
+                file: '.env'
+            });
+        }
+    }
+}
+
+export function check(context) {
+    const checker = new LaravelTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,54 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { JavaProjectHelper } from '../../helper/java-project-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+class MavenTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'maven');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.javaHelper = new JavaProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require pom.xml
+        this.configHelper.requireFile('pom.xml');
+
+        const artifactId = this.javaHelper.getPomElement('artifactId');
+        if (artifactId) {
+            this.logger.success(`Maven project found: ${chalk.white(artifactId)}`);
+        } else {
+            this.report({ severity: 'error', code: 'missing-field', message: `${chalk.white('pom.xml')} has no ${chalk.cyan('artifactId')}.`, file: 'pom.xml' });
+        }
+    }
+
+    async validateConfiguration() {
+        // Validate .gitignore
+        this.configHelper.validateGitignore(['target/'], 'Maven');
+
+        // Check the Maven wrapper
+        if (this.javaHelper.validateWrapperScript('maven')) {
+            this.javaHelper.validateWrapperProperties('maven');
+        } else {
+            this.report({
+                severity: 'info',
+                code: 'missing-wrapper',
+                message: `No ${chalk.white('mvnw')} found. Run ${chalk.cyan('mvn wrapper:wrapper')} to pin the Maven version for all developers.`,
+                file: 'mvnw'
+            });
+        }
+    }
+}
+
+export function check(context) {
+    const checker = new MavenTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,38 @@
+import { execSync } from 'child_process';
+import { logSuccess } from '../../helper/logger.js';
+import { hasBuildFile, JavaProjectHelper, MAVEN_BUILD_FILES } from '../../helper/java-project-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('maven', context?.logger);
+    const checkedOut = hasBuildFile(context?.cwd, MAVEN_BUILD_FILES);
+
+    // The Maven wrapper replaces an installed Maven
+    if (checkedOut && new JavaProjectHelper(context.cwd, findings).validateWrapperScript('maven')) {
+        return findings.getResult();
+    }
+
+    // Check Maven
+    try {
+        const version = /Apache Maven (\S+)/.exec(execSync('mvn -v', { encoding: 'utf8', stdio: 'pipe', timeout: 30000 }))?.[1] ?? 'unknown version';
+        logSuccess(`Maven is installed: ${chalk.white(version)}`);
+    } catch (error) {
+        // Before the first clone it is unknown whether the repository ships mvnw
+        findings.report({
+            severity: checkedOut ? 'error' : 'warning',
+            code: 'maven-missing',
+            message: checkedOut
+                ? `Maven not found and the repository has no ${chalk.white('mvnw')}. Please install Maven to continue.`
+                : `Maven not found. It is needed unless the repository ships ${chalk.white('mvnw')}.`,
+            fix: 'Install Maven (https://maven.apache.org/install.html)'
+        });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({ cwd: process.cwd() }));
+}
@@ -1,9 +1,12 @@
 import { execSync } from 'child_process';
-import { logError, logSuccess } from '../../helper/logger.js';
+import { logSuccess } from '../../helper/logger.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
 import chalk from 'chalk';
 import { pathToFileURL } from 'url';
 
 export function check(context) {
+    const findings = new TraitFindings('nodejs', context?.logger);
+
     // Check Node.js
     try {
         const nodeVersion = execSync('node --version', { encoding: 'utf8', stdio: 'pipe' }).trim();
@@ -12,15 +15,20 @@ export function check(context) {
         // Warn about very old versions
         const majorVersion = parseInt(nodeVersion.replace('v', '').split('.')[0]);
         if (majorVersion < 14) {
-            logError(`Node.js ${nodeVersion} is too old. Please upgrade to Node.js 14+ for modern tooling support.`);
-            process.exit(1);
+            findings.report({
+                severity: 'error',
+                code: 'node-outdated',
+                message: `Node.js ${nodeVersion} is too old. Please upgrade to Node.js 14+ for modern tooling support.`,
+                fix: 'Install Node.js 14 or newer'
+            });
         }
     } catch (error) {
-        logError('Node.js not found. Please install Node.js to continue.');
-        process.exit(1);
+        findings.report({ severity: 'error', code: 'node-missing', message: 'Node.js not found. Please install Node.js to continue.', fix: 'Install Node.js' });
     }
+
+    return findings.getResult();
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({});
-}
\ No newline at end of file
+    process.exitCode = getCheckExitCode(check({}));
+}
@@ -1,4 +1,6 @@
 import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
 import { logInfo, logWarn } from '../../helper/logger.js';
 import chalk from 'chalk';
 import { pathToFileURL } from 'url';
@@ -69,7 +71,12 @@ class NpmTraitChecker extends BaseTraitChecker {
         if (foundLock) {
             this.logger.info(`${chalk.white(foundLock.file)} found (${foundLock.type} project).`);
         } else {
-            this.logger.warn(`No lock file found. Run ${chalk.cyan('npm install')}, ${chalk.cyan('yarn install')}, or ${chalk.cyan('pnpm install')} to generate lock file and install dependencies.`);
+            this.report({
+                severity: 'warning',
+                code: 'missing-lock-file',
+                message: `No lock file found. Run ${chalk.cyan('npm install')}, ${chalk.cyan('yarn install')}, or ${chalk.cyan('pnpm install')} to generate lock file and install dependencies.`,
+                remediation: createCommandRemediation('npm install')
+            });
         }
     }
 
@@ -99,5 +106,5 @@ export function check(context) {
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({ cwd: process.cwd() });
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
 }
\ No newline at end of file
@@ -1,19 +1,23 @@
 import { execSync } from 'child_process';
-import { logError, logSuccess, logInfo } from '../../helper/logger.js';
+import { logSuccess } from '../../helper/logger.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
 import chalk from 'chalk';
 import { pathToFileURL } from 'url';
 
 export function check(context) {
+    const findings = new TraitFindings('npm', context?.logger);
+
     // Check npm
     try {
         const npmVersion = execSync('npm --version', { encoding: 'utf8', stdio: 'pipe' }).trim();
         logSuccess(`npm is installed: ${chalk.white(npmVersion)}`);
     } catch (error) {
-        logError('npm not found. Please install npm to continue.');
-        process.exit(1);
+        findings.report({ severity: 'error', code: 'npm-missing', message: 'npm not found. Please install npm to continue.', fix: 'Install npm' });
     }
+
+    return findings.getResult();
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({});
-}
\ No newline at end of file
+    process.exitCode = getCheckExitCode(check({}));
+}
@@ -1,18 +1,22 @@
 import {execSync} from 'child_process';
-import {logError, logSuccess} from '../../helper/logger.js';
+import {logSuccess} from '../../helper/logger.js';
+import {getCheckExitCode, TraitFindings} from '../../helper/trait-findings.js';
 import chalk from "chalk";
 import {pathToFileURL} from 'url';
 
 export function check(context) {
+    const findings = new TraitFindings('php', context?.logger);
+
     try {
         execSync('php -v', {stdio: 'ignore'});
         logSuccess(`'${chalk.white('php')}' is installed.`);
     } catch (error) {
-        logError('php command not found. Please install PHP to continue.');
-        process.exit(1);
+        findings.report({severity: 'error', code: 'php-missing', message: 'php command not found. Please install PHP to continue.', fix: 'Install PHP'});
     }
+
+    return findings.getResult();
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({});
-}
\ No newline at end of file
+    process.exitCode = getCheckExitCode(check({}));
+}
@@ -0,0 +1,104 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { PythonProjectHelper } from '../../helper/python-project-helper.js';
+import chalk from 'chalk';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Requirements files compiled from requirements.in by pip-tools, or kept by hand
+const REQUIREMENTS_FILES = ['requirements.txt', 'requirements.in'];
+
+class PipTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'pip');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.pythonHelper = new PythonProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require a requirements file
+        this.configHelper.requireOneOfConfigs(REQUIREMENTS_FILES, 'pip');
+    }
+
+    async validateDependencies() {
+        // Check pinned requirements
+        const requirements = this.validateRequirementsLock();
+
+        // Check installed requirements
+        if (requirements) {
+            this.validateInstalledRequirements(requirements);
+        }
+    }
+
+    /**
+     * Validate that requirements are locked (pinned versions)
+     *
+     * @returns {Array<Object>|null} Requirements of requirements.txt, null without the file
+     */
+    validateRequirementsLock() {
+        const requirements = this.pythonHelper.readRequirements('requirements.txt');
+
+        if (!requirements) {
+            // requirements.in only: pip-tools compiles the lock file
+            this.report({
+                severity: 'warning',
+                code: 'missing-lock-file',
+                message: `${chalk.white('requirements.txt')} not found. Run ${chalk.cyan('pip-compile requirements.in')} to pin the dependencies.`,
+                file: 'requirements.txt',
+                remediation: createCommandRemediation('pip-compile requirements.in')
+            });
+            return null;
+        }
+
+        const unpinned = requirements.filter(requirement => !requirement.pinned);
+        if (requirements.length === 0) {
+            this.logger.info(`${chalk.white('requirements.txt')} declares no requirements.`);
+        } else if (unpinned.length === 0) {
+            this.logger.success(`All ${chalk.cyan(requirements.length)} requirements in ${chalk.white('requirements.txt')} are pinned.`);
+        } else if (this.configHelper.hasAnyConfig(['constraints.txt', 'requirements.lock'])) {
+            this.logger.info(`${chalk.cyan(unpinned.length)} unpinned requirement(s) - versions are locked by a constraints file.`);
+        } else {
+            this.report({
+                severity: 'warning',
+                code: 'unpinned-requirements',
+                message: `${chalk.cyan(unpinned.length)} requirement(s) in ${chalk.white('requirements.txt')} are not pinned: ` +
+                    `${unpinned.slice(0, 5).map(requirement => requirement.name).join(', ')}${unpinned.length > 5 ? ', ...' : ''}. ` +
+                    'Pin them with == (or pip-tools) for reproducible installs.',
+                file: 'requirements.txt'
+            });
+        }
+
+        return requirements;
+    }
+
+    /**
+     * Validate that the requirements are installed into the virtualenv
+     *
+     * @param {Array<Object>} requirements - Requirements of requirements.txt
+     */
+    validateInstalledRequirements(requirements) {
+        const virtualenv = this.pythonHelper.findVirtualenv();
+        if (!virtualenv) {
+            this.logger.info('No virtualenv found - skipping the installed requirements check.');
+            return;
+        }
+
+        this.pythonHelper.validateInstalledPackages(virtualenv, requirements.map(requirement => requirement.name), {
+            file: 'requirements.txt',
+            command: `${path.join(virtualenv, 'bin', 'python')} -m pip install -r requirements.txt`
+        });
+    }
+}
+
+export function check(context) {
+    const checker = new PipTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,34 @@
+import { execSync } from 'child_process';
+import { logSuccess } from '../../helper/logger.js';
+import { detectPythonInterpreter } from '../../helper/python-project-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('pip', context?.logger);
+
+    // Check pip of the Python interpreter (a missing interpreter is reported by the python trait)
+    const interpreter = detectPythonInterpreter();
+    if (!interpreter) {
+        return findings.getResult();
+    }
+
+    try {
+        const version = execSync(`${interpreter.command} -m pip --version`, { encoding: 'utf8', stdio: 'pipe' }).trim();
+        logSuccess(`pip is installed: ${chalk.white(version.split(' from ')[0])}`);
+    } catch (error) {
+        findings.report({
+            severity: 'error',
+            code: 'pip-missing',
+            message: `pip not found for ${interpreter.command}. Please install pip to continue.`,
+            fix: `${interpreter.command} -m ensurepip --upgrade`
+        });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({}));
+}
@@ -0,0 +1,149 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { normalizePackageName, PythonProjectHelper } from '../../helper/python-project-helper.js';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { pathToFileURL } from 'url';
+
+// Pipfile sections and the Pipfile.lock sections they are locked into
+const LOCKED_SECTIONS = [['packages', 'default'], ['dev-packages', 'develop']];
+
+class PipenvTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'pipenv');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.pythonHelper = new PythonProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require Pipfile
+        this.configHelper.requireFile('Pipfile');
+
+        const pipfile = this.pythonHelper.pipfile;
+        if (pipfile && !pipfile.packages && !pipfile['dev-packages']) {
+            this.logger.info(`${chalk.white('Pipfile')} declares no packages.`);
+        }
+    }
+
+    async validateDependencies() {
+        // Check Pipfile.lock
+        const lock = this.validateLockFile();
+
+        // Check the virtualenv managed by Pipenv
+        this.validateVirtualenv(lock);
+    }
+
+    /**
+     * Validate that Pipfile.lock exists and matches the Pipfile
+     *
+     * @returns {Object|null} Parsed Pipfile.lock, null when missing or invalid
+     */
+    validateLockFile() {
+        if (!this.pythonHelper.hasFile('Pipfile.lock')) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-lock-file',
+                message: `${chalk.white('Pipfile.lock')} not found. Run ${chalk.cyan('pipenv lock')} to pin the dependencies.`,
+                file: 'Pipfile.lock',
+                remediation: createCommandRemediation('pipenv lock')
+            });
+            return null;
+        }
+
+        const lock = this.configHelper.validateJsonFile('Pipfile.lock', false);
+        const pipfile = this.pythonHelper.pipfile;
+        if (!lock || !pipfile) return lock;
+
+        // === LOCK FRESHNESS ===
+        // Packages added to the Pipfile after the last `pipenv lock`
+        const unlocked = LOCKED_SECTIONS.flatMap(([section, lockSection]) => {
+            const locked = new Set(Object.keys(lock[lockSection] ?? {}).map(normalizePackageName));
+            return Object.keys(pipfile[section] ?? {}).filter(name => !locked.has(normalizePackageName(name)));
+        });
+
+        const pythonVersion = pipfile.requires?.python_version;
+        const lockedPythonVersion = lock._meta?.requires?.python_version;
+        const pythonChanged = pythonVersion && lockedPythonVersion && String(pythonVersion) !== String(lockedPythonVersion);
+
+        if (unlocked.length > 0 || pythonChanged) {
+            const reason = unlocked.length > 0
+                ? `not locked: ${unlocked.slice(0, 5).join(', ')}${unlocked.length > 5 ? ', ...' : ''}`
+                : `Python ${lockedPythonVersion} locked, ${pythonVersion} required`;
+            this.report({
+                severity: 'warning',
+                code: 'outdated-lock-file',
+                message: `${chalk.white('Pipfile.lock')} is out of date (${reason}). Run ${chalk.cyan('pipenv lock')}.`,
+                file: 'Pipfile.lock',
+                remediation: createCommandRemediation('pipenv lock')
+            });
+        } else {
+            this.logger.success(`${chalk.white('Pipfile.lock')} is up to date with the ${chalk.white('Pipfile')}.`);
+        }
+
+        return lock;
+    }
+
+    /**
+     * Locate the Pipenv virtualenv (in-project or in the Pipenv cache)
+     *
+     * @returns {string|null} Virtualenv directory, null when none exists
+     */
+    findPipenvVirtualenv() {
+        const inProject = this.pythonHelper.findVirtualenv();
+        if (inProject) {
+            return inProject;
+        }
+
+        try {
+            const output = execSync('pipenv --venv', {
+                cwd: this.cwd,
+                encoding: 'utf8',
+                stdio: 'pipe',
+                timeout: 15000,
+                env: { ...process.env, PIPENV_VERBOSITY: '-1' }
+            }).trim();
+            return output || null;
+        } catch (error) {
+            // Pipenv missing (reported in preClone) or no virtualenv created yet
+            return null;
+        }
+    }
+
+    /**
+     * Validate the virtualenv and the locked packages installed into it
+     *
+     * @param {Object|null} lock - Parsed Pipfile.lock
+     */
+    validateVirtualenv(lock) {
+        const virtualenv = this.findPipenvVirtualenv();
+
+        if (!virtualenv) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-virtualenv',
+                message: `No Pipenv virtualenv found. Run ${chalk.cyan('pipenv install --dev')} to create it and install the dependencies.`,
+                remediation: createCommandRemediation('pipenv install --dev')
+            });
+            return;
+        }
+
+        this.logger.success(`Pipenv virtualenv found: ${chalk.white(virtualenv)}`);
+        if (!lock) return;
+
+        const packages = LOCKED_SECTIONS.flatMap(([, lockSection]) => Object.keys(lock[lockSection] ?? {}));
+        this.pythonHelper.validateInstalledPackages(virtualenv, packages, { file: 'Pipfile.lock', command: 'pipenv install --dev' });
+    }
+}
+
+export function check(context) {
+    const checker = new PipenvTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,23 @@
+import { execSync } from 'child_process';
+import { logSuccess } from '../../helper/logger.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('pipenv', context?.logger);
+
+    // Check Pipenv
+    try {
+        const version = execSync('pipenv --version', { encoding: 'utf8', stdio: 'pipe' }).trim();
+        logSuccess(`Pipenv is installed: ${chalk.white(version)}`);
+    } catch (error) {
+        findings.report({ severity: 'error', code: 'pipenv-missing', message: 'Pipenv not found. Please install Pipenv to continue.', fix: 'python3 -m pip install --user pipenv' });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({}));
+}
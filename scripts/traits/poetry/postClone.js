@@ -0,0 +1,127 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { PythonProjectHelper } from '../../helper/python-project-helper.js';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { pathToFileURL } from 'url';
+
+class PoetryTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'poetry');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.pythonHelper = new PythonProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require pyproject.toml managed by Poetry
+        this.configHelper.requireFile('pyproject.toml');
+
+        if (this.pythonHelper.pyproject && !this.pythonHelper.isPoetryProject()) {
+            this.report({
+                severity: 'error',
+                code: 'not-poetry-project',
+                message: `${chalk.white('pyproject.toml')} has no ${chalk.cyan('[tool.poetry]')} table and does not build with poetry-core.`,
+                file: 'pyproject.toml'
+            });
+        }
+    }
+
+    async validateDependencies() {
+        // Check poetry.lock
+        const lock = this.validateLockFile();
+
+        // Check the virtualenv managed by Poetry
+        this.validateVirtualenv(lock);
+    }
+
+    /**
+     * Validate that poetry.lock exists and can be read
+     *
+     * @returns {Object|null} Parsed poetry.lock, null when missing or invalid
+     */
+    validateLockFile() {
+        if (!this.pythonHelper.hasFile('poetry.lock')) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-lock-file',
+                message: `${chalk.white('poetry.lock')} not found. Run ${chalk.cyan('poetry lock')} to pin the dependencies.`,
+                file: 'poetry.lock',
+                remediation: createCommandRemediation('poetry lock')
+            });
+            return null;
+        }
+
+        const lock = this.pythonHelper.loadTomlManifest('poetry.lock');
+        if (lock && !lock.metadata) {
+            this.report({
+                severity: 'warning',
+                code: 'invalid-lock-file',
+                message: `${chalk.white('poetry.lock')} has no ${chalk.cyan('[metadata]')} table. Run ${chalk.cyan('poetry lock')} to regenerate it.`,
+                file: 'poetry.lock',
+                remediation: createCommandRemediation('poetry lock')
+            });
+            return null;
+        }
+
+        return lock;
+    }
+
+    /**
+     * Locate the Poetry virtualenv (in-project or in the Poetry cache)
+     *
+     * @returns {string|null} Virtualenv directory, null when none exists
+     */
+    findPoetryVirtualenv() {
+        const inProject = this.pythonHelper.findVirtualenv();
+        if (inProject) {
+            return inProject;
+        }
+
+        try {
+            const output = execSync('poetry env info --path', { cwd: this.cwd, encoding: 'utf8', stdio: 'pipe', timeout: 15000 }).trim();
+            return output || null;
+        } catch (error) {
+            // Poetry missing (reported in preClone) or no virtualenv created yet
+            return null;
+        }
+    }
+
+    /**
+     * Validate the virtualenv and the locked packages installed into it
+     *
+     * @param {Object|null} lock - Parsed poetry.lock
+     */
+    validateVirtualenv(lock) {
+        const virtualenv = this.findPoetryVirtualenv();
+
+        if (!virtualenv) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-virtualenv',
+                message: `No Poetry virtualenv found. Run ${chalk.cyan('poetry install')} to create it and install the dependencies.`,
+                remediation: createCommandRemediation('poetry install')
+            });
+            return;
+        }
+
+        this.logger.success(`Poetry virtualenv found: ${chalk.white(virtualenv)}`);
+        if (!lock) return;
+
+        // Optional packages are only installed with their extras
+        const packages = (lock.package ?? []).filter(locked => !locked.optional).map(locked => locked.name);
+        this.pythonHelper.validateInstalledPackages(virtualenv, packages, { file: 'poetry.lock', command: 'poetry install' });
+    }
+}
+
+export function check(context) {
+    const checker = new PoetryTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,23 @@
+import { execSync } from 'child_process';
+import { logSuccess } from '../../helper/logger.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('poetry', context?.logger);
+
+    // Check Poetry
+    try {
+        const version = execSync('poetry --version', { encoding: 'utf8', stdio: 'pipe' }).trim();
+        logSuccess(`Poetry is installed: ${chalk.white(version)}`);
+    } catch (error) {
+        findings.report({ severity: 'error', code: 'poetry-missing', message: 'Poetry not found. Please install Poetry to continue.', fix: 'Install Poetry (https://python-poetry.org/docs/#installation)' });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({}));
+}
@@ -1,4 +1,6 @@
 import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
 import { logInfo } from '../../helper/logger.js';
 import chalk from 'chalk';
 import { pathToFileURL } from 'url';
@@ -26,7 +28,13 @@ class PrettierTraitChecker extends BaseTraitChecker {
         if (hasPrettier) {
             this.logger.info(`Prettier dependency found in ${chalk.white('package.json')}.`);
         } else {
-            this.logger.warn('Prettier dependency not found. Consider adding prettier to devDependencies.');
+            this.report({
+                severity: 'warning',
+                code: 'missing-dependency',
+                message: 'Prettier dependency not found. Consider adding prettier to devDependencies.',
+                file: 'package.json',
+                remediation: createCommandRemediation('npm install prettier --save-dev')
+            });
         }
 
         // Check for Prettier scripts
@@ -57,5 +65,5 @@ export function check(context) {
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({ cwd: process.cwd() });
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
 }
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { detectPythonInterpreter, PYTHON_MANIFESTS, PythonProjectHelper } from '../../helper/python-project-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+// Traits that create and manage the virtualenv themselves
+const VIRTUALENV_MANAGERS = ['poetry', 'pipenv'];
+
+class PythonTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'python');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.pythonHelper = new PythonProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require a Python manifest
+        const manifest = this.configHelper.requireOneOfConfigs(PYTHON_MANIFESTS, 'Python');
+
+        if (this.pythonHelper.hasFile('pyproject.toml')) {
+            this.validatePyproject();
+        } else if (manifest === 'setup.py') {
+            this.logger.info(`Consider declaring the project in ${chalk.white('pyproject.toml')} instead of ${chalk.white('setup.py')} (PEP 621).`);
+        }
+    }
+
+    async validateConfiguration() {
+        // Validate .gitignore
+        this.configHelper.validateGitignore(['__pycache__/', `${this.pythonHelper.findVirtualenv() ?? '.venv'}/`], 'Python');
+
+        // Check tool configuration
+        this.validateToolConfiguration();
+    }
+
+    async validateDependencies() {
+        // Check interpreter and virtualenv
+        this.validateVirtualenv();
+    }
+
+    async provideSuggestions() {
+        // Suggest missing traits based on detected technologies
+        this.adviser.suggestAllMissingTraits();
+    }
+
+    /**
+     * Validate pyproject.toml metadata
+     */
+    validatePyproject() {
+        const pyproject = this.pythonHelper.pyproject;
+        if (!pyproject) return;
+
+        if (!pyproject['build-system']) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-build-system',
+                message: `${chalk.white('pyproject.toml')} has no ${chalk.cyan('[build-system]')} table. Installers fall back to the legacy setuptools build.`,
+                file: 'pyproject.toml'
+            });
+        }
+
+        // Project metadata lives in [project] (PEP 621) or [tool.poetry]
+        const name = this.pythonHelper.getPyprojectValue('project.name') ?? this.pythonHelper.getPyprojectValue('tool.poetry.name');
+        if (name) {
+            this.logger.success(`Python project found: ${chalk.white(name)}`);
+        } else if (pyproject.project || pyproject.tool?.poetry?.version) {
+            this.report({
+                severity: 'warning',
+                code: 'missing-field',
+                message: `${chalk.white('pyproject.toml')} is missing the project ${chalk.cyan('name')}.`,
+                file: 'pyproject.toml'
+            });
+        } else {
+            this.logger.info(`${chalk.white('pyproject.toml')} only configures tools (no ${chalk.cyan('[project]')} table).`);
+        }
+    }
+
+    /**
+     * Validate the interpreter and the in-project virtualenv
+     */
+    validateVirtualenv() {
+        const virtualenv = this.pythonHelper.findVirtualenv();
+
+        if (virtualenv) {
+            const interpreter = this.pythonHelper.getVirtualenvInterpreter(virtualenv);
+            if (interpreter) {
+                this.logger.success(`Virtualenv ${chalk.white(virtualenv)} found (Python ${interpreter.version}).`);
+                this.pythonHelper.validatePythonVersion(interpreter);
+            } else {
+                this.report({
+                    severity: 'warning',
+                    code: 'broken-virtualenv',
+                    message: `Virtualenv ${chalk.white(virtualenv)} has no working interpreter. Recreate it.`,
+                    file: virtualenv
+                });
+            }
+            return;
+        }
+
+        // Without a virtualenv the interpreter on the PATH is used
+        const interpreter = detectPythonInterpreter(this.cwd);
+        if (!interpreter) {
+            this.report({ severity: 'error', code: 'python-missing', message: 'Python not found. Please install Python 3 to continue.', fix: 'Install Python 3' });
+            return;
+        }
+        this.pythonHelper.validatePythonVersion(interpreter);
+
+        const manager = VIRTUALENV_MANAGERS.find(trait => this.isTraitActive(trait));
+        if (manager) {
+            this.logger.info(`No in-project virtualenv - the ${chalk.cyan(manager)} trait checks the virtualenv managed by ${manager}.`);
+            return;
+        }
+
+        this.report({
+            severity: 'warning',
+            code: 'missing-virtualenv',
+            message: `No virtualenv found (${chalk.white('.venv')}, ${chalk.white('venv')}). Run ${chalk.cyan(`${interpreter.command} -m venv .venv`)} to isolate the project dependencies.`,
+            remediation: createCommandRemediation(`${interpreter.command} -m venv .venv`, 'Create virtualenv .venv')
+        });
+    }
+
+    /**
+     * Check pytest, ruff and mypy configuration
+     */
+    validateToolConfiguration() {
+        const tools = [
+            { tool: 'pytest', purpose: 'tests', indicator: () => this.directoryHelper.hasDirectory('tests') || this.configHelper.hasFile('conftest.py') },
+            { tool: 'ruff', purpose: 'linting and formatting', indicator: null },
+            { tool: 'mypy', purpose: 'type checking', indicator: () => this.configHelper.hasFile('py.typed') }
+        ];
+
+        tools.forEach(({ tool, purpose, indicator }) => {
+            const config = this.pythonHelper.findToolConfig(tool);
+
+            if (config) {
+                this.logger.success(`${tool} configuration found: ${chalk.white(config)}`);
+            } else if (this.pythonHelper.hasDependency(tool) || indicator?.()) {
+                this.report({
+                    severity: 'info',
+                    code: 'missing-tool-config',
+                    message: `${tool} is used but not configured. Consider adding ${chalk.cyan(`[tool.${tool === 'pytest' ? 'pytest.ini_options' : tool}]`)} to ${chalk.white('pyproject.toml')}.`,
+                    file: 'pyproject.toml'
+                });
+            } else {
+                this.logger.info(`Consider ${chalk.cyan(tool)} for ${purpose}.`);
+            }
+        });
+    }
+}
+
+export function check(context) {
+    const checker = new PythonTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
@@ -0,0 +1,38 @@
+import fs from 'fs';
+import { logSuccess } from '../../helper/logger.js';
+import { detectPythonInterpreter, PythonProjectHelper } from '../../helper/python-project-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('python', context?.logger);
+    // An existing checkout selects the interpreter (pyenv) and declares the required version
+    const cwd = context?.cwd && fs.existsSync(context.cwd) ? context.cwd : undefined;
+
+    // Check Python
+    const interpreter = detectPythonInterpreter(cwd);
+    if (!interpreter) {
+        findings.report({ severity: 'error', code: 'python-missing', message: 'Python not found. Please install Python 3 to continue.', fix: 'Install Python 3' });
+        return findings.getResult();
+    }
+    logSuccess(`Python is installed: ${chalk.white(interpreter.version)} (${interpreter.command})`);
+
+    if (parseInt(interpreter.version) < 3) {
+        findings.report({
+            severity: 'error',
+            code: 'python-outdated',
+            message: `Python ${interpreter.version} is no longer supported. Please install Python 3.`,
+            fix: 'Install Python 3'
+        });
+    } else if (cwd) {
+        // Check the version constraint of the project
+        new PythonProjectHelper(cwd, findings).validatePythonVersion(interpreter);
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({ cwd: process.cwd() }));
+}
@@ -1,4 +1,6 @@
 import {BaseTraitChecker} from '../../helper/base-trait-checker.js';
+import {getCheckExitCode} from '../../helper/trait-findings.js';
+import {createCommandRemediation} from '../../helper/remediation.js';
 import chalk from 'chalk';
 import {pathToFileURL} from 'url';
 
@@ -10,8 +12,16 @@ class ReactTraitChecker extends BaseTraitChecker {
     async validateCore() {
         // React dependency is required
         if (!this.packageHelper.hasDependency('react')) {
-            this.logger.error('React dependency not found. This is required for React projects.');
-            process.exit(1);
+            this.report({
+                severity: 'error',
+                code: 'missing-dependency',
+                message: 'React dependency not found. This is required for React projects.',
+                file: 'package.json',
+                remediation: createCommandRemediation('npm install react')
+            });
+            // Nothing else to validate without the dependency
+            this.stopValidation('React dependency not found');
+            return;
         }
         this.logger.success(`React dependency found in ${chalk.white('package.json')}.`);
     }
@@ -21,7 +31,13 @@ class ReactTraitChecker extends BaseTraitChecker {
         if (this.packageHelper.hasDependency('react-dom')) {
             this.logger.success(`React DOM dependency found in ${chalk.white('package.json')}.`);
         } else {
-            this.logger.warn('React DOM dependency not found. Consider adding react-dom for web applications.');
+            this.report({
+                severity: 'warning',
+                code: 'missing-dependency',
+                message: 'React DOM dependency not found. Consider adding react-dom for web applications.',
+                file: 'package.json',
+                remediation: createCommandRemediation('npm install react-dom')
+            });
         }
 
         // Check for React TypeScript types
@@ -62,7 +78,12 @@ class ReactTraitChecker extends BaseTraitChecker {
      */
     validateSourceStructure() {
         if (!this.directoryHelper.hasDirectory('src')) {
-            this.logger.warn(`${chalk.white('src/')} directory not found. This is typical for React projects.`);
+            this.report({
+                severity: 'warning',
+                code: 'missing-directory',
+                message: `${chalk.white('src/')} directory not found. This is typical for React projects.`,
+                file: 'src'
+            });
             return;
         }
 
@@ -118,5 +139,5 @@ export function check(context) {
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({cwd: process.cwd()});
+    process.exitCode = getCheckExitCode(await check({cwd: process.cwd()}));
 }
\ No newline at end of file
@@ -0,0 +1,134 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { RustProjectHelper } from '../../helper/rust-project-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+class RustTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'rust');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.rustHelper = new RustProjectHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require Cargo.toml
+        this.configHelper.requireFile('Cargo.toml');
+
+        const manifest = this.rustHelper.cargoToml;
+        if (!manifest) return;
+
+        if (manifest.package?.name) {
+            this.logger.success(`Rust crate found: ${chalk.white(manifest.package.name)}`);
+        } else if (manifest.workspace) {
+            this.logger.success(`Cargo workspace found (${chalk.cyan((manifest.workspace.members ?? []).length)} member pattern(s)).`);
+        } else {
+            this.report({
+                severity: 'error',
+                code: 'missing-field',
+                message: `${chalk.white('Cargo.toml')} needs a ${chalk.cyan('[package]')} with a name or a ${chalk.cyan('[workspace]')} table.`,
+                file: 'Cargo.toml'
+            });
+        }
+    }
+
+    async validateConfiguration() {
+        // Validate .gitignore
+        this.configHelper.validateGitignore(['target/'], 'Rust');
+    }
+
+    async validateDependencies() {
+        // Check the toolchain against rust-version and rust-toolchain.toml
+        this.rustHelper.validateToolchain();
+
+        // Check Cargo.lock
+        const locked = this.validateCargoLock();
+
+        // Check fetched crates
+        if (locked) {
+            this.validateFetchedCrates();
+        }
+    }
+
+    async provideSuggestions() {
+        // Suggest missing traits based on detected technologies
+        this.adviser.suggestAllMissingTraits();
+    }
+
+    /**
+     * Validate that Cargo.lock exists and locks the dependencies of Cargo.toml
+     *
+     * @returns {boolean} True when Cargo.lock can be used for the fetch check
+     */
+    validateCargoLock() {
+        if (!this.configHelper.hasFile('Cargo.lock')) {
+            // Libraries may leave the lock file to their dependents
+            const isLibrary = !this.rustHelper.cargoToml?.workspace && !this.rustHelper.cargoToml?.bin && !this.configHelper.hasFile('src/main.rs');
+            if (isLibrary) {
+                this.logger.info(`${chalk.white('Cargo.lock')} not found (library crate).`);
+                return false;
+            }
+
+            this.report({
+                severity: 'warning',
+                code: 'missing-lock-file',
+                message: `${chalk.white('Cargo.lock')} not found. Run ${chalk.cyan('cargo generate-lockfile')} to pin the dependencies.`,
+                file: 'Cargo.lock',
+                remediation: createCommandRemediation('cargo generate-lockfile')
+            });
+            return false;
+        }
+
+        const lock = this.rustHelper.cargoLock;
+        if (!lock) return false;
+
+        const lockedNames = new Set((lock.package ?? []).map(locked => locked.name));
+        const unlocked = this.rustHelper.getDependencyNames().filter(name => !lockedNames.has(name));
+        if (unlocked.length > 0) {
+            this.report({
+                severity: 'warning',
+                code: 'outdated-lock-file',
+                message: `${chalk.white('Cargo.lock')} does not lock ${unlocked.slice(0, 5).join(', ')}${unlocked.length > 5 ? ', ...' : ''}. ` +
+                    `Run ${chalk.cyan('cargo update --workspace')}.`,
+                file: 'Cargo.lock',
+                remediation: createCommandRemediation('cargo update --workspace')
+            });
+        } else {
+            this.logger.success(`${chalk.white('Cargo.lock')} locks all dependencies of ${chalk.white('Cargo.toml')}.`);
+        }
+        return true;
+    }
+
+    /**
+     * Validate that the locked crates are fetched to the registry cache
+     */
+    validateFetchedCrates() {
+        const missing = this.rustHelper.getMissingCrates() ?? [];
+        if (missing.length === 0) {
+            this.logger.success('All locked crates are fetched.');
+            return;
+        }
+
+        this.report({
+            severity: 'warning',
+            code: 'missing-crates',
+            message: `${missing.length} locked crate(s) are not fetched: ` +
+                `${missing.slice(0, 5).map(({ name, version }) => `${name} ${version}`).join(', ')}${missing.length > 5 ? ', ...' : ''}. Run ${chalk.cyan('cargo fetch')}.`,
+            file: 'Cargo.lock',
+            remediation: createCommandRemediation('cargo fetch')
+        });
+    }
+}
+
+export function check(context) {
+    const checker = new RustTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
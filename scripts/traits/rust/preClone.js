@@ -0,0 +1,38 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { logSuccess } from '../../helper/logger.js';
+import { detectRustToolchain, RustProjectHelper } from '../../helper/rust-project-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('rust', context?.logger);
+    // An existing checkout selects its pinned toolchain and declares rust-version
+    const cwd = context?.cwd && fs.existsSync(path.join(context.cwd, 'Cargo.toml')) ? context.cwd : undefined;
+
+    // Check Rust
+    const toolchain = cwd ? new RustProjectHelper(cwd, findings).validateToolchain() : detectRustToolchain();
+    if (!toolchain) {
+        if (!cwd) {
+            findings.report({ severity: 'error', code: 'rust-missing', message: 'Rust not found. Please install Rust (rustup) to continue.', fix: 'Install Rust via https://rustup.rs' });
+        }
+        return findings.getResult();
+    }
+    logSuccess(`Rust is installed: ${chalk.white(toolchain.version)}`);
+
+    // Check Cargo
+    try {
+        const cargoVersion = execSync('cargo --version', { cwd, encoding: 'utf8', stdio: 'pipe', env: { ...process.env, RUSTUP_AUTO_INSTALL: '0' } }).trim();
+        logSuccess(`Cargo is installed: ${chalk.white(cargoVersion)}`);
+    } catch (error) {
+        findings.report({ severity: 'error', code: 'cargo-missing', message: 'Cargo not found. Please install Cargo to continue.', fix: 'rustup component add cargo' });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({ cwd: process.cwd() }));
+}
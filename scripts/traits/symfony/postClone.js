@@ -0,0 +1,158 @@
+import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
+import { PhpFrameworkHelper } from '../../helper/php-framework-helper.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+// Env files with machine-specific values, never committed (Symfony 4.2+ conventions)
+const LOCAL_ENV_FILES = ['.env.local', '.env.local.php', '.env.*.local'];
+
+class SymfonyTraitChecker extends BaseTraitChecker {
+    constructor(context) {
+        super(context, 'symfony');
+    }
+
+    initializeHelpers() {
+        super.initializeHelpers();
+        this.phpHelper = new PhpFrameworkHelper(this.cwd, this.findings);
+    }
+
+    async validateCore() {
+        // Require composer.json with the framework bundle
+        this.configHelper.requireFile('composer.json', 'This is required for Symfony applications.');
+
+        if (this.phpHelper.requiresPackage('symfony/framework-bundle')) {
+            this.logger.success(`Symfony application found: ${chalk.white(`symfony/framework-bundle ${this.phpHelper.getPackageVersion('symfony/framework-bundle')}`)}`);
+        } else {
+            this.report({
+                severity: 'error',
+                code: 'missing-dependency',
+                message: `${chalk.white('composer.json')} does not require ${chalk.cyan('symfony/framework-bundle')}.`,
+                file: 'composer.json'
+            });
+        }
+    }
+
+    async validateConfiguration() {
+        // Validate .gitignore
+        this.configHelper.validateGitignore([...LOCAL_ENV_FILES, 'var/'], 'Symfony');
+
+        // Check the .env conventions
+        this.validateEnvFiles();
+    }
+
+    async validateStructure() {
+        // Check the console and the bundle configuration
+        if (this.phpHelper.hasFile('bin/console')) {
+            this.logger.success(`Symfony console found: ${chalk.white('bin/console')}`);
+        } else {
+            this.report({ severity: 'error', code: 'missing-file', message: `${chalk.white('bin/console')} not found.`, file: 'bin/console' });
+        }
+
+        if (this.directoryHelper.hasDirectory('config/packages')) {
+            this.logger.success(`Bundle configuration found: ${chalk.white('config/packages')}`);
+        } else {
+            this.report({
+                severity: 'warning',
+                code: 'missing-directory',
+                message: `${chalk.white('config/packages')} not found. Symfony Flex applications configure their bundles there.`,
+                file: 'config/packages'
+            });
+        }
+    }
+
+    async validateDependencies() {
+        // Offer to warm up the cache of the configured environment
+        this.validateCache();
+    }
+
+    /**
+     * Validate .env, .env.local and the untracked local env files
+     *
+     * Since Symfony 4.2 .env holds the committed defaults and .env.local the
+     * machine-specific overrides; older applications committed .env.dist.
+     */
+    validateEnvFiles() {
+        const env = this.phpHelper.readDotenv('.env');
+        if (env === null) {
+            if (this.phpHelper.hasFile('.env.dist')) {
+                this.report({
+                    severity: 'warning',
+                    code: 'legacy-env-file',
+                    message: `${chalk.white('.env.dist')} found instead of ${chalk.white('.env')}. Since Symfony 4.2 the defaults are committed as ` +
+                        `${chalk.white('.env')} and overridden in ${chalk.white('.env.local')}.`,
+                    file: '.env.dist'
+                });
+            } else {
+                this.report({
+                    severity: 'error',
+                    code: 'missing-env-file',
+                    message: `${chalk.white('.env')} not found. ${chalk.cyan('bin/console')} cannot boot without it.`,
+                    file: '.env'
+                });
+            }
+            return;
+        }
+
+        if (env.APP_ENV) {
+            this.logger.success(`${chalk.white('.env')} found (APP_ENV=${chalk.cyan(env.APP_ENV)}).`);
+        } else {
+            this.report({ severity: 'warning', code: 'missing-env-variable', message: `${chalk.white('.env')} does not define ${chalk.cyan('APP_ENV')}.`, file: '.env' });
+        }
+
+        const local = this.phpHelper.readDotenv('.env.local');
+        if (local === null) {
+            this.logger.info(`No ${chalk.white('.env.local')} found - put machine-specific values (e.g. DATABASE_URL) there instead of ${chalk.white('.env')}.`);
+        }
+        if (!{ ...env, ...local }.APP_SECRET) {
+            this.report({
+                severity: 'info',
+                code: 'missing-app-secret',
+                message: `${chalk.cyan('APP_SECRET')} is empty. Set it in ${chalk.white('.env.local')} for CSRF tokens and signed URLs.`,
+                file: '.env.local'
+            });
+        }
+
+        this.phpHelper.validateUntrackedEnvFiles(LOCAL_ENV_FILES);
+    }
+
+    /**
+     * Validate that the cache of the configured environment is warmed up
+     *
+     * Skipped until the dependencies are installed - the composer trait
+     * reports a missing vendor directory.
+     */
+    validateCache() {
+        if (!this.phpHelper.hasFile('vendor/autoload.php') || !this.phpHelper.hasFile('bin/console')) {
+            this.logger.info('Dependencies not installed - skipping the cache check.');
+            return;
+        }
+
+        const environment = process.env.APP_ENV ||
+            this.phpHelper.readDotenv('.env.local')?.APP_ENV ||
+            this.phpHelper.readDotenv('.env')?.APP_ENV ||
+            'dev';
+        if (this.directoryHelper.hasDirectory(`var/cache/${environment}`)) {
+            this.logger.success(`Cache found for the ${chalk.cyan(environment)} environment.`);
+            return;
+        }
+
+        this.report({
+            severity: 'info',
+            code: 'cache-not-warmed',
+            message: `No cache for the ${chalk.cyan(environment)} environment. Run ${chalk.cyan('php bin/console cache:warmup')} to speed up the first request.`,
+            file: `var/cache/${environment}`,
+            remediation: createCommandRemediation('php bin/console cache:warmup')
+        });
+    }
+}
+
+export function check(context) {
+    const checker = new SymfonyTraitChecker(context);
+    return checker.check(context);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
+}
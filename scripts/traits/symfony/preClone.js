@@ -0,0 +1,28 @@
+import { logSuccess } from '../../helper/logger.js';
+import { detectSymfonyCli } from '../../helper/php-framework-helper.js';
+import { getCheckExitCode, TraitFindings } from '../../helper/trait-findings.js';
+import chalk from 'chalk';
+import { pathToFileURL } from 'url';
+
+export function check(context) {
+    const findings = new TraitFindings('symfony', context?.logger);
+
+    // Check the Symfony CLI (optional - bin/console works without it)
+    const version = detectSymfonyCli();
+    if (version) {
+        logSuccess(`Symfony CLI is installed: ${chalk.white(version)}`);
+    } else {
+        findings.report({
+            severity: 'info',
+            code: 'symfony-cli-missing',
+            message: `Symfony CLI not found. It provides the local web server and ${chalk.cyan('symfony check:requirements')}.`,
+            fix: 'Install the Symfony CLI (https://symfony.com/download)'
+        });
+    }
+
+    return findings.getResult();
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    process.exitCode = getCheckExitCode(check({}));
+}
@@ -1,5 +1,7 @@
 
 import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
 import { logInfo, logWarn } from '../../helper/logger.js';
 import chalk from 'chalk';
 import { pathToFileURL } from 'url';
@@ -26,7 +28,13 @@ class TypeScriptTraitChecker extends BaseTraitChecker {
         if (hasTypeScript) {
             this.logger.info(`TypeScript dependency found in ${chalk.white('package.json')}.`);
         } else {
-            this.logger.warn('TypeScript dependency not found. Consider adding typescript to devDependencies.');
+            this.report({
+                severity: 'warning',
+                code: 'missing-dependency',
+                message: 'TypeScript dependency not found. Consider adding typescript to devDependencies.',
+                file: 'package.json',
+                remediation: createCommandRemediation('npm install typescript --save-dev')
+            });
         }
 
         const hasNodeTypes = this.packageHelper.hasDependency('@types/node');
@@ -70,7 +78,12 @@ class TypeScriptTraitChecker extends BaseTraitChecker {
                 this.logger.info(`Consider enabling ${chalk.cyan('strict')} mode for better type checking.`);
             }
         } else {
-            this.logger.warn(`No compiler options found in ${chalk.white('tsconfig.json')}.`);
+            this.report({
+                severity: 'warning',
+                code: 'missing-compiler-options',
+                message: `No compiler options found in ${chalk.white('tsconfig.json')}.`,
+                file: 'tsconfig.json'
+            });
         }
     }
 
@@ -110,5 +123,5 @@ export function check(context) {
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({ cwd: process.cwd() });
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
 }
\ No newline at end of file
@@ -1,4 +1,6 @@
 import { BaseTraitChecker } from '../../helper/base-trait-checker.js';
+import { getCheckExitCode } from '../../helper/trait-findings.js';
+import { createCommandRemediation } from '../../helper/remediation.js';
 import chalk from 'chalk';
 import { pathToFileURL } from 'url';
 
@@ -9,9 +11,17 @@ class ViteTraitChecker extends BaseTraitChecker {
 
     async validateCore() {
         // Vite dependency is required - check both dependencies and devDependencies
-        if (!this.packageHelper.hasDependency('vite') && !this.packageHelper.hasDevDependency('vite')) {
-            this.logger.error('Vite dependency not found. Run: npm install vite --save-dev');
-            process.exit(1);
+        if (!this.packageHelper.hasDependency('vite')) {
+            this.report({
+                severity: 'error',
+                code: 'missing-dependency',
+                message: 'Vite dependency not found. Run: npm install vite --save-dev',
+                file: 'package.json',
+                remediation: createCommandRemediation('npm install vite --save-dev')
+            });
+            // Nothing else to validate without the dependency
+            this.stopValidation('Vite dependency not found');
+            return;
         }
         this.logger.success(`Vite dependency found in ${chalk.white('package.json')}.`);
     }
@@ -75,14 +85,14 @@ class ViteTraitChecker extends BaseTraitChecker {
         ];
 
         pluginChecks.forEach(({ plugin, frameworks, message }) => {
-            const hasPlugin = this.packageHelper.hasDependency(plugin) || this.packageHelper.hasDevDependency(plugin);
+            const hasPlugin = this.packageHelper.hasDependency(plugin);
 
             if (hasPlugin) {
                 this.logger.success(`${chalk.white(plugin)} found - ${message}.`);
             } else if (frameworks.length > 0) {
                 // Only suggest if the framework is actually used
                 const hasFramework = frameworks.some(fw =>
-                    this.packageHelper.hasDependency(fw) || this.packageHelper.hasDevDependency(fw)
+                    this.packageHelper.hasDependency(fw)
                 );
 
                 if (hasFramework) {
@@ -99,11 +109,16 @@ class ViteTraitChecker extends BaseTraitChecker {
         // Check for conflicting build tools
         const conflictingTools = ['webpack', 'webpack-cli', 'create-react-app'];
         const conflicts = conflictingTools.filter(tool =>
-            this.packageHelper.hasDependency(tool) || this.packageHelper.hasDevDependency(tool)
+            this.packageHelper.hasDependency(tool)
         );
 
         if (conflicts.length > 0) {
-            this.logger.warn(`Potential build tool conflicts detected: ${chalk.yellow(conflicts.join(', '))}. Ensure Vite configuration takes precedence.`);
+            this.report({
+                severity: 'warning',
+                code: 'build-tool-conflict',
+                message: `Potential build tool conflicts detected: ${chalk.yellow(conflicts.join(', '))}. Ensure Vite configuration takes precedence.`,
+                file: 'package.json'
+            });
         }
     }
 
@@ -162,7 +177,16 @@ class ViteTraitChecker extends BaseTraitChecker {
             if (script && script.includes('vite')) {
                 this.logger.success(`Vite ${name} script found: ${chalk.cyan(script)}`);
             } else if (required) {
-                this.logger.warn(`Missing Vite ${name} script. Consider adding: ${chalk.cyan(suggestion)}`);
+                this.report({
+                    severity: 'warning',
+                    code: 'missing-script',
+                    message: `Missing Vite ${name} script. Consider adding: ${chalk.cyan(suggestion)}`,
+                    file: 'package.json',
+                    // An existing script is not replaced - it only lacks the vite command
+                    ...(script
+                        ? { fix: `Add to package.json scripts: ${suggestion}` }
+                        : { remediation: this.packageHelper.createScriptRemediation(name, pattern) })
+                });
             } else if (!script) {
                 this.logger.info(`Optional: Add ${chalk.cyan(suggestion)} for ${name} functionality.`);
             }
@@ -176,5 +200,5 @@ export function check(context) {
 }
 
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
-    check({ cwd: process.cwd() });
+    process.exitCode = getCheckExitCode(await check({ cwd: process.cwd() }));
 }
\ No newline at end of file
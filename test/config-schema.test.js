@@ -0,0 +1,169 @@
+/*
+================================================================================
+File: test/config-schema.test.js (repos.yaml Validation Tests)
+Description: Checks checkConfigurationSource() on valid and invalid repos.yaml
+             sources and the source positions it reports.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkConfigurationSource } from '../scripts/core/config-schema.js';
+import { getPinnedRef } from '../scripts/core/config.js';
+
+const traits = ['npm', 'php', 'vite'];
+
+/**
+ * Check a repos.yaml source given as lines
+ *
+ * @param {Array<string>} lines - Source lines
+ * @returns {Object} Check result ({config, errors, warnings})
+ */
+function check(lines) {
+    return checkConfigurationSource(lines.join('\n'), { traits });
+}
+
+/*
+================================================================================
+REF PINNING
+================================================================================
+*/
+
+test('commit SHAs YAML reads as numbers are kept as written', () => {
+    const { config, errors } = check([
+        'repos:',
+        '  leading-zero:',
+        '    url: https://example.com/a.git',
+        '    commit: 0123456',
+        '  exponent:',
+        '    url: https://example.com/b.git',
+        '    commit: 1234e56  # pinned for the release',
+        '  hex:',
+        '    url: https://example.com/c.git',
+        '    commit: 0a1b2c3d'
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(Object.values(config.repos).map(repo => repo.commit), ['0123456', '1234e56', '0a1b2c3d']);
+});
+
+test('malformed commit SHAs and combined pins are errors at their line', () => {
+    const { errors } = check([
+        'repos:',
+        '  short:',
+        '    url: https://example.com/a.git',
+        '    commit: 12345',
+        '  both:',
+        '    url: https://example.com/b.git',
+        '    tag: v1.0.0',
+        '    branch: main'
+    ]);
+
+    assert.deepEqual(errors.map(({ path, line, message }) => ({ path: path.join('.'), line, message })), [
+        { path: 'repos.short.commit', line: 4, message: "invalid value '12345' (must be a commit SHA (7-40 hex characters))" },
+        { path: 'repos.both.tag', line: 7, message: "'branch' and 'tag' cannot be combined - pin the repository to a single ref" }
+    ]);
+});
+
+test('the pinned ref of a repository', () => {
+    assert.deepEqual(getPinnedRef({ url: 'https://example.com/a.git', tag: 'v1.0.0' }), { type: 'tag', value: 'v1.0.0' });
+    assert.deepEqual(getPinnedRef({ branch: 'release/1.x' }), { type: 'branch', value: 'release/1.x' });
+    assert.deepEqual(getPinnedRef({ commit: '0123456' }), { type: 'commit', value: '0123456' });
+    assert.equal(getPinnedRef({ url: 'https://example.com/a.git' }), null);
+    assert.equal(getPinnedRef(null), null);
+});
+
+/*
+================================================================================
+SCHEMA AND CROSS-FIELD VALIDATION
+================================================================================
+*/
+
+/**
+ * Reduce issues to `line:column path: message`
+ *
+ * @param {Array<Object>} issues - Located issues
+ * @returns {Array<string>} Formatted issues
+ */
+function describe(issues) {
+    return issues.map(({ line, column, path, message }) => `${line}:${column} ${path.join('.')}: ${message}`);
+}
+
+test('a valid configuration has no issues', () => {
+    const { config, errors, warnings } = check([
+        'repos:',
+        '  api:',
+        '    url: git@example.com:team/api.git',
+        '    traits: [npm]',
+        '    tags: [backend]',
+        '    postClone:',
+        '      run: npm run build',
+        '      timeout: 300',
+        '      retries: 2',
+        '  web:',
+        '    url: https://example.com/web.git',
+        '    dependsOn: [api]',
+        'groups:',
+        '  all: [api, web]'
+    ]);
+
+    assert.deepEqual({ errors, warnings }, { errors: [], warnings: [] });
+    assert.deepEqual(Object.keys(config.repos), ['api', 'web']);
+});
+
+test('schema violations are reported at their position with suggestions', () => {
+    const { errors } = check([
+        'repos:',
+        '  api:',
+        '    url: https://example.com/api.git',
+        '    traits: [npm, nmp]',
+        '    postclone: echo',
+        '    preClone:',
+        '      run: ""',
+        '      retries: 1.5',
+        '  "bad/name":',
+        '    url: https://example.com/bad.git'
+    ]);
+
+    assert.deepEqual(describe(errors), [
+        "4:19 repos.api.traits.1: invalid value 'nmp' (did you mean 'npm'?)",
+        "5:5 repos.api.postclone: unknown property 'postclone' (did you mean 'postClone'?)",
+        '7:7 repos.api.preClone.run: must not be empty',
+        '8:7 repos.api.preClone.retries: must be an integer, got a number',
+        '9:3 repos.bad/name: invalid name \'bad/name\' (is used as directory name and must not contain < > : " / \\ | ? *)'
+    ]);
+});
+
+test('references to unknown repositories and clashing group names are errors', () => {
+    const { errors, warnings } = check([
+        'repos:',
+        '  api:',
+        '    url: https://example.com/api.git',
+        '  web:',
+        '    url: not a url',
+        '    dependsOn: [apii]',
+        '  docs:',
+        'groups:',
+        '  api: [web]',
+        '  front: [webb]'
+    ]);
+
+    assert.deepEqual(describe(errors), [
+        "6:17 repos.web.dependsOn.0: unknown repository 'apii' (did you mean 'api'?)",
+        "9:3 groups.api: group 'api' has the same name as a repository",
+        "10:11 groups.front.0: unknown repository 'webb' (did you mean 'web'?)"
+    ]);
+    assert.deepEqual(describe(warnings), [
+        '5:5 repos.web.url: no valid git URL - setup will offer to create an empty folder',
+        '7:3 repos.docs: no valid git URL - setup will offer to create an empty folder'
+    ]);
+});
+
+test('YAML syntax errors and missing repositories', () => {
+    const syntax = check(['repos:', '  api: [', '']);
+    assert.equal(syntax.config, null);
+    assert.deepEqual(describe(syntax.errors), ['3:1 : syntax error: unexpected end of the stream within a flow collection']);
+
+    assert.deepEqual(describe(check(['groups: {}']).errors), ["1:1 : missing required property 'repos'"]);
+    assert.deepEqual(describe(check(['repos: {}']).errors), ['1:1 repos: must contain at least 1 entry']);
+});
@@ -0,0 +1,108 @@
+/*
+================================================================================
+File: test/dependency-graph.test.js (Dependency Ordering Tests)
+Description: Checks the topological ordering and cycle detection behind
+             `dependsOn`, and how a repository selection is extended by the
+             repositories it depends on.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { collectDependencies, sortByDependencies } from '../scripts/helper/dependency-graph.js';
+import { addRepositoryDependencies, sortRepositoriesByDependencies } from '../scripts/core/config.js';
+import { checkConfigurationSource } from '../scripts/core/config-schema.js';
+
+/**
+ * Dependency lookup for a graph given as object
+ *
+ * @param {Object} graph - Dependency names by name
+ * @returns {Function} Lookup passed to the graph functions
+ */
+const dependenciesOf = graph => name => graph[name];
+
+/*
+================================================================================
+TOPOLOGICAL ORDERING
+================================================================================
+*/
+
+test('dependencies come first, unrelated names keep their order', () => {
+    const graph = { web: ['api'], api: ['db', 'auth'], docs: [], auth: ['db'] };
+
+    assert.deepEqual(sortByDependencies(['web', 'docs', 'api', 'db', 'auth'], dependenciesOf(graph)),
+        ['db', 'auth', 'api', 'web', 'docs']);
+    assert.deepEqual(sortByDependencies(['docs', 'db'], dependenciesOf(graph)), ['docs', 'db']);
+});
+
+test('dependencies outside the ordered names are ignored', () => {
+    assert.deepEqual(sortByDependencies(['web', 'cdn'], dependenciesOf({ web: ['api'], cdn: ['web'] })), ['web', 'cdn']);
+});
+
+test('cycles are reported with their complete path', () => {
+    const graph = { a: ['b'], b: ['c'], c: ['a'], d: ['d'] };
+
+    assert.throws(() => sortByDependencies(['a', 'b', 'c'], dependenciesOf(graph)), (error) => {
+        assert.deepEqual(error.cycle, ['a', 'b', 'c', 'a']);
+        assert.equal(error.message, 'Circular dependency: a -> b -> c -> a');
+        return true;
+    });
+    assert.throws(() => sortByDependencies(['d'], dependenciesOf(graph)), { message: 'Circular dependency: d -> d' });
+});
+
+test('transitive dependencies are collected once', () => {
+    const graph = { web: ['api', 'auth'], api: ['db'], auth: ['db'] };
+    assert.deepEqual([...collectDependencies(['web'], dependenciesOf(graph))], ['api', 'db', 'auth']);
+});
+
+/*
+================================================================================
+REPOSITORY DEPENDENCIES
+================================================================================
+*/
+
+test('repositories are ordered by dependsOn', () => {
+    const repos = [
+        { name: 'web', dependsOn: ['api'] },
+        { name: 'docs' },
+        { name: 'api', dependsOn: ['shared'] },
+        { name: 'shared' }
+    ];
+
+    assert.deepEqual(sortRepositoriesByDependencies(repos).map(repo => repo.name), ['shared', 'api', 'web', 'docs']);
+    assert.throws(() => sortRepositoriesByDependencies([{ name: 'a', dependsOn: ['b'] }, { name: 'b', dependsOn: ['a'] }]),
+        { message: 'Circular repository dependency: a -> b -> a' });
+});
+
+test('a selection is extended by its dependencies in repos.yaml order', () => {
+    const config = {
+        repos: {
+            shared: {},
+            api: { dependsOn: ['shared', 'legacy'] },
+            legacy: {},
+            web: { dependsOn: ['api'] },
+            docs: {}
+        }
+    };
+    const candidates = ['shared', 'api', 'web', 'docs'].map(name => ({ name }));
+
+    const selection = addRepositoryDependencies(config, [{ name: 'web', dependsOn: ['api'] }], candidates);
+
+    assert.deepEqual(selection.repos.map(repo => repo.name), ['shared', 'api', 'web']);
+    assert.deepEqual(selection.added, ['api', 'shared']);
+    assert.deepEqual(selection.unavailable, ['legacy']);
+});
+
+test('circular dependsOn entries fail the configuration validation', () => {
+    const { errors } = checkConfigurationSource([
+        'repos:',
+        '  a:',
+        '    url: https://example.com/a.git',
+        '    dependsOn: [b]',
+        '  b:',
+        '    url: https://example.com/b.git',
+        '    dependsOn: [a]'
+    ].join('\n'), { traits: [] });
+
+    assert.deepEqual(errors.map(({ line, message }) => `${line}: ${message}`), ['4: circular dependency: a -> b -> a']);
+});
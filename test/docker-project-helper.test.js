@@ -0,0 +1,135 @@
+/*
+================================================================================
+File: test/docker-project-helper.test.js (Dockerfile and Compose Analysis Tests)
+Description: Checks the Dockerfile stage parsing and the Compose port parsing
+             the docker trait builds its lint and collision checks on.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+    getBuildStages,
+    getEnvFiles,
+    getPublishedPorts,
+    parseDockerfile,
+    parseImageReference,
+    portsCollide
+} from '../scripts/helper/docker-project-helper.js';
+
+/*
+================================================================================
+DOCKERFILE ANALYSIS
+================================================================================
+*/
+
+test('continued lines are joined and comments skipped', () => {
+    const instructions = parseDockerfile([
+        '# syntax=docker/dockerfile:1',
+        'FROM node:20',
+        'RUN apt-get update \\',
+        '    # comment inside the instruction',
+        '    && apt-get install -y curl',
+        'user app'
+    ].join('\n'));
+
+    assert.deepEqual(instructions, [
+        { instruction: 'FROM', args: 'node:20', line: 2 },
+        { instruction: 'RUN', args: 'apt-get update && apt-get install -y curl', line: 3 },
+        { instruction: 'USER', args: 'app', line: 6 }
+    ]);
+});
+
+test('image references are split at the tag and digest, not the registry port', () => {
+    assert.deepEqual(parseImageReference('registry:5000/team/node'), { image: 'registry:5000/team/node', tag: null, digest: null });
+    assert.deepEqual(parseImageReference('registry:5000/node:20-alpine@sha256:abc'), { image: 'registry:5000/node', tag: '20-alpine', digest: 'sha256:abc' });
+});
+
+test('build stages track aliases and the user of each stage', () => {
+    const stages = getBuildStages(parseDockerfile([
+        'FROM --platform=linux/amd64 node:20 AS build',
+        'USER node:node',
+        'FROM build AS test',
+        'FROM nginx',
+        'USER 101'
+    ].join('\n')));
+
+    assert.deepEqual(stages, [
+        { image: 'node', tag: '20', digest: null, alias: 'build', line: 1, user: 'node', userLine: 2 },
+        { image: null, tag: null, digest: null, alias: 'test', line: 3, user: null, userLine: null },
+        { image: 'nginx', tag: null, digest: null, alias: null, line: 4, user: '101', userLine: 5 }
+    ]);
+});
+
+/*
+================================================================================
+COMPOSE FILE ANALYSIS
+================================================================================
+*/
+
+test('published ports of the short syntax', () => {
+    const ports = getPublishedPorts({
+        services: {
+            web: { ports: ['8080:80', '127.0.0.1:8443:443/tcp', '[::1]:5353:53/udp', '3000', 9000] },
+            range: { ports: ['7000-7002:7000-7002'] }
+        }
+    });
+
+    assert.deepEqual(ports, [
+        { service: 'web', port: 8080, protocol: 'tcp', hostIp: '' },
+        { service: 'web', port: 8443, protocol: 'tcp', hostIp: '127.0.0.1' },
+        { service: 'web', port: 5353, protocol: 'udp', hostIp: '::1' },
+        { service: 'range', port: 7000, protocol: 'tcp', hostIp: '' },
+        { service: 'range', port: 7001, protocol: 'tcp', hostIp: '' },
+        { service: 'range', port: 7002, protocol: 'tcp', hostIp: '' }
+    ]);
+});
+
+test('published ports of the long syntax and with variables', () => {
+    delete process.env.MULTIREPO_TEST_UNSET_PORT;
+    const ports = getPublishedPorts({
+        services: {
+            api: {
+                ports: [
+                    { target: 80, published: '8081', host_ip: '0.0.0.0' },
+                    { target: 53, published: 5300, protocol: 'udp' },
+                    { target: 90 },
+                    '${MULTIREPO_TEST_UNSET_PORT:-8082}:80',
+                    '${MULTIREPO_TEST_UNSET_PORT}:81'
+                ]
+            },
+            worker: {}
+        }
+    });
+
+    assert.deepEqual(ports, [
+        { service: 'api', port: 8081, protocol: 'tcp', hostIp: '0.0.0.0' },
+        { service: 'api', port: 5300, protocol: 'udp', hostIp: '' },
+        { service: 'api', port: 8082, protocol: 'tcp', hostIp: '' }
+    ]);
+});
+
+test('oversized and reversed port ranges are ignored', () => {
+    assert.deepEqual(getPublishedPorts({ services: { web: { ports: ['1000-9000:80', '81-80:80'] } } }), []);
+});
+
+test('ports collide on the same port and protocol unless bound to different addresses', () => {
+    const port = (port, hostIp = '', protocol = 'tcp') => ({ service: 'web', port, protocol, hostIp });
+
+    assert.equal(portsCollide(port(80), port(80)), true);
+    assert.equal(portsCollide(port(80, '127.0.0.1'), port(80)), true);
+    assert.equal(portsCollide(port(80, '127.0.0.1'), port(80, '::')), true);
+    assert.equal(portsCollide(port(80, '127.0.0.1'), port(80, '127.0.0.1')), true);
+    assert.equal(portsCollide(port(80, '127.0.0.1'), port(80, '127.0.0.2')), false);
+    assert.equal(portsCollide(port(80), port(81)), false);
+    assert.equal(portsCollide(port(53, '', 'udp'), port(53)), false);
+});
+
+test('env_file references of the short and long syntax', () => {
+    assert.deepEqual(getEnvFiles({}), []);
+    assert.deepEqual(getEnvFiles({ env_file: '.env' }), [{ path: '.env', required: true }]);
+    assert.deepEqual(getEnvFiles({ env_file: ['.env', { path: '.env.local', required: false }] }), [
+        { path: '.env', required: true },
+        { path: '.env.local', required: false }
+    ]);
+});
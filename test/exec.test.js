@@ -0,0 +1,42 @@
+/*
+================================================================================
+File: test/exec.test.js (Exec Command Line Tests)
+Description: Checks that the words of `multirepo exec -- <command>` reach the
+             command unchanged when they run through the shell.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import { test } from 'node:test';
+import { buildShellCommand } from '../scripts/exec.js';
+import { runRepositoryCommand } from '../scripts/core/hooks.js';
+
+/**
+ * Run a command line like exec does and collect its stdout lines
+ *
+ * @param {string} command - Command line for `sh -c`
+ * @returns {Promise<Array<string>>} Output lines
+ */
+async function runCaptured(command) {
+    const lines = [];
+    const code = await runRepositoryCommand(command, {
+        repo: { name: 'test' },
+        cwd: os.tmpdir(),
+        hookType: 'exec',
+        onOutput: (line, stream) => stream === 'stdout' && lines.push(line)
+    });
+    assert.equal(code, 0);
+    return lines;
+}
+
+test('arguments with spaces and quotes reach the command intact', async () => {
+    const words = ['two words', 'it\'s', '$HOME', 'a;b', ''];
+    const command = buildShellCommand([process.execPath, '-e', 'console.log(JSON.stringify(process.argv.slice(1)))', ...words]);
+
+    assert.deepEqual(JSON.parse((await runCaptured(command))[0]), words);
+});
+
+test('a single command string keeps its shell syntax', async () => {
+    assert.deepEqual(await runCaptured(buildShellCommand(['echo one && echo two'])), ['one', 'two']);
+});
@@ -0,0 +1,64 @@
+/*
+================================================================================
+File: test/go-module-helper.test.js (go.mod Parsing Tests)
+Description: Checks the go.mod parser and the module path helpers the go
+             trait uses for its go.sum and module cache checks.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { escapeModulePath, isLocalReplacement, parseGoMod } from '../scripts/helper/go-module-helper.js';
+
+test('single-line directives and blocks', () => {
+    const manifest = parseGoMod([
+        '// Service module',
+        'module example.com/service',
+        '',
+        'go 1.22.1',
+        'toolchain go1.22.4',
+        '',
+        'require github.com/BurntSushi/toml v1.3.2',
+        'require (',
+        '\tgolang.org/x/sync v0.7.0',
+        '\tgolang.org/x/text v0.14.0 // indirect',
+        ')',
+        '',
+        'exclude golang.org/x/net v0.1.0',
+        'replace (',
+        '\texample.com/shared => ../shared',
+        '\tgolang.org/x/text v0.14.0 => golang.org/x/text v0.15.0',
+        ')'
+    ].join('\r\n'));
+
+    assert.deepEqual(manifest, {
+        module: 'example.com/service',
+        go: '1.22.1',
+        toolchain: 'go1.22.4',
+        require: [
+            { path: 'github.com/BurntSushi/toml', version: 'v1.3.2', indirect: false },
+            { path: 'golang.org/x/sync', version: 'v0.7.0', indirect: false },
+            { path: 'golang.org/x/text', version: 'v0.14.0', indirect: true }
+        ],
+        replace: [
+            { path: 'example.com/shared', version: null, replacement: '../shared', replacementVersion: null },
+            { path: 'golang.org/x/text', version: 'v0.14.0', replacement: 'golang.org/x/text', replacementVersion: 'v0.15.0' }
+        ]
+    });
+});
+
+test('quoted module paths are unquoted', () => {
+    assert.equal(parseGoMod('module "example.com/quoted"\n').module, 'example.com/quoted');
+});
+
+test('module paths are escaped for the module cache', () => {
+    assert.equal(escapeModulePath('github.com/BurntSushi/toml'), 'github.com/!burnt!sushi/toml');
+    assert.equal(escapeModulePath('golang.org/x/sync'), 'golang.org/x/sync');
+});
+
+test('replacements by a directory are local', () => {
+    assert.equal(isLocalReplacement('./shared'), true);
+    assert.equal(isLocalReplacement('../shared'), true);
+    assert.equal(isLocalReplacement('/srv/shared'), true);
+    assert.equal(isLocalReplacement('example.com/shared'), false);
+});
@@ -0,0 +1,69 @@
+/*
+================================================================================
+File: test/hooks.test.js (Hook Execution Policy Tests)
+Description: Checks the retries, timeouts and recorded results of custom hooks
+             run through runHooks().
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { getHooksForRepo, HOOK_POLICY_DEFAULTS, runHooks } from '../scripts/core/hooks.js';
+
+/**
+ * Run a custom postClone hook in a temporary repository directory
+ *
+ * @param {Object} t - Test context (removes the directory afterwards)
+ * @param {Object} postClone - Custom hook definition ({run, timeout, retries, retryDelay})
+ * @returns {Promise<Object>} Run outcome ({cwd, error, hookResults})
+ */
+async function runPostClone(t, postClone) {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'multirepo-hooks-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+    const hookResults = [];
+    const error = await runHooks({ name: 'test', postClone }, 'postClone', { cwd, hookResults }).then(() => null, error => error);
+    return { cwd, error, hookResults };
+}
+
+test('a failing hook is retried until it succeeds', async (t) => {
+    // Fails on the first attempt only
+    const run = 'n=$(cat attempts 2>/dev/null || echo 0); echo $((n + 1)) > attempts; [ "$n" -ge 1 ]';
+    const { cwd, error, hookResults } = await runPostClone(t, { run, retries: 2, retryDelay: 0 });
+
+    assert.equal(error, null);
+    assert.equal(fs.readFileSync(path.join(cwd, 'attempts'), 'utf8'), '2\n');
+    assert.deepEqual(hookResults.map(({ outcome, attempts }) => ({ outcome, attempts })), [{ outcome: 'success', attempts: 2 }]);
+    assert.equal('error' in hookResults[0], false);
+});
+
+test('the result of the last attempt is recorded when all retries fail', async (t) => {
+    const { error, hookResults } = await runPostClone(t, { run: 'exit 3', retries: 1, retryDelay: 0 });
+
+    assert.match(error.message, /Hook execution failed: Command exited with code 3/);
+    assert.deepEqual(hookResults.map(({ outcome, attempts, error }) => ({ outcome, attempts, error })), [
+        { outcome: 'failed', attempts: 2, error: 'Command exited with code 3: exit 3' }
+    ]);
+});
+
+test('a timed out hook is killed together with its child processes', async (t) => {
+    // The background subshell survives unless the whole process group is killed
+    const { cwd, error, hookResults } = await runPostClone(t, { run: '(sleep 2; touch late) & sleep 30', timeout: 1 });
+
+    assert.match(error.message, /Command timed out after 1s/);
+    assert.deepEqual(hookResults.map(({ outcome, attempts }) => ({ outcome, attempts })), [{ outcome: 'timeout', attempts: 1 }]);
+
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.equal(fs.existsSync(path.join(cwd, 'late')), false);
+});
+
+test('invalid policy values fall back to the defaults', () => {
+    const [hook] = getHooksForRepo({ name: 'test', postClone: { run: 'true', timeout: 0, retries: 1.5, retryDelay: -1 } }, 'postClone');
+    assert.deepEqual(hook.policy, HOOK_POLICY_DEFAULTS);
+
+    const [valid] = getHooksForRepo({ name: 'test', preClone: { run: 'true', timeout: 60, retries: 2, retryDelay: 0 } }, 'preClone');
+    assert.deepEqual(valid.policy, { timeout: 60, retries: 2, retryDelay: 0 });
+});
@@ -0,0 +1,104 @@
+/*
+================================================================================
+File: test/java-project-helper.test.js (Java Build Analysis Tests)
+Description: Checks how the Java version a Maven or Gradle build requires is
+             read, and the pom.xml and properties file readers the java, maven
+             and gradle traits use.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { getJavaFeatureVersion, JavaProjectHelper } from '../scripts/helper/java-project-helper.js';
+
+/**
+ * Create a helper for a temporary repository
+ *
+ * @param {Object} t - Test context (removes the repository afterwards)
+ * @param {Object} files - File contents by path relative to the repository
+ * @returns {JavaProjectHelper} Helper bound to the repository
+ */
+function createHelper(t, files) {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'multirepo-java-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+        fs.writeFileSync(path.join(cwd, file), content);
+    });
+    return new JavaProjectHelper(cwd);
+}
+
+test('feature versions of old and new version strings', () => {
+    assert.equal(getJavaFeatureVersion('1.8.0_292'), 8);
+    assert.equal(getJavaFeatureVersion('17.0.2'), 17);
+    assert.equal(getJavaFeatureVersion('21'), 21);
+});
+
+test('Maven Java version from properties, references and the compiler plugin', (t) => {
+    const release = createHelper(t, {
+        'pom.xml': '<project><properties><java.version>17</java.version><maven.compiler.release>${java.version}</maven.compiler.release></properties></project>'
+    });
+    assert.deepEqual(release.getMavenJavaVersion(), { version: '17', source: 'pom.xml (maven.compiler.release)', toolchain: false });
+
+    const legacy = createHelper(t, { 'pom.xml': '<project><properties><maven.compiler.source>1.8</maven.compiler.source></properties></project>' });
+    assert.equal(legacy.getMavenJavaVersion().version, '8');
+
+    const plugin = createHelper(t, {
+        'pom.xml': '<project><build><plugins><plugin><configuration><release>21</release></configuration></plugin></plugins></build></project>'
+    });
+    assert.deepEqual(plugin.getMavenJavaVersion(), { version: '21', source: 'pom.xml (maven-compiler-plugin release)', toolchain: false });
+
+    const unresolved = createHelper(t, { 'pom.xml': '<project><properties><java.version>${jdk}</java.version></properties></project>' });
+    assert.equal(unresolved.getMavenJavaVersion(), null);
+});
+
+test('Gradle toolchains take precedence over the compatibility settings', (t) => {
+    const toolchain = createHelper(t, {
+        'build.gradle.kts': 'java {\n    sourceCompatibility = JavaVersion.VERSION_11\n    toolchain { languageVersion.set(JavaLanguageVersion.of(21)) }\n}\n'
+    });
+    assert.deepEqual(toolchain.getGradleJavaVersion(), { version: '21', source: 'build.gradle.kts (toolchain)', toolchain: true });
+
+    const compatibility = createHelper(t, {
+        'build.gradle': '// jvmToolchain(21)\nsourceCompatibility = JavaVersion.VERSION_1_8\n'
+    });
+    assert.deepEqual(compatibility.getGradleJavaVersion(), { version: '8', source: 'build.gradle (compatibility)', toolchain: false });
+});
+
+test('top-level pom.xml elements ignore the parent and dependencies', (t) => {
+    const helper = createHelper(t, {
+        'pom.xml': [
+            '<project>',
+            '  <parent><artifactId>parent</artifactId></parent>',
+            '  <!-- <artifactId>commented</artifactId> -->',
+            '  <dependencies><dependency><artifactId>dep</artifactId></dependency></dependencies>',
+            '  <artifactId> app </artifactId>',
+            '</project>'
+        ].join('\n')
+    });
+
+    assert.equal(helper.getPomElement('artifactId'), 'app');
+    assert.equal(helper.getPomElement('groupId'), null);
+});
+
+test('multi-module builds are recognized for Maven and Gradle', (t) => {
+    assert.equal(createHelper(t, { 'pom.xml': '<project><modules>\n  <module>core</module>\n</modules></project>' }).isMultiModuleBuild(), true);
+    assert.equal(createHelper(t, { 'settings.gradle.kts': 'rootProject.name = "app"\ninclude(":core")\n' }).isMultiModuleBuild(), true);
+    assert.equal(createHelper(t, { 'settings.gradle': 'rootProject.name = "app"\n' }).isMultiModuleBuild(), false);
+});
+
+test('properties files with separators, comments and continued lines', (t) => {
+    const helper = createHelper(t, {
+        'wrapper.properties': '# comment\n! comment\ndistributionUrl=https\\://example.com/\\\n    gradle-8.7-bin.zip\nwrapperVersion : 3.3.2\nflag value\n'
+    });
+
+    assert.deepEqual(helper.readProperties('wrapper.properties'), {
+        distributionUrl: 'https://example.com/gradle-8.7-bin.zip',
+        wrapperVersion: '3.3.2',
+        flag: 'value'
+    });
+    assert.equal(helper.readProperties('missing.properties'), null);
+});
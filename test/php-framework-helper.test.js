@@ -0,0 +1,70 @@
+/*
+================================================================================
+File: test/php-framework-helper.test.js (PHP Application Analysis Tests)
+Description: Checks the dotenv parser and the Composer package lookups the
+             laravel and symfony traits use.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { parseDotenv, PhpFrameworkHelper } from '../scripts/helper/php-framework-helper.js';
+
+test('dotenv values: quoting, export prefixes and comments', () => {
+    const variables = parseDotenv([
+        '# comment',
+        'APP_ENV=dev',
+        'export APP_DEBUG = 1',
+        'APP_NAME="My \\"App\\""',
+        'APP_SECRET=\'not # a comment\'',
+        'DATABASE_URL=mysql://db:3306/app # trailing comment',
+        'MULTI="first',
+        'second"',
+        'EMPTY=',
+        'invalid line'
+    ].join('\n'));
+
+    assert.deepEqual(variables, {
+        APP_ENV: 'dev',
+        APP_DEBUG: '1',
+        APP_NAME: 'My "App"',
+        APP_SECRET: 'not # a comment',
+        DATABASE_URL: 'mysql://db:3306/app',
+        MULTI: 'first\nsecond',
+        EMPTY: ''
+    });
+});
+
+test('required packages prefer the locked version over the constraint', (t) => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'multirepo-php-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(cwd, 'composer.json'), JSON.stringify({
+        require: { 'symfony/framework-bundle': '^7.1' },
+        'require-dev': { 'symfony/maker-bundle': '^1.60' }
+    }));
+    fs.writeFileSync(path.join(cwd, 'composer.lock'), JSON.stringify({
+        packages: [{ name: 'symfony/framework-bundle', version: 'v7.1.3' }],
+        'packages-dev': []
+    }));
+
+    const helper = new PhpFrameworkHelper(cwd);
+    assert.equal(helper.requiresPackage('symfony/framework-bundle'), true);
+    assert.equal(helper.requiresPackage('symfony/maker-bundle'), true);
+    assert.equal(helper.requiresPackage('laravel/framework'), false);
+    assert.equal(helper.getPackageVersion('symfony/framework-bundle'), 'v7.1.3');
+    assert.equal(helper.getPackageVersion('symfony/maker-bundle'), '^1.60');
+    assert.equal(helper.getPackageVersion('laravel/framework'), null);
+});
+
+test('invalid composer.json counts as missing', (t) => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'multirepo-php-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(cwd, 'composer.json'), '{ invalid');
+
+    const helper = new PhpFrameworkHelper(cwd);
+    assert.equal(helper.composerJson, null);
+    assert.equal(helper.requiresPackage('laravel/framework'), false);
+});
@@ -0,0 +1,45 @@
+/*
+================================================================================
+File: test/python-project-helper.test.js (Python Version Constraint Tests)
+Description: Checks package name normalization and the PEP 440 and Poetry
+             version constraints used for the Python version check.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizePackageName, satisfiesVersionConstraint } from '../scripts/helper/python-project-helper.js';
+
+test('package names are normalized as PEP 503 defines', () => {
+    assert.equal(normalizePackageName('Django_REST.framework'), 'django-rest-framework');
+    assert.equal(normalizePackageName('ruamel..yaml'), 'ruamel-yaml');
+});
+
+test('PEP 440 specifiers', () => {
+    assert.equal(satisfiesVersionConstraint('3.11.4', '>=3.10,<4'), true);
+    assert.equal(satisfiesVersionConstraint('3.9.1', '>=3.10,<4'), false);
+    assert.equal(satisfiesVersionConstraint('3.11.4', '==3.11.*'), true);
+    assert.equal(satisfiesVersionConstraint('3.12.0', '==3.11.*'), false);
+    assert.equal(satisfiesVersionConstraint('3.12.0', '~=3.11'), true);
+    assert.equal(satisfiesVersionConstraint('3.11.9', '~=3.11.2'), true);
+    assert.equal(satisfiesVersionConstraint('3.12.0', '~=3.11.2'), false);
+    assert.equal(satisfiesVersionConstraint('3.11.0', '!=3.11.*'), false);
+});
+
+test('Poetry constraints', () => {
+    assert.equal(satisfiesVersionConstraint('3.12.1', '^3.10'), true);
+    assert.equal(satisfiesVersionConstraint('4.0.0', '^3.10'), false);
+    assert.equal(satisfiesVersionConstraint('0.3.5', '^0.3'), true);
+    assert.equal(satisfiesVersionConstraint('0.4.0', '^0.3'), false);
+    assert.equal(satisfiesVersionConstraint('3.10.7', '~3.10'), true);
+    assert.equal(satisfiesVersionConstraint('3.11.0', '~3.10'), false);
+    assert.equal(satisfiesVersionConstraint('3.9.2', '>=3.9 <4'), true);
+    assert.equal(satisfiesVersionConstraint('3.10.0', '^3.9 || ^3.11'), true);
+    assert.equal(satisfiesVersionConstraint('3.10.0', '*'), true);
+});
+
+test('unknown syntax yields null instead of a false mismatch', () => {
+    assert.equal(satisfiesVersionConstraint('3.11.0', '>=3.10-dev'), null);
+    assert.equal(satisfiesVersionConstraint('3.11.0', '>=4 || latest'), null);
+    assert.equal(satisfiesVersionConstraint('3.11.0', 'latest || ^3.10'), true);
+});
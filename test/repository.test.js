@@ -0,0 +1,86 @@
+/*
+================================================================================
+File: test/repository.test.js (Locked Revision Checkout Tests)
+Description: Checks how `setup --frozen` moves working copies to the revision
+             recorded in multirepo.lock (checkoutRevision).
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { checkoutRevision } from '../scripts/core/repository.js';
+import { Logger } from '../scripts/helper/logger.js';
+
+const logger = new Logger({ quiet: true });
+
+/**
+ * Create a repository with one commit per message on main
+ *
+ * @param {Object} t - Test context (removes the repository afterwards)
+ * @param {Array<string>} messages - Commit messages
+ * @returns {Object} Repository ({dir, git, commits})
+ */
+function createRepository(t, messages) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multirepo-frozen-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8' }).trim();
+    git('init', '--quiet', '--initial-branch=main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+
+    const commits = messages.map(message => {
+        git('commit', '--quiet', '--allow-empty', '-m', message);
+        return git('rev-parse', 'HEAD');
+    });
+    return { dir, git, commits };
+}
+
+test('a branch behind the locked commit is moved to it', async (t) => {
+    const { dir, git, commits } = createRepository(t, ['one', 'two']);
+    git('reset', '--quiet', '--hard', commits[0]);
+
+    await checkoutRevision({ name: 'test' }, dir, { head: commits[1], branch: 'main' }, logger);
+
+    assert.equal(git('rev-parse', 'HEAD'), commits[1]);
+    assert.equal(git('rev-parse', '--abbrev-ref', 'HEAD'), 'main');
+});
+
+test('a branch with unpushed commits beyond the locked one is not reset', async (t) => {
+    const { dir, git, commits } = createRepository(t, ['one', 'two', 'unpushed']);
+
+    await checkoutRevision({ name: 'test' }, dir, { head: commits[1], branch: 'main' }, logger);
+
+    assert.equal(git('rev-parse', 'HEAD'), commits[1]);
+    assert.equal(git('rev-parse', '--abbrev-ref', 'HEAD'), 'HEAD'); // detached
+    assert.equal(git('rev-parse', 'main'), commits[2]);
+});
+
+test('a branch whose further commits are pushed is moved to the locked commit', async (t) => {
+    const { dir, git, commits } = createRepository(t, ['one', 'two', 'pushed']);
+    git('remote', 'add', 'origin', dir);
+    git('update-ref', 'refs/remotes/origin/main', commits[2]);
+
+    await checkoutRevision({ name: 'test' }, dir, { head: commits[1], branch: 'main' }, logger);
+
+    assert.equal(git('rev-parse', 'HEAD'), commits[1]);
+    assert.equal(git('rev-parse', '--abbrev-ref', 'HEAD'), 'main');
+    assert.equal(git('rev-parse', 'main@{upstream}'), commits[2]);
+});
+
+test('uncommitted changes stop the checkout', async (t) => {
+    const { dir, git, commits } = createRepository(t, ['one']);
+    fs.writeFileSync(path.join(dir, 'file.txt'), 'content');
+    git('add', 'file.txt');
+    git('commit', '--quiet', '-m', 'two');
+    fs.writeFileSync(path.join(dir, 'file.txt'), 'change');
+
+    await assert.rejects(
+        checkoutRevision({ name: 'test' }, dir, { head: commits[0], branch: 'main' }, logger),
+        /uncommitted changes/
+    );
+});
@@ -0,0 +1,237 @@
+/*
+================================================================================
+File: test/setup.test.js (Setup Result Tests)
+Description: Runs the setup through the Node API in a temporary workspace and
+             checks the per-repository results it returns.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { setup } from '../scripts/api.js';
+
+/**
+ * Create a workspace with a repos.yaml
+ *
+ * @param {string} reposYaml - repos.yaml content
+ * @returns {string} Workspace root
+ */
+function createWorkspace(reposYaml) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'multirepo-setup-'));
+    fs.writeFileSync(path.join(root, 'repos.yaml'), reposYaml);
+    return root;
+}
+
+/**
+ * Create a repository served under https://example.com/<name>.git
+ *
+ * git rewrites the URL to the repository in the workspace, so setup clones
+ * it like a remote repository.
+ *
+ * @param {string} root - Workspace root
+ * @param {string} name - Repository name
+ * @param {Array<string>} messages - Commit messages, one commit each on main
+ * @returns {Object} Repository ({url, git, commits})
+ */
+function createRemote(root, name, messages) {
+    const dir = path.join(root, 'remotes', `${name}.git`);
+    fs.mkdirSync(dir, { recursive: true });
+    Object.assign(process.env, {
+        GIT_CONFIG_COUNT: '1',
+        GIT_CONFIG_KEY_0: `url.${path.join(root, 'remotes')}/.insteadOf`,
+        GIT_CONFIG_VALUE_0: 'https://example.com/'
+    });
+
+    const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8' }).trim();
+    git('init', '--quiet', '--initial-branch=main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    const commits = messages.map(message => {
+        git('commit', '--quiet', '--allow-empty', '-m', message);
+        return git('rev-parse', 'HEAD');
+    });
+    return { url: `https://example.com/${name}.git`, git, commits };
+}
+
+test('repositories an aborted setup never reached are not reported as passed', async (t) => {
+    const root = createWorkspace([
+        'repos:',
+        '  alpha:',
+        '    url: file:///nonexistent/alpha.git',
+        '    preClone: \'exit 3\'',
+        '  beta:',
+        '    url: file:///nonexistent/beta.git',
+        ''
+    ].join('\n'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const result = await setup({ root, only: ['alpha', 'beta'], yes: true });
+    const [alpha, beta] = result.repositories;
+
+    assert.equal(result.exitCode, 1);
+    assert.equal(alpha.result, 'failed');
+    assert.equal(alpha.phases.preClone.status, 'fail');
+    assert.equal(alpha.phases.clone, null);
+    assert.deepEqual({ result: beta.result, reason: beta.reason }, { result: 'skipped', reason: 'not run' });
+    assert.deepEqual(beta.phases, { preClone: null, clone: null, postClone: null });
+});
+
+test('with keepGoing a failure only skips the repositories depending on it', async (t) => {
+    const root = createWorkspace([
+        'repos:',
+        '  alpha:',
+        '    url: file:///nonexistent/alpha.git',
+        '    preClone: \'exit 3\'',
+        '  beta:',
+        '    url: file:///nonexistent/beta.git',
+        '  gamma:',
+        '    url: file:///nonexistent/gamma.git',
+        '    dependsOn: [alpha]',
+        ''
+    ].join('\n'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const result = await setup({ root, only: ['alpha', 'beta', 'gamma'], yes: true, keepGoing: true });
+    const [alpha, beta, gamma] = result.repositories;
+
+    assert.equal(result.exitCode, 2);
+    assert.equal(alpha.result, 'failed');
+    assert.equal(alpha.phases.clone.status, 'skip');
+    assert.equal(beta.result, 'passed');
+    assert.equal(fs.existsSync(path.join(root, 'packages', 'beta')), true);
+    assert.equal(fs.existsSync(path.join(root, 'packages', 'alpha')), false);
+    assert.deepEqual({ result: gamma.result, reason: gamma.reason }, { result: 'skipped', reason: "dependency 'alpha' failed" });
+});
+
+test('a dry run reports every repository as not run', async (t) => {
+    const root = createWorkspace('repos:\n  alpha:\n    url: file:///nonexistent/alpha.git\n');
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const result = await setup({ root, only: ['alpha'], yes: true, dryRun: true });
+
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(result.repositories.map(({ name, result, reason }) => ({ name, result, reason })), [
+        { name: 'alpha', result: 'skipped', reason: 'not run' }
+    ]);
+});
+
+test('tag and commit pins are checked out when cloning', async (t) => {
+    const root = createWorkspace('');
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const tagged = createRemote(root, 'tagged', ['one', 'two']);
+    tagged.git('tag', 'v1.0.0', tagged.commits[0]);
+    const pinned = createRemote(root, 'pinned', ['one', 'two']);
+    fs.writeFileSync(path.join(root, 'repos.yaml'), [
+        'repos:',
+        '  tagged:',
+        `    url: ${tagged.url}`,
+        '    tag: v1.0.0',
+        '  pinned:',
+        `    url: ${pinned.url}`,
+        `    commit: ${pinned.commits[0]}`,
+        ''
+    ].join('\n'));
+
+    const result = await setup({ root, only: ['tagged', 'pinned'], yes: true });
+
+    assert.equal(result.exitCode, 0);
+    const head = name => execFileSync('git', ['rev-parse', 'HEAD'], { cwd: path.join(root, 'packages', name), encoding: 'utf8' }).trim();
+    assert.equal(head('tagged'), tagged.commits[0]);
+    assert.equal(head('pinned'), pinned.commits[0]);
+});
+
+test('a frozen setup clones the revision recorded in multirepo.lock', async (t) => {
+    const root = createWorkspace('');
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const remote = createRemote(root, 'alpha', ['one']);
+    fs.writeFileSync(path.join(root, 'repos.yaml'), `repos:\n  alpha:\n    url: ${remote.url}\n`);
+
+    assert.equal((await setup({ root, only: ['alpha'], yes: true })).exitCode, 0);
+    remote.git('commit', '--quiet', '--allow-empty', '-m', 'two');
+    fs.rmSync(path.join(root, 'packages', 'alpha'), { recursive: true });
+
+    const result = await setup({ root, only: ['alpha'], yes: true, frozen: true });
+
+    assert.equal(result.exitCode, 0);
+    const git = (...args) => execFileSync('git', args, { cwd: path.join(root, 'packages', 'alpha'), encoding: 'utf8' }).trim();
+    assert.equal(git('rev-parse', 'HEAD'), remote.commits[0]);
+    assert.equal(git('rev-parse', '--abbrev-ref', 'HEAD'), 'main');
+});
+
+test('a frozen setup fails before cloning when a repository is missing from multirepo.lock', async (t) => {
+    const root = createWorkspace('');
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const remote = createRemote(root, 'alpha', ['one']);
+    fs.writeFileSync(path.join(root, 'repos.yaml'), `repos:\n  alpha:\n    url: ${remote.url}\n`);
+
+    const result = await setup({ root, only: ['alpha'], yes: true, frozen: true });
+
+    assert.equal(result.exitCode, 1);
+    assert.match(result.error, /requires a locked revision for every repository, missing: alpha/);
+    assert.equal(fs.existsSync(path.join(root, 'packages', 'alpha')), false);
+});
+
+test('dependencies of the selection are added and set up first', async (t) => {
+    const root = createWorkspace('');
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const orderLog = path.join(root, 'order.log');
+    fs.writeFileSync(path.join(root, 'repos.yaml'), [
+        'repos:',
+        '  web:',
+        `    url: ${createRemote(root, 'web', ['one']).url}`,
+        '    dependsOn: [api]',
+        `    postClone: 'echo web >> ${orderLog}'`,
+        '  api:',
+        `    url: ${createRemote(root, 'api', ['one']).url}`,
+        `    postClone: 'echo api >> ${orderLog}'`,
+        ''
+    ].join('\n'));
+
+    const result = await setup({ root, only: ['web'], yes: true });
+
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(result.repositories.map(({ name, result }) => `${name}:${result}`), ['api:passed', 'web:passed']);
+    assert.equal(fs.readFileSync(orderLog, 'utf8'), 'api\nweb\n');
+});
+
+test('a resumed setup skips the phases the previous run completed', async (t) => {
+    const root = createWorkspace('');
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const hookLog = path.join(root, 'hook.log');
+    const marker = path.join(root, 'ready');
+    const alpha = createRemote(root, 'alpha', ['one']);
+    const beta = createRemote(root, 'beta', ['one']);
+    fs.writeFileSync(path.join(root, 'repos.yaml'), [
+        'repos:',
+        '  alpha:',
+        `    url: ${alpha.url}`,
+        `    postClone: 'echo alpha >> ${hookLog}'`,
+        '  beta:',
+        `    url: ${beta.url}`,
+        `    postClone: 'test -f ${marker} && echo beta >> ${hookLog}'`,
+        ''
+    ].join('\n'));
+
+    const failed = await setup({ root, only: ['alpha', 'beta'], yes: true });
+    assert.equal(failed.exitCode, 2);
+    assert.equal(fs.readFileSync(hookLog, 'utf8'), 'alpha\n');
+
+    fs.writeFileSync(marker, '');
+    const resumed = await setup({ root, yes: true, resume: true });
+    const phases = ({ name, phases }) => [name, ...Object.values(phases).map(phase => `${phase.status}:${phase.detail}`)];
+
+    assert.equal(resumed.exitCode, 0);
+    assert.deepEqual(resumed.repositories.map(phases), [
+        ['alpha', 'pass:resumed', 'pass:resumed', 'pass:resumed'],
+        ['beta', 'pass:resumed', 'pass:resumed', 'pass:']
+    ]);
+    assert.equal(fs.readFileSync(hookLog, 'utf8'), 'alpha\nbeta\n');
+
+    const completed = await setup({ root, yes: true, resume: true });
+    assert.equal(completed.exitCode, 1);
+    assert.match(completed.error, /No interrupted setup run to resume/);
+});
@@ -0,0 +1,124 @@
+/*
+================================================================================
+File: test/sync.test.js (Workspace Update Tests)
+Description: Runs sync through the Node API against a local upstream
+             repository and checks the fast-forward, dirty working tree and
+             postClone re-run behavior.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { sync } from '../scripts/api.js';
+
+/**
+ * Create a workspace whose repository `alpha` tracks a local upstream
+ *
+ * The postClone hook appends to hook.log in the workspace root, so the tests
+ * can tell whether it was re-run.
+ *
+ * @param {Object} t - Test context (removes the workspace afterwards)
+ * @returns {Object} Workspace ({root, hookLog, pushUpstream, local, localDir})
+ */
+function createWorkspace(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'multirepo-sync-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const gitIn = (dir) => (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8' }).trim();
+    const origin = path.join(root, 'origin.git');
+    const upstreamDir = path.join(root, 'upstream');
+    const localDir = path.join(root, 'packages', 'alpha');
+
+    execFileSync('git', ['init', '--quiet', '--bare', '--initial-branch=main', origin]);
+    execFileSync('git', ['clone', '--quiet', origin, upstreamDir], { stdio: 'ignore' });
+    const upstream = gitIn(upstreamDir);
+    upstream('config', 'user.email', 'test@example.com');
+    upstream('config', 'user.name', 'Test');
+    fs.writeFileSync(path.join(upstreamDir, 'package.json'), '{}\n');
+    upstream('add', '.');
+    upstream('commit', '--quiet', '-m', 'initial');
+    upstream('push', '--quiet', 'origin', 'main');
+
+    execFileSync('git', ['clone', '--quiet', origin, localDir], { stdio: 'ignore' });
+    const local = gitIn(localDir);
+    local('config', 'user.email', 'test@example.com');
+    local('config', 'user.name', 'Test');
+
+    const hookLog = path.join(root, 'hook.log');
+    fs.writeFileSync(path.join(root, 'repos.yaml'), [
+        'repos:',
+        '  alpha:',
+        `    url: ${origin}`,
+        `    postClone: 'echo run >> ${hookLog}'`,
+        ''
+    ].join('\n'));
+
+    /**
+     * Commit a file upstream and push it
+     *
+     * @param {string} file - File name
+     * @param {string} content - File content
+     */
+    const pushUpstream = (file, content) => {
+        fs.writeFileSync(path.join(upstreamDir, file), content);
+        upstream('add', file);
+        upstream('commit', '--quiet', '-m', `update ${file}`);
+        upstream('push', '--quiet', 'origin', 'main');
+    };
+
+    return { root, hookLog, pushUpstream, local, localDir };
+}
+
+test('an update without dependency file changes does not re-run postClone', async (t) => {
+    const { root, hookLog, pushUpstream, local } = createWorkspace(t);
+    pushUpstream('README.md', 'docs\n');
+
+    const result = await sync({ root, yes: true });
+
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(result.results, [{ name: 'alpha', status: 'updated', detail: '↓1', hooksRerun: false }]);
+    assert.equal(local('log', '-1', '--format=%s'), 'update README.md');
+    assert.equal(fs.existsSync(hookLog), false);
+});
+
+test('an update changing a dependency file re-runs postClone', async (t) => {
+    const { root, hookLog, pushUpstream } = createWorkspace(t);
+    pushUpstream('package.json', '{"private": true}\n');
+
+    const result = await sync({ root, yes: true });
+
+    assert.equal(result.exitCode, 0);
+    assert.deepEqual(result.results, [{ name: 'alpha', status: 'updated', detail: '↓1, postClone re-run', hooksRerun: true }]);
+    assert.equal(fs.readFileSync(hookLog, 'utf8'), 'run\n');
+});
+
+test('uncommitted changes are skipped by default and stashed with --dirty stash', async (t) => {
+    const { root, pushUpstream, local, localDir } = createWorkspace(t);
+    pushUpstream('README.md', 'docs\n');
+    fs.writeFileSync(path.join(localDir, 'package.json'), '{"local": true}\n');
+
+    const skipped = await sync({ root, yes: true });
+    assert.equal(skipped.results[0].status, 'skipped');
+    assert.equal(skipped.results[0].detail, 'dirty, ↓1');
+
+    const stashed = await sync({ root, yes: true, dirty: 'stash' });
+    assert.equal(stashed.results[0].status, 'updated');
+    assert.equal(stashed.results[0].hooksRerun, false); // local manifest edits are not part of the update
+    assert.equal(local('log', '-1', '--format=%s'), 'update README.md');
+    assert.equal(fs.readFileSync(path.join(localDir, 'package.json'), 'utf8'), '{"local": true}\n');
+});
+
+test('a diverged branch is reported and left untouched', async (t) => {
+    const { root, pushUpstream, local } = createWorkspace(t);
+    pushUpstream('README.md', 'docs\n');
+    local('commit', '--quiet', '--allow-empty', '-m', 'local work');
+
+    const result = await sync({ root, yes: true });
+
+    assert.deepEqual(result.results, [{ name: 'alpha', status: 'diverged', detail: '↑1 ↓1', hooksRerun: false }]);
+    assert.equal(local('log', '-1', '--format=%s'), 'local work');
+});
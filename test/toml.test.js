@@ -0,0 +1,85 @@
+/*
+================================================================================
+File: test/toml.test.js (TOML Manifest Reader Tests)
+Description: Checks parseToml() and getTomlValue() on the constructs Python
+             manifests use and on the errors they have to report.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { getTomlValue, parseToml } from '../scripts/helper/toml.js';
+
+test('tables, dotted keys and arrays of tables', () => {
+    const document = parseToml([
+        '# pyproject.toml',
+        '[project]',
+        'name = "demo"',
+        'dependencies = [',
+        '    "requests>=2",  # trailing comment',
+        '    \'click\',',
+        ']',
+        'urls.homepage = "https://example.com"',
+        '',
+        '[tool.poetry.dependencies]',
+        'python = "^3.11"',
+        'django = { version = "^5.0", extras = ["argon2"] }',
+        '',
+        '[[tool.poetry.source]]',
+        'name = "first"',
+        '[[tool.poetry.source]]',
+        'name = "second"'
+    ].join('\n'));
+
+    assert.deepEqual(document.project, {
+        name: 'demo',
+        dependencies: ['requests>=2', 'click'],
+        urls: { homepage: 'https://example.com' }
+    });
+    assert.deepEqual(getTomlValue(document, 'tool.poetry.dependencies.django'), { version: '^5.0', extras: ['argon2'] });
+    assert.deepEqual(document.tool.poetry.source, [{ name: 'first' }, { name: 'second' }]);
+    assert.equal(getTomlValue(document, 'tool.missing.key'), undefined);
+});
+
+test('scalars and strings', () => {
+    const document = parseToml([
+        'integer = 1_000',
+        'float = -0.5',
+        'infinity = +inf',
+        'enabled = true',
+        'date = 1979-05-27T07:32:00Z',
+        'escaped = "tab\\there \\u00e9"',
+        "literal = 'C:\\path'",
+        '"quoted key" = 1',
+        'multi = """',
+        'first \\',
+        '    second"""'
+    ].join('\n'));
+
+    assert.deepEqual(document, {
+        integer: 1000,
+        float: -0.5,
+        infinity: Infinity,
+        enabled: true,
+        date: '1979-05-27T07:32:00Z',
+        escaped: 'tab\there é',
+        literal: 'C:\\path',
+        'quoted key': 1,
+        multi: 'first second'
+    });
+});
+
+test('syntax errors name the line', () => {
+    assert.throws(() => parseToml('a = 1\nb = "open'), /Unterminated string \(line 2\)/);
+    assert.throws(() => parseToml('a = [1 2]'), /Expected ',' or '\]' in array \(line 1\)/);
+    assert.throws(() => parseToml('a = 1 b = 2'), /Expected the end of the line/);
+    assert.throws(() => parseToml('= 1'), /Expected a key/);
+});
+
+test('duplicate keys and tables defined twice are rejected', () => {
+    assert.throws(() => parseToml('name = "a"\nname = "b"'), /Duplicate key 'name' \(line 2\)/);
+    assert.throws(() => parseToml('a.b = 1\na.b = 2'), /Duplicate key 'a.b'/);
+    assert.throws(() => parseToml('[tool]\nx = 1\n[tool]\ny = 2'), /Table 'tool' is defined twice \(line 3\)/);
+    assert.throws(() => parseToml('dep = { version = "1" }\n[dep]\nextra = 1'), /Table 'dep' is defined twice/);
+    assert.throws(() => parseToml('a = 1\n[a.b]'), /Key 'a' is not a table/);
+});
@@ -0,0 +1,387 @@
+/*
+================================================================================
+File: test/traits.test.js (Trait Check Tests)
+Description: Runs the postClone trait checks against repositories of temporary
+             workspaces and checks the findings they report. Only findings
+             that do not depend on installed tools (interpreters,
+             virtualenvs, caches) are asserted.
+================================================================================
+*/
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { configure } from '../scripts/core/config.js';
+import { Logger } from '../scripts/helper/logger.js';
+
+const logger = new Logger({ quiet: true });
+
+/**
+ * Run the postClone check of a trait in a temporary workspace
+ *
+ * The checked repository is `test`; further repositories of the workspace
+ * are listed in repos.yaml next to it (workspace-wide checks read them).
+ *
+ * @param {Object} t - Test context (removes the workspace afterwards)
+ * @param {string} trait - Trait name
+ * @param {Object} files - File contents ({content, mode} for a file mode) by path relative to the repository
+ * @param {Object} otherRepositories - Files of further repositories by repository name
+ * @returns {Promise<Object>} Check result with the finding codes ({passed, codes, findings, ...})
+ */
+async function runCheck(t, trait, files, otherRepositories = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), `multirepo-${trait}-`));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    const repositories = { test: files, ...otherRepositories };
+    fs.writeFileSync(path.join(root, 'repos.yaml'), `repos:\n${Object.keys(repositories)
+        .map(name => `  ${name}:\n    url: https://example.com/${name}.git\n`).join('')}`);
+
+    Object.entries(repositories).forEach(([name, repositoryFiles]) => {
+        Object.entries(repositoryFiles).forEach(([file, content]) => {
+            const filePath = path.join(root, 'packages', name, file);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content.content ?? content, { mode: content.mode });
+        });
+    });
+
+    configure({ root });
+    const cwd = path.join(root, 'packages', 'test');
+    fs.mkdirSync(cwd, { recursive: true });
+
+    const { check } = await import(`../scripts/traits/${trait}/postClone.js`);
+    const result = await check({ cwd, logger, repo: { name: 'test', traits: [trait] } });
+    return { ...result, codes: result.findings.map(finding => finding.code) };
+}
+
+/*
+================================================================================
+PYTHON TRAITS
+================================================================================
+*/
+
+test('pip reports unpinned requirements unless a constraints file locks them', async (t) => {
+    const requirements = 'requests\nflask==3.0.0\nclick --hash=sha256:abc\n';
+
+    const unpinned = await runCheck(t, 'pip', { 'requirements.txt': requirements });
+    assert.deepEqual(unpinned.codes, ['unpinned-requirements']);
+    assert.match(unpinned.findings[0].message, /1 requirement\(s\).*requests/);
+
+    const constrained = await runCheck(t, 'pip', { 'requirements.txt': requirements, 'constraints.txt': 'requests==2.31.0\n' });
+    assert.deepEqual(constrained.codes, []);
+});
+
+test('pip asks to compile requirements.in without requirements.txt', async (t) => {
+    const result = await runCheck(t, 'pip', { 'requirements.in': 'requests\n' });
+    assert.deepEqual(result.codes, ['missing-lock-file']);
+});
+
+test('poetry rejects a pyproject.toml without Poetry configuration', async (t) => {
+    const result = await runCheck(t, 'poetry', { 'pyproject.toml': '[project]\nname = "demo"\n' });
+    assert.equal(result.passed, false);
+    assert.ok(result.codes.includes('not-poetry-project'));
+});
+
+test('poetry reports a missing, unparsable or incomplete poetry.lock', async (t) => {
+    const pyproject = '[tool.poetry]\nname = "demo"\n\n[tool.poetry.dependencies]\npython = "^3.11"\n';
+
+    const missing = await runCheck(t, 'poetry', { 'pyproject.toml': pyproject });
+    assert.ok(missing.codes.includes('missing-lock-file'));
+    assert.ok(!missing.codes.includes('not-poetry-project'));
+
+    const unparsable = await runCheck(t, 'poetry', { 'pyproject.toml': pyproject, 'poetry.lock': '[[package]\n' });
+    assert.ok(unparsable.codes.includes('invalid-toml'));
+    assert.equal(unparsable.passed, false);
+
+    const withoutMetadata = await runCheck(t, 'poetry', { 'pyproject.toml': pyproject, 'poetry.lock': '[[package]]\nname = "requests"\n' });
+    assert.ok(withoutMetadata.codes.includes('invalid-lock-file'));
+});
+
+test('pipenv reports packages added after the last lock', async (t) => {
+    const pipfile = '[packages]\nrequests = "*"\nFlask = "*"\n';
+
+    const outdated = await runCheck(t, 'pipenv', {
+        'Pipfile': pipfile,
+        'Pipfile.lock': JSON.stringify({ _meta: {}, default: { requests: {} } })
+    });
+    assert.ok(outdated.codes.includes('outdated-lock-file'));
+    assert.match(outdated.findings.find(finding => finding.code === 'outdated-lock-file').message, /not locked: Flask/);
+
+    const current = await runCheck(t, 'pipenv', {
+        'Pipfile': pipfile,
+        'Pipfile.lock': JSON.stringify({ _meta: {}, default: { requests: {}, flask: {} } })
+    });
+    assert.ok(!current.codes.includes('outdated-lock-file'));
+});
+
+/*
+================================================================================
+DOCKER TRAIT
+================================================================================
+*/
+
+test('docker lints base images and the user of the final stage', async (t) => {
+    const floating = await runCheck(t, 'docker', {
+        'Dockerfile': 'FROM node:latest AS build\nUSER node\nFROM alpine\n',
+        '.dockerignore': '.git\n'
+    });
+    assert.deepEqual(floating.codes, ['unpinned-base-image', 'unpinned-base-image', 'root-user']);
+
+    const pinned = await runCheck(t, 'docker', {
+        'Dockerfile': 'FROM node:20 AS build\nFROM build\nUSER app\n',
+        '.dockerignore': '.git\n'
+    });
+    assert.deepEqual(pinned.codes, []);
+});
+
+test('docker validates Compose dependencies, env files and port collisions', async (t) => {
+    const result = await runCheck(t, 'docker', {
+        'compose.yaml': [
+            'services:',
+            '  web:',
+            '    image: nginx:1.27',
+            '    ports: ["8080:80", "127.0.0.1:9000:9000"]',
+            '    env_file: .env',
+            '  admin:',
+            '    image: nginx:1.27',
+            '    ports: ["127.0.0.1:8080:80", "127.0.0.2:9000:9000"]',
+            '    env_file: [{ path: .env.local, required: false }]',
+            '    depends_on: [db]',
+            ''
+        ].join('\n')
+    });
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.codes, ['unknown-service', 'missing-env-file', 'port-collision']);
+    assert.match(result.findings[2].message, /8080\/tcp of service web is also published by service admin/);
+});
+
+test('docker reports host ports published by another repository of the workspace', async (t) => {
+    const compose = port => `services:\n  web:\n    image: nginx:1.27\n    ports: ["${port}:80"]\n`;
+
+    const colliding = await runCheck(t, 'docker', { 'compose.yaml': compose(8080) }, { shop: { 'compose.yaml': compose(8080) } });
+    assert.deepEqual(colliding.codes, ['port-collision']);
+    assert.match(colliding.findings[0].message, /service web of repository shop \(compose.yaml\)/);
+
+    const separate = await runCheck(t, 'docker', { 'compose.yaml': compose(8080) }, { shop: { 'compose.yaml': compose(8081) } });
+    assert.deepEqual(separate.codes, []);
+});
+
+/*
+================================================================================
+GO AND RUST TRAITS
+================================================================================
+*/
+
+test('go reports requirements without a go.sum entry', async (t) => {
+    const goMod = 'module example.com/app\n\ngo 1.21\n\nrequire (\n\tgolang.org/x/sync v0.7.0\n\texample.com/shared v1.0.0\n)\n\nreplace example.com/shared => ../shared\n';
+
+    const missing = await runCheck(t, 'go', { 'go.mod': goMod });
+    assert.ok(missing.codes.includes('missing-lock-file'));
+
+    const outdated = await runCheck(t, 'go', { 'go.mod': goMod, 'go.sum': 'golang.org/x/text v0.14.0 h1:abc=\n' });
+    assert.ok(outdated.codes.includes('outdated-lock-file'));
+    assert.match(outdated.findings.find(finding => finding.code === 'outdated-lock-file').message, /missing 1 requirement\(s\) of go.mod: golang.org\/x\/sync\./);
+
+    // The locally replaced module needs no hash
+    const current = await runCheck(t, 'go', { 'go.mod': goMod, 'go.sum': 'golang.org/x/sync v0.7.0/go.mod h1:abc=\n' });
+    assert.ok(!current.codes.some(code => ['missing-lock-file', 'outdated-lock-file'].includes(code)));
+});
+
+test('go requires a module directive', async (t) => {
+    const result = await runCheck(t, 'go', { 'go.mod': 'go 1.21\n' });
+    assert.equal(result.passed, false);
+    assert.ok(result.codes.includes('missing-field'));
+});
+
+test('rust requires a package name or a workspace', async (t) => {
+    const result = await runCheck(t, 'rust', { 'Cargo.toml': '[dependencies]\nserde = "1"\n', '.gitignore': 'target/\n' });
+    assert.equal(result.passed, false);
+    assert.ok(result.codes.includes('missing-field'));
+});
+
+test('rust reports a missing Cargo.lock for binaries only', async (t) => {
+    const cargoToml = '[package]\nname = "app"\nversion = "0.1.0"\n\n[dependencies]\nserde = "1"\n';
+
+    const library = await runCheck(t, 'rust', { 'Cargo.toml': cargoToml, 'src/lib.rs': '', '.gitignore': 'target/\n' });
+    assert.ok(!library.codes.includes('missing-lock-file'));
+
+    const binary = await runCheck(t, 'rust', { 'Cargo.toml': cargoToml, 'src/main.rs': '', '.gitignore': 'target/\n' });
+    assert.ok(binary.codes.includes('missing-lock-file'));
+});
+
+test('rust reports dependencies Cargo.lock does not lock', async (t) => {
+    const cargoToml = [
+        '[package]',
+        'name = "app"',
+        'version = "0.1.0"',
+        '',
+        '[dependencies]',
+        'json = { package = "serde_json", version = "1" }',
+        '',
+        "[target.'cfg(unix)'.dependencies]",
+        'libc = "0.2"',
+        ''
+    ].join('\n');
+    const lock = (...names) => names.map(name => `[[package]]\nname = "${name}"\nversion = "1.0.0"\n`).join('\n');
+
+    const outdated = await runCheck(t, 'rust', { 'Cargo.toml': cargoToml, 'Cargo.lock': lock('app', 'serde_json'), '.gitignore': 'target/\n' });
+    assert.ok(outdated.codes.includes('outdated-lock-file'));
+    assert.match(outdated.findings.find(finding => finding.code === 'outdated-lock-file').message, /does not lock libc\./);
+
+    const current = await runCheck(t, 'rust', { 'Cargo.toml': cargoToml, 'Cargo.lock': lock('app', 'serde_json', 'libc'), '.gitignore': 'target/\n' });
+    assert.ok(!current.codes.includes('outdated-lock-file'));
+});
+
+/*
+================================================================================
+JAVA TRAITS
+================================================================================
+*/
+
+test('java reports a missing standard source layout except for multi-module builds', async (t) => {
+    const single = await runCheck(t, 'java', { 'pom.xml': '<project><artifactId>app</artifactId></project>' });
+    assert.ok(single.codes.includes('missing-directory'));
+    assert.ok(single.codes.includes('missing-tests'));
+
+    const multiModule = await runCheck(t, 'java', { 'settings.gradle': 'include("core")\n' });
+    assert.ok(!multiModule.codes.includes('missing-directory'));
+
+    const standard = await runCheck(t, 'java', {
+        'build.gradle': 'plugins { id "java" }\n',
+        'src/main/java/App.java': 'class App {}\n',
+        'src/test/java/AppTest.java': 'class AppTest {}\n'
+    });
+    assert.ok(!standard.codes.some(code => ['missing-directory', 'missing-tests'].includes(code)));
+});
+
+test('maven requires an artifactId and suggests the wrapper', async (t) => {
+    const result = await runCheck(t, 'maven', {
+        'pom.xml': '<project><parent><artifactId>parent</artifactId></parent></project>',
+        '.gitignore': 'target/\n'
+    });
+    assert.deepEqual(result.codes, ['missing-field', 'missing-wrapper']);
+    assert.equal(result.passed, false);
+});
+
+test('maven validates the wrapper script and its properties', async (t) => {
+    const result = await runCheck(t, 'maven', {
+        'pom.xml': '<project><artifactId>app</artifactId></project>',
+        '.gitignore': 'target/\n',
+        'mvnw': { content: '#!/bin/sh\n', mode: 0o755 },
+        '.mvn/wrapper/maven-wrapper.properties': 'distributionUrl=http://repo.example.com/apache-maven-3.9.6-bin.zip\n'
+    });
+    assert.deepEqual(result.codes, ['insecure-wrapper-url']);
+});
+
+test('gradle reports a wrapper that cannot start', async (t) => {
+    const notExecutable = await runCheck(t, 'gradle', {
+        'build.gradle.kts': 'plugins { java }\n',
+        '.gitignore': 'build/\n.gradle/\n',
+        'gradlew': '#!/bin/sh\n'
+    });
+    assert.deepEqual(notExecutable.codes, ['wrapper-not-executable', 'missing-wrapper-properties']);
+    assert.equal(notExecutable.findings[0].fix, 'Run chmod +x gradlew');
+
+    const withoutJar = await runCheck(t, 'gradle', {
+        'build.gradle.kts': 'plugins { java }\n',
+        '.gitignore': 'build/\n.gradle/\n',
+        'gradlew': { content: '#!/bin/sh\n', mode: 0o755 },
+        'gradle/wrapper/gradle-wrapper.properties': 'distributionUrl=https\\://services.gradle.org/distributions/gradle-8.7-bin.zip\n'
+    });
+    assert.deepEqual(withoutJar.codes, ['missing-wrapper-jar']);
+});
+
+/*
+================================================================================
+PHP FRAMEWORK TRAITS
+================================================================================
+*/
+
+/**
+ * Files of a Laravel application with all required directories
+ *
+ * @param {Object} files - Additional files
+ * @returns {Object} Repository files
+ */
+function laravelApplication(files) {
+    return {
+        'composer.json': JSON.stringify({ require: { 'laravel/framework': '^11.0' } }),
+        '.gitignore': '.env\n',
+        'artisan': '',
+        'storage/framework/cache/.gitignore': '',
+        'storage/framework/sessions/.gitignore': '',
+        'storage/framework/views/.gitignore': '',
+        'bootstrap/cache/.gitignore': '',
+        ...files
+    };
+}
+
+test('laravel reports a .env still to be created from .env.example as warnings', async (t) => {
+    const result = await runCheck(t, 'laravel', laravelApplication({ '.env.example': 'APP_NAME=Laravel\nAPP_KEY=\n' }));
+
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.findings.map(({ severity, code }) => `${severity}:${code}`), ['warning:missing-env-file', 'warning:missing-app-key']);
+    assert.equal(result.remediations[0].description, 'Create .env from .env.example');
+});
+
+test('laravel validates the APP_KEY of .env', async (t) => {
+    const missing = await runCheck(t, 'laravel', laravelApplication({ '.env': 'APP_KEY=\n' }));
+    assert.deepEqual(missing.findings.map(({ severity, code }) => `${severity}:${code}`), ['error:missing-app-key']);
+
+    const short = await runCheck(t, 'laravel', laravelApplication({ '.env': `APP_KEY=base64:${Buffer.alloc(8).toString('base64')}\n` }));
+    assert.deepEqual(short.codes, ['invalid-app-key']);
+
+    const valid = await runCheck(t, 'laravel', laravelApplication({ '.env': `APP_KEY=base64:${Buffer.alloc(32).toString('base64')}\n` }));
+    assert.deepEqual(valid.codes, []);
+});
+
+test('laravel requires the framework, artisan and the writable directories', async (t) => {
+    const result = await runCheck(t, 'laravel', { 'composer.json': '{"require": {}}', '.gitignore': '.env\n', '.env': 'APP_KEY=0123456789abcdef\n' });
+    assert.deepEqual(result.codes, ['missing-dependency', 'missing-file', 'missing-directory']);
+    assert.equal(result.passed, false);
+});
+
+/**
+ * Files of a Symfony application with console and bundle configuration
+ *
+ * @param {Object} files - Additional files
+ * @returns {Object} Repository files
+ */
+function symfonyApplication(files) {
+    return {
+        'composer.json': JSON.stringify({ require: { 'symfony/framework-bundle': '^7.1' } }),
+        '.gitignore': '.env.local\n.env.local.php\n.env.*.local\nvar/\n',
+        'bin/console': '',
+        'config/packages/framework.yaml': '',
+        ...files
+    };
+}
+
+test('symfony checks the .env conventions', async (t) => {
+    const legacy = await runCheck(t, 'symfony', symfonyApplication({ '.env.dist': 'APP_ENV=dev\n' }));
+    assert.deepEqual(legacy.codes, ['legacy-env-file']);
+
+    const missing = await runCheck(t, 'symfony', symfonyApplication({}));
+    assert.deepEqual(missing.codes, ['missing-env-file']);
+    assert.equal(missing.passed, false);
+
+    const withoutSecret = await runCheck(t, 'symfony', symfonyApplication({ '.env': 'APP_SECRET=\n' }));
+    assert.deepEqual(withoutSecret.codes, ['missing-env-variable', 'missing-app-secret']);
+
+    const localSecret = await runCheck(t, 'symfony', symfonyApplication({ '.env': 'APP_ENV=dev\nAPP_SECRET=\n', '.env.local': 'APP_SECRET=abc\n' }));
+    assert.deepEqual(localSecret.codes, []);
+});
+
+test('symfony offers to warm up the cache of the configured environment', async (t) => {
+    delete process.env.APP_ENV;
+    const files = symfonyApplication({ '.env': 'APP_ENV=dev\nAPP_SECRET=abc\n', '.env.local': 'APP_ENV=prod\n', 'vendor/autoload.php': '' });
+
+    const cold = await runCheck(t, 'symfony', files);
+    assert.deepEqual(cold.codes, ['cache-not-warmed']);
+    assert.equal(cold.findings[0].file, 'var/cache/prod');
+
+    const warm = await runCheck(t, 'symfony', { ...files, 'var/cache/prod/.keep': '' });
+    assert.deepEqual(warm.codes, []);
+});